@@ -0,0 +1,139 @@
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { onRequest } from 'firebase-functions/v2/https';
+import { defineInt, defineList, defineSecret } from 'firebase-functions/params';
+import { logger } from 'firebase-functions';
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+
+initializeApp();
+
+// --- CONFIGURACIÓN ---
+// La clave nunca llega al navegador: se define con `firebase functions:secrets:set GEMINI_API_KEY`
+// (en el emulador, en functions/.secret.local).
+const GEMINI_API_KEY = defineSecret('GEMINI_API_KEY');
+const RATE_LIMIT_PER_MINUTE = defineInt('GEMINI_RATE_LIMIT_PER_MINUTE', { default: 10 });
+const DAILY_QUOTA = defineInt('GEMINI_DAILY_QUOTA', { default: 200 });
+// Modelos que se pueden pedir a través del proxy. Debe incluir el que use el cliente
+// (VITE_AI_MODEL o, sin él, el predeterminado del proveedor 'gemini' en index.jsx).
+const ALLOWED_MODELS = defineList('GEMINI_ALLOWED_MODELS', { default: ['gemini-2.5-flash-preview-09-2025'] });
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+const ALLOWED_METHODS = ['generateContent', 'streamGenerateContent'];
+
+// Colección (solo accesible desde el servidor) con el uso de la IA por usuario
+const USAGE_COLLECTION = 'gemini_usage';
+
+class HttpError extends Error {
+    constructor(status, message, retryAfterSeconds = null) {
+        super(message);
+        this.status = status;
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+// --- UTILIDADES ---
+
+// Verifica el token de Firebase del encabezado Authorization y devuelve el usuario decodificado
+const verifyCaller = async (req) => {
+    const match = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+    if (!match) {
+        throw new HttpError(401, 'Falta el token de Firebase (Authorization: Bearer <idToken>).');
+    }
+    try {
+        return await getAuth().verifyIdToken(match[1]);
+    } catch (error) {
+        logger.warn('Invalid Firebase ID token', { message: error.message });
+        throw new HttpError(401, 'Token de Firebase inválido o caducado.');
+    }
+};
+
+// Registra la petición en gemini_usage/{uid} aplicando el límite por minuto y la cuota diaria (UTC).
+// Las peticiones rechazadas no cuentan para ninguno de los dos límites.
+const enforceQuota = async (uid) => {
+    const db = getFirestore();
+    const usageRef = db.collection(USAGE_COLLECTION).doc(uid);
+    const now = Date.now();
+    const today = new Date(now).toISOString().slice(0, 10);
+
+    await db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(usageRef);
+        const usage = snapshot.exists ? snapshot.data() : {};
+        const recentRequests = (usage.recentRequests || []).filter(time => now - time < 60 * 1000);
+        const dailyCount = usage.day === today ? usage.dailyCount || 0 : 0;
+
+        if (recentRequests.length >= RATE_LIMIT_PER_MINUTE.value()) {
+            const retryAfter = Math.ceil((recentRequests[0] + 60 * 1000 - now) / 1000);
+            throw new HttpError(429, 'Demasiadas solicitudes a la IA; espera un momento.', retryAfter);
+        }
+        if (dailyCount >= DAILY_QUOTA.value()) {
+            throw new HttpError(429, 'Has alcanzado la cuota diaria de análisis con IA.');
+        }
+
+        transaction.set(usageRef, {
+            recentRequests: [...recentRequests, now],
+            day: today,
+            dailyCount: dailyCount + 1,
+            updatedAt: FieldValue.serverTimestamp(),
+        });
+    });
+};
+
+// --- FUNCIONES ---
+
+// Proxy de Gemini. Replica las rutas de la API (/models/{modelo}:{método}) para que el cliente
+// solo tenga que cambiar la URL base: POST {proxy}/models/gemini-...:streamGenerateContent?alt=sse
+export const geminiProxy = onRequest({ secrets: [GEMINI_API_KEY], cors: true, timeoutSeconds: 300 }, async (req, res) => {
+    const abortController = new AbortController();
+    res.on('close', () => abortController.abort());
+
+    try {
+        if (req.method !== 'POST') {
+            throw new HttpError(405, 'Método no permitido.');
+        }
+
+        const route = req.path.match(/^\/models\/([^/:]+):(\w+)$/);
+        if (!route || !ALLOWED_MODELS.value().includes(route[1]) || !ALLOWED_METHODS.includes(route[2])) {
+            throw new HttpError(404, 'Modelo o método de Gemini no permitido.');
+        }
+        const [, model, method] = route;
+
+        const caller = await verifyCaller(req);
+        await enforceQuota(caller.uid);
+
+        const query = method === 'streamGenerateContent' ? 'alt=sse&' : '';
+        const upstream = await fetch(`${GEMINI_BASE_URL}/models/${model}:${method}?${query}key=${GEMINI_API_KEY.value()}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(req.body),
+            signal: abortController.signal,
+        });
+
+        res.status(upstream.status);
+        res.set('Content-Type', upstream.headers.get('content-type') || 'application/json');
+        res.set('Cache-Control', 'no-cache');
+        if (!upstream.body) {
+            res.end();
+            return;
+        }
+        // Se espera al final del stream para que sus errores (también el AbortError de una cancelación) lleguen al catch
+        await pipeline(Readable.fromWeb(upstream.body), res);
+    } catch (error) {
+        if (error instanceof HttpError) {
+            if (error.retryAfterSeconds) res.set('Retry-After', String(error.retryAfterSeconds));
+            res.status(error.status).json({ error: { code: error.status, message: error.message } });
+            return;
+        }
+        // El cliente canceló o cerró la conexión: no hay a quién responder
+        if (error.name === 'AbortError' || abortController.signal.aborted) return;
+
+        logger.error('Gemini proxy failed', error);
+        // Si el stream ya había empezado, el estado y las cabeceras ya se enviaron: solo se corta la respuesta
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
+        res.status(502).json({ error: { code: 502, message: 'Error al contactar con Gemini.' } });
+    }
+});
@@ -0,0 +1,171 @@
+// Preprocesado de las fotos antes de subirlas a Storage y enviarlas a la IA.
+// index.jsx lo ejecuta en un Web Worker (new Worker(new URL('./image-worker.js', import.meta.url), { type: 'module' }));
+// si el navegador no tiene OffscreenCanvas dentro de los workers, importa preprocessImage y lo ejecuta en el hilo principal.
+//
+// Pasos: decodificar, aplicar la orientación EXIF, reducir al lado máximo y recodificar (JPEG o WebP)
+// bajando la calidad, y si hace falta el tamaño, hasta quedar por debajo del tamaño objetivo.
+// El canvas no copia los metadatos del archivo original (EXIF con la ubicación GPS, XMP, perfiles de color).
+
+const EXIF_ORIENTATION_TAG = 0x0112;
+
+// Orientación EXIF (1 a 8) de un JPEG; 1 si no es un JPEG o no la indica.
+// Recorre los segmentos hasta el APP1 'Exif' y lee la etiqueta 0x0112 del primer IFD.
+export const readJpegOrientation = (buffer) => {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return 1;
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        // Tras el inicio de los datos de la imagen (SOS) ya no hay metadatos
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return 1;
+        const length = view.getUint16(offset + 2);
+        if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966 && view.getUint16(offset + 8) === 0) {
+            return readTiffOrientation(view, offset + 10, Math.min(offset + 2 + length, view.byteLength));
+        }
+        offset += 2 + length;
+    }
+    return 1;
+};
+
+// Orientación de la cabecera TIFF que empieza en `start` (dentro del segmento APP1, que acaba en `end`)
+const readTiffOrientation = (view, start, end) => {
+    if (start + 8 > end) return 1;
+    const byteOrder = view.getUint16(start);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return 1;
+    const littleEndian = byteOrder === 0x4949;
+
+    const ifdStart = start + view.getUint32(start + 4, littleEndian);
+    if (ifdStart + 2 > end) return 1;
+    const entryCount = view.getUint16(ifdStart, littleEndian);
+    for (let index = 0; index < entryCount; index++) {
+        const entry = ifdStart + 2 + index * 12;
+        if (entry + 12 > end) return 1;
+        if (view.getUint16(entry, littleEndian) === EXIF_ORIENTATION_TAG) {
+            const orientation = view.getUint16(entry + 8, littleEndian);
+            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+        }
+    }
+    return 1;
+};
+
+// Segmento APP1 mínimo con solo la orientación (para la prueba de decoderAppliesOrientation)
+export const buildExifOrientationSegment = (orientation) => new Uint8Array([
+    0xFF, 0xE1, 0x00, 0x22, // APP1, longitud 34
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // 'Exif\0\0'
+    0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, // TIFF big-endian, primer IFD en el byte 8
+    0x00, 0x01, // una entrada
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00, // orientación (SHORT)
+    0x00, 0x00, 0x00, 0x00, // sin más IFD
+]);
+
+// Las orientaciones 5 a 8 giran la imagen 90°: el ancho y el alto se intercambian
+export const getOrientedSize = (width, height, orientation) => (
+    orientation >= 5 ? { width: height, height: width } : { width, height }
+);
+
+// Transformación del canvas que endereza una imagen de width × height con la orientación EXIF dada
+export const getOrientationTransform = (width, height, orientation) => ({
+    1: [1, 0, 0, 1, 0, 0],
+    2: [-1, 0, 0, 1, width, 0],
+    3: [-1, 0, 0, -1, width, height],
+    4: [1, 0, 0, -1, 0, height],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, height, 0],
+    7: [0, -1, -1, 0, height, width],
+    8: [0, -1, 1, 0, 0, width],
+})[orientation] || [1, 0, 0, 1, 0, 0];
+
+// Dimensiones (sin girar) reducidas para que el lado mayor no pase de maxEdge
+export const fitWithin = (width, height, maxEdge) => {
+    const scale = Math.min(1, maxEdge / Math.max(width, height));
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+const createCanvas = (width, height) => {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    if (typeof document !== 'undefined') return Object.assign(document.createElement('canvas'), { width, height });
+    throw new DOMException('OffscreenCanvas no está disponible en este contexto', 'NotSupportedError');
+};
+
+const canvasToBlob = (canvas, type, quality) => {
+    if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+    return new Promise((resolve, reject) => canvas.toBlob(
+        blob => (blob ? resolve(blob) : reject(new Error('No se pudo codificar la imagen'))),
+        type,
+        quality
+    ));
+};
+
+// Dibuja el mapa de bits ya enderezado y reducido a width × height (dimensiones antes de girar)
+const drawImage = (bitmap, width, height, orientation) => {
+    const size = getOrientedSize(width, height, orientation);
+    const canvas = createCanvas(size.width, size.height);
+    const context = canvas.getContext('2d');
+    // Fondo blanco: al pasar a JPEG las zonas transparentes (PNG, WebP) no deben quedar negras
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, size.width, size.height);
+    context.transform(...getOrientationTransform(width, height, orientation));
+    context.drawImage(bitmap, 0, 0, width, height);
+    return canvas;
+};
+
+// Los navegadores actuales aplican la orientación EXIF al decodificar, pero no todos ni en todas las
+// versiones. Se comprueba una vez con un JPEG de 2 × 1 px marcado con la orientación 6 (girar 90°):
+// si al decodificarlo mide 1 × 2, el navegador ya la aplica y no hay que girarlo a mano.
+let orientationProbe = null;
+const decoderAppliesOrientation = () => {
+    if (!orientationProbe) {
+        orientationProbe = (async () => {
+            const jpeg = new Uint8Array(await (await canvasToBlob(createCanvas(2, 1), 'image/jpeg', 0.5)).arrayBuffer());
+            const probe = new Blob([jpeg.subarray(0, 2), buildExifOrientationSegment(6), jpeg.subarray(2)], { type: 'image/jpeg' });
+            const bitmap = await createImageBitmap(probe, { imageOrientation: 'from-image' });
+            const applied = bitmap.width === 1;
+            bitmap.close();
+            return applied;
+        })().catch(() => true);
+    }
+    return orientationProbe;
+};
+
+// Procesa una imagen (Blob o File). options: { maxEdge, minEdge, targetBytes, qualities, type }.
+// Devuelve { blob, width, height, originalWidth, originalHeight }; las dimensiones originales ya están enderezadas.
+// Si ninguna combinación baja del tamaño objetivo se devuelve la más pequeña.
+export const preprocessImage = async (file, { maxEdge, minEdge, targetBytes, qualities, type }) => {
+    const exifOrientation = readJpegOrientation(await file.arrayBuffer());
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    const orientation = exifOrientation !== 1 && !(await decoderAppliesOrientation()) ? exifOrientation : 1;
+    const original = getOrientedSize(bitmap.width, bitmap.height, orientation);
+
+    try {
+        let smallest = null;
+        for (let edge = maxEdge; ; edge = Math.round(edge * 0.75)) {
+            const size = fitWithin(bitmap.width, bitmap.height, Math.max(edge, minEdge));
+            const canvas = drawImage(bitmap, size.width, size.height, orientation);
+            for (const quality of qualities) {
+                let blob = await canvasToBlob(canvas, type, quality);
+                // Un navegador que no sabe codificar el formato pedido devuelve PNG: se usa JPEG
+                if (blob.type !== type) blob = await canvasToBlob(canvas, 'image/jpeg', quality);
+                if (!smallest || blob.size < smallest.blob.size) {
+                    smallest = { blob, width: canvas.width, height: canvas.height };
+                }
+                if (blob.size <= targetBytes) break;
+            }
+            if (smallest.blob.size <= targetBytes || edge <= minEdge) break;
+        }
+        return { ...smallest, originalWidth: original.width, originalHeight: original.height };
+    } finally {
+        bitmap.close();
+    }
+};
+
+// Dentro del worker (importScripts solo existe en los workers): cada mensaje { id, file, options } recibe { id, result } o { id, error }
+if (typeof importScripts === 'function') {
+    self.onmessage = async ({ data: { id, file, options } }) => {
+        try {
+            self.postMessage({ id, result: await preprocessImage(file, options) });
+        } catch (error) {
+            self.postMessage({ id, error: { name: error.name, message: error.message } });
+        }
+    };
+}
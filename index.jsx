@@ -1,13 +1,1451 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { initializeApp } from 'firebase/app';
 import { 
     getAuth, signInAnonymously, signInWithCustomToken, 
-    onAuthStateChanged 
+    onAuthStateChanged, connectAuthEmulator,
+    EmailAuthProvider, GoogleAuthProvider, linkWithCredential, linkWithPopup,
+    signInWithEmailAndPassword, createUserWithEmailAndPassword, signInWithPopup, signInWithCredential, signOut
 } from 'firebase/auth';
 import { 
-    getFirestore, doc, setDoc, 
-    onSnapshot, collection, query, 
+    initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, doc, setDoc, updateDoc, deleteDoc, addDoc, getDocs, increment,
+    onSnapshot, collection, query, orderBy, where, limit, startAfter, endAt, writeBatch,
 } from 'firebase/firestore';
+import {
+    getStorage, connectStorageEmulator, ref, uploadBytes, getDownloadURL, getBlob, deleteObject
+} from 'firebase/storage';
+import { preprocessImage } from './image-worker.js';
+
+// --- IDIOMAS (i18n) ---
+
+// Idiomas de la interfaz. 'locale' se usa para fechas y números; el idioma también decide
+// en qué idioma se piden las respuestas a la IA (los prompts están en el catálogo).
+const LANGUAGES = {
+    es: { label: 'Español', locale: 'es-ES' },
+    en: { label: 'English', locale: 'en-US' },
+};
+const DEFAULT_LANGUAGE = 'es';
+// Copia local del idioma para mostrarlo bien antes de que lleguen los ajustes de Firestore
+const LANGUAGE_STORAGE_KEY = 'health-tracker-language';
+
+// Catálogos de textos por idioma. Las claves se agrupan por pantalla o componente;
+// '{nombre}' se sustituye por el parámetro del mismo nombre al traducir.
+const MESSAGES = {
+    es: {
+        common: {
+            uploadImagePlaceholder: 'Subir Imagen',
+            close: 'Cerrar',
+            loading: 'Cargando...',
+            cancel: 'Cancelar',
+            edit: 'Editar',
+            delete: 'Eliminar',
+            warning: 'Advertencia:',
+            search: 'Buscar',
+            save: 'Guardar',
+            deleteError: 'Error al eliminar: {message}',
+            saveError: 'Error al guardar: {message}',
+            updateError: 'Error al actualizar: {message}',
+            remove: 'Quitar',
+        },
+        nutrients: {
+            kcal: 'Calorías',
+            protein_g: 'Proteína',
+            carbs_g: 'Carbohidratos',
+            fat_g: 'Grasa',
+            fiber_g: 'Fibra',
+            sugar_g: 'Azúcar',
+            sodium_mg: 'Sodio',
+        },
+        units: {
+            volume: 'Volumen',
+            weight: 'Peso',
+            length: 'Medidas',
+        },
+        prompts: {
+            mealSystem: 'Eres un nutricionista IA experto. Tu tarea es analizar la descripción de la comida o la imagen provista por el usuario. Identifica cada alimento, estima su porción y sus valores de calorías (kcal), proteína, carbohidratos, grasa, fibra y azúcar (g) y sodio (mg), junto con tu confianza en la estimación (0 a 1). En el campo summary responde de forma amigable y concisa, utilizando viñetas (formato Markdown) para el desglose de nutrientes y calorías. Proporciona siempre sugerencias de mejora o un comentario positivo. Escribe summary, name y portion en español.',
+            skinSystem: 'Eres un dermatólogo IA experto. Tu tarea es analizar la imagen de la piel provista por el usuario. En el campo summary responde en español, de forma profesional, concisa y utiliza viñetas (formato Markdown) para el desglose de hallazgos. Nunca diagnostiques o reemplaces a un médico; siempre incluye una advertencia al final de que solo son sugerencias cosméticas/rutinas. En scores puntúa lo que se ve en la foto con números enteros de 0 a 10: hydration (0 muy deshidratada, 10 muy hidratada), acne (0 sin lesiones, 10 acné severo), redness (0 sin rojeces, 10 enrojecimiento intenso) y oiliness (0 muy seca, 10 muy grasa). En confidence indica tu confianza de 0 a 1 y bájala si la luz, el enfoque o el encuadre no permiten valorar bien la piel.',
+            skinAnalysis: 'Analiza la condición de la piel en esta imagen. Evalúa el nivel de hidratación, presencia de acné, enrojecimiento, o cualquier otra condición notable. {userNote}. Proporciona un breve resumen de la condición actual y una sugerencia de rutina de cuidado o ingrediente clave a considerar.',
+            skinUserNote: 'Nota adicional del usuario: {notes}',
+            skinRoutine: 'Productos que usa el usuario ({routine}):\n{products}\nTen en cuenta sus ingredientes al interpretar el estado de la piel y al sugerir cambios en la rutina.',
+            skinProductNoIngredients: 'ingredientes no indicados',
+            skinConflicts: 'Posibles incompatibilidades entre estos productos: {conflicts}',
+            mealImageOnly: 'Analiza los alimentos en esta imagen y proporciona un resumen nutricional, incluyendo macronutrientes, calorías estimadas y sugerencias de mejora dietética.',
+            transcription: 'Transcribe literalmente esta nota de voz, en el idioma en que se habla. Devuelve solo la transcripción, sin comentarios ni formato.',
+            voiceNoteSuffix: 'Se adjunta también la nota de voz original del usuario; tenla en cuenta junto con el texto para el análisis.',
+            coachSystem: 'Eres un coach de salud IA cercano y motivador. Ayudas al usuario con su alimentación, hábitos y cuidado de la piel. Usa el historial del usuario que se incluye a continuación para personalizar tus respuestas y cita datos concretos cuando sea útil; si faltan datos, dilo en lugar de inventarlos. Responde en español, de forma breve y en Markdown. Nunca diagnostiques enfermedades; ante síntomas preocupantes recomienda acudir a un profesional. Si el usuario te pide apuntar una comida o una nota sobre su piel, usa log_meal o log_skin_note (el usuario confirmará cada registro antes de guardarlo). Para preguntas sobre periodos concretos usa query_history en lugar de estimar con el resumen.',
+            comparisonEntry: '{label} ({date}):\n- Notas del usuario: {notes}\n- Análisis previo: {analysis}',
+            comparisonBefore: 'Entrada anterior',
+            comparisonAfter: 'Entrada reciente',
+            comparison: 'Compara estas dos fotos de la piel del mismo usuario. La primera imagen es la entrada anterior y la segunda la más reciente.\n\n{before}\n\n{after}\n\nDescribe qué ha mejorado, qué ha empeorado y qué se mantiene (hidratación, acné, enrojecimiento, textura), teniendo en cuenta los análisis previos, y sugiere si conviene mantener o ajustar la rutina.',
+            comparisonSystem: 'Eres un dermatólogo IA experto. Tu tarea es comparar dos imágenes de la piel del mismo usuario tomadas en fechas distintas. Responde de forma profesional, concisa y utiliza viñetas (formato Markdown) para el desglose de cambios. Si la iluminación o el encuadre impiden una comparación fiable, indícalo. Nunca diagnostiques o reemplaces a un médico; siempre incluye una advertencia al final de que solo son sugerencias cosméticas/rutinas.',
+        },
+        errors: {
+            aiSessionRequired: 'Necesitas una sesión activa para usar la IA.',
+            unknown: 'Error desconocido',
+            aiBlocked: 'Solicitud bloqueada por el modelo ({reason}).',
+            aiStopped: 'Generación detenida por el modelo ({reason}).',
+            imageRead: 'No se pudo leer la imagen seleccionada.',
+            thumbnail: 'No se pudo generar la miniatura.',
+            attachmentFormat: 'No se reconoce el formato del archivo adjunto.',
+            aiTooManyToolCalls: 'El modelo encadenó demasiadas llamadas a funciones sin responder.',
+            aiNoResponse: 'Error: No se pudo obtener respuesta de la IA.',
+            aiNoAnalysis: 'La IA no devolvió un análisis.',
+            aiUnknownProvider: 'El proveedor de IA "{provider}" no existe. Revisa VITE_AI_PROVIDER.',
+            aiUnauthorized: 'El servicio de IA rechazó las credenciales ({status}): {detail}',
+            aiRateLimited: 'Se alcanzó el límite de peticiones a la IA. Inténtalo más tarde ({detail}).',
+            aiUnavailable: 'El servicio de IA no está disponible ({status}). Inténtalo más tarde.',
+            aiRequestFailed: 'La petición a la IA falló ({status}): {detail}',
+            aiStream: 'Error en la respuesta de la IA: {detail}',
+            aiAttachmentUnsupported: 'El proveedor de IA configurado no admite adjuntos de tipo {mimeType}.',
+        },
+        mockAi: {
+            response: '**Respuesta de prueba**\n\n- Hidratación: adecuada\n- Enrojecimiento: leve en mejillas\n- Sugerencia: mantener la rutina actual\n\n_Respuesta fija del proveedor de IA de prueba._',
+            transcription: 'Nota de voz de prueba.',
+            mealName: 'Avena con frutas',
+            mealPortion: '1 tazón (250 g)',
+            mealSummary: '- **Avena con frutas**: ~350 kcal\n- Buena fuente de fibra',
+            skinSummary: '- Hidratación: adecuada\n- Enrojecimiento: leve en mejillas\n- Sugerencia: mantener la rutina actual\n\n_Respuesta fija del proveedor de IA de prueba._',
+        },
+        analysis: {
+            unparsedNutrition: 'No se pudo interpretar el análisis nutricional de la IA.',
+            unnamedFood: 'Alimento sin nombre',
+            unparsedSkin: 'No se pudo interpretar el análisis de la piel de la IA.',
+            pending: 'Análisis pendiente',
+        },
+        coachContext: {
+            noRecords: 'sin registros',
+            mealWithoutDescription: 'comida sin descripción',
+            noNutritionData: 'sin datos nutricionales',
+            skinEntry: 'notas: {notes}; análisis: {analysis}',
+            noNotes: 'sin notas',
+            now: 'Fecha y hora actual: {time}',
+            nutritionTitle: 'Nutrición de los últimos {days} días (totales diarios estimados):',
+            skinTitle: 'Entradas recientes del diario de piel:',
+            noEntries: 'sin entradas',
+        },
+        coach: {
+            exportTitle: 'Conversación con el Coach IA',
+            exportedAt: 'Exportada el {date}',
+            you: 'Tú',
+            coach: 'Coach',
+            suggestions: {
+                protein: '¿Cómo voy con la proteína esta semana?',
+                dinner: '¿Qué me recomiendas cenar hoy?',
+                skin: '¿Ha cambiado mi piel en las últimas entradas?',
+                logMeal: 'Apunta un café con leche a las 9:00',
+            },
+            actions: {
+                log_meal: {
+                    label: 'Registrar comida',
+                },
+                log_skin_note: {
+                    label: 'Añadir nota al diario de piel',
+                },
+            },
+            skinNoteAnalysis: 'Nota añadida desde el Coach IA (sin foto).',
+            sendError: 'Error al enviar: {message}',
+            saveReplyError: 'Error al guardar la respuesta: {message}',
+            cleared: 'Conversación borrada.',
+            clearError: 'Error al borrar la conversación: {message}',
+            exportError: 'Error al exportar la conversación: {message}',
+            title: 'Coach IA',
+            confirmClear: '¿Borrar toda la conversación?',
+            clearConfirm: 'Borrar',
+            export: 'Exportar',
+            clear: 'Borrar conversación',
+            intro: 'Pregúntale al coach sobre tu alimentación, tus hábitos o tu piel. Conoce tus registros de los últimos {days} días, puede consultar periodos anteriores y apuntar comidas o notas de piel por ti (siempre te pedirá confirmación).',
+            typing: 'El coach está escribiendo...',
+            confirmAction: 'Confirmar registro',
+            discard: 'Descartar',
+            placeholder: 'Escribe tu mensaje... (Mayús+Enter para una nueva línea)',
+            offline: 'Sin conexión: el coach no está disponible.',
+            messageLabel: 'Mensaje para el coach',
+            send: 'Enviar',
+        },
+        ai: {
+            cancelled: 'Generación cancelada.',
+            cancelledNote: 'Generación cancelada',
+            interrupted: 'Respuesta interrumpida: {message}',
+            requestError: 'Error al procesar la solicitud: {message}',
+        },
+        authErrors: {
+            codes: {
+                'auth/invalid-email': 'El correo no es válido.',
+                'auth/missing-password': 'Escribe una contraseña.',
+                'auth/weak-password': 'La contraseña debe tener al menos 6 caracteres.',
+                'auth/email-already-in-use': 'Ya existe una cuenta con ese correo. Inicia sesión en su lugar.',
+                'auth/invalid-credential': 'Correo o contraseña incorrectos.',
+                'auth/wrong-password': 'Correo o contraseña incorrectos.',
+                'auth/user-not-found': 'Correo o contraseña incorrectos.',
+                'auth/too-many-requests': 'Demasiados intentos. Espera un momento e inténtalo de nuevo.',
+                'auth/popup-closed-by-user': 'Se cerró la ventana de Google antes de terminar.',
+                'auth/popup-blocked': 'El navegador bloqueó la ventana de Google. Permite las ventanas emergentes.',
+                'auth/network-request-failed': 'No hay conexión con el servidor de autenticación.',
+                'auth/operation-not-allowed': 'Este método de inicio de sesión no está habilitado en Firebase.',
+            },
+            unknown: 'Error de autenticación desconocido.',
+        },
+        voice: {
+            permissionDenied: 'No hay permiso para usar el micrófono.',
+            recordError: 'No se pudo grabar: {message}',
+            noTranscript: 'La IA no devolvió ninguna transcripción.',
+            reviewTranscript: 'Revisa la transcripción antes de analizar o guardar.',
+            transcribeError: 'Error al transcribir: {message}',
+            needsConnection: 'La transcripción necesita conexión',
+            stop: 'Detener',
+            transcribing: 'Transcribiendo...',
+            dictate: 'Dictar',
+            noteHint: 'La nota de voz se envía junto con el análisis; solo se guarda el texto.',
+        },
+        images: {
+            loadError: 'No se pudo cargar la imagen: {message}',
+            enlarge: 'Ampliar: {alt}',
+            noImage: 'Sin imagen',
+            processing: 'Preparando la imagen...',
+            processError: 'No se pudo procesar la imagen: {message}',
+        },
+        sync: {
+            pending: 'Pendiente',
+            syncing: 'Sincronizando...',
+            error: 'Error al sincronizar',
+            synced: 'Sincronizado',
+        },
+        history: {
+            reanalyze: 'Re-analizar',
+            reanalyzing: 'Re-analizando...',
+            deleted: 'Registro eliminado: {description}',
+            undo: 'Deshacer',
+            loadMore: 'Cargar más',
+            loadError: 'Error al cargar historial: {message}',
+            indexed: '{count} registros antiguos indexados para la búsqueda.',
+            alreadyIndexed: 'Todos los registros ya estaban indexados.',
+            indexError: 'Error al indexar: {message}',
+            reanalyzed: '¡Análisis actualizado! La versión anterior se guardó en el historial de versiones.',
+            reanalyzeError: 'Error al re-analizar: {message}',
+            withImage: 'Con Imagen',
+            analysis: 'Análisis:',
+            searchPlaceholder: 'Palabras del texto o del análisis',
+            from: 'Desde',
+            to: 'Hasta',
+            onlyWithImage: 'Solo con imagen',
+            clearFilters: 'Limpiar filtros',
+            searchHint: 'La búsqueda encuentra palabras completas, sin distinguir mayúsculas ni tildes.',
+            indexing: 'Indexando registros antiguos...',
+            indexOld: '¿Faltan registros antiguos? Indexarlos',
+            loading: 'Cargando historial...',
+            noMatches: 'Ningún registro coincide con los filtros.',
+        },
+        revisions: {
+            hide: 'Ocultar versiones anteriores',
+            show: 'Ver versiones anteriores ({count})',
+            loadError: 'Error al cargar versiones: {message}',
+            analyzedAt: 'Análisis del {date}',
+        },
+        nutrition: {
+            food: 'Alimento',
+            portion: 'Porción',
+            confidence: 'Confianza de la estimación: {percent}%',
+        },
+        comparison: {
+            imagesError: 'No se pudieron cargar las imágenes: {message}',
+            title: 'Progreso y Comparación',
+            empty: 'Aún no hay fotos guardadas en tu diario de piel.',
+            selectHint: 'Selecciona dos fotos de la línea de tiempo para compararlas.',
+            skinPhoto: 'Foto de la piel',
+            modes: {
+                side: 'Lado a lado',
+                slider: 'Deslizador',
+            },
+            before: 'Antes',
+            after: 'Después',
+            sliderLabel: 'Posición del deslizador de comparación',
+            comparing: 'Comparando...',
+            compare: 'Comparar con IA',
+            resultTitle: 'Análisis Comparativo (Sugerencias Cosméticas)',
+            needTwo: 'Necesitas al menos dos entradas con foto para comparar.',
+            pickTwo: 'Elige dos fotos para ver la comparación.',
+        },
+        skin: {
+            disclaimer: 'Este análisis es solo para fines informativos y cosméticos, y no reemplaza el consejo de un dermatólogo o profesional médico.',
+        },
+        skinScores: {
+            fields: {
+                hydration: 'Hidratación',
+                acne: 'Acné',
+                redness: 'Enrojecimiento',
+                oiliness: 'Grasa',
+            },
+            scales: {
+                hydration: '0 muy deshidratada · 10 muy hidratada',
+                acne: '0 sin lesiones · 10 acné severo',
+                redness: '0 sin rojeces · 10 enrojecimiento intenso',
+                oiliness: '0 muy seca · 10 muy grasa',
+            },
+            title: 'Puntuaciones (0 a 10)',
+            confidence: 'Confianza de la IA: {percent}%',
+            unit: 'de 10',
+        },
+        barcode: {
+            productFallback: 'Producto {code}',
+            analysisHeader: '**{name}** ({grams} g), según la etiqueta del producto:',
+            cameraDenied: 'No hay permiso para usar la cámara. Puedes escribir el código a mano.',
+            cameraError: 'No se pudo abrir la cámara. Puedes escribir el código a mano.',
+            scanTitle: 'Escanear código de barras',
+            manualPlaceholder: 'O escribe el código (EAN/UPC)',
+            lookupError: 'No se pudo consultar la base de alimentos: {message}',
+            searching: 'Buscando producto...',
+            scanProduct: 'Escanear producto envasado',
+            code: 'Código {code}',
+            kcalPer100g: '{kcal} kcal por 100 g',
+            noKcal: 'sin calorías en la etiqueta',
+            quantity: 'Cantidad (g)',
+            serving: '1 ración ({grams} g)',
+            useData: 'Usar estos datos',
+            unknownText: 'Producto envasado (código {code})',
+            unknown: 'El código {code} no está en la base de alimentos. Descríbelo o sube una foto de la etiqueta y analízalo con IA.',
+        },
+        mealTypes: {
+            label: 'Tipo de comida',
+            breakfast: 'Desayuno',
+            lunch: 'Comida',
+            dinner: 'Cena',
+            snack: 'Tentempié',
+        },
+        library: {
+            loadError: 'Error al cargar favoritos: {message}',
+            favoriteSaved: '«{name}» se guardó en favoritos.',
+            favoriteSaveError: 'Error al guardar el favorito: {message}',
+            templateInvalid: 'La plantilla necesita un nombre y al menos una comida.',
+            templateSaveError: 'Error al guardar la plantilla: {message}',
+            templateApplied: '«{name}»: {count} comidas registradas el {date}{skipped}.',
+            templateSkipped: ' ({count} omitidas)',
+            templateApplyError: 'Error al aplicar la plantilla: {message}',
+            toggle: 'Favoritos y plantillas ({count})',
+            saveFavorite: 'Guardar esta comida en favoritos',
+            favoriteName: 'Nombre del favorito',
+            favorites: 'Favoritos',
+            favoritesEmpty: 'Analiza una comida y guárdala en favoritos para registrarla después sin volver a analizarla.',
+            use: 'Usar',
+            remove: 'Eliminar {name}',
+            templates: 'Plantillas de días',
+            mealCount: '{count} comidas',
+            templateDay: 'Día para {name}',
+            applying: 'Registrando...',
+            apply: 'Rellenar día',
+            templateNamePlaceholder: 'Nombre (p. ej. Día laborable)',
+            favorite: 'Favorito',
+            time: 'Hora',
+            removeMeal: 'Quitar comida',
+            addMeal: 'Añadir comida',
+            saveTemplate: 'Guardar plantilla',
+            newTemplate: 'Nueva plantilla',
+        },
+        skincare: {
+            routines: {
+                am: 'Rutina de mañana',
+                pm: 'Rutina de noche',
+            },
+            usedProducts: 'Productos usados',
+            noProducts: 'Añade tus productos en «Productos y rutinas» para registrar cuáles usas.',
+            applyRoutine: 'Usar {routine}',
+            toggle: 'Productos y rutinas ({count})',
+            products: 'Mis productos',
+            productsEmpty: 'Aún no hay productos.',
+            name: 'Nombre',
+            brand: 'Marca',
+            ingredients: 'Ingredientes (separados por comas)',
+            openedAt: 'Abierto el',
+            expiresAt: 'Caduca el',
+            addProduct: 'Añadir producto',
+            productSaved: '«{name}» se añadió a tus productos.',
+            productSaveError: 'Error al guardar el producto: {message}',
+            productNameRequired: 'Escribe el nombre del producto.',
+            remove: 'Eliminar {name}',
+            opened: 'abierto el {date}',
+            expired: 'Caducado',
+            expiresSoon: 'Caduca pronto',
+            routineEmpty: 'Sin productos.',
+            routineSaveError: 'Error al guardar la rutina: {message}',
+            loadError: 'Error al cargar los productos: {message}',
+            conflictsTitle: 'Posibles incompatibilidades',
+            conflictProducts: '{products}: {message}',
+            conflicts: {
+                retinoidAha: 'un retinoide y un AHA (ácido glicólico, láctico...) en la misma rutina irritan la piel; altérnalos en noches distintas.',
+                retinoidBha: 'un retinoide y un BHA (ácido salicílico) en la misma rutina resecan e irritan; altérnalos en noches distintas.',
+                retinoidBenzoylPeroxide: 'el peróxido de benzoilo puede desactivar algunos retinoides (tretinoína) y juntos irritan más.',
+                vitaminCBenzoylPeroxide: 'el peróxido de benzoilo oxida la vitamina C (ácido ascórbico) y le resta eficacia.',
+                vitaminCRetinoid: 'la vitamina C y los retinoides funcionan mejor por separado: vitamina C por la mañana y retinoide por la noche.',
+            },
+            cardProducts: 'Productos: {products}',
+            manualSelection: 'selección propia',
+        },
+        trackers: {
+            meal: {
+                labels: {
+                    formTitle: 'Nuevo Registro de Comida',
+                    analyze: 'Analizar Comida con IA',
+                    save: 'Guardar Registro',
+                    analysisTitle: 'Análisis Nutricional de la IA',
+                    manualAnalysisTitle: 'Datos Nutricionales de la Etiqueta',
+                    historyTitle: 'Historial de Comidas',
+                    emptyHistory: 'Aún no tienes registros guardados.',
+                    analyzing: 'Generando análisis nutricional. Esto puede tardar unos segundos...',
+                    saving: 'Guardando registro...',
+                    saved: '¡Registro guardado exitosamente!',
+                    updated: '¡Registro actualizado!',
+                    reanalyzing: 'Re-analizando registro. Esto puede tardar unos segundos...',
+                    offlineHint: 'Sin conexión: guarda el registro y el análisis se hará al reconectar.',
+                },
+                textField: {
+                    label: 'Describe tu comida (o déjalo vacío si subes imagen)',
+                    placeholder: 'Ej: Un tazón de avena con frutas, semillas de chía y un vaso de jugo de naranja.',
+                    editLabel: 'Editar descripción',
+                    empty: 'Comida sin descripción',
+                },
+                categoryField: {
+                    label: 'Tipo de comida',
+                    groupLabel: 'Agrupar por tipo de comida',
+                },
+                imageField: {
+                    label: 'Sube una Imagen',
+                    previewAlt: 'Vista previa de la comida',
+                    alt: 'Foto de la comida',
+                },
+                errors: {
+                    analysis: 'Por favor, describe tu comida o sube una imagen antes de analizar.',
+                    save: 'Necesitas una descripción o una imagen para guardar el registro.',
+                    reanalysis: 'Este registro no tiene descripción ni imagen que analizar.',
+                },
+                receiving: 'Recibiendo análisis...',
+                barcodeSource: 'Valores de la etiqueta por 100 g (Open Food Facts), escalados a la cantidad indicada.',
+                partial: 'Algunos valores no pudieron estimarse y se muestran como "—".',
+                unstructured: 'La IA no devolvió datos nutricionales estructurados; solo se guardará el texto del análisis.',
+                barcodeCard: 'Datos de etiqueta · código {code}',
+            },
+            skin: {
+                labels: {
+                    formTitle: 'Nuevo Registro del Diario de Piel',
+                    analyze: 'Analizar Piel con IA',
+                    save: 'Guardar Diario',
+                    analysisTitle: 'Diagnóstico IA (Sugerencias Cosméticas)',
+                    historyTitle: 'Historial del Diario de Piel',
+                    emptyHistory: 'Aún no tienes entradas en tu diario de piel.',
+                    analyzing: 'Analizando la condición de la piel. Esto puede tardar unos segundos...',
+                    saving: 'Guardando diario...',
+                    saved: '¡Registro de piel guardado exitosamente!',
+                    updated: '¡Entrada actualizada!',
+                    reanalyzing: 'Re-analizando entrada. Esto puede tardar unos segundos...',
+                    offlineHint: 'Sin conexión: guarda la foto y el análisis se hará al reconectar.',
+                },
+                textField: {
+                    label: 'Notas (¿Qué has notado hoy? ¿Nuevos productos?)',
+                    placeholder: 'Ej: La piel se siente un poco más tirante después de la limpieza. Probé un nuevo sérum de vitamina C.',
+                    editLabel: 'Editar notas',
+                    empty: 'Sin notas adicionales',
+                },
+                imageField: {
+                    label: 'Sube una Imagen de tu Piel',
+                    previewAlt: 'Vista previa de la piel',
+                    alt: 'Foto de la piel',
+                },
+                errors: {
+                    analysis: 'Por favor, sube una imagen de tu piel para analizar.',
+                    save: 'Necesitas una imagen para guardar el registro de la piel.',
+                    reanalysis: 'Esta entrada no tiene una imagen guardada que analizar.',
+                },
+                receiving: 'Recibiendo análisis...',
+                partial: 'Algunas puntuaciones no pudieron estimarse y se muestran como "—".',
+                unstructured: 'La IA no devolvió puntuaciones; solo se guardará el texto del análisis.',
+            },
+        },
+        tracker: {
+            savedOffline: 'Sin conexión: el registro se guardó en este dispositivo y se sincronizará (con su análisis) al reconectar.',
+            analyzing: 'Analizando...',
+            saving: 'Guardando...',
+        },
+        quickLogs: {
+            water: {
+                tabLabel: 'Agua',
+                title: 'Registrar Agua',
+                historyTitle: 'Historial de Hidratación',
+            },
+            sleep: {
+                tabLabel: 'Sueño',
+                title: 'Registrar Sueño',
+                historyTitle: 'Historial de Sueño',
+            },
+            weight: {
+                tabLabel: 'Peso',
+                title: 'Registrar Peso y Medidas',
+                historyTitle: 'Historial de Peso y Medidas',
+            },
+            activity: {
+                tabLabel: 'Actividad',
+                title: 'Registrar Actividad',
+                historyTitle: 'Historial de Actividad',
+            },
+            fields: {
+                amount_ml: 'Cantidad',
+                bedTime: 'Hora de acostarse',
+                wakeTime: 'Hora de despertar',
+                quality: 'Calidad',
+                notes: 'Notas',
+                weight_kg: 'Peso',
+                waist_cm: 'Cintura',
+                hip_cm: 'Cadera',
+                activityType: 'Tipo',
+                duration_min: 'Duración (min)',
+                intensity: 'Intensidad',
+                kcal: 'Calorías quemadas (kcal)',
+            },
+            presets: {
+                glass: 'Vaso',
+                bottle: 'Botella',
+            },
+            activityTypes: {
+                walk: 'Caminar',
+                run: 'Correr',
+                cycling: 'Ciclismo',
+                swimming: 'Natación',
+                strength: 'Fuerza',
+                yoga: 'Yoga',
+                other: 'Otro',
+            },
+            intensityLevels: {
+                low: 'Baja',
+                medium: 'Media',
+                high: 'Alta',
+            },
+            summary: {
+                water: 'Hoy: {total} en {count} tomas',
+                waterOne: 'Hoy: {total} en {count} toma',
+                quality: 'Calidad {quality}/5',
+                sleep: 'Promedio de las últimas {count} noches: {average}',
+                weight: 'Último: {latest}',
+                weightChange: 'Último: {latest} ({change} desde el registro anterior)',
+                intensity: 'Intensidad {level}',
+                activity: 'Esta semana: {duration} de actividad',
+            },
+            errors: {
+                wakeBeforeBed: 'La hora de despertar debe ser posterior a la de acostarse.',
+                sleepTooLong: 'Un periodo de sueño no puede durar más de 24 horas.',
+                required: 'Completa el campo "{field}".',
+                positive: '"{field}" debe ser un número mayor que 0.',
+                invalidDate: '"{field}" no es una fecha válida.',
+            },
+            saved: '¡Registro guardado!',
+            unitsError: 'Error al guardar las unidades: {message}',
+            optional: '(opcional)',
+            presetSaved: '¡{preset} registrado!',
+            save: 'Guardar Registro',
+            empty: 'Aún no tienes registros guardados.',
+        },
+        dashboard: {
+            dailyTrend: 'Tendencia diaria ({unit})',
+            goalLine: 'Objetivo {goal} {unit}',
+            macroTrend: 'Tendencia de macronutrientes ({unit})',
+            noEntries: 'Sin registros',
+            onlyPending: 'Solo análisis pendientes',
+            goalsSaved: '¡Objetivos actualizados!',
+            goalsError: 'Error al guardar objetivos: {message}',
+            today: 'Hoy',
+            trends: 'Tendencias',
+            days: '{count} días',
+            caloriesPerDay: 'Calorías por día',
+            macrosPerDay: 'Macronutrientes por día',
+            gaps: 'Días con huecos en el registro ({count}):',
+            weeklySummary: 'Resumen Semanal',
+            week: 'Semana',
+            daysWithData: 'Días con datos',
+            average: '{label} (prom.)',
+            weekStart: 'desde {date}',
+            daysWithoutData: '{count} sin datos',
+            averagesHint: 'Los promedios solo consideran los días con datos nutricionales.',
+            dailyGoals: 'Objetivos Diarios',
+            saveGoals: 'Guardar Objetivos',
+        },
+        insights: {
+            title: 'Piel y alimentación',
+            intro: 'Relaciona las puntuaciones de tu piel con lo que comiste los días anteriores. Todo se calcula en este dispositivo con tus registros.',
+            sampleSize: 'En el periodo: {skinDays} días con puntuaciones de piel y {mealDays} días con comidas registradas.',
+            scoreTrend: 'Evolución de la piel',
+            trendLabel: 'Puntuaciones de la piel por día',
+            noScores: 'No hay entradas del diario de piel con puntuaciones en este periodo. Las entradas anteriores a esta versión las obtienen al re-analizarlas.',
+            correlations: 'Relación con la alimentación',
+            feature: 'Factor',
+            lagOne: 'Día anterior',
+            lag: 'Media de los {count} días anteriores',
+            features: {
+                sugar_g: 'Azúcar (g/día)',
+                dairy: 'Comidas con lácteos',
+                kcal: 'Calorías (kcal/día)',
+                lastMealHour: 'Hora de la última comida',
+            },
+            notEnough: 'Pocos datos',
+            noVariation: 'Sin variación',
+            pairs: 'n = {count}',
+            interval: 'IC 95 %: {low} a {high}',
+            strength: {
+                negligible: 'Inapreciable',
+                weak: 'Débil',
+                moderate: 'Moderada',
+                strong: 'Fuerte',
+            },
+            legend: 'La flecha indica cómo cambia la puntuación cuando el factor sube. Se resaltan las relaciones cuyo intervalo no incluye el 0: en verde si van con mejor piel, en ámbar si van con peor piel y en azul en la grasa, que no tiene un valor mejor.',
+            caveatsTitle: 'Cómo leer estos datos',
+            caveatMethod: 'Cada celda es la correlación de Spearman (ρ, de −1 a 1) entre la puntuación de un día y la media del factor en los días anteriores, con su intervalo de confianza del 95 % y el número de días comparados (n). Solo cuentan los días en que todos los días de la ventana tienen comidas registradas.',
+            caveatSample: 'Con menos de {min} días no se calcula nada, y con pocas decenas el intervalo es muy ancho: una correlación de 0,4 con n = 15 sigue siendo compatible con que no haya ninguna relación.',
+            caveatMultiple: 'La tabla de cada puntuación hace {count} comparaciones y en total son {total}; por puro azar, unas {expected} pueden parecer claras aunque no exista relación.',
+            caveatCausation: 'Una correlación no demuestra una causa: el estrés, el sueño, el ciclo hormonal, el clima o los productos de la rutina pueden mover a la vez la alimentación y la piel.',
+            caveatEstimates: 'Las puntuaciones y los nutrientes son estimaciones de la IA, los lácteos se detectan por palabras en la descripción de la comida y las ventanas de días seguidos se solapan, así que los datos son menos independientes de lo que parece.',
+            disclaimer: 'Es orientativo y no sustituye el consejo de un dermatólogo o un nutricionista.',
+        },
+        account: {
+            dialogLabel: 'Cuenta',
+            createAccount: 'Crear cuenta',
+            signIn: 'Iniciar sesión',
+            linkHint: 'Tus registros actuales se conservarán en la nueva cuenta.',
+            switchHint: 'Al entrar en una cuenta existente, los registros de esta sesión de invitado no se transfieren.',
+            email: 'Correo electrónico',
+            password: 'Contraseña',
+            processing: 'Procesando...',
+            submitSignIn: 'Entrar',
+            google: 'Continuar con Google',
+            haveAccount: '¿Ya tienes cuenta?',
+            noAccount: '¿No tienes cuenta?',
+            switchToSignIn: 'Inicia sesión',
+            switchToSignUp: 'Crea una',
+            guest: 'Invitado',
+            myAccount: 'Mi cuenta',
+            guestHint: 'Estás usando la app como invitado. Crea una cuenta para no perder tu historial si borras los datos del navegador.',
+            openDialog: 'Crear cuenta o iniciar sesión',
+            signedInAs: 'Sesión iniciada como {name}',
+            signOut: 'Cerrar sesión',
+        },
+        dataTransfer: {
+            collections: {
+                nutrition_history: {
+                    label: 'Comidas',
+                },
+                skin_journal: {
+                    label: 'Diario de piel',
+                },
+            },
+            csvColumns: {
+                date: 'fecha',
+                mealType: 'tipo',
+                description: 'descripcion',
+                notes: 'notas',
+                products: 'productos',
+                analysis: 'analisis',
+                photo: 'foto',
+            },
+            csvYes: 'sí',
+            csvNo: 'no',
+            errors: {
+                invalidJson: 'El archivo no es un JSON válido.',
+                notExport: 'El archivo no es una exportación de Health IA Tracker.',
+                newerVersion: 'El archivo se exportó con una versión más reciente de la aplicación.',
+                invalidRange: 'El rango de fechas no es válido.',
+            },
+            actionError: 'Error: {message}',
+            csvExported: 'CSV exportado.',
+            jsonExported: 'Copia JSON exportada.',
+            generatingReport: 'Generando informe...',
+            reportFileName: 'informe',
+            reportDownloaded: 'Informe descargado. Ábrelo en el navegador para imprimirlo o guardarlo como PDF.',
+            duplicatesSkipped: '{count} duplicados omitidos',
+            invalidSkipped: '{count} registros no válidos omitidos',
+            imagesDropped: '{count} fotos de otra cuenta no restauradas',
+            imported: 'Importación completada: {count} registros nuevos{notes}.',
+            exportTitle: 'Exportar',
+            exportHint: 'Descarga tus registros para compartirlos con tu dietista o dermatólogo, o como copia de seguridad.',
+            exporting: 'Exportando...',
+            generating: 'Generando...',
+            report: 'Informe (PDF)',
+            reportHint: 'El informe se abre en una ventana nueva lista para imprimir; elige «Guardar como PDF» en el diálogo de impresión.',
+            importTitle: 'Importar',
+            importHint: 'Restaura una exportación JSON. Los registros con la misma fecha y el mismo texto que uno existente se omiten.',
+            importing: 'Importando...',
+            import: 'Importar',
+        },
+        report: {
+            notes: 'Notas:',
+            title: 'Informe de salud',
+            period: 'Del {start} al {end} · Generado el {generatedAt}',
+            nutrition: 'Nutrición',
+            nutritionSummary: '{meals} comidas registradas; {daysWithData} de {days} días con datos nutricionales.',
+            nutrient: 'Nutriente',
+            total: 'Total',
+            dailyAverage: 'Promedio diario*',
+            dailyGoal: 'Objetivo diario',
+            averageNote: '* Promedio sobre los días con datos. Los valores son estimaciones generadas por IA.',
+            meals: 'Comidas',
+            date: 'Fecha',
+            meal: 'Comida',
+            protein: 'Proteína (g)',
+            noMeals: 'Sin comidas en este periodo.',
+            noSkinEntries: 'Sin entradas en este periodo.',
+            disclaimer: 'Los análisis de este informe son orientativos y no sustituyen el criterio de un profesional.',
+        },
+        app: {
+            connecting: 'Conectando con la base de datos...',
+            authFailed: 'No se pudo iniciar sesión',
+            noSession: 'No hay ninguna sesión activa.',
+            retry: 'Reintentar',
+            dbNotInitialized: 'Error: Base de datos no inicializada. Revisa la configuración de Firebase.',
+            tabs: {
+                home: 'Registro & Nutrición',
+                dashboard: 'Panel',
+                skin: 'Diario de Piel',
+                coach: 'Coach IA',
+                insights: 'Piel y Dieta',
+                data: 'Datos',
+            },
+            language: 'Idioma',
+            offline: 'Sin conexión',
+            syncFailed: 'Algunos registros no se pudieron sincronizar',
+            syncing: 'Sincronizando',
+            pendingOne: '{count} registro pendiente',
+            pending: '{count} registros pendientes',
+            userId: 'ID de Usuario:',
+        },
+    },
+    en: {
+        common: {
+            uploadImagePlaceholder: 'Upload Image',
+            close: 'Close',
+            loading: 'Loading...',
+            cancel: 'Cancel',
+            edit: 'Edit',
+            delete: 'Delete',
+            warning: 'Warning:',
+            search: 'Search',
+            save: 'Save',
+            deleteError: 'Error deleting: {message}',
+            saveError: 'Error saving: {message}',
+            updateError: 'Error updating: {message}',
+            remove: 'Remove',
+        },
+        nutrients: {
+            kcal: 'Calories',
+            protein_g: 'Protein',
+            carbs_g: 'Carbs',
+            fat_g: 'Fat',
+            fiber_g: 'Fiber',
+            sugar_g: 'Sugar',
+            sodium_mg: 'Sodium',
+        },
+        units: {
+            volume: 'Volume',
+            weight: 'Weight',
+            length: 'Measurements',
+        },
+        prompts: {
+            mealSystem: 'You are an expert AI nutritionist. Your task is to analyze the meal description or image provided by the user. Identify each food, estimate its portion and its calories (kcal), protein, carbohydrates, fat, fiber and sugar (g) and sodium (mg), along with your confidence in the estimate (0 to 1). In the summary field, answer in a friendly and concise way, using bullet points (Markdown) for the nutrient and calorie breakdown. Always include improvement suggestions or a positive comment. Write summary, name and portion in English.',
+            skinSystem: 'You are an expert AI dermatologist. Your task is to analyze the skin image provided by the user. In the summary field, answer in English, professionally and concisely, using bullet points (Markdown) for the breakdown of findings. Never diagnose or replace a doctor; always end with a disclaimer that these are only cosmetic/routine suggestions. In scores, rate what you see in the photo with whole numbers from 0 to 10: hydration (0 very dehydrated, 10 very hydrated), acne (0 no lesions, 10 severe acne), redness (0 no redness, 10 intense redness) and oiliness (0 very dry, 10 very oily). In confidence, give your confidence from 0 to 1 and lower it if the lighting, focus or framing make the skin hard to assess.',
+            skinAnalysis: 'Analyze the skin condition in this image. Assess the hydration level, presence of acne, redness, or any other notable condition. {userNote}. Provide a brief summary of the current condition and a suggested care routine or key ingredient to consider.',
+            skinUserNote: 'Additional note from the user: {notes}',
+            skinRoutine: 'Products the user uses ({routine}):\n{products}\nTake their ingredients into account when interpreting the skin condition and suggesting routine changes.',
+            skinProductNoIngredients: 'ingredients not given',
+            skinConflicts: 'Possible incompatibilities between these products: {conflicts}',
+            mealImageOnly: 'Analyze the foods in this image and provide a nutritional summary, including macronutrients, estimated calories and suggestions to improve the diet.',
+            transcription: 'Transcribe this voice note verbatim, in the language it is spoken in. Return only the transcript, with no comments or formatting.',
+            voiceNoteSuffix: 'The user\'s original voice note is also attached; take it into account together with the text for the analysis.',
+            coachSystem: 'You are a friendly and motivating AI health coach. You help the user with their diet, habits and skin care. Use the user\'s history included below to personalize your answers and cite specific data when useful; if data is missing, say so instead of making it up. Answer in English, briefly and in Markdown. Never diagnose illnesses; for worrying symptoms, recommend seeing a professional. If the user asks you to log a meal or a note about their skin, use log_meal or log_skin_note (the user will confirm each record before it is saved). For questions about specific periods, use query_history instead of estimating from the summary.',
+            comparisonEntry: '{label} ({date}):\n- User notes: {notes}\n- Previous analysis: {analysis}',
+            comparisonBefore: 'Earlier entry',
+            comparisonAfter: 'Recent entry',
+            comparison: 'Compare these two photos of the same user\'s skin. The first image is the earlier entry and the second the most recent one.\n\n{before}\n\n{after}\n\nDescribe what has improved, what has worsened and what stays the same (hydration, acne, redness, texture), taking the previous analyses into account, and suggest whether to keep or adjust the routine.',
+            comparisonSystem: 'You are an expert AI dermatologist. Your task is to compare two images of the same user\'s skin taken on different dates. Answer professionally and concisely, using bullet points (Markdown) to break down the changes. If lighting or framing prevent a reliable comparison, say so. Never diagnose or replace a doctor; always include a disclaimer at the end that these are only cosmetic/routine suggestions. Answer in English.',
+        },
+        errors: {
+            aiSessionRequired: 'You need an active session to use the AI.',
+            unknown: 'Unknown error',
+            aiBlocked: 'Request blocked by the model ({reason}).',
+            aiStopped: 'Generation stopped by the model ({reason}).',
+            imageRead: 'The selected image could not be read.',
+            thumbnail: 'The thumbnail could not be generated.',
+            attachmentFormat: 'The attachment format is not recognized.',
+            aiTooManyToolCalls: 'The model chained too many function calls without answering.',
+            aiNoResponse: 'Error: Could not get a response from the AI.',
+            aiNoAnalysis: 'The AI did not return an analysis.',
+            aiUnknownProvider: 'The AI provider "{provider}" does not exist. Check VITE_AI_PROVIDER.',
+            aiUnauthorized: 'The AI service rejected the credentials ({status}): {detail}',
+            aiRateLimited: 'The AI request limit was reached. Try again later ({detail}).',
+            aiUnavailable: 'The AI service is unavailable ({status}). Try again later.',
+            aiRequestFailed: 'The AI request failed ({status}): {detail}',
+            aiStream: 'Error in the AI response: {detail}',
+            aiAttachmentUnsupported: 'The configured AI provider does not accept {mimeType} attachments.',
+        },
+        mockAi: {
+            response: '**Test response**\n\n- Hydration: adequate\n- Redness: mild on the cheeks\n- Suggestion: keep the current routine\n\n_Fixed response from the test AI provider._',
+            transcription: 'Test voice note.',
+            mealName: 'Oatmeal with fruit',
+            mealPortion: '1 bowl (250 g)',
+            mealSummary: '- **Oatmeal with fruit**: ~350 kcal\n- Good source of fiber',
+            skinSummary: '- Hydration: adequate\n- Redness: mild on the cheeks\n- Suggestion: keep your current routine\n\n_Fixed response from the test AI provider._',
+        },
+        analysis: {
+            unparsedNutrition: 'The AI\'s nutrition analysis could not be interpreted.',
+            unnamedFood: 'Unnamed food',
+            unparsedSkin: 'The AI\'s skin analysis could not be interpreted.',
+            pending: 'Analysis pending',
+        },
+        coachContext: {
+            noRecords: 'no records',
+            mealWithoutDescription: 'meal without description',
+            noNutritionData: 'no nutrition data',
+            skinEntry: 'notes: {notes}; analysis: {analysis}',
+            noNotes: 'no notes',
+            now: 'Current date and time: {time}',
+            nutritionTitle: 'Nutrition for the last {days} days (estimated daily totals):',
+            skinTitle: 'Recent skin journal entries:',
+            noEntries: 'no entries',
+        },
+        coach: {
+            exportTitle: 'Conversation with the AI Coach',
+            exportedAt: 'Exported on {date}',
+            you: 'You',
+            coach: 'Coach',
+            suggestions: {
+                protein: 'How am I doing on protein this week?',
+                dinner: 'What do you recommend for dinner today?',
+                skin: 'Has my skin changed in the latest entries?',
+                logMeal: 'Log a latte at 9:00',
+            },
+            actions: {
+                log_meal: {
+                    label: 'Log meal',
+                },
+                log_skin_note: {
+                    label: 'Add skin journal note',
+                },
+            },
+            skinNoteAnalysis: 'Note added from the AI Coach (no photo).',
+            sendError: 'Error sending: {message}',
+            saveReplyError: 'Error saving the reply: {message}',
+            cleared: 'Conversation deleted.',
+            clearError: 'Error deleting the conversation: {message}',
+            exportError: 'Error exporting the conversation: {message}',
+            title: 'AI Coach',
+            confirmClear: 'Delete the whole conversation?',
+            clearConfirm: 'Delete',
+            export: 'Export',
+            clear: 'Delete conversation',
+            intro: 'Ask the coach about your diet, habits or skin. It knows your entries from the last {days} days, can look up earlier periods and log meals or skin notes for you (it always asks for confirmation).',
+            typing: 'The coach is typing...',
+            confirmAction: 'Confirm entry',
+            discard: 'Discard',
+            placeholder: 'Type your message... (Shift+Enter for a new line)',
+            offline: 'Offline: the coach is not available.',
+            messageLabel: 'Message for the coach',
+            send: 'Send',
+        },
+        ai: {
+            cancelled: 'Generation cancelled.',
+            cancelledNote: 'Generation cancelled',
+            interrupted: 'Response interrupted: {message}',
+            requestError: 'Error processing the request: {message}',
+        },
+        authErrors: {
+            codes: {
+                'auth/invalid-email': 'The email address is not valid.',
+                'auth/missing-password': 'Enter a password.',
+                'auth/weak-password': 'The password must be at least 6 characters long.',
+                'auth/email-already-in-use': 'An account with that email already exists. Sign in instead.',
+                'auth/invalid-credential': 'Incorrect email or password.',
+                'auth/wrong-password': 'Incorrect email or password.',
+                'auth/user-not-found': 'Incorrect email or password.',
+                'auth/too-many-requests': 'Too many attempts. Wait a moment and try again.',
+                'auth/popup-closed-by-user': 'The Google window was closed before finishing.',
+                'auth/popup-blocked': 'The browser blocked the Google window. Allow pop-ups.',
+                'auth/network-request-failed': 'Cannot reach the authentication server.',
+                'auth/operation-not-allowed': 'This sign-in method is not enabled in Firebase.',
+            },
+            unknown: 'Unknown authentication error.',
+        },
+        voice: {
+            permissionDenied: 'Microphone permission was denied.',
+            recordError: 'Could not record: {message}',
+            noTranscript: 'The AI did not return a transcript.',
+            reviewTranscript: 'Review the transcript before analyzing or saving.',
+            transcribeError: 'Error transcribing: {message}',
+            needsConnection: 'Transcription needs a connection',
+            stop: 'Stop',
+            transcribing: 'Transcribing...',
+            dictate: 'Dictate',
+            noteHint: 'The voice note is sent with the analysis; only the text is saved.',
+        },
+        images: {
+            loadError: 'The image could not be loaded: {message}',
+            enlarge: 'Enlarge: {alt}',
+            noImage: 'No image',
+            processing: 'Preparing the image...',
+            processError: 'The image could not be processed: {message}',
+        },
+        sync: {
+            pending: 'Pending',
+            syncing: 'Syncing...',
+            error: 'Sync error',
+            synced: 'Synced',
+        },
+        history: {
+            reanalyze: 'Re-analyze',
+            reanalyzing: 'Re-analyzing...',
+            deleted: 'Record deleted: {description}',
+            undo: 'Undo',
+            loadMore: 'Load more',
+            loadError: 'Error loading history: {message}',
+            indexed: '{count} older entries indexed for search.',
+            alreadyIndexed: 'All entries were already indexed.',
+            indexError: 'Error indexing: {message}',
+            reanalyzed: 'Analysis updated! The previous version was saved in the version history.',
+            reanalyzeError: 'Error re-analyzing: {message}',
+            withImage: 'With Image',
+            analysis: 'Analysis:',
+            searchPlaceholder: 'Words from the text or the analysis',
+            from: 'From',
+            to: 'To',
+            onlyWithImage: 'Only with image',
+            clearFilters: 'Clear filters',
+            searchHint: 'Search matches whole words, ignoring case and accents.',
+            indexing: 'Indexing older entries...',
+            indexOld: 'Missing older entries? Index them',
+            loading: 'Loading history...',
+            noMatches: 'No entries match the filters.',
+        },
+        revisions: {
+            hide: 'Hide previous versions',
+            show: 'Show previous versions ({count})',
+            loadError: 'Error loading versions: {message}',
+            analyzedAt: 'Analysis from {date}',
+        },
+        nutrition: {
+            food: 'Food',
+            portion: 'Portion',
+            confidence: 'Estimate confidence: {percent}%',
+        },
+        comparison: {
+            imagesError: 'Could not load the images: {message}',
+            title: 'Progress and Comparison',
+            empty: 'There are no photos in your skin journal yet.',
+            selectHint: 'Select two photos from the timeline to compare them.',
+            skinPhoto: 'Skin photo',
+            modes: {
+                side: 'Side by side',
+                slider: 'Slider',
+            },
+            before: 'Before',
+            after: 'After',
+            sliderLabel: 'Comparison slider position',
+            comparing: 'Comparing...',
+            compare: 'Compare with AI',
+            resultTitle: 'Comparative Analysis (Cosmetic Suggestions)',
+            needTwo: 'You need at least two entries with a photo to compare.',
+            pickTwo: 'Pick two photos to see the comparison.',
+        },
+        skin: {
+            disclaimer: 'This analysis is for informational and cosmetic purposes only and does not replace the advice of a dermatologist or medical professional.',
+        },
+        skinScores: {
+            fields: {
+                hydration: 'Hydration',
+                acne: 'Acne',
+                redness: 'Redness',
+                oiliness: 'Oiliness',
+            },
+            scales: {
+                hydration: '0 very dehydrated · 10 very hydrated',
+                acne: '0 no lesions · 10 severe acne',
+                redness: '0 no redness · 10 intense redness',
+                oiliness: '0 very dry · 10 very oily',
+            },
+            title: 'Scores (0 to 10)',
+            confidence: 'AI confidence: {percent}%',
+            unit: 'out of 10',
+        },
+        barcode: {
+            productFallback: 'Product {code}',
+            analysisHeader: '**{name}** ({grams} g), from the product label:',
+            cameraDenied: 'Camera permission was denied. You can type the code instead.',
+            cameraError: 'Could not open the camera. You can type the code instead.',
+            scanTitle: 'Scan barcode',
+            manualPlaceholder: 'Or type the code (EAN/UPC)',
+            lookupError: 'Could not query the food database: {message}',
+            searching: 'Looking up product...',
+            scanProduct: 'Scan packaged product',
+            code: 'Code {code}',
+            kcalPer100g: '{kcal} kcal per 100 g',
+            noKcal: 'no calories on the label',
+            quantity: 'Quantity (g)',
+            serving: '1 serving ({grams} g)',
+            useData: 'Use this data',
+            unknownText: 'Packaged product (code {code})',
+            unknown: 'Code {code} is not in the food database. Describe it or upload a photo of the label and analyze it with AI.',
+        },
+        mealTypes: {
+            label: 'Meal type',
+            breakfast: 'Breakfast',
+            lunch: 'Lunch',
+            dinner: 'Dinner',
+            snack: 'Snack',
+        },
+        library: {
+            loadError: 'Error loading favorites: {message}',
+            favoriteSaved: '“{name}” was saved to favorites.',
+            favoriteSaveError: 'Error saving the favorite: {message}',
+            templateInvalid: 'The template needs a name and at least one meal.',
+            templateSaveError: 'Error saving the template: {message}',
+            templateApplied: '“{name}”: {count} meals logged on {date}{skipped}.',
+            templateSkipped: ' ({count} skipped)',
+            templateApplyError: 'Error applying the template: {message}',
+            toggle: 'Favorites and templates ({count})',
+            saveFavorite: 'Save this meal to favorites',
+            favoriteName: 'Favorite name',
+            favorites: 'Favorites',
+            favoritesEmpty: 'Analyze a meal and save it to favorites to log it later without analyzing it again.',
+            use: 'Use',
+            remove: 'Delete {name}',
+            templates: 'Day templates',
+            mealCount: '{count} meals',
+            templateDay: 'Day for {name}',
+            applying: 'Logging...',
+            apply: 'Fill day',
+            templateNamePlaceholder: 'Name (e.g. Workday)',
+            favorite: 'Favorite',
+            time: 'Time',
+            removeMeal: 'Remove meal',
+            addMeal: 'Add meal',
+            saveTemplate: 'Save template',
+            newTemplate: 'New template',
+        },
+        skincare: {
+            routines: {
+                am: 'Morning routine',
+                pm: 'Evening routine',
+            },
+            usedProducts: 'Products used',
+            noProducts: 'Add your products under "Products and routines" to record which ones you use.',
+            applyRoutine: 'Use {routine}',
+            toggle: 'Products and routines ({count})',
+            products: 'My products',
+            productsEmpty: 'No products yet.',
+            name: 'Name',
+            brand: 'Brand',
+            ingredients: 'Ingredients (comma-separated)',
+            openedAt: 'Opened on',
+            expiresAt: 'Expires on',
+            addProduct: 'Add product',
+            productSaved: '"{name}" was added to your products.',
+            productSaveError: 'Error saving the product: {message}',
+            productNameRequired: 'Enter the product name.',
+            remove: 'Delete {name}',
+            opened: 'opened on {date}',
+            expired: 'Expired',
+            expiresSoon: 'Expires soon',
+            routineEmpty: 'No products.',
+            routineSaveError: 'Error saving the routine: {message}',
+            loadError: 'Error loading the products: {message}',
+            conflictsTitle: 'Possible incompatibilities',
+            conflictProducts: '{products}: {message}',
+            conflicts: {
+                retinoidAha: 'a retinoid and an AHA (glycolic, lactic acid...) in the same routine irritate the skin; alternate them on different nights.',
+                retinoidBha: 'a retinoid and a BHA (salicylic acid) in the same routine dry out and irritate; alternate them on different nights.',
+                retinoidBenzoylPeroxide: 'benzoyl peroxide can deactivate some retinoids (tretinoin) and together they irritate more.',
+                vitaminCBenzoylPeroxide: 'benzoyl peroxide oxidizes vitamin C (ascorbic acid) and makes it less effective.',
+                vitaminCRetinoid: 'vitamin C and retinoids work better apart: vitamin C in the morning and the retinoid at night.',
+            },
+            cardProducts: 'Products: {products}',
+            manualSelection: 'own selection',
+        },
+        trackers: {
+            meal: {
+                labels: {
+                    formTitle: 'New Meal Entry',
+                    analyze: 'Analyze Meal with AI',
+                    save: 'Save Entry',
+                    analysisTitle: 'AI Nutrition Analysis',
+                    manualAnalysisTitle: 'Label Nutrition Facts',
+                    historyTitle: 'Meal History',
+                    emptyHistory: 'You have no saved entries yet.',
+                    analyzing: 'Generating nutrition analysis. This may take a few seconds...',
+                    saving: 'Saving entry...',
+                    saved: 'Entry saved successfully!',
+                    updated: 'Entry updated!',
+                    reanalyzing: 'Re-analyzing entry. This may take a few seconds...',
+                    offlineHint: 'Offline: save the entry and it will be analyzed when you reconnect.',
+                },
+                textField: {
+                    label: 'Describe your meal (or leave it empty if you upload an image)',
+                    placeholder: 'E.g.: A bowl of oatmeal with fruit, chia seeds and a glass of orange juice.',
+                    editLabel: 'Edit description',
+                    empty: 'Meal without description',
+                },
+                categoryField: {
+                    label: 'Meal type',
+                    groupLabel: 'Group by meal type',
+                },
+                imageField: {
+                    label: 'Upload an Image',
+                    previewAlt: 'Meal preview',
+                    alt: 'Meal photo',
+                },
+                errors: {
+                    analysis: 'Please describe your meal or upload an image before analyzing.',
+                    save: 'You need a description or an image to save the entry.',
+                    reanalysis: 'This entry has no description or image to analyze.',
+                },
+                receiving: 'Receiving analysis...',
+                barcodeSource: 'Label values per 100 g (Open Food Facts), scaled to the given quantity.',
+                partial: 'Some values could not be estimated and are shown as "—".',
+                unstructured: 'The AI did not return structured nutrition data; only the analysis text will be saved.',
+                barcodeCard: 'Label data · code {code}',
+            },
+            skin: {
+                labels: {
+                    formTitle: 'New Skin Journal Entry',
+                    analyze: 'Analyze Skin with AI',
+                    save: 'Save Journal',
+                    analysisTitle: 'AI Assessment (Cosmetic Suggestions)',
+                    historyTitle: 'Skin Journal History',
+                    emptyHistory: 'You have no skin journal entries yet.',
+                    analyzing: 'Analyzing your skin condition. This may take a few seconds...',
+                    saving: 'Saving journal...',
+                    saved: 'Skin entry saved successfully!',
+                    updated: 'Entry updated!',
+                    reanalyzing: 'Re-analyzing entry. This may take a few seconds...',
+                    offlineHint: 'Offline: save the photo and it will be analyzed when you reconnect.',
+                },
+                textField: {
+                    label: 'Notes (What did you notice today? New products?)',
+                    placeholder: 'E.g.: My skin feels a bit tighter after cleansing. I tried a new vitamin C serum.',
+                    editLabel: 'Edit notes',
+                    empty: 'No additional notes',
+                },
+                imageField: {
+                    label: 'Upload an Image of your Skin',
+                    previewAlt: 'Skin preview',
+                    alt: 'Skin photo',
+                },
+                errors: {
+                    analysis: 'Please upload an image of your skin to analyze.',
+                    save: 'You need an image to save the skin entry.',
+                    reanalysis: 'This entry has no saved image to analyze.',
+                },
+                receiving: 'Receiving analysis...',
+                partial: 'Some scores could not be estimated and are shown as "—".',
+                unstructured: 'The AI did not return scores; only the analysis text will be saved.',
+            },
+        },
+        tracker: {
+            savedOffline: 'Offline: the entry was saved on this device and will sync (with its analysis) when you reconnect.',
+            analyzing: 'Analyzing...',
+            saving: 'Saving...',
+        },
+        quickLogs: {
+            water: {
+                tabLabel: 'Water',
+                title: 'Log Water',
+                historyTitle: 'Hydration History',
+            },
+            sleep: {
+                tabLabel: 'Sleep',
+                title: 'Log Sleep',
+                historyTitle: 'Sleep History',
+            },
+            weight: {
+                tabLabel: 'Weight',
+                title: 'Log Weight and Measurements',
+                historyTitle: 'Weight and Measurements History',
+            },
+            activity: {
+                tabLabel: 'Activity',
+                title: 'Log Activity',
+                historyTitle: 'Activity History',
+            },
+            fields: {
+                amount_ml: 'Amount',
+                bedTime: 'Bedtime',
+                wakeTime: 'Wake-up time',
+                quality: 'Quality',
+                notes: 'Notes',
+                weight_kg: 'Weight',
+                waist_cm: 'Waist',
+                hip_cm: 'Hip',
+                activityType: 'Type',
+                duration_min: 'Duration (min)',
+                intensity: 'Intensity',
+                kcal: 'Calories burned (kcal)',
+            },
+            presets: {
+                glass: 'Glass',
+                bottle: 'Bottle',
+            },
+            activityTypes: {
+                walk: 'Walking',
+                run: 'Running',
+                cycling: 'Cycling',
+                swimming: 'Swimming',
+                strength: 'Strength',
+                yoga: 'Yoga',
+                other: 'Other',
+            },
+            intensityLevels: {
+                low: 'Low',
+                medium: 'Medium',
+                high: 'High',
+            },
+            summary: {
+                water: 'Today: {total} in {count} drinks',
+                waterOne: 'Today: {total} in {count} drink',
+                quality: 'Quality {quality}/5',
+                sleep: 'Average of the last {count} nights: {average}',
+                weight: 'Latest: {latest}',
+                weightChange: 'Latest: {latest} ({change} since the previous entry)',
+                intensity: '{level} intensity',
+                activity: 'This week: {duration} of activity',
+            },
+            errors: {
+                wakeBeforeBed: 'Wake-up time must be after bedtime.',
+                sleepTooLong: 'A sleep period cannot last more than 24 hours.',
+                required: 'Fill in the "{field}" field.',
+                positive: '"{field}" must be a number greater than 0.',
+                invalidDate: '"{field}" is not a valid date.',
+            },
+            saved: 'Entry saved!',
+            unitsError: 'Error saving units: {message}',
+            optional: '(optional)',
+            presetSaved: '{preset} logged!',
+            save: 'Save Entry',
+            empty: 'You have no saved entries yet.',
+        },
+        dashboard: {
+            dailyTrend: 'Daily trend ({unit})',
+            goalLine: 'Goal {goal} {unit}',
+            macroTrend: 'Macronutrient trend ({unit})',
+            noEntries: 'No entries',
+            onlyPending: 'Only pending analyses',
+            goalsSaved: 'Goals updated!',
+            goalsError: 'Error saving goals: {message}',
+            today: 'Today',
+            trends: 'Trends',
+            days: '{count} days',
+            caloriesPerDay: 'Calories per day',
+            macrosPerDay: 'Macronutrients per day',
+            gaps: 'Days with gaps in the log ({count}):',
+            weeklySummary: 'Weekly Summary',
+            week: 'Week',
+            daysWithData: 'Days with data',
+            average: '{label} (avg.)',
+            weekStart: 'from {date}',
+            daysWithoutData: '{count} without data',
+            averagesHint: 'Averages only include days with nutrition data.',
+            dailyGoals: 'Daily Goals',
+            saveGoals: 'Save Goals',
+        },
+        insights: {
+            title: 'Skin and diet',
+            intro: 'Relates your skin scores to what you ate on the previous days. Everything is computed on this device from your records.',
+            sampleSize: 'In this period: {skinDays} days with skin scores and {mealDays} days with logged meals.',
+            scoreTrend: 'Skin over time',
+            trendLabel: 'Skin scores per day',
+            noScores: 'There are no skin journal entries with scores in this period. Entries from before this version get them when re-analyzed.',
+            correlations: 'Relation to diet',
+            feature: 'Factor',
+            lagOne: 'Previous day',
+            lag: 'Average of the previous {count} days',
+            features: {
+                sugar_g: 'Sugar (g/day)',
+                dairy: 'Meals with dairy',
+                kcal: 'Calories (kcal/day)',
+                lastMealHour: 'Time of last meal',
+            },
+            notEnough: 'Not enough data',
+            noVariation: 'No variation',
+            pairs: 'n = {count}',
+            interval: '95% CI: {low} to {high}',
+            strength: {
+                negligible: 'Negligible',
+                weak: 'Weak',
+                moderate: 'Moderate',
+                strong: 'Strong',
+            },
+            legend: 'The arrow shows how the score changes when the factor goes up. Relations whose interval excludes 0 are highlighted: green if they go with better skin, amber if they go with worse skin, and blue for oiliness, which has no better value.',
+            caveatsTitle: 'How to read this',
+            caveatMethod: 'Each cell is the Spearman correlation (ρ, from −1 to 1) between a day\'s score and the factor\'s average over the previous days, with its 95% confidence interval and the number of days compared (n). Only days where every day in the window has logged meals are counted.',
+            caveatSample: 'Nothing is computed with fewer than {min} days, and with only a few dozen the interval is very wide: a correlation of 0.4 with n = 15 is still compatible with no relation at all.',
+            caveatMultiple: 'Each score\'s table makes {count} comparisons, {total} in total; by pure chance, about {expected} may look clear even though there is no relation.',
+            caveatCausation: 'Correlation does not show causation: stress, sleep, hormonal cycles, the weather or your routine\'s products can move diet and skin at the same time.',
+            caveatEstimates: 'Scores and nutrients are AI estimates, dairy is detected from words in the meal description, and windows of consecutive days overlap, so the data is less independent than it looks.',
+            disclaimer: 'This is for guidance only and does not replace the advice of a dermatologist or nutritionist.',
+        },
+        account: {
+            dialogLabel: 'Account',
+            createAccount: 'Create account',
+            signIn: 'Sign in',
+            linkHint: 'Your current entries will be kept in the new account.',
+            switchHint: 'When you sign in to an existing account, the entries from this guest session are not transferred.',
+            email: 'Email',
+            password: 'Password',
+            processing: 'Processing...',
+            submitSignIn: 'Sign in',
+            google: 'Continue with Google',
+            haveAccount: 'Already have an account?',
+            noAccount: 'Don\'t have an account?',
+            switchToSignIn: 'Sign in',
+            switchToSignUp: 'Create one',
+            guest: 'Guest',
+            myAccount: 'My account',
+            guestHint: 'You are using the app as a guest. Create an account so you don\'t lose your history if you clear the browser data.',
+            openDialog: 'Create account or sign in',
+            signedInAs: 'Signed in as {name}',
+            signOut: 'Sign out',
+        },
+        dataTransfer: {
+            collections: {
+                nutrition_history: {
+                    label: 'Meals',
+                },
+                skin_journal: {
+                    label: 'Skin journal',
+                },
+            },
+            csvColumns: {
+                date: 'date',
+                mealType: 'type',
+                description: 'description',
+                notes: 'notes',
+                products: 'products',
+                analysis: 'analysis',
+                photo: 'photo',
+            },
+            csvYes: 'yes',
+            csvNo: 'no',
+            errors: {
+                invalidJson: 'The file is not valid JSON.',
+                notExport: 'The file is not a Health IA Tracker export.',
+                newerVersion: 'The file was exported with a newer version of the app.',
+                invalidRange: 'The date range is not valid.',
+            },
+            actionError: 'Error: {message}',
+            csvExported: 'CSV exported.',
+            jsonExported: 'JSON backup exported.',
+            generatingReport: 'Generating report...',
+            reportFileName: 'report',
+            reportDownloaded: 'Report downloaded. Open it in the browser to print it or save it as PDF.',
+            duplicatesSkipped: '{count} duplicates skipped',
+            invalidSkipped: '{count} invalid records skipped',
+            imagesDropped: '{count} photos from another account not restored',
+            imported: 'Import complete: {count} new entries{notes}.',
+            exportTitle: 'Export',
+            exportHint: 'Download your entries to share them with your dietitian or dermatologist, or as a backup.',
+            exporting: 'Exporting...',
+            generating: 'Generating...',
+            report: 'Report (PDF)',
+            reportHint: 'The report opens in a new window ready to print; choose “Save as PDF” in the print dialog.',
+            importTitle: 'Import',
+            importHint: 'Restore a JSON export. Entries with the same date and text as an existing one are skipped.',
+            importing: 'Importing...',
+            import: 'Import',
+        },
+        report: {
+            notes: 'Notes:',
+            title: 'Health report',
+            period: 'From {start} to {end} · Generated on {generatedAt}',
+            nutrition: 'Nutrition',
+            nutritionSummary: '{meals} meals logged; {daysWithData} of {days} days with nutrition data.',
+            nutrient: 'Nutrient',
+            total: 'Total',
+            dailyAverage: 'Daily average*',
+            dailyGoal: 'Daily goal',
+            averageNote: '* Average over the days with data. Values are AI-generated estimates.',
+            meals: 'Meals',
+            date: 'Date',
+            meal: 'Meal',
+            protein: 'Protein (g)',
+            noMeals: 'No meals in this period.',
+            noSkinEntries: 'No entries in this period.',
+            disclaimer: 'The analyses in this report are for guidance only and do not replace a professional\'s judgment.',
+        },
+        app: {
+            connecting: 'Connecting to the database...',
+            authFailed: 'Could not sign in',
+            noSession: 'There is no active session.',
+            retry: 'Retry',
+            dbNotInitialized: 'Error: Database not initialized. Check the Firebase configuration.',
+            tabs: {
+                home: 'Log & Nutrition',
+                dashboard: 'Dashboard',
+                skin: 'Skin Journal',
+                coach: 'AI Coach',
+                insights: 'Skin & Diet',
+                data: 'Data',
+            },
+            language: 'Language',
+            offline: 'Offline',
+            syncFailed: 'Some entries could not be synced',
+            syncing: 'Syncing',
+            pendingOne: '{count} pending entry',
+            pending: '{count} pending entries',
+            userId: 'User ID:',
+        },
+    },
+};
+
+const lookupMessage = (language, key) => key.split('.').reduce((node, part) => node?.[part], MESSAGES[language]);
+
+const readStoredLanguage = () => {
+    try {
+        const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        if (LANGUAGES[stored]) return stored;
+    } catch {
+        // Sin acceso a localStorage (modo privado): se usa el idioma del navegador
+    }
+    const browserLanguage = (typeof navigator !== 'undefined' && navigator.language || '').slice(0, 2);
+    return LANGUAGES[browserLanguage] ? browserLanguage : DEFAULT_LANGUAGE;
+};
+
+// Idioma activo. Es un valor de módulo para que t() sirva también fuera de los componentes
+// (configuraciones, validaciones y prompts); App lo cambia con applyLanguage y vuelve a renderizar.
+let activeLanguage = readStoredLanguage();
+
+const getLanguage = () => activeLanguage;
+const getLocale = () => LANGUAGES[activeLanguage].locale;
+
+const applyLanguage = (language) => {
+    if (!LANGUAGES[language]) return;
+    activeLanguage = language;
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch {
+        // La preferencia se guarda igualmente en los ajustes del usuario
+    }
+};
+
+// Texto traducido. Si falta en el idioma activo se usa el de referencia (y la clave como último recurso).
+const t = (key, params = {}) => {
+    let message = lookupMessage(activeLanguage, key);
+    if (typeof message !== 'string') message = lookupMessage(DEFAULT_LANGUAGE, key);
+    if (typeof message !== 'string') return key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] ?? placeholder));
+};
+
+// Sección del catálogo como objeto cuyas propiedades se traducen al leerlas. Permite que las
+// configuraciones de módulo (p. ej. los 'labels' de los trackers) sigan el idioma activo;
+// 'fields' son las propiedades de la configuración que no se traducen.
+const localizedSection = (path, fields = {}) => Object.defineProperties({ ...fields }, Object.fromEntries(
+    Object.keys(lookupMessage(DEFAULT_LANGUAGE, path)).map(key => [key, { enumerable: true, get: () => t(`${path}.${key}`) }])
+));
+
+// Copia de una lista de opciones de configuración con un 'label' traducido según su id (o key)
+const withLocalizedLabels = (path, items) => items.map(item => Object.defineProperty({ ...item }, 'label', {
+    enumerable: true,
+    get: () => t(`${path}.${item.id ?? item.key}`),
+}));
+
+const formatNumber = (value, options) => value.toLocaleString(getLocale(), options);
+const formatDateTime = (date, options = { dateStyle: 'medium', timeStyle: 'short' }) => date.toLocaleString(getLocale(), options);
+const formatDate = (date, options = { dateStyle: 'medium' }) => date.toLocaleDateString(getLocale(), options);
 
 // --- CONFIGURACIÓN DE FIREBASE Y VARIABLES GLOBALES (Necesarias para el entorno) ---
 // La configuración se obtiene de variables de entorno del Canvas.
@@ -15,11 +1453,238 @@ const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__f
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-health-app';
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
 
-const API_MODEL_TEXT = "gemini-2.5-flash-preview-09-2025";
-const API_URL_TEXT = `https://generativelanguage.googleapis.com/v1beta/models/${API_MODEL_TEXT}:generateContent?key=`;
+// Host de los emuladores locales de Firebase (p. ej. VITE_FIREBASE_EMULATOR_HOST=127.0.0.1 en .env.local)
+const emulatorHost = import.meta.env?.VITE_FIREBASE_EMULATOR_HOST || null;
+const AUTH_EMULATOR_PORT = 9099;
+const FIRESTORE_EMULATOR_PORT = 8080;
+const STORAGE_EMULATOR_PORT = 9199;
+
+// Proveedor de IA del despliegue: 'gemini' (por defecto), 'openai' (cualquier API compatible con
+// /chat/completions, como Ollama o llama.cpp) o 'mock' (respuestas fijas generadas en el navegador, sin red).
+// VITE_AI_MODEL elige el modelo; sin él se usa el predeterminado del proveedor.
+const AI_PROVIDER_ID = import.meta.env?.VITE_AI_PROVIDER || 'gemini';
+const AI_MODEL = import.meta.env?.VITE_AI_MODEL || null;
+// La URL base se puede apuntar a un servidor SSE local (npm run mock:gemini) con VITE_GEMINI_API_BASE_URL
+const GEMINI_API_BASE_URL = import.meta.env?.VITE_GEMINI_API_BASE_URL || "https://generativelanguage.googleapis.com/v1beta";
+// Con VITE_GEMINI_PROXY_URL las llamadas pasan por la función geminiProxy (functions/), que guarda
+// la clave de API y verifica el token de Firebase; sin ella se llama a Gemini directamente (Canvas).
+const GEMINI_PROXY_URL = import.meta.env?.VITE_GEMINI_PROXY_URL || null;
+// API compatible con OpenAI: URL base (por defecto la de Ollama) y clave, que los servidores locales no piden
+const OPENAI_API_BASE_URL = import.meta.env?.VITE_OPENAI_API_BASE_URL || "http://127.0.0.1:11434/v1";
+const OPENAI_API_KEY = import.meta.env?.VITE_OPENAI_API_KEY || null;
+
+// URL para el placeholder de carga de imagen/documento (con el texto en el idioma activo)
+const getDefaultImageUrl = () => `https://placehold.co/400x300/e0e7ff/6366f1?text=${encodeURIComponent(t('common.uploadImagePlaceholder'))}`;
+
+// Tiempo (ms) durante el que se puede deshacer el borrado de un registro
+const UNDO_WINDOW_MS = 6000;
+
+// Campos del análisis de IA que se archivan en la subcolección 'revisions' al re-analizar
+const ANALYSIS_FIELDS = ['analysis', 'analysisStatus', 'nutrition', 'skinScores'];
+
+// Lado mayor (px) y calidad JPEG de las miniaturas que se suben a Storage
+const THUMBNAIL_MAX_EDGE = 320;
+const THUMBNAIL_QUALITY = 0.7;
+
+// Preprocesado de las fotos elegidas, antes de subirlas y de enviarlas a la IA (ver image-worker.js):
+// lado mayor (px), lado mínimo al que se puede reducir para llegar al tamaño objetivo (bytes), calidades
+// que se prueban en orden y formato. 'image/webp' pesa menos, pero no todos los servidores compatibles
+// con OpenAI lo aceptan; si el navegador no sabe codificarlo se usa JPEG.
+const IMAGE_PREPROCESSING = {
+    maxEdge: 2048,
+    minEdge: 640,
+    targetBytes: 1024 * 1024,
+    qualities: [0.9, 0.8, 0.7, 0.6],
+    type: 'image/jpeg',
+};
+
+// Nutrientes que se guardan de forma tipada en cada registro de comida
+const NUTRIENT_FIELDS = withLocalizedLabels('nutrients', [
+    { key: 'kcal', unit: 'kcal' },
+    { key: 'protein_g', unit: 'g' },
+    { key: 'carbs_g', unit: 'g' },
+    { key: 'fat_g', unit: 'g' },
+    { key: 'fiber_g', unit: 'g' },
+    { key: 'sugar_g', unit: 'g' },
+    { key: 'sodium_mg', unit: 'mg' },
+]);
+const NUTRIENT_KEYS = NUTRIENT_FIELDS.map(field => field.key);
+
+// Puntuaciones de la piel que la IA devuelve con cada análisis, todas de 0 a SKIN_SCORE_MAX.
+// higherIsBetter indica el sentido de la escala; en la grasa ninguno de los extremos es mejor.
+const SKIN_SCORE_MAX = 10;
+const SKIN_SCORE_FIELDS = withLocalizedLabels('skinScores.fields', [
+    { key: 'hydration', higherIsBetter: true, color: '#0284c7' },
+    { key: 'acne', higherIsBetter: false, color: '#db2777' },
+    { key: 'redness', higherIsBetter: false, color: '#dc2626' },
+    { key: 'oiliness', higherIsBetter: null, color: '#d97706' },
+]);
+const SKIN_SCORE_KEYS = SKIN_SCORE_FIELDS.map(field => field.key);
+
+// Texto que se guarda cuando un registro no tiene análisis de la IA. Es un marcador: se compara
+// tal cual en el código y al mostrarlo se traduce con displayAnalysis.
+const PENDING_ANALYSIS = "Análisis pendiente";
+const displayAnalysis = (analysis) => (analysis === PENDING_ANALYSIS ? t('analysis.pending') : analysis);
+
+// Objetivos diarios por defecto (se sobrescriben con el documento de ajustes del usuario)
+const DEFAULT_NUTRITION_GOALS = {
+    kcal: 2000,
+    protein_g: 75,
+    carbs_g: 250,
+    fat_g: 70,
+    fiber_g: 28,
+    sugar_g: 50,
+    sodium_mg: 2300,
+};
+
+// Unidades de medida. Los valores se guardan siempre en la unidad base (ml, kg, cm)
+// y solo se convierten al mostrarlos o al leer el formulario, según los ajustes del usuario.
+const UNIT_OPTIONS = {
+    volume: { get label() { return t('units.volume'); }, units: { ml: 1, oz: 29.5735 } },
+    weight: { get label() { return t('units.weight'); }, units: { kg: 1, lb: 0.45359237 } },
+    length: { get label() { return t('units.length'); }, units: { cm: 1, in: 2.54 } },
+};
+
+const DEFAULT_UNITS = {
+    volume: 'ml',
+    weight: 'kg',
+    length: 'cm',
+};
+
+// language es null hasta que el usuario elige uno (mientras, se usa el del navegador)
+const DEFAULT_SETTINGS = {
+    nutritionGoals: DEFAULT_NUTRITION_GOALS,
+    units: DEFAULT_UNITS,
+    language: null,
+};
+
+// Esquema de respuesta JSON que se exige a la IA para el análisis de comidas
+const NUTRITION_RESPONSE_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        summary: { type: "STRING", description: "Resumen amigable en Markdown con viñetas y una sugerencia de mejora." },
+        items: {
+            type: "ARRAY",
+            items: {
+                type: "OBJECT",
+                properties: {
+                    name: { type: "STRING" },
+                    portion: { type: "STRING", description: "Porción estimada, p. ej. '1 taza (240 ml)'." },
+                    ...Object.fromEntries(NUTRIENT_KEYS.map(key => [key, { type: "NUMBER" }])),
+                    confidence: { type: "NUMBER", description: "Confianza de la estimación entre 0 y 1." },
+                },
+                required: ['name', 'portion', ...NUTRIENT_KEYS, 'confidence'],
+            },
+        },
+        confidence: { type: "NUMBER", description: "Confianza global entre 0 y 1." },
+    },
+    required: ['summary', 'items', 'confidence'],
+    // El resumen va primero para poder mostrarlo mientras llega el resto del JSON
+    propertyOrdering: ['summary', 'items', 'confidence'],
+};
+
+// Esquema de respuesta JSON del análisis de piel: el texto para el usuario y las puntuaciones tipadas
+const SKIN_RESPONSE_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        summary: { type: "STRING", description: "Análisis en Markdown con viñetas y la advertencia final." },
+        scores: {
+            type: "OBJECT",
+            properties: Object.fromEntries(SKIN_SCORE_KEYS.map(key => [key, { type: "INTEGER", description: `Entero de 0 a ${SKIN_SCORE_MAX}.` }])),
+            required: SKIN_SCORE_KEYS,
+        },
+        confidence: { type: "NUMBER", description: "Confianza de las puntuaciones entre 0 y 1." },
+    },
+    required: ['summary', 'scores', 'confidence'],
+    propertyOrdering: ['summary', 'scores', 'confidence'],
+};
+
+// Instrucciones de sistema y prompts de análisis (compartidos entre el análisis inicial y el re-análisis).
+// Los textos están en el catálogo (prompts.*): se envían en el idioma activo para que la IA responda en él.
+const getMealSystemInstruction = () => t('prompts.mealSystem');
+const getSkinSystemInstruction = () => t('prompts.skinSystem');
+
+// Notas de voz: se graban con MediaRecorder en el primer formato que admita el navegador
+// (Firefox graba Ogg, Safari MP4/AAC y Chrome WebM) y se envían a la IA como audio en línea
+const AUDIO_RECORDING_MIME_TYPES = ['audio/ogg;codecs=opus', 'audio/mp4', 'audio/webm;codecs=opus', 'audio/webm'];
+const MAX_RECORDING_SECONDS = 120;
+
+const buildMealPrompt = (description) => description || t('prompts.mealImageOnly');
+// Coach de salud: instrucciones base (prompts.coachSystem); el resumen del historial (buildCoachContext) se añade a continuación
+const COACH_CONTEXT_DAYS = 7; // días de nutrición que se resumen para el coach
+const COACH_CONTEXT_SKIN_ENTRIES = 5; // entradas recientes del diario de piel
+const COACH_MAX_MESSAGES = 30; // mensajes anteriores que se envían como turnos de la conversación
+const COACH_HISTORY_LIMIT = 200; // mensajes que se muestran en el chat (la exportación los incluye todos)
+const COACH_QUERY_MAX_DAYS = 366; // rango máximo de query_history
+const COACH_QUERY_LIST_LIMIT = 50; // registros que devuelve query_history con aggregation 'list'
+
+// Funciones que el coach puede pedir. Se ejecutan en el navegador (ver executeCoachQuery y HealthCoach);
+// las que escriben datos esperan a que el usuario confirme.
+const COACH_TOOLS = [{
+    functionDeclarations: [
+        {
+            name: 'log_meal',
+            description: 'Registra una comida en el historial de nutrición. El análisis nutricional se calcula automáticamente después de guardarla.',
+            parameters: {
+                type: "OBJECT",
+                properties: {
+                    description: { type: "STRING", description: 'Qué comió el usuario, con cantidades si las conoce. Ej: "Café con leche (250 ml)".' },
+                    time: { type: "STRING", description: 'Fecha y hora local de la comida (YYYY-MM-DDTHH:mm). Si se omite, se usa la hora actual.' },
+                },
+                required: ["description"],
+            },
+        },
+        {
+            name: 'log_skin_note',
+            description: 'Añade una nota sin foto al diario de piel.',
+            parameters: {
+                type: "OBJECT",
+                properties: {
+                    notes: { type: "STRING", description: 'Lo que el usuario ha notado en su piel o los productos que ha usado.' },
+                    time: { type: "STRING", description: 'Fecha y hora local (YYYY-MM-DDTHH:mm). Si se omite, se usa la hora actual.' },
+                },
+                required: ["notes"],
+            },
+        },
+        {
+            name: 'query_history',
+            description: 'Consulta los registros del usuario entre dos fechas (ambas incluidas).',
+            parameters: {
+                type: "OBJECT",
+                properties: {
+                    collection: { type: "STRING", enum: ['nutrition_history', 'skin_journal'], description: 'nutrition_history para comidas, skin_journal para el diario de piel.' },
+                    start_date: { type: "STRING", description: 'Primer día del rango (YYYY-MM-DD).' },
+                    end_date: { type: "STRING", description: 'Último día del rango (YYYY-MM-DD).' },
+                    aggregation: {
+                        type: "STRING",
+                        enum: ['list', 'daily_totals', 'total', 'average_per_day'],
+                        description: "'list' devuelve los registros. Solo para nutrition_history: 'daily_totals' (nutrientes por día), 'total' (suma del rango) y 'average_per_day' (promedio de los días con datos).",
+                    },
+                },
+                required: ["collection", "start_date", "end_date"],
+            },
+        },
+    ],
+}];
+
+// Los productos de la entrada ('products' y 'routine' del registro) se añaden al prompt con sus
+// ingredientes y las incompatibilidades detectadas, para que el análisis tenga en cuenta la rutina
+const buildSkinPrompt = (notes, { products, routine } = {}) => {
+    const prompt = t('prompts.skinAnalysis', { userNote: notes ? t('prompts.skinUserNote', { notes }) : '' });
+    if (!products?.length) return prompt;
+
+    const productLines = products.map(product => `- ${product.name}${product.brand ? ` (${product.brand})` : ''}: ${
+        product.ingredients?.length ? product.ingredients.join(', ') : t('prompts.skinProductNoIngredients')}`);
+    const conflicts = findIngredientConflicts(products)
+        .map(conflict => t('skincare.conflictProducts', { products: conflict.products.join(' + '), message: conflict.message }));
+    return [
+        prompt,
+        '',
+        t('prompts.skinRoutine', { routine: getSkinRoutineLabel(routine), products: productLines.join('\n') }),
+        ...(conflicts.length > 0 ? [t('prompts.skinConflicts', { conflicts: conflicts.join(' ') })] : []),
+    ].join('\n');
+};
 
-// URL para el placeholder de carga de imagen/documento
-const DEFAULT_IMAGE_URL = "https://placehold.co/400x300/e0e7ff/6366f1?text=Subir+Imagen";
 
 // --- UTILIDADES ---
 
@@ -34,11 +1699,12 @@ const fetchWithBackoff = async (url, options, retries = 3, delay = 1000) => {
         }
         if (!response.ok) {
              const errorBody = await response.text();
-             throw new Error(`API call failed: ${response.status} - ${errorBody}`);
+             // El estado y el cuerpo se conservan para que cada proveedor de IA describa el error
+             throw Object.assign(new Error(`API call failed: ${response.status} - ${errorBody}`), { status: response.status, body: errorBody });
         }
         return response;
     } catch (error) {
-        if (retries > 0 && error.message.includes('API call failed: 5')) { // Retry on 5xx errors too
+        if (retries > 0 && error.status >= 500) { // Retry on 5xx errors too
             console.warn(`Server Error. Retrying in ${delay / 1000}s...`);
             await new Promise(resolve => setTimeout(resolve, delay));
             return fetchWithBackoff(url, options, retries - 1, delay * 2);
@@ -47,628 +1713,6340 @@ const fetchWithBackoff = async (url, options, retries = 3, delay = 1000) => {
     }
 };
 
+// Extrae el valor (posiblemente incompleto) de un campo de texto de un JSON que aún se está recibiendo
+const extractPartialJsonString = (text, field) => {
+    const match = (text || '').match(new RegExp(`"${field}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+    if (!match) return '';
+    try {
+        // Se descarta un escape \u a medio recibir
+        return JSON.parse(`"${match[1].replace(/\\u[0-9a-fA-F]{0,3}$/, '')}"`);
+    } catch {
+        return '';
+    }
+};
 
-// Hook para la generación de contenido con la API de Gemini
-const useGeminiGenerator = () => {
-    const [isLoading, setIsLoading] = useState(false);
-    const [aiResponse, setAiResponse] = useState(null);
+// Convierte un valor del modelo en un número no negativo, o null si no es válido
+const toNutrientNumber = (value) => {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return Number.isFinite(number) && number >= 0 ? Math.round(number * 10) / 10 : null;
+};
 
-    const runGeneration = async ({ prompt, base64Image, systemInstruction, enableSearch = false }) => {
-        if (!prompt) return;
+const toConfidence = (value) => {
+    const number = toNutrientNumber(value);
+    return number === null ? null : Math.min(number, 1);
+};
 
-        setIsLoading(true);
-        setAiResponse(null);
+// Separa una respuesta JSON de la IA: { data, fallbackText }. data es el objeto o null si la salida
+// no es JSON válido; fallbackText es el texto tal cual, salvo que parezca un JSON truncado, que no
+// sirve como resumen legible.
+const parseAiJsonResponse = (rawText, fallbackSummary) => {
+    const text = typeof rawText === 'string' ? rawText.trim() : '';
+    const looksLikeJson = /^(```|\{|\[)/.test(text);
+    const fallbackText = text && !looksLikeJson ? text : fallbackSummary;
 
-        try {
-            const apiKey = ""; 
-            const apiUrl = `${API_URL_TEXT}${apiKey}`;
+    let data;
+    try {
+        // El modelo a veces envuelve el JSON en un bloque de código Markdown
+        data = JSON.parse(text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''));
+    } catch {
+        return { data: null, fallbackText };
+    }
+    return { data: data && typeof data === 'object' && !Array.isArray(data) ? data : null, fallbackText };
+};
 
-            const parts = [{ text: prompt }];
-            if (base64Image) {
-                // Asumiendo que base64Image incluye el prefijo mimeType (e.g., data:image/png;base64,...)
-                // Si solo es el data puro, ajustar mimeType. Aquí asumimos que es data:image/png;base64,...
-                const [mimeTypePrefix, base64Data] = base64Image.split(',');
-                const mimeTypeMatch = mimeTypePrefix.match(/data:(.*?);base64/);
-                const mimeType = mimeTypeMatch ? mimeTypeMatch[1] : "image/jpeg"; // Default to jpeg if parsing fails
+// Valida la respuesta JSON del análisis nutricional.
+// Devuelve { summary, nutrition, status } donde status es 'complete', 'partial' o 'unstructured'.
+// Si la salida no es JSON válido se conserva el texto como resumen y nutrition queda en null.
+const parseNutritionResponse = (rawText) => {
+    const fallbackSummary = t('analysis.unparsedNutrition');
+    const { data, fallbackText } = parseAiJsonResponse(rawText, fallbackSummary);
+    const unstructured = { summary: fallbackText, nutrition: null, status: 'unstructured' };
+    if (!data) return unstructured;
 
-                parts.push({
-                    inlineData: {
-                        mimeType: mimeType, 
-                        data: base64Data
-                    }
-                });
-            }
+    const items = (Array.isArray(data.items) ? data.items : [])
+        .filter(item => item && typeof item === 'object')
+        .map(item => ({
+            name: typeof item.name === 'string' && item.name.trim() ? item.name.trim() : t('analysis.unnamedFood'),
+            portion: typeof item.portion === 'string' ? item.portion.trim() : '',
+            ...Object.fromEntries(NUTRIENT_KEYS.map(key => [key, toNutrientNumber(item[key])])),
+            confidence: toConfidence(item.confidence),
+        }));
 
-            const payload = {
-                contents: [{ parts }],
-                systemInstruction: systemInstruction ? { parts: [{ text: systemInstruction }] } : undefined,
-                tools: enableSearch ? [{ "google_search": {} }] : undefined,
-            };
+    // Los totales se calculan a partir de los alimentos, ignorando los valores desconocidos
+    const totals = Object.fromEntries(NUTRIENT_KEYS.map(key => {
+        const known = items.map(item => item[key]).filter(value => value !== null);
+        return [key, known.length ? Math.round(known.reduce((sum, value) => sum + value, 0) * 10) / 10 : null];
+    }));
 
-            const response = await fetchWithBackoff(apiUrl, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
-            });
+    const itemConfidences = items.map(item => item.confidence).filter(value => value !== null);
+    const confidence = toConfidence(data.confidence) ?? (itemConfidences.length
+        ? Math.round(itemConfidences.reduce((sum, value) => sum + value, 0) / itemConfidences.length * 100) / 100
+        : null);
+
+    const summary = typeof data.summary === 'string' && data.summary.trim()
+        ? data.summary.trim()
+        : items.map(item => item.name).join(', ');
+
+    if (items.length === 0) {
+        return { ...unstructured, summary: summary || fallbackSummary };
+    }
+
+    const isComplete = !!data.summary && confidence !== null
+        && items.every(item => NUTRIENT_KEYS.every(key => item[key] !== null) && item.confidence !== null);
+
+    return {
+        summary,
+        nutrition: { items, totals, confidence },
+        status: isComplete ? 'complete' : 'partial',
+    };
+};
+
+// Puntuación de la piel: entero de 0 a SKIN_SCORE_MAX, o null si no es válida
+const toSkinScore = (value) => {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return Number.isFinite(number) ? Math.min(Math.max(Math.round(number), 0), SKIN_SCORE_MAX) : null;
+};
+
+// Valida la respuesta JSON del análisis de piel, como parseNutritionResponse.
+// Devuelve { summary, skinScores, status }; skinScores es { hydration, acne, redness, oiliness, confidence }
+// o null si la IA no devolvió ninguna puntuación.
+const parseSkinResponse = (rawText) => {
+    const { data, fallbackText } = parseAiJsonResponse(rawText, t('analysis.unparsedSkin'));
+    const summary = typeof data?.summary === 'string' && data.summary.trim() ? data.summary.trim() : fallbackText;
+    const scores = data?.scores && typeof data.scores === 'object' ? data.scores : {};
+    const skinScores = {
+        ...Object.fromEntries(SKIN_SCORE_KEYS.map(key => [key, toSkinScore(scores[key])])),
+        confidence: toConfidence(data?.confidence),
+    };
+
+    const known = SKIN_SCORE_KEYS.filter(key => skinScores[key] !== null);
+    if (known.length === 0) return { summary, skinScores: null, status: 'unstructured' };
+    const isComplete = known.length === SKIN_SCORE_KEYS.length && skinScores.confidence !== null;
+    return { summary, skinScores, status: isComplete ? 'complete' : 'partial' };
+};
+
+
+// Carga un archivo de imagen en un elemento <img> para conocer sus dimensiones y poder dibujarlo
+const loadImageElement = (file) => new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+        URL.revokeObjectURL(url);
+        resolve(image);
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error(t('errors.imageRead')));
+    };
+    image.src = url;
+});
+
+// Genera una miniatura JPEG comprimida en el navegador antes de subirla
+const createThumbnail = async (file, maxEdge = THUMBNAIL_MAX_EDGE, quality = THUMBNAIL_QUALITY) => {
+    const image = await loadImageElement(file);
+    const scale = Math.min(1, maxEdge / Math.max(image.naturalWidth, image.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob(result => result ? resolve(result) : reject(new Error(t('errors.thumbnail'))), 'image/jpeg', quality);
+    });
+
+    return {
+        blob,
+        width: canvas.width,
+        height: canvas.height,
+        originalWidth: image.naturalWidth,
+        originalHeight: image.naturalHeight,
+    };
+};
+
+// Preprocesado de las fotos (image-worker.js) en un Web Worker, para no bloquear la interfaz con fotos
+// de varios megapíxeles. Si el navegador no admite workers de módulo o no tiene OffscreenCanvas en
+// ellos, se hace en el hilo principal.
+let imageWorker = null;
+let imageWorkerUnsupported = false;
+let imageWorkerRequestId = 0;
+const imageWorkerRequests = new Map();
+
+const getImageWorker = () => {
+    if (imageWorker) return imageWorker;
+    imageWorker = new Worker(new URL('./image-worker.js', import.meta.url), { type: 'module' });
+    imageWorker.onmessage = ({ data: { id, result, error } }) => {
+        const request = imageWorkerRequests.get(id);
+        imageWorkerRequests.delete(id);
+        if (error) request?.reject(Object.assign(new Error(error.message), { name: error.name }));
+        else request?.resolve(result);
+    };
+    // El worker no llegó a cargarse: las peticiones pendientes pasan al hilo principal
+    imageWorker.onerror = (event) => {
+        console.warn("Image worker failed to load:", event.message);
+        imageWorker.terminate();
+        imageWorker = null;
+        imageWorkerUnsupported = true;
+        imageWorkerRequests.forEach(request => request.reject(new DOMException(event.message || 'Image worker unavailable', 'NotSupportedError')));
+        imageWorkerRequests.clear();
+    };
+    return imageWorker;
+};
 
-            const result = await response.json();
-            const text = result.candidates?.[0]?.content?.parts?.[0]?.text || "Error: No se pudo obtener respuesta de la IA.";
-            setAiResponse(text);
+const runImageWorker = (file) => new Promise((resolve, reject) => {
+    const id = ++imageWorkerRequestId;
+    imageWorkerRequests.set(id, { resolve, reject });
+    getImageWorker().postMessage({ id, file, options: IMAGE_PREPROCESSING });
+});
 
+const preprocessImageBlob = async (file) => {
+    if (typeof Worker !== 'undefined' && !imageWorkerUnsupported) {
+        try {
+            return await runImageWorker(file);
         } catch (error) {
-            console.error("Error en la llamada a la API de Gemini:", error);
-            setAiResponse(`Error al procesar la solicitud: ${error.message}`);
-        } finally {
-            setIsLoading(false);
+            if (error.name !== 'NotSupportedError') throw error;
+            imageWorkerUnsupported = true;
         }
+    }
+    return preprocessImage(file, IMAGE_PREPROCESSING);
+};
+
+const isHeicFile = (file) => /^image\/hei[cf]/.test(file.type) || /\.hei[cf]$/i.test(file.name || '');
+
+// Imagen lista para subir y enviar a la IA: enderezada, sin metadatos, reducida y recodificada.
+// Devuelve un File nuevo cuyo tipo (y extensión) es el del formato resultante.
+const preprocessImageFile = async (file) => {
+    let result;
+    try {
+        result = await preprocessImageBlob(file);
+    } catch (error) {
+        // Fuera de Safari casi ningún navegador decodifica HEIC: se pasa antes a JPEG con heic2any,
+        // que se carga solo cuando hace falta
+        if (!isHeicFile(file)) throw error;
+        const { default: heic2any } = await import('heic2any');
+        const converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.92 });
+        result = await preprocessImageBlob(Array.isArray(converted) ? converted[0] : converted);
+    }
+    const extension = result.blob.type === 'image/webp' ? 'webp' : 'jpg';
+    const baseName = (file.name || 'image').replace(/\.[^.]+$/, '');
+    return new File([result.blob], `${baseName}.${extension}`, { type: result.blob.type });
+};
+
+// Sube la imagen original y su miniatura a Storage, en la ruta del documento del usuario.
+// Devuelve los metadatos que se guardan en el campo 'image' del documento de Firestore.
+const uploadRecordImage = async (storage, { file, userId, collectionName, recordId }) => {
+    const thumbnail = await createThumbnail(file);
+    const contentType = file.type || 'image/jpeg';
+    const extension = contentType.split('/')[1]?.replace(/[^a-z0-9]/gi, '') || 'jpg';
+    const basePath = `artifacts/${appId}/users/${userId}/${collectionName}/${recordId}`;
+    const path = `${basePath}/original.${extension}`;
+    const thumbnailPath = `${basePath}/thumbnail.jpg`;
+
+    // Si falla una de las dos subidas se borra la otra, que no quedaría referenciada en ningún documento
+    const uploads = await Promise.allSettled([
+        uploadBytes(ref(storage, path), file, { contentType }),
+        uploadBytes(ref(storage, thumbnailPath), thumbnail.blob, { contentType: 'image/jpeg' }),
+    ]);
+    const failed = uploads.find(upload => upload.status === 'rejected');
+    if (failed) {
+        await deleteStoredImages(storage, { path, thumbnailPath });
+        throw failed.reason;
+    }
+
+    return {
+        path,
+        thumbnailPath,
+        contentType,
+        width: thumbnail.originalWidth,
+        height: thumbnail.originalHeight,
+        thumbnailWidth: thumbnail.width,
+        thumbnailHeight: thumbnail.height,
     };
-    return { runGeneration, isLoading, aiResponse, setAiResponse, setIsLoading };
 };
 
+// Referencia de Storage disponible para la imagen de una entrada (original o, en su defecto, miniatura)
+const getImageReference = (entry) => entry.image?.path || entry.image?.thumbnailPath || null;
 
-// Hook para la gestión de Firebase (Auth y Firestore)
-const useFirebase = () => {
-    const [db, setDb] = useState(null);
-    const [auth, setAuth] = useState(null);
-    const [userId, setUserId] = useState(null);
-    const [isAuthReady, setIsAuthReady] = useState(false);
+// Convierte un Blob (o File) en data URL
+const readBlobAsDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
 
-    useEffect(() => {
-        try {
-            const app = initializeApp(firebaseConfig);
-            const firestoreDb = getFirestore(app);
-            const firebaseAuth = getAuth(app);
+// Parte inlineData (formato común de las peticiones a la IA) a partir de una data URL. El tipo MIME se toma de la URL sin sus
+// parámetros (los audios de MediaRecorder llegan como 'audio/webm;codecs=opus'); si no se reconoce,
+// se rechaza en lugar de suponer un tipo.
+const dataUrlToInlineData = (dataUrl) => {
+    const match = /^data:([\w.+-]+\/[\w.+-]+)((?:;[^;,]*)*);base64,/.exec(dataUrl);
+    if (!match) throw new Error(t('errors.attachmentFormat'));
+    return { inlineData: { mimeType: match[1].toLowerCase(), data: dataUrl.slice(match[0].length) } };
+};
 
-            setDb(firestoreDb);
-            setAuth(firebaseAuth);
+// Descarga una imagen de Storage como data URL para enviarla a la IA. Las subidas antes de que existiera el
+// preprocesado son la foto tal cual (con sus metadatos), así que se procesan aquí; si falla, se envía sin procesar.
+const fetchStorageImageAsDataUrl = async (storage, path) => {
+    const blob = await getBlob(ref(storage, path));
+    const prepared = await preprocessImageFile(blob).catch(error => {
+        console.warn(`Error preprocessing ${path}:`, error);
+        return blob;
+    });
+    return readBlobAsDataUrl(prepared);
+};
 
-            // 1. Manejar autenticación
-            const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
-                if (user) {
-                    setUserId(user.uid);
-                    setIsAuthReady(true);
-                } else if (initialAuthToken) {
-                    try {
-                        await signInWithCustomToken(firebaseAuth, initialAuthToken);
-                    } catch (error) {
-                        console.error("Error signing in with custom token:", error);
-                        await signInAnonymously(firebaseAuth);
-                        setUserId(firebaseAuth.currentUser?.uid || crypto.randomUUID());
-                        setIsAuthReady(true);
-                    }
-                } else {
-                    try {
-                        await signInAnonymously(firebaseAuth);
-                        setUserId(firebaseAuth.currentUser?.uid || crypto.randomUUID());
-                        setIsAuthReady(true);
-                    } catch (error) {
-                        console.error("Error signing in anonymously:", error);
-                        setUserId(crypto.randomUUID()); // Fallback if anonymous sign-in fails
-                        setIsAuthReady(true);
-                    }
-                }
+// Guarda el análisis actual de un registro en su subcolección 'revisions' antes de sobrescribirlo
+const archiveAnalysisRevision = async (recordRef, entry) => {
+    const revision = Object.fromEntries(ANALYSIS_FIELDS
+        .filter(field => entry[field] !== undefined)
+        .map(field => [field, entry[field]]));
+
+    await addDoc(collection(recordRef, 'revisions'), {
+        ...revision,
+        analyzedAt: entry.analyzedAt || entry.timestamp.toISOString(),
+        archivedAt: new Date().toISOString(),
+    });
+};
+
+// Borra de Storage la imagen y la miniatura de un registro (campo 'image'). Los fallos solo se avisan en consola.
+const deleteStoredImages = (storage, image) => Promise.all([image?.path, image?.thumbnailPath].filter(Boolean).map(path => {
+    downloadUrlCache.delete(path);
+    return deleteObject(ref(storage, path)).catch(error => console.warn(`Error deleting ${path}:`, error));
+}));
+
+// Borra un registro junto con sus revisiones y sus imágenes de Storage
+const deleteRecordWithImages = async (recordRef, storage, entry) => {
+    const revisions = await getDocs(collection(recordRef, 'revisions'));
+    await Promise.all(revisions.docs.map(revision => deleteDoc(revision.ref)));
+    await deleteDoc(recordRef);
+
+    // Las imágenes se borran al final: si esto falla, ningún documento las referencia ya
+    await deleteStoredImages(storage, entry.image);
+};
+
+// Clave del día local (YYYY-MM-DD), sin pasar por UTC
+const toLocalDayKey = (date) => {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// Inicio del día local 'days' días antes de 'date' (0 es el propio día)
+const startOfDaysBefore = (days, date = new Date()) => new Date(date.getFullYear(), date.getMonth(), date.getDate() - days);
+
+// Clave de la semana ISO 8601 (YYYY-Www); las semanas empiezan el lunes
+const toIsoWeekKey = (date) => {
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    thursday.setDate(thursday.getDate() - ((thursday.getDay() + 6) % 7) + 3);
+    const isoYear = thursday.getFullYear();
+    const firstThursday = new Date(isoYear, 0, 4);
+    firstThursday.setDate(firstThursday.getDate() - ((firstThursday.getDay() + 6) % 7) + 3);
+    const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+    return `${isoYear}-W${String(week).padStart(2, '0')}`;
+};
+
+// Valor para un <input type="datetime-local"> en hora local (YYYY-MM-DDTHH:mm)
+const toDateTimeInputValue = (date) => {
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${toLocalDayKey(date)}T${hours}:${minutes}`;
+};
+
+// Conversión entre la unidad base de una magnitud y la unidad elegida por el usuario
+const toBaseUnit = (value, dimension, unit) => value * (UNIT_OPTIONS[dimension].units[unit] || 1);
+const fromBaseUnit = (value, dimension, unit) => value / (UNIT_OPTIONS[dimension].units[unit] || 1);
+
+const formatMeasurement = (baseValue, dimension, unit) => {
+    const value = fromBaseUnit(baseValue, dimension, unit);
+    const digits = unit === 'ml' ? 0 : 1;
+    return `${formatNumber(value, { maximumFractionDigits: digits })} ${unit}`;
+};
+
+const formatDuration = (minutes) => {
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    return hours > 0 ? `${hours} h ${rest} min` : `${rest} min`;
+};
+
+const emptyNutrientTotals = () => Object.fromEntries(NUTRIENT_KEYS.map(key => [key, 0]));
+
+// Agrupa los registros de nutrición por día local para los últimos `dayCount` días hasta `endDate`.
+// Cada día se marca como 'empty' (sin registros), 'pending' (ningún registro con datos nutricionales) u 'ok'.
+const buildDailyNutrition = (records, endDate, dayCount) => {
+    const days = [];
+    const byKey = {};
+    for (let offset = dayCount - 1; offset >= 0; offset--) {
+        const date = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() - offset);
+        const day = { key: toLocalDayKey(date), weekKey: toIsoWeekKey(date), date, entries: 0, entriesWithData: 0, totals: emptyNutrientTotals() };
+        days.push(day);
+        byKey[day.key] = day;
+    }
+
+    records.forEach(record => {
+        const day = byKey[toLocalDayKey(record.timestamp)];
+        if (!day) return;
+        day.entries += 1;
+        const totals = record.nutrition?.totals;
+        if (!totals || record.analysis === PENDING_ANALYSIS) return;
+        day.entriesWithData += 1;
+        NUTRIENT_KEYS.forEach(key => {
+            day.totals[key] += totals[key] || 0;
+        });
+    });
+
+    return days.map(day => ({
+        ...day,
+        status: day.entries === 0 ? 'empty' : day.entriesWithData === 0 ? 'pending' : 'ok',
+    }));
+};
+
+// Agrupa los días (ya calculados) por semana ISO, con promedios sobre los días con datos
+const buildWeeklyNutrition = (days) => {
+    const weeks = [];
+    days.forEach(day => {
+        let week = weeks[weeks.length - 1];
+        if (!week || week.key !== day.weekKey) {
+            week = { key: day.weekKey, startDate: day.date, days: 0, daysWithData: 0, flaggedDays: 0, totals: emptyNutrientTotals() };
+            weeks.push(week);
+        }
+        week.days += 1;
+        if (day.status === 'ok') {
+            week.daysWithData += 1;
+            NUTRIENT_KEYS.forEach(key => {
+                week.totals[key] += day.totals[key];
             });
+        } else {
+            week.flaggedDays += 1;
+        }
+    });
 
-            return () => unsubscribe();
-        } catch (error) {
-            console.error("Error initializing Firebase:", error);
-            setIsAuthReady(true); // Treat as ready even on failure
+    return weeks.map(week => ({
+        ...week,
+        averages: Object.fromEntries(NUTRIENT_KEYS.map(key => [
+            key, week.daysWithData ? week.totals[key] / week.daysWithData : null,
+        ])),
+    }));
+};
+
+// Resumen en texto del historial reciente que se añade a las instrucciones del coach
+const buildCoachContext = (nutritionRecords, skinRecords, now = new Date()) => {
+    const shorten = (text, maxLength = 300) => {
+        const flat = (text || '').replace(/\s+/g, ' ').trim();
+        return flat.length > maxLength ? `${flat.slice(0, maxLength)}…` : flat;
+    };
+
+    const nutritionLines = buildDailyNutrition(nutritionRecords, now, COACH_CONTEXT_DAYS).map(day => {
+        if (day.status === 'empty') return `- ${day.key}: ${t('coachContext.noRecords')}`;
+        const meals = nutritionRecords
+            .filter(record => toLocalDayKey(record.timestamp) === day.key)
+            .map(record => shorten(record.description, 80) || t('coachContext.mealWithoutDescription'));
+        const totals = day.status === 'ok'
+            ? NUTRIENT_FIELDS.map(({ key, label, unit }) => `${label} ${Math.round(day.totals[key])} ${unit}`).join(', ')
+            : t('coachContext.noNutritionData');
+        return `- ${day.key}: ${meals.join('; ')} (${totals})`;
+    });
+
+    const skinLines = skinRecords.slice(0, COACH_CONTEXT_SKIN_ENTRIES).map(entry =>
+        `- ${toLocalDayKey(entry.timestamp)}: ${t('coachContext.skinEntry', { notes: shorten(entry.notes, 120) || t('coachContext.noNotes'), analysis: shorten(entry.analysis) })}`);
+
+    return [
+        t('coachContext.now', { time: toDateTimeInputValue(now).replace('T', ' ') }),
+        '',
+        t('coachContext.nutritionTitle', { days: COACH_CONTEXT_DAYS }),
+        ...nutritionLines,
+        '',
+        t('coachContext.skinTitle'),
+        ...(skinLines.length > 0 ? skinLines : [`- ${t('coachContext.noEntries')}`]),
+    ].join('\n');
+};
+
+// Fecha local a partir de 'YYYY-MM-DD' (o 'YYYY-MM-DDTHH:mm'); null si no es válida
+const parseLocalDateTime = (value) => {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?/);
+    if (!match) return null;
+    const [, year, month, day, hours = '0', minutes = '0'] = match;
+    const date = new Date(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes));
+    return date.getDate() === Number(day) ? date : null;
+};
+
+// Búsqueda de texto: Firestore no tiene índices de texto completo, así que cada registro guarda
+// sus palabras normalizadas (minúsculas, sin tildes) en 'searchTokens' y se consulta con 'array-contains'
+const SEARCH_TOKEN_MIN_LENGTH = 2;
+const SEARCH_TOKEN_LIMIT = 300;
+
+const normalizeSearchText = (value) => String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const buildSearchTokens = (values) => {
+    const tokens = new Set();
+    values.forEach(value => normalizeSearchText(value).split(' ').forEach(token => {
+        if (token.length >= SEARCH_TOKEN_MIN_LENGTH && tokens.size < SEARCH_TOKEN_LIMIT) tokens.add(token);
+    }));
+    return [...tokens];
+};
+
+const roundNutrientTotals = (totals) => Object.fromEntries(NUTRIENT_KEYS.map(key => [key, Math.round(totals[key] || 0)]));
+
+// Registro reducido a lo que necesita el modelo para responder
+const summarizeRecordForCoach = (collectionName, record) => {
+    const time = toDateTimeInputValue(record.timestamp);
+    if (collectionName === 'skin_journal') {
+        return { time, notes: record.notes || '', analysis: record.analysis || '' };
+    }
+    const hasData = record.nutrition?.totals && record.analysis !== PENDING_ANALYSIS;
+    return { time, description: record.description || '', totals: hasData ? roundNutrientTotals(record.nutrition.totals) : null };
+};
+
+// Lee los registros de una colección con timestamp en [start, endExclusive), del más antiguo al más reciente.
+// Los timestamps se guardan como ISO en UTC, así que la comparación de cadenas sirve como rango
+// (un filtro de rango sobre un solo campo no necesita índice compuesto).
+const fetchRecordsInRange = async (db, userId, collectionName, start, endExclusive) => {
+    const snapshot = await getDocs(query(
+        collection(db, `artifacts/${appId}/users/${userId}/${collectionName}`),
+        where('timestamp', '>=', start.toISOString()),
+        where('timestamp', '<', endExclusive.toISOString())
+    ));
+    return snapshot.docs
+        .map(recordDoc => ({ id: recordDoc.id, ...recordDoc.data(), timestamp: new Date(recordDoc.data().timestamp) }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// Ejecuta query_history contra Firestore. Los errores de parámetros se devuelven como { error }
+// para que el modelo pueda corregir la llamada.
+const executeCoachQuery = async (db, userId, { collection: collectionName, start_date, end_date, aggregation = 'list' } = {}) => {
+    if (!['nutrition_history', 'skin_journal'].includes(collectionName)) {
+        return { error: `Colección no disponible: ${collectionName}` };
+    }
+    const start = parseLocalDateTime(start_date);
+    const end = parseLocalDateTime(end_date);
+    if (!start || !end || end < start) return { error: 'Rango de fechas no válido; usa YYYY-MM-DD.' };
+
+    const endExclusive = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+    const dayCount = Math.round((endExclusive - start) / (24 * 60 * 60 * 1000));
+    if (dayCount > COACH_QUERY_MAX_DAYS) return { error: `El rango máximo es de ${COACH_QUERY_MAX_DAYS} días.` };
+
+    const records = await fetchRecordsInRange(db, userId, collectionName, start, endExclusive);
+
+    if (aggregation === 'list' || collectionName === 'skin_journal') {
+        return {
+            count: records.length,
+            truncated: records.length > COACH_QUERY_LIST_LIMIT,
+            records: records.slice(-COACH_QUERY_LIST_LIMIT).map(record => summarizeRecordForCoach(collectionName, record)),
+        };
+    }
+
+    const days = buildDailyNutrition(records, end, dayCount);
+    if (aggregation === 'daily_totals') {
+        return { days: days.map(day => ({ date: day.key, entries: day.entries, status: day.status, totals: roundNutrientTotals(day.totals) })) };
+    }
+
+    const daysWithData = days.filter(day => day.status === 'ok');
+    const totals = emptyNutrientTotals();
+    daysWithData.forEach(day => NUTRIENT_KEYS.forEach(key => { totals[key] += day.totals[key]; }));
+    const summary = {
+        entries: records.length,
+        entriesWithoutData: days.reduce((sum, day) => sum + day.entries - day.entriesWithData, 0),
+        daysWithData: daysWithData.length,
+    };
+    if (aggregation === 'total') return { ...summary, totals: roundNutrientTotals(totals) };
+    if (aggregation === 'average_per_day') {
+        return {
+            ...summary,
+            averagePerDay: daysWithData.length ? roundNutrientTotals(Object.fromEntries(NUTRIENT_KEYS.map(key => [key, totals[key] / daysWithData.length]))) : null,
+        };
+    }
+    return { error: `Agregación no válida: ${aggregation}` };
+};
+
+// Conversación del coach en Markdown, para exportarla
+const buildConversationMarkdown = (messages, exportedAt = new Date()) => [
+    `# ${t('coach.exportTitle')}`,
+    '',
+    `_${t('coach.exportedAt', { date: formatDateTime(exportedAt, { dateStyle: 'long', timeStyle: 'short' }) })}_`,
+    '',
+    ...messages.flatMap(message => [
+        `**${message.role === 'user' ? t('coach.you') : t('coach.coach')}** (${formatDateTime(message.timestamp)}):`,
+        '',
+        message.text,
+        '',
+    ]),
+].join('\n');
+
+// Descarga un archivo generado en el navegador
+const downloadFile = (filename, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Markdown seguro: las respuestas de la IA (y los análisis guardados en Firestore) se convierten en un árbol de
+// bloques y fragmentos en línea que luego se renderiza con elementos de React. No existe ninguna
+// ruta que inserte HTML crudo: cualquier etiqueta en el texto se muestra literalmente.
+
+// Solo se enlazan URLs con protocolos seguros; el resto se muestra como texto
+const isSafeMarkdownUrl = (href) => /^(https?:\/\/|mailto:)/i.test(href.trim());
+
+const INLINE_MARKDOWN_PATTERN = /(`[^`]+`)|(\*\*(?=\S)[\s\S]+?\*\*|__(?=\S)[\s\S]+?__)|(\*(?=[^*\s])[^*]*?\*|\b_(?=[^_\s])[^_]*?_\b)|(\[[^\]]+\]\([^)\s]+\))/g;
+
+// Convierte una línea en fragmentos en línea: texto, code, strong, em y link
+const parseInlineMarkdown = (text) => {
+    const nodes = [];
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(INLINE_MARKDOWN_PATTERN)) {
+        const [token, code, strong, em, link] = match;
+        if (match.index > lastIndex) {
+            nodes.push({ type: 'text', text: text.slice(lastIndex, match.index) });
         }
-    }, []);
 
-    return { db, auth, userId, isAuthReady };
+        if (code) {
+            nodes.push({ type: 'code', text: token.slice(1, -1) });
+        } else if (strong) {
+            nodes.push({ type: 'strong', children: parseInlineMarkdown(token.slice(2, -2)) });
+        } else if (em) {
+            nodes.push({ type: 'em', children: parseInlineMarkdown(token.slice(1, -1)) });
+        } else if (link) {
+            const [, label, href] = token.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+            nodes.push(isSafeMarkdownUrl(href)
+                ? { type: 'link', href: href.trim(), children: parseInlineMarkdown(label) }
+                : { type: 'text', text: label });
+        }
+        lastIndex = match.index + token.length;
+    }
+
+    if (lastIndex < text.length) {
+        nodes.push({ type: 'text', text: text.slice(lastIndex) });
+    }
+    return nodes;
 };
 
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/;
 
-// --- COMPONENTES DE VISTA ---
+const splitTableRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
 
-// 1. Registro y Nutrición (Pestaña 'home')
-const HomeTracker = ({ db, userId, isAuthReady }) => {
-    const { runGeneration, isLoading, aiResponse, setAiResponse, setIsLoading } = useGeminiGenerator();
-    
-    const [record, setRecord] = useState({ 
-        mealDescription: '', 
-        image: null, 
-        base64Image: null 
+// Agrupa líneas de lista consecutivas en una lista anidada según su sangría
+const buildMarkdownList = (lines) => {
+    const root = { indent: -1, list: null };
+    const stack = [root];
+
+    lines.forEach(line => {
+        const [, indentText, marker, content] = line.match(LIST_ITEM_PATTERN);
+        const indent = indentText.replace(/\t/g, '    ').length;
+        const ordered = /\d/.test(marker);
+
+        while (stack.length > 1 && indent <= stack[stack.length - 1].indent) {
+            stack.pop();
+        }
+        const parent = stack[stack.length - 1];
+        const container = parent === root ? root : parent.item;
+        if (!container.list) {
+            container.list = { type: 'list', ordered, items: [] };
+        }
+        const item = { children: parseInlineMarkdown(content), list: null };
+        container.list.items.push(item);
+        stack.push({ indent, item });
     });
-    const [history, setHistory] = useState([]);
-    const [isSaving, setIsSaving] = useState(false);
-    
-    const [message, setMessage] = useState('');
-    const [messageType, setMessageType] = useState(''); // success, error, info
 
-    // 2. Carga de la imagen
-    const handleImageChange = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            setRecord(prev => ({ ...prev, image: file }));
-            const reader = new FileReader();
-            reader.onloadend = () => {
-                setRecord(prev => ({ ...prev, base64Image: reader.result }));
-            };
-            reader.readAsDataURL(file);
+    return root.list;
+};
+
+// Convierte texto Markdown en bloques: heading, paragraph, list, table, code y hr
+const parseMarkdown = (text) => {
+    const lines = (typeof text === 'string' ? text : '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (!line.trim()) {
+            index += 1;
+            continue;
         }
-    };
 
-    // 3. Generar análisis de Nutrición
-    const analyzeMeal = useCallback(async () => {
-        if (!record.mealDescription && !record.base64Image) {
-            setMessageType('error');
-            setMessage('Por favor, describe tu comida o sube una imagen antes de analizar.');
-            return;
+        if (line.trim().startsWith('```')) {
+            const codeLines = [];
+            index += 1;
+            while (index < lines.length && !lines[index].trim().startsWith('```')) {
+                codeLines.push(lines[index]);
+                index += 1;
+            }
+            blocks.push({ type: 'code', text: codeLines.join('\n') });
+            index += 1;
+            continue;
         }
 
-        setMessageType('info');
-        setMessage('Generando análisis nutricional. Esto puede tardar unos segundos...');
+        const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, children: parseInlineMarkdown(heading[2]) });
+            index += 1;
+            continue;
+        }
 
-        const prompt = record.mealDescription || "Analiza los alimentos en esta imagen y proporciona un resumen nutricional, incluyendo macronutrientes, calorías estimadas y sugerencias de mejora dietética.";
-        const systemInstruction = "Eres un nutricionista IA experto. Tu tarea es analizar la descripción de la comida o la imagen provista por el usuario. Responde de forma amigable y concisa, utilizando viñetas (formato Markdown) para el desglose de nutrientes y calorías. Proporciona siempre sugerencias de mejora o un comentario positivo.";
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            blocks.push({ type: 'hr' });
+            index += 1;
+            continue;
+        }
 
-        await runGeneration({ 
-            prompt, 
-            base64Image: record.base64Image, 
-            systemInstruction 
-        });
+        if (line.includes('|') && index + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[index + 1].trim())) {
+            const header = splitTableRow(line);
+            const align = splitTableRow(lines[index + 1]).map(cell => (
+                cell.startsWith(':') && cell.endsWith(':') ? 'center' : cell.endsWith(':') ? 'right' : 'left'
+            ));
+            const rows = [];
+            index += 2;
+            while (index < lines.length && lines[index].includes('|') && lines[index].trim()) {
+                rows.push(splitTableRow(lines[index]).map(parseInlineMarkdown));
+                index += 1;
+            }
+            blocks.push({ type: 'table', header: header.map(parseInlineMarkdown), align, rows });
+            continue;
+        }
 
-        setMessage(''); // Clear info message after generation starts or finishes
-    }, [record.mealDescription, record.base64Image, runGeneration]);
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const listLines = [];
+            while (index < lines.length && LIST_ITEM_PATTERN.test(lines[index])) {
+                listLines.push(lines[index]);
+                index += 1;
+            }
+            blocks.push(buildMarkdownList(listLines));
+            continue;
+        }
 
-    // 4. Guardar registro
-    const saveRecord = async () => {
-        if (!db || !userId) return;
+        // Párrafo: líneas consecutivas hasta una línea vacía o el inicio de otro bloque
+        const paragraphLines = [];
+        while (index < lines.length && lines[index].trim()
+            && !LIST_ITEM_PATTERN.test(lines[index])
+            && !/^\s*(#{1,6}\s|```)/.test(lines[index])) {
+            paragraphLines.push(parseInlineMarkdown(lines[index].trim()));
+            index += 1;
+        }
+        blocks.push({ type: 'paragraph', lines: paragraphLines });
+    }
 
-        if (!record.mealDescription && !record.base64Image) {
-            setMessageType('error');
-            setMessage('Necesitas una descripción o una imagen para guardar el registro.');
-            return;
+    return blocks;
+};
+
+// --- PROVEEDORES DE IA ---
+
+// Las peticiones a la IA usan un formato común, el de contenido de Gemini:
+//   { model, contents: [{ role: 'user' | 'model', parts }], systemInstruction, tools, responseSchema, enableSearch, signal }
+// Cada parte es { text }, { inlineData: { mimeType, data } }, { functionCall: { name, args } } o
+// { functionResponse: { name, response } }; tools es [{ functionDeclarations }] y los esquemas usan los tipos de
+// Gemini ("OBJECT", "STRING"...). Cada proveedor traduce ese formato al de su API:
+//   defaultModel      modelo que se usa si VITE_AI_MODEL no indica otro
+//   acceptsAudio      si admite audio en línea (sin él no se ofrecen las notas de voz)
+//   stream(request)   generador asíncrono con las partes de la respuesta ({ text } o { functionCall }) según llegan
+//   errorDetail(body) texto legible del cuerpo de una respuesta HTTP de error
+
+// Lee una respuesta SSE y produce el campo 'data' de cada evento
+async function* readServerSentEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = done ? '' : events.pop();
+
+        for (const event of events) {
+            const data = event.split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trimStart())
+                .join('\n');
+            if (data) yield data;
         }
 
-        setIsSaving(true);
-        setMessageType('info');
-        setMessage('Guardando registro...');
-
-        // Prepara los datos a guardar (solo guardamos la base64 si existe, o un enlace si fuera una app real)
-        const dataToSave = {
-            description: record.mealDescription,
-            analysis: aiResponse || "Análisis pendiente",
-            timestamp: new Date().toISOString(),
-            hasImage: !!record.base64Image
-            // En una app real NO se guarda la base64, solo el link de Storage
-            // Aquí lo simplificamos para la demo
-        };
+        if (done) break;
+    }
+}
 
-        try {
-            const historyCollection = collection(db, `artifacts/${appId}/users/${userId}/nutrition_history`);
-            await setDoc(doc(historyCollection), dataToSave); 
-            
-            // Limpiar formulario y respuesta AI después de guardar
-            setRecord({ mealDescription: '', image: null, base64Image: null });
-            setAiResponse(null);
-            
-            setMessageType('success');
-            setMessage('¡Registro guardado exitosamente!');
-        } catch (error) {
-            console.error("Error saving record:", error);
-            setMessageType('error');
-            setMessage(`Error al guardar: ${error.message}`);
-        } finally {
-            setIsSaving(false);
-            setTimeout(() => setMessage(''), 5000); // Clear message after 5 seconds
+// Campo 'error' de un cuerpo de error JSON, o null si el cuerpo no es JSON
+const parseErrorBody = (body) => {
+    try {
+        return JSON.parse(body)?.error ?? null;
+    } catch {
+        return null;
+    }
+};
+
+// Mensaje para el usuario de un error HTTP del proveedor, según el tipo de fallo
+const describeAiHttpError = (provider, error) => {
+    const params = { status: error.status, detail: provider.errorDetail(error.body || '') || t('errors.unknown') };
+    if (error.status === 401 || error.status === 403) return t('errors.aiUnauthorized', params);
+    if (error.status === 429) return t('errors.aiRateLimited', params);
+    if (error.status >= 500) return t('errors.aiUnavailable', params);
+    return t('errors.aiRequestFailed', params);
+};
+
+// Proveedor: Gemini
+
+// URL y cabeceras para llamar a un método de Gemini, directamente o a través del proxy
+const buildGeminiRequest = async (model, method) => {
+    const query = method === 'streamGenerateContent' ? 'alt=sse' : '';
+
+    if (!GEMINI_PROXY_URL) {
+        const apiKey = ""; 
+        return {
+            url: `${GEMINI_API_BASE_URL}/models/${model}:${method}?${query ? `${query}&` : ''}key=${apiKey}`,
+            headers: { 'Content-Type': 'application/json' },
+        };
+    }
+
+    const user = getAuth().currentUser;
+    if (!user) throw new Error(t('errors.aiSessionRequired'));
+    const idToken = await user.getIdToken();
+    return {
+        url: `${GEMINI_PROXY_URL}/models/${model}:${method}${query ? `?${query}` : ''}`,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${idToken}` },
+    };
+};
+
+// Lee la respuesta SSE de streamGenerateContent y produce cada parte del contenido del modelo
+// ({ text } o { functionCall }), tal como llega.
+// Un evento con 'error' o una generación bloqueada interrumpe el stream con una excepción.
+async function* readGeminiStream(response) {
+    for await (const data of readServerSentEvents(response)) {
+        const payload = JSON.parse(data);
+        if (payload.error) {
+            throw new Error(t('errors.aiStream', { detail: `${payload.error.code || ''} - ${payload.error.message || t('errors.unknown')}` }));
+        }
+        if (payload.promptFeedback?.blockReason) {
+            throw new Error(t('errors.aiBlocked', { reason: payload.promptFeedback.blockReason }));
+        }
+
+        const candidate = payload.candidates?.[0];
+        for (const part of candidate?.content?.parts || []) yield part;
+
+        if (candidate?.finishReason && !['STOP', 'MAX_TOKENS'].includes(candidate.finishReason)) {
+            throw new Error(t('errors.aiStopped', { reason: candidate.finishReason }));
+        }
+    }
+}
+
+async function* streamGemini({ model, contents, systemInstruction, tools, responseSchema, enableSearch, signal }) {
+    const { url, headers } = await buildGeminiRequest(model, 'streamGenerateContent');
+    const payload = {
+        contents,
+        systemInstruction: systemInstruction ? { parts: [{ text: systemInstruction }] } : undefined,
+        tools: tools || (enableSearch ? [{ "google_search": {} }] : undefined),
+        generationConfig: responseSchema
+            ? { responseMimeType: "application/json", responseSchema }
+            : undefined,
+    };
+
+    // Los reintentos por 429/5xx de fetchWithBackoff aplican antes de empezar a leer el stream
+    const response = await fetchWithBackoff(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(payload),
+        signal
+    });
+    yield* readGeminiStream(response);
+}
+
+// Proveedor: API compatible con OpenAI (/chat/completions), como Ollama o llama.cpp
+
+// Esquema de Gemini a JSON Schema: tipos en minúsculas, 'nullable' como tipo 'null' y sin propertyOrdering
+const toJsonSchema = (schema) => Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => key !== 'propertyOrdering' && key !== 'nullable')
+    .map(([key, value]) => {
+        if (key === 'type') return [key, schema.nullable ? [value.toLowerCase(), 'null'] : value.toLowerCase()];
+        if (key === 'properties') return [key, Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toJsonSchema(property)]))];
+        if (key === 'items') return [key, toJsonSchema(value)];
+        return [key, value];
+    }));
+
+// Parte de un mensaje de usuario. Solo se admiten imágenes como adjunto: el audio de las notas de voz
+// no tiene un formato común entre los servidores compatibles.
+const toOpenAiContentPart = (part) => {
+    if (part.text) return { type: 'text', text: part.text };
+    const { mimeType, data } = part.inlineData;
+    if (!mimeType.startsWith('image/')) throw new Error(t('errors.aiAttachmentUnsupported', { mimeType }));
+    return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } };
+};
+
+// Turnos en el formato común a mensajes de /chat/completions. Las llamadas a funciones no llevan id en
+// ese formato, así que se numeran por turno y cada respuesta toma el id de la llamada en su misma posición.
+const toOpenAiMessages = (contents, systemInstruction) => {
+    const messages = systemInstruction ? [{ role: 'system', content: systemInstruction }] : [];
+    let callIds = [];
+
+    contents.forEach((content, turnIndex) => {
+        const parts = content.parts || [];
+        const text = parts.filter(part => part.text).map(part => part.text).join('');
+
+        if (content.role === 'model') {
+            const calls = parts.filter(part => part.functionCall).map(part => part.functionCall);
+            callIds = calls.map((call, index) => `call_${turnIndex}_${index}`);
+            messages.push({
+                role: 'assistant',
+                content: text || null,
+                tool_calls: calls.length > 0 ? calls.map((call, index) => ({
+                    id: callIds[index],
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.args || {}) },
+                })) : undefined,
+            });
+            return;
+        }
+
+        parts.filter(part => part.functionResponse).forEach(({ functionResponse }, index) => messages.push({
+            role: 'tool',
+            tool_call_id: callIds[index],
+            content: JSON.stringify(functionResponse.response),
+        }));
+        const userParts = parts.filter(part => part.text || part.inlineData);
+        if (userParts.length === 0) return;
+        messages.push({
+            role: 'user',
+            // Solo texto: se envía como cadena, que admiten todos los servidores
+            content: userParts.every(part => part.text) ? text : userParts.map(toOpenAiContentPart),
+        });
+    });
+    return messages;
+};
+
+async function* streamOpenAi({ model, contents, systemInstruction, tools, responseSchema, signal }) {
+    const functionDeclarations = (tools || []).flatMap(tool => tool.functionDeclarations || []);
+    const payload = {
+        model,
+        stream: true,
+        messages: toOpenAiMessages(contents, systemInstruction),
+        tools: functionDeclarations.length > 0 ? functionDeclarations.map(declaration => ({
+            type: 'function',
+            function: { name: declaration.name, description: declaration.description, parameters: toJsonSchema(declaration.parameters) },
+        })) : undefined,
+        response_format: responseSchema
+            ? { type: 'json_schema', json_schema: { name: 'response', schema: toJsonSchema(responseSchema) } }
+            : undefined,
+    };
+
+    const response = await fetchWithBackoff(`${OPENAI_API_BASE_URL}/chat/completions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(OPENAI_API_KEY ? { Authorization: `Bearer ${OPENAI_API_KEY}` } : {}),
+        },
+        body: JSON.stringify(payload),
+        signal
+    });
+
+    // Los argumentos de cada llamada a función llegan troceados; se entregan completos al final del stream
+    const toolCalls = [];
+    for await (const data of readServerSentEvents(response)) {
+        if (data === '[DONE]') break;
+        const chunk = JSON.parse(data);
+        if (chunk.error) {
+            throw new Error(t('errors.aiStream', { detail: chunk.error.message || t('errors.unknown') }));
+        }
+
+        const choice = chunk.choices?.[0];
+        if (choice?.delta?.content) yield { text: choice.delta.content };
+        (choice?.delta?.tool_calls || []).forEach(call => {
+            const index = call.index ?? toolCalls.length;
+            if (!toolCalls[index]) toolCalls[index] = { name: '', arguments: '' };
+            toolCalls[index].name += call.function?.name || '';
+            toolCalls[index].arguments += call.function?.arguments || '';
+        });
+
+        if (choice?.finish_reason === 'content_filter') {
+            throw new Error(t('errors.aiBlocked', { reason: choice.finish_reason }));
+        }
+    }
+
+    for (const call of toolCalls.filter(Boolean)) {
+        yield { functionCall: { name: call.name, args: call.arguments ? JSON.parse(call.arguments) : {} } };
+    }
+}
+
+// Proveedor: prueba (mock). Respuestas fijas del catálogo (mockAi.*) troceadas como un stream, sin red.
+// La misma petición da siempre la misma respuesta, así que sirve para desarrollar y probar sin clave de API.
+const MOCK_AI_CHUNK_COUNT = 5;
+const MOCK_AI_CHUNK_DELAY_MS = 150;
+
+// JSON del análisis de piel o de comidas si se pide su esquema, una transcripción si la petición
+// lleva audio y Markdown en el resto de casos
+const buildMockAiResponse = ({ contents, responseSchema }) => {
+    if (responseSchema === SKIN_RESPONSE_SCHEMA) {
+        // Puntuaciones que dependen del texto de la petición, para que haya variación entre entradas
+        const text = contents.flatMap(content => (content.parts || []).map(part => part.text || '')).join('');
+        const seed = [...text].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 9973, 7);
+        return JSON.stringify({
+            summary: t('mockAi.skinSummary'),
+            scores: Object.fromEntries(SKIN_SCORE_KEYS.map((key, index) => [key, (seed >> index) % (SKIN_SCORE_MAX + 1)])),
+            confidence: 0.6,
+        });
+    }
+    if (responseSchema) {
+        return JSON.stringify({
+            summary: t('mockAi.mealSummary'),
+            items: [{
+                name: t('mockAi.mealName'),
+                portion: t('mockAi.mealPortion'),
+                kcal: 350, protein_g: 10, carbs_g: 60, fat_g: 7, fiber_g: 8, sugar_g: 15, sodium_mg: 80,
+                confidence: 0.7,
+            }],
+            confidence: 0.7,
+        });
+    }
+    const hasAudio = contents.some(content => (content.parts || []).some(part => part.inlineData?.mimeType.startsWith('audio/')));
+    return hasAudio ? t('mockAi.transcription') : t('mockAi.response');
+};
+
+async function* streamMock(request) {
+    const text = buildMockAiResponse(request);
+    const size = Math.ceil(text.length / MOCK_AI_CHUNK_COUNT);
+    for (let start = 0; start < text.length; start += size) {
+        await new Promise(resolve => setTimeout(resolve, MOCK_AI_CHUNK_DELAY_MS));
+        if (request.signal?.aborted) throw new DOMException('Generación cancelada', 'AbortError');
+        yield { text: text.slice(start, start + size) };
+    }
+}
+
+const AI_PROVIDERS = {
+    gemini: {
+        defaultModel: 'gemini-2.5-flash-preview-09-2025',
+        acceptsAudio: true,
+        stream: streamGemini,
+        errorDetail: (body) => parseErrorBody(body)?.message || body,
+    },
+    openai: {
+        defaultModel: 'llama3.2-vision',
+        acceptsAudio: false,
+        stream: streamOpenAi,
+        // Ollama y llama.cpp a veces devuelven 'error' como texto en lugar de objeto
+        errorDetail: (body) => {
+            const error = parseErrorBody(body);
+            return (typeof error === 'string' ? error : error?.message) || body;
+        },
+    },
+    mock: {
+        defaultModel: 'mock',
+        acceptsAudio: true,
+        stream: streamMock,
+        errorDetail: (body) => body,
+    },
+};
+
+const getAiProvider = () => AI_PROVIDERS[AI_PROVIDER_ID];
+
+// Llama al proveedor de IA en streaming y devuelve { text, parts, functionCalls } de su turno.
+// Si se pasa responseSchema, el modelo responde con JSON que cumple dicho esquema.
+// base64Images permite enviar varias imágenes (p. ej. para comparar dos fotos) y audio, una nota de voz.
+// Todos son data URLs; el tipo MIME de cada parte se toma de la propia URL.
+// onChunk recibe el texto acumulado cada vez que llega un fragmento.
+// Para conversaciones de varios turnos se pasa contents ([{ role, parts }]) en lugar de prompt e imágenes.
+// tools ([{ functionDeclarations }]) permite que el modelo pida llamadas a funciones; parts conserva
+// esas llamadas tal cual para devolverlas en el siguiente turno.
+const streamAiTurn = async ({ prompt, contents, base64Image, base64Images = [], audio, systemInstruction, enableSearch = false, tools, responseSchema, signal, onChunk }) => {
+    const provider = getAiProvider();
+    if (!provider) throw new Error(t('errors.aiUnknownProvider', { provider: AI_PROVIDER_ID }));
+
+    const parts = [
+        { text: prompt },
+        ...[base64Image, ...base64Images, audio].filter(Boolean).map(dataUrlToInlineData),
+    ];
+    const request = {
+        model: AI_MODEL || provider.defaultModel,
+        contents: contents || [{ role: 'user', parts }],
+        systemInstruction,
+        tools,
+        responseSchema,
+        enableSearch,
+        signal,
+    };
+
+    let text = '';
+    const functionCallParts = [];
+    try {
+        for await (const part of provider.stream(request)) {
+            if (part.functionCall) {
+                functionCallParts.push(part);
+            } else if (part.text) {
+                text += part.text;
+                onChunk?.(text);
+            }
+        }
+    } catch (error) {
+        // Las respuestas HTTP de error traen su estado; el resto de errores se propagan tal cual
+        if (error.status) throw new Error(describeAiHttpError(provider, error));
+        throw error;
+    }
+    return {
+        text,
+        parts: [...(text ? [{ text }] : []), ...functionCallParts],
+        functionCalls: functionCallParts.map(part => part.functionCall),
+    };
+};
+
+// Igual que streamAiTurn pero devuelve solo el texto completo
+const streamAiText = async (options) => (await streamAiTurn(options)).text;
+
+const AI_MAX_TOOL_ROUNDS = 5;
+
+// Conversación con herramientas: cada llamada a función que pide el modelo se resuelve con
+// onFunctionCall (que devuelve el objeto de respuesta) y se le devuelve el resultado, hasta que
+// responde solo con texto. onChunk recibe el texto acumulado de todos los turnos.
+const runAiWithTools = async ({ prompt, contents, onFunctionCall, signal, onChunk, ...options }) => {
+    const history = [...(contents || [{ role: 'user', parts: [{ text: prompt }] }])];
+    let transcript = '';
+
+    for (let round = 0; round < AI_MAX_TOOL_ROUNDS; round++) {
+        const previous = transcript ? `${transcript}\n\n` : '';
+        const turn = await streamAiTurn({
+            ...options,
+            contents: history,
+            signal,
+            onChunk: (partialText) => onChunk?.(previous + partialText),
+        });
+        if (turn.text) transcript = previous + turn.text;
+        if (turn.functionCalls.length === 0) return transcript;
+
+        history.push({ role: 'model', parts: turn.parts });
+        const responses = [];
+        for (const call of turn.functionCalls) {
+            const response = await onFunctionCall(call);
+            // La confirmación del usuario puede llegar después de cancelar la generación
+            if (signal?.aborted) throw new DOMException('Generación cancelada', 'AbortError');
+            responses.push({ functionResponse: { name: call.name, response } });
+        }
+        history.push({ role: 'user', parts: responses });
+    }
+    throw new Error(t('errors.aiTooManyToolCalls'));
+};
+
+// Hook para la generación de contenido con el proveedor de IA configurado
+const useAiGenerator = () => {
+    const [isLoading, setIsLoading] = useState(false);
+    const [aiResponse, setAiResponse] = useState(null);
+    const [aiError, setAiError] = useState(null);
+    const abortControllerRef = useRef(null);
+
+    // Cancela la generación en curso, si la hay
+    const cancel = useCallback(() => {
+        abortControllerRef.current?.abort();
+    }, []);
+
+    useEffect(() => () => abortControllerRef.current?.abort(), []);
+
+    // La respuesta llega por streaming y aiResponse se va actualizando con el texto parcial.
+    // Acepta los mismos parámetros que streamAiText (prompt, imágenes, responseSchema...).
+    // Con tools y onFunctionCall se ejecuta el bucle de llamadas a funciones de runAiWithTools.
+    // Devuelve el texto completo, o null si la llamada falla o se cancela.
+    const runGeneration = async ({ prompt, contents, ...options }) => {
+        if (!prompt && !contents?.length) return null;
+
+        // Una nueva generación reemplaza a la anterior
+        abortControllerRef.current?.abort();
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        const isCurrent = () => abortControllerRef.current === controller;
+
+        setIsLoading(true);
+        setAiResponse(null);
+        setAiError(null);
+
+        let text = '';
+        try {
+            const generate = options.tools && options.onFunctionCall ? runAiWithTools : streamAiText;
+            text = await generate({
+                prompt,
+                contents,
+                ...options,
+                signal: controller.signal,
+                onChunk: (partialText) => {
+                    text = partialText;
+                    if (isCurrent()) setAiResponse(partialText);
+                }
+            });
+            if (!isCurrent()) return null;
+
+            if (!text) {
+                const message = t('errors.aiNoResponse');
+                setAiError(message);
+                setAiResponse(message);
+                return null;
+            }
+            return text;
+
+        } catch (error) {
+            if (!isCurrent()) return null;
+            if (error.name === 'AbortError') {
+                setAiError(t('ai.cancelled'));
+                setAiResponse(text ? `${text}\n\n_(${t('ai.cancelledNote')})_` : null);
+                return null;
+            }
+            console.error("Error en la llamada a la IA:", error);
+            setAiError(error.message);
+            // Si el error llega a mitad del stream se conserva el texto parcial
+            setAiResponse(text
+                ? `${text}\n\n_(${t('ai.interrupted', { message: error.message })})_`
+                : t('ai.requestError', { message: error.message }));
+            return null;
+        } finally {
+            if (isCurrent()) {
+                abortControllerRef.current = null;
+                setIsLoading(false);
+            }
+        }
+    };
+    return { runGeneration, cancel, isLoading, aiResponse, aiError, setAiResponse, setIsLoading };
+};
+
+
+// Datos de la cuenta que necesita la interfaz (se copian para que React detecte los cambios)
+const toAccountInfo = (user) => (user ? {
+    uid: user.uid,
+    email: user.email,
+    displayName: user.displayName,
+    isAnonymous: user.isAnonymous
+} : null);
+
+// Hook para la gestión de Firebase (Auth y Firestore)
+// Sin sesión se entra como usuario anónimo; si ni eso funciona se expone authError
+// en lugar de continuar con un UID inventado que las reglas de Firestore rechazarían.
+const useFirebase = () => {
+    const [db, setDb] = useState(null);
+    const [auth, setAuth] = useState(null);
+    const [storage, setStorage] = useState(null);
+    const [user, setUser] = useState(null);
+    const [isAuthReady, setIsAuthReady] = useState(false);
+    const [authError, setAuthError] = useState(null);
+
+    // Inicia la sesión por defecto: token del Canvas si existe y, si no, anónima
+    const startDefaultSession = useCallback(async (firebaseAuth) => {
+        try {
+            if (initialAuthToken) {
+                try {
+                    await signInWithCustomToken(firebaseAuth, initialAuthToken);
+                    return;
+                } catch (error) {
+                    console.error("Error signing in with custom token:", error);
+                }
+            }
+            await signInAnonymously(firebaseAuth);
+        } catch (error) {
+            console.error("Error signing in anonymously:", error);
+            setAuthError(error);
+            setIsAuthReady(true);
+        }
+    }, []);
+
+    useEffect(() => {
+        try {
+            const app = initializeApp(firebaseConfig);
+            // Caché persistente en IndexedDB: el historial se ve sin conexión y las escrituras quedan en cola
+            const firestoreDb = initializeFirestore(app, {
+                localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+            });
+            const firebaseAuth = getAuth(app);
+            const firebaseStorage = getStorage(app);
+            if (emulatorHost) {
+                connectAuthEmulator(firebaseAuth, `http://${emulatorHost}:${AUTH_EMULATOR_PORT}`, { disableWarnings: true });
+                connectFirestoreEmulator(firestoreDb, emulatorHost, FIRESTORE_EMULATOR_PORT);
+                connectStorageEmulator(firebaseStorage, emulatorHost, STORAGE_EMULATOR_PORT);
+            }
+
+            setDb(firestoreDb);
+            setAuth(firebaseAuth);
+            setStorage(firebaseStorage);
+
+            // 1. Manejar autenticación (también tras cerrar sesión, que vuelve a una sesión anónima nueva)
+            const unsubscribe = onAuthStateChanged(firebaseAuth, (currentUser) => {
+                if (currentUser) {
+                    setUser(toAccountInfo(currentUser));
+                    setAuthError(null);
+                    setIsAuthReady(true);
+                } else {
+                    setUser(null);
+                    startDefaultSession(firebaseAuth);
+                }
+            });
+
+            return () => unsubscribe();
+        } catch (error) {
+            console.error("Error initializing Firebase:", error);
+            setAuthError(error);
+            setIsAuthReady(true);
+        }
+    }, [startDefaultSession]);
+
+    // Vincular credenciales no dispara onAuthStateChanged (el UID no cambia), así que se refresca a mano
+    const refreshUser = useCallback(() => {
+        if (auth) setUser(toAccountInfo(auth.currentUser));
+    }, [auth]);
+
+    const retryAuth = useCallback(() => {
+        if (!auth) return;
+        setAuthError(null);
+        setIsAuthReady(false);
+        startDefaultSession(auth);
+    }, [auth, startDefaultSession]);
+
+    return { db, auth, storage, user, userId: user?.uid || null, isAuthReady, authError, refreshUser, retryAuth };
+};
+
+
+// --- CUENTAS DE USUARIO ---
+
+// Los códigos de error de Firebase Auth más habituales tienen su mensaje en authErrors.codes del catálogo
+const describeAuthError = (error) => {
+    const key = `authErrors.codes.${error?.code}`;
+    return lookupMessage(DEFAULT_LANGUAGE, key) ? t(key) : error?.message || t('authErrors.unknown');
+};
+
+// Crea una cuenta con correo. Si la sesión actual es anónima se vincula la credencial,
+// de modo que el UID (y con él todo el historial) se conserva.
+const createEmailAccount = async (auth, email, password) => {
+    if (auth.currentUser?.isAnonymous) {
+        return linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password));
+    }
+    return createUserWithEmailAndPassword(auth, email, password);
+};
+
+// Inicia sesión en una cuenta de correo existente. Una cuenta existente tiene su propio UID,
+// por lo que los registros de la sesión anónima no se transfieren.
+const signInWithEmail = (auth, email, password) => signInWithEmailAndPassword(auth, email, password);
+
+// Inicia sesión con Google. Desde una sesión anónima primero intenta vincular la cuenta;
+// si esa cuenta de Google ya existía, entra en ella con la credencial devuelta en el error.
+const signInWithGoogle = async (auth) => {
+    const provider = new GoogleAuthProvider();
+    if (!auth.currentUser?.isAnonymous) return signInWithPopup(auth, provider);
+
+    try {
+        return await linkWithPopup(auth.currentUser, provider);
+    } catch (error) {
+        const credential = GoogleAuthProvider.credentialFromError(error);
+        if (error.code === 'auth/credential-already-in-use' && credential) {
+            return signInWithCredential(auth, credential);
+        }
+        throw error;
+    }
+};
+
+
+// Hook para los ajustes del usuario (objetivos nutricionales, etc.)
+// Escucha el documento settings/preferences y lo combina con los valores por defecto.
+const useUserSettings = (db, userId, isAuthReady) => {
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+    const [settingsError, setSettingsError] = useState(null);
+
+    useEffect(() => {
+        if (!db || !isAuthReady || !userId) return;
+
+        const settingsRef = doc(db, `artifacts/${appId}/users/${userId}/settings`, 'preferences');
+        const unsubscribe = onSnapshot(settingsRef, (snapshot) => {
+            const data = snapshot.exists() ? snapshot.data() : {};
+            setSettings({
+                ...DEFAULT_SETTINGS,
+                ...data,
+                nutritionGoals: { ...DEFAULT_NUTRITION_GOALS, ...data.nutritionGoals },
+                units: { ...DEFAULT_UNITS, ...data.units },
+            });
+        }, (error) => {
+            console.error("Error listening to settings:", error);
+            setSettingsError(error.message);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, isAuthReady]);
+
+    // Guarda solo los campos indicados, sin pisar el resto del documento
+    const saveSettings = useCallback(async (partialSettings) => {
+        if (!db || !userId) return;
+        const settingsRef = doc(db, `artifacts/${appId}/users/${userId}/settings`, 'preferences');
+        await setDoc(settingsRef, partialSettings, { merge: true });
+    }, [db, userId]);
+
+    return { settings, settingsError, saveSettings };
+};
+
+
+// Hook para borrar registros con una ventana para deshacer.
+// El registro se oculta al momento y commitDelete solo se ejecuta al vencer la ventana
+// (o al desmontar el componente, para no perder borrados ya confirmados por el usuario).
+const useUndoableDelete = (commitDelete) => {
+    const [pendingDeletes, setPendingDeletes] = useState([]);
+    const timersRef = useRef({});
+    const commitRef = useRef(commitDelete);
+    commitRef.current = commitDelete;
+
+    const requestDelete = useCallback((entry) => {
+        const timer = setTimeout(() => {
+            delete timersRef.current[entry.id];
+            setPendingDeletes(prev => prev.filter(pending => pending.id !== entry.id));
+            commitRef.current(entry);
+        }, UNDO_WINDOW_MS);
+        timersRef.current[entry.id] = { timer, entry };
+        setPendingDeletes(prev => [...prev, entry]);
+    }, []);
+
+    const undoDelete = useCallback((id) => {
+        clearTimeout(timersRef.current[id]?.timer);
+        delete timersRef.current[id];
+        setPendingDeletes(prev => prev.filter(pending => pending.id !== id));
+    }, []);
+
+    useEffect(() => () => {
+        Object.values(timersRef.current).forEach(({ timer, entry }) => {
+            clearTimeout(timer);
+            commitRef.current(entry);
+        });
+        timersRef.current = {};
+    }, []);
+
+    return { pendingDeletes, requestDelete, undoDelete };
+};
+
+// Caché de URLs de descarga por ruta de Storage, compartida entre tarjetas
+const downloadUrlCache = new Map();
+
+// Hook que resuelve una ruta de Storage a su URL de descarga
+const useStorageUrl = (storage, path) => {
+    const [url, setUrl] = useState(() => (path ? downloadUrlCache.get(path) || null : null));
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!storage || !path) return;
+        if (downloadUrlCache.has(path)) {
+            setUrl(downloadUrlCache.get(path));
+            return;
+        }
+
+        let cancelled = false;
+        getDownloadURL(ref(storage, path))
+            .then(downloadUrl => {
+                downloadUrlCache.set(path, downloadUrl);
+                if (!cancelled) setUrl(downloadUrl);
+            })
+            .catch(err => {
+                console.error("Error resolving storage URL:", err);
+                if (!cancelled) setError(err.message);
+            });
+
+        return () => { cancelled = true; };
+    }, [storage, path]);
+
+    return { url, error };
+};
+
+
+// --- BANDEJA DE SALIDA (OFFLINE) ---
+
+// Los registros nuevos se guardan primero en IndexedDB junto con su imagen y, si hace falta,
+// la petición de análisis. syncOutbox los sube a Storage/Firestore cuando hay conexión.
+// Forma de una entrada:
+//   { id, userId, collectionName, data, imageFile, analysisKind: id de ANALYZED_TRACKERS | null,
+//     status: 'pending' | 'syncing' | 'error', error, createdAt }
+const OUTBOX_DB_NAME = 'health-tracker-outbox';
+const OUTBOX_STORE = 'entries';
+
+// Funciones que se avisan cada vez que cambia la bandeja de salida
+const outboxListeners = new Set();
+const notifyOutboxListeners = () => outboxListeners.forEach(listener => listener());
+
+const openOutboxDb = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const runOutboxRequest = async (mode, operation) => {
+    const database = await openOutboxDb();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(OUTBOX_STORE, mode);
+        const request = operation(transaction.objectStore(OUTBOX_STORE));
+        transaction.oncomplete = () => {
+            database.close();
+            resolve(request.result);
+        };
+        transaction.onerror = () => {
+            database.close();
+            reject(transaction.error);
+        };
+    });
+};
+
+const readOutboxEntries = () => runOutboxRequest('readonly', store => store.getAll());
+
+const putOutboxEntry = async (entry) => {
+    await runOutboxRequest('readwrite', store => store.put(entry));
+    notifyOutboxListeners();
+};
+
+const removeOutboxEntry = async (id) => {
+    await runOutboxRequest('readwrite', store => store.delete(id));
+    notifyOutboxListeners();
+};
+
+const enqueueOutboxEntry = ({ id, userId, collectionName, data, imageFile = null, analysisKind = null }) => putOutboxEntry({
+    id,
+    userId,
+    collectionName,
+    data,
+    imageFile,
+    analysisKind,
+    status: 'pending',
+    error: null,
+    createdAt: new Date().toISOString()
+});
+
+// Ejecuta el análisis que quedó en cola al guardar sin conexión y devuelve los campos a guardar
+const runQueuedAnalysis = async (entry) => {
+    const { analysis, textField } = ANALYZED_TRACKERS[entry.analysisKind];
+    const base64Image = entry.imageFile ? await readBlobAsDataUrl(entry.imageFile) : null;
+    const text = await streamAiText({ ...analysis.buildRequest(entry.data[textField.key], entry.data), base64Image });
+    if (!text) throw new Error(t('errors.aiNoAnalysis'));
+    return analysis.parse(text);
+};
+
+// Sube en orden las entradas de un usuario. Cada paso se guarda en la entrada,
+// así un corte a mitad de la sincronización no vuelve a subir la imagen.
+const flushOutbox = async ({ db, storage, userId }) => {
+    const entries = (await readOutboxEntries())
+        .filter(entry => entry.userId === userId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const entry of entries) {
+        if (!navigator.onLine) return;
+
+        let current = { ...entry, status: 'syncing', error: null };
+        await putOutboxEntry(current);
+        try {
+            if (current.imageFile && !current.data.image) {
+                const image = await uploadRecordImage(storage, { file: current.imageFile, userId, collectionName: current.collectionName, recordId: current.id });
+                current = { ...current, data: { ...current.data, hasImage: true, image } };
+                await putOutboxEntry(current);
+            }
+
+            if (current.analysisKind) {
+                let analysisFields = {};
+                try {
+                    analysisFields = await runQueuedAnalysis(current);
+                } catch (error) {
+                    // Sin conexión se reintenta más tarde; si la IA falla el registro queda como "Análisis pendiente"
+                    if (!navigator.onLine) throw error;
+                    console.error("Error running queued analysis:", error);
+                }
+                current = { ...current, analysisKind: null, data: { ...current.data, ...analysisFields } };
+                await putOutboxEntry(current);
+            }
+
+            // Las palabras de búsqueda se calculan con el análisis ya incluido
+            const tracker = findTrackerByCollection(current.collectionName);
+            const data = tracker ? { ...current.data, searchTokens: buildRecordSearchTokens(tracker, current.data) } : current.data;
+            try {
+                await setDoc(doc(db, `artifacts/${appId}/users/${userId}/${current.collectionName}`, current.id), data);
+            } catch (error) {
+                // Si Firestore rechaza el documento, nada apunta a las imágenes subidas: se borran
+                // y el siguiente intento las vuelve a subir desde imageFile
+                if (current.data.image) {
+                    await deleteStoredImages(storage, current.data.image);
+                    current = { ...current, data: { ...current.data, image: null } };
+                }
+                throw error;
+            }
+            await removeOutboxEntry(current.id);
+        } catch (error) {
+            console.error("Error syncing outbox entry:", error);
+            await putOutboxEntry({ ...current, status: 'error', error: error.message });
+        }
+    }
+};
+
+// Solo una sincronización a la vez; las llamadas concurrentes reciben la misma promesa
+let outboxSyncPromise = null;
+
+const syncOutbox = ({ db, storage, userId }) => {
+    if (!outboxSyncPromise) {
+        outboxSyncPromise = flushOutbox({ db, storage, userId })
+            .catch(error => console.error("Error syncing outbox:", error))
+            .finally(() => { outboxSyncPromise = null; });
+    }
+    return outboxSyncPromise;
+};
+
+// Combina las entradas locales pendientes con los registros de Firestore (las locales primero)
+const mergeOutboxEntries = (records, outboxEntries) => {
+    const localRecords = outboxEntries.map(entry => ({
+        id: entry.id,
+        ...entry.data,
+        timestamp: new Date(entry.data.timestamp),
+        localImage: entry.data.image ? null : entry.imageFile,
+        syncState: entry.status,
+        syncError: entry.error,
+        isLocal: true
+    }));
+    const localIds = new Set(localRecords.map(record => record.id));
+    return [...localRecords, ...records.filter(record => !localIds.has(record.id))]
+        .sort((a, b) => b.timestamp - a.timestamp);
+};
+
+// Hook con el estado de la conexión del navegador
+const useOnlineStatus = () => {
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+    useEffect(() => {
+        const update = () => setIsOnline(navigator.onLine);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+
+    return isOnline;
+};
+
+// Hook con las entradas de la bandeja de salida de un usuario (opcionalmente de una colección)
+const useOutboxEntries = (userId, collectionName) => {
+    const [entries, setEntries] = useState([]);
+
+    useEffect(() => {
+        if (!userId) return;
+
+        let active = true;
+        const load = () => readOutboxEntries()
+            .then(all => {
+                if (!active) return;
+                setEntries(all.filter(entry => entry.userId === userId && (!collectionName || entry.collectionName === collectionName)));
+            })
+            .catch(error => console.error("Error reading outbox:", error));
+
+        load();
+        outboxListeners.add(load);
+        return () => {
+            active = false;
+            outboxListeners.delete(load);
+        };
+    }, [userId, collectionName]);
+
+    return entries;
+};
+
+// Hook que sincroniza la bandeja de salida al iniciar y cada vez que vuelve la conexión
+const useOutboxSync = (db, storage, userId) => {
+    const isOnline = useOnlineStatus();
+    const entries = useOutboxEntries(userId);
+
+    const sync = useCallback(() => {
+        if (!db || !storage || !userId || !navigator.onLine) return Promise.resolve();
+        return syncOutbox({ db, storage, userId });
+    }, [db, storage, userId]);
+
+    useEffect(() => {
+        if (isOnline) sync();
+    }, [isOnline, sync]);
+
+    return { isOnline, pendingCount: entries.length, failedCount: entries.filter(entry => entry.status === 'error').length, sync };
+};
+
+
+// Hook para el mensaje de estado de una pestaña (success, error o info).
+// flashMessage lo borra a los 5 segundos; showMessage lo deja hasta el siguiente mensaje.
+const useStatusMessage = () => {
+    const [message, setMessage] = useState('');
+    const [messageType, setMessageType] = useState('');
+    const clearTimerRef = useRef(null);
+
+    const showMessage = useCallback((type, text) => {
+        clearTimeout(clearTimerRef.current);
+        setMessageType(type);
+        setMessage(text);
+    }, []);
+
+    const flashMessage = useCallback((type, text) => {
+        showMessage(type, text);
+        clearTimerRef.current = setTimeout(() => setMessage(''), 5000);
+    }, [showMessage]);
+
+    const clearMessage = useCallback(() => {
+        clearTimeout(clearTimerRef.current);
+        setMessage('');
+    }, []);
+
+    useEffect(() => () => clearTimeout(clearTimerRef.current), []);
+
+    return { message, messageType, showMessage, flashMessage, clearMessage };
+};
+
+// Documento de Firestore a registro del historial (timestamp como Date y estado de sincronización).
+// Las consultas ordenan por timestamp, así que los documentos sin él no llegan aquí.
+const toHistoryRecord = (recordDoc) => ({
+    id: recordDoc.id,
+    ...recordDoc.data(),
+    timestamp: new Date(recordDoc.data().timestamp),
+    syncState: recordDoc.metadata.hasPendingWrites ? 'syncing' : 'synced'
+});
+
+// Hook que escucha en tiempo real una colección del usuario, ordenada por fecha (más reciente primero).
+// syncState indica si Firestore aún no ha confirmado las escrituras locales de cada documento.
+// La consulta se acota en el servidor: { since } (Date) deja solo los registros desde esa fecha y { max }
+// los 'max' más recientes; cada llamada debe pasar al menos uno para no descargar la colección entera.
+// Con { withImage: true } solo se escuchan los registros con foto (usa el índice hasImage + timestamp).
+const useRecordHistory = (db, userId, isAuthReady, collectionName, onError, { since = null, max = null, withImage = false } = {}) => {
+    const [records, setRecords] = useState([]);
+    const onErrorRef = useRef(onError);
+    onErrorRef.current = onError;
+    // Como clave del efecto: una fecha nueva con el mismo valor no vuelve a suscribir
+    const sinceIso = since ? since.toISOString() : null;
+
+    useEffect(() => {
+        if (!db || !isAuthReady || !userId) return;
+
+        const q = query(
+            collection(db, `artifacts/${appId}/users/${userId}/${collectionName}`),
+            ...(withImage ? [where('hasImage', '==', true)] : []),
+            ...(sinceIso ? [where('timestamp', '>=', sinceIso)] : []),
+            orderBy('timestamp', 'desc'),
+            ...(max ? [limit(max)] : [])
+        );
+
+        // includeMetadataChanges avisa cuando Firestore confirma las escrituras pendientes
+        const unsubscribe = onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+            setRecords(snapshot.docs.map(toHistoryRecord));
+        }, (error) => {
+            console.error(`Error listening to ${collectionName}:`, error);
+            onErrorRef.current?.(error);
+        });
+
+        return () => unsubscribe();
+    }, [db, userId, isAuthReady, collectionName, withImage, sinceIso, max]);
+
+    return records;
+};
+
+// Máximo de documentos que se escuchan en los catálogos del usuario (productos, rutinas, favoritos, plantillas)
+const USER_CATALOG_LIMIT = 200;
+
+const HISTORY_PAGE_SIZE = 20;
+
+// Historial paginado con orden e índices en el servidor (ver firestore.indexes.json).
+// La primera página se escucha con limit(); loadMore pide la siguiente con startAfter() y, desde ese
+// momento, el listener cubre todo lo cargado con endAt(), así las páginas anteriores siguen en tiempo real.
+// La búsqueda consulta la palabra más larga con 'array-contains' y comprueba el resto en el cliente; como
+// ese filtro puede dejar páginas cortas, se siguen pidiendo páginas hasta llenarla o llegar al final.
+// filters: { start, endExclusive (Date | null), withImage, searchTokens }
+const usePaginatedHistory = (db, userId, isAuthReady, collectionName, filters, onError) => {
+    const [records, setRecords] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [isLoadingMore, setIsLoadingMore] = useState(false);
+    const [hasMore, setHasMore] = useState(false);
+    const [page, setPage] = useState({ key: null, cursor: null });
+    const [loadedKey, setLoadedKey] = useState(null); // consulta a la que corresponden records
+    const lastDocRef = useRef(null);
+    const onErrorRef = useRef(onError);
+    onErrorRef.current = onError;
+
+    // Los filtros se reducen a valores simples para que las dependencias de los hooks sean estables
+    const startIso = filters.start?.toISOString() ?? null;
+    const endIso = filters.endExclusive?.toISOString() ?? null;
+    const { withImage } = filters;
+    const searchKey = filters.searchTokens.join(' ');
+    const queryKey = [userId, collectionName, startIso, endIso, withImage, searchKey].join('|');
+    // Al cambiar los filtros se vuelve a la primera página
+    const cursor = page.key === queryKey ? page.cursor : null;
+
+    const buildQuery = useMemo(() => {
+        if (!db || !userId) return null;
+        const historyCollection = collection(db, `artifacts/${appId}/users/${userId}/${collectionName}`);
+        const indexedToken = searchKey.split(' ').sort((a, b) => b.length - a.length)[0];
+        const clauses = [
+            ...(withImage ? [where('hasImage', '==', true)] : []),
+            ...(indexedToken ? [where('searchTokens', 'array-contains', indexedToken)] : []),
+            ...(startIso ? [where('timestamp', '>=', startIso)] : []),
+            ...(endIso ? [where('timestamp', '<', endIso)] : []),
+            orderBy('timestamp', 'desc'),
+        ];
+        return (...constraints) => query(historyCollection, ...clauses, ...constraints);
+    }, [db, userId, collectionName, startIso, endIso, withImage, searchKey]);
+
+    const matchesSearch = useCallback((record) => {
+        const tokens = searchKey ? searchKey.split(' ') : [];
+        return tokens.every(token => record.searchTokens?.includes(token));
+    }, [searchKey]);
+
+    useEffect(() => {
+        if (!buildQuery || !isAuthReady) return;
+        setIsLoading(true);
+
+        const q = cursor ? buildQuery(endAt(cursor)) : buildQuery(limit(HISTORY_PAGE_SIZE));
+        const unsubscribe = onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+            lastDocRef.current = snapshot.docs[snapshot.docs.length - 1] || null;
+            setRecords(snapshot.docs.map(toHistoryRecord).filter(matchesSearch));
+            setLoadedKey(queryKey);
+            if (!cursor) setHasMore(snapshot.size >= HISTORY_PAGE_SIZE);
+            setIsLoading(false);
+        }, (error) => {
+            console.error(`Error listening to ${collectionName}:`, error);
+            setIsLoading(false);
+            onErrorRef.current?.(error);
+        });
+
+        return () => unsubscribe();
+    }, [buildQuery, isAuthReady, cursor, matchesSearch, queryKey, collectionName]);
+
+    // Pide páginas tras el último documento cargado hasta reunir `wanted` registros que pasen la búsqueda
+    const fetchMatching = useCallback(async (wanted) => {
+        if (!buildQuery || !lastDocRef.current || isLoadingMore) return;
+        setIsLoadingMore(true);
+        try {
+            let lastDoc = lastDocRef.current;
+            let matched = 0;
+            let next;
+            do {
+                next = await getDocs(buildQuery(startAfter(lastDoc), limit(HISTORY_PAGE_SIZE)));
+                if (!next.empty) lastDoc = next.docs[next.docs.length - 1];
+                matched += next.docs.filter(recordDoc => matchesSearch(recordDoc.data())).length;
+            } while (next.size >= HISTORY_PAGE_SIZE && matched < wanted);
+            setHasMore(next.size >= HISTORY_PAGE_SIZE);
+            if (lastDoc !== lastDocRef.current) setPage({ key: queryKey, cursor: lastDoc });
+        } catch (error) {
+            console.error(`Error loading more ${collectionName}:`, error);
+            onErrorRef.current?.(error);
+        } finally {
+            setIsLoadingMore(false);
+        }
+    }, [buildQuery, isLoadingMore, matchesSearch, queryKey, collectionName]);
+
+    const loadMore = useCallback(() => fetchMatching(HISTORY_PAGE_SIZE), [fetchMatching]);
+
+    // Si la búsqueda deja corta la primera página y quedan documentos, se completa
+    const isShortFirstPage = loadedKey === queryKey && !cursor && !isLoading && hasMore && records.length < HISTORY_PAGE_SIZE;
+    useEffect(() => {
+        if (isShortFirstPage) fetchMatching(HISTORY_PAGE_SIZE - records.length);
+    }, [isShortFirstPage, fetchMatching, records.length]);
+
+    return { records, isLoading, isLoadingMore, hasMore, loadMore };
+};
+
+// Hook para la imagen elegida en un formulario: el File ya preprocesado (para subirlo) y su data URL
+// (vista previa e IA, con el tipo MIME del formato resultante). onError recibe los fallos del preprocesado.
+const useImageInput = (onError) => {
+    const [image, setImage] = useState(null);
+    const [base64Image, setBase64Image] = useState(null);
+    const [isProcessingImage, setIsProcessingImage] = useState(false);
+    const selectionRef = useRef(0); // si se elige otra imagen mientras se procesa, la anterior se descarta
+    const onErrorRef = useRef(onError);
+    onErrorRef.current = onError;
+
+    const handleImageChange = useCallback(async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const selection = ++selectionRef.current;
+        setIsProcessingImage(true);
+        try {
+            const processed = await preprocessImageFile(file);
+            const dataUrl = await readBlobAsDataUrl(processed);
+            if (selection !== selectionRef.current) return;
+            setImage(processed);
+            setBase64Image(dataUrl);
+        } catch (error) {
+            console.error("Error processing image:", error);
+            if (selection === selectionRef.current) onErrorRef.current?.(error);
+        } finally {
+            if (selection === selectionRef.current) setIsProcessingImage(false);
+        }
+    }, []);
+
+    const resetImage = useCallback(() => {
+        selectionRef.current += 1;
+        setImage(null);
+        setBase64Image(null);
+        setIsProcessingImage(false);
+    }, []);
+
+    return { image, base64Image, isProcessingImage, handleImageChange, resetImage };
+};
+
+// Formato de grabación preferido que admite el navegador ('' deja elegir a MediaRecorder)
+const pickRecordingMimeType = () => AUDIO_RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+// Grabación de una nota de voz con MediaRecorder. onRecorded recibe { blob, url } al terminar;
+// el tipo del Blob es el que usó realmente el grabador. La grabación se corta a los MAX_RECORDING_SECONDS.
+// Solo se ofrece si el proveedor de IA admite audio, porque la nota se transcribe al terminar.
+const useAudioRecorder = (onRecorded) => {
+    const [isRecording, setIsRecording] = useState(false);
+    const [recorderError, setRecorderError] = useState(null);
+    const recorderRef = useRef(null);
+    const onRecordedRef = useRef(onRecorded);
+    onRecordedRef.current = onRecorded;
+
+    const isSupported = !!getAiProvider()?.acceptsAudio && typeof MediaRecorder !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+
+    const stop = useCallback(() => {
+        if (recorderRef.current?.state === 'recording') recorderRef.current.stop();
+    }, []);
+
+    const start = useCallback(async () => {
+        setRecorderError(null);
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            const preferredType = pickRecordingMimeType();
+            const recorder = new MediaRecorder(stream, preferredType ? { mimeType: preferredType } : undefined);
+            const chunks = [];
+            const timeoutId = setTimeout(() => recorder.state === 'recording' && recorder.stop(), MAX_RECORDING_SECONDS * 1000);
+
+            recorder.ondataavailable = (e) => {
+                if (e.data.size > 0) chunks.push(e.data);
+            };
+            recorder.onstop = () => {
+                clearTimeout(timeoutId);
+                stream.getTracks().forEach(track => track.stop());
+                recorderRef.current = null;
+                setIsRecording(false);
+                if (chunks.length === 0) return;
+                // recorder.mimeType puede quedar vacío en algunos navegadores; entonces vale el de los fragmentos
+                const blob = new Blob(chunks, { type: recorder.mimeType || chunks[0].type || preferredType });
+                onRecordedRef.current?.({ blob, url: URL.createObjectURL(blob) });
+            };
+
+            recorder.start();
+            recorderRef.current = recorder;
+            setIsRecording(true);
+        } catch (error) {
+            stream?.getTracks().forEach(track => track.stop());
+            console.error("Error starting audio recording:", error);
+            setRecorderError(error.name === 'NotAllowedError'
+                ? t('voice.permissionDenied')
+                : t('voice.recordError', { message: error.message }));
+        }
+    }, []);
+
+    // Al desmontar se libera el micrófono sin entregar la grabación
+    useEffect(() => () => {
+        const recorder = recorderRef.current;
+        if (recorder?.state === 'recording') {
+            recorder.onstop = null;
+            recorder.stop();
+            recorder.stream.getTracks().forEach(track => track.stop());
+        }
+    }, []);
+
+    return { isSupported, isRecording, recorderError, start, stop };
+};
+
+
+// --- COMPONENTES DE VISTA ---
+
+// Renderiza fragmentos en línea de Markdown como elementos de React
+const renderInlineMarkdown = (nodes) => nodes.map((node, index) => {
+    switch (node.type) {
+        case 'code':
+            return <code key={index} className="px-1 rounded bg-gray-100 text-sm font-mono">{node.text}</code>;
+        case 'strong':
+            return <strong key={index}>{renderInlineMarkdown(node.children)}</strong>;
+        case 'em':
+            return <em key={index}>{renderInlineMarkdown(node.children)}</em>;
+        case 'link':
+            return <a key={index} href={node.href} target="_blank" rel="noopener noreferrer" className="text-indigo-600 underline">{renderInlineMarkdown(node.children)}</a>;
+        default:
+            return <React.Fragment key={index}>{node.text}</React.Fragment>;
+    }
+});
+
+const renderMarkdownList = (list, key) => {
+    const ListTag = list.ordered ? 'ol' : 'ul';
+    return (
+        <ListTag key={key} className={`${list.ordered ? 'list-decimal' : 'list-disc'} pl-5 space-y-1`}>
+            {list.items.map((item, index) => (
+                <li key={index}>
+                    {renderInlineMarkdown(item.children)}
+                    {item.list && renderMarkdownList(item.list, 'sublist')}
+                </li>
+            ))}
+        </ListTag>
+    );
+};
+
+const HEADING_CLASSES = {
+    1: 'text-xl font-bold',
+    2: 'text-lg font-bold',
+    3: 'text-base font-bold',
+};
+
+// Muestra texto Markdown (respuestas de la IA o análisis guardados) sin inyectar HTML
+const MarkdownContent = ({ text, className = '' }) => {
+    const blocks = useMemo(() => parseMarkdown(text), [text]);
+
+    return (
+        <div className={`space-y-2 ${className}`}>
+            {blocks.map((block, index) => {
+                switch (block.type) {
+                    case 'heading': {
+                        const HeadingTag = `h${block.level}`;
+                        return <HeadingTag key={index} className={HEADING_CLASSES[block.level] || 'font-semibold'}>{renderInlineMarkdown(block.children)}</HeadingTag>;
+                    }
+                    case 'list':
+                        return renderMarkdownList(block, index);
+                    case 'table':
+                        return (
+                            <div key={index} className="overflow-x-auto">
+                                <table className="min-w-full text-sm border border-gray-200">
+                                    <thead className="bg-gray-50">
+                                        <tr>
+                                            {block.header.map((cell, cellIndex) => (
+                                                <th key={cellIndex} className="border border-gray-200 px-2 py-1 font-semibold" style={{ textAlign: block.align[cellIndex] || 'left' }}>
+                                                    {renderInlineMarkdown(cell)}
+                                                </th>
+                                            ))}
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {block.rows.map((row, rowIndex) => (
+                                            <tr key={rowIndex}>
+                                                {row.map((cell, cellIndex) => (
+                                                    <td key={cellIndex} className="border border-gray-200 px-2 py-1" style={{ textAlign: block.align[cellIndex] || 'left' }}>
+                                                        {renderInlineMarkdown(cell)}
+                                                    </td>
+                                                ))}
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        );
+                    case 'code':
+                        return <pre key={index} className="p-3 rounded-lg bg-gray-100 overflow-x-auto text-sm"><code>{block.text}</code></pre>;
+                    case 'hr':
+                        return <hr key={index} className="border-gray-200" />;
+                    default:
+                        return (
+                            <p key={index}>
+                                {block.lines.map((line, lineIndex) => (
+                                    <React.Fragment key={lineIndex}>
+                                        {lineIndex > 0 && <br />}
+                                        {renderInlineMarkdown(line)}
+                                    </React.Fragment>
+                                ))}
+                            </p>
+                        );
+                }
+            })}
+        </div>
+    );
+};
+
+// Visor a pantalla completa de la imagen original guardada en Storage
+const ImageLightbox = ({ storage, image, alt, onClose }) => {
+    const { url, error } = useStorageUrl(storage, image.path);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4" onClick={onClose} role="dialog" aria-modal="true" aria-label={alt}>
+            <button onClick={onClose} className="absolute top-4 right-4 text-white text-3xl leading-none" aria-label={t('common.close')}>&times;</button>
+            {error ? (
+                <p className="text-white">{t('images.loadError', { message: error })}</p>
+            ) : url ? (
+                <img
+                    src={url}
+                    alt={alt}
+                    width={image.width}
+                    height={image.height}
+                    className="max-h-full max-w-full object-contain rounded-lg"
+                    onClick={(e) => e.stopPropagation()}
+                />
+            ) : (
+                <svg className="animate-spin h-8 w-8 text-white" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>
+            )}
+        </div>
+    );
+};
+
+// Miniatura de una imagen guardada; al pulsarla abre el visor con la imagen original
+const StoredImageThumbnail = ({ storage, image, alt }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const { url, error } = useStorageUrl(storage, image.thumbnailPath);
+    const closeLightbox = useCallback(() => setIsOpen(false), []);
+
+    return (
+        <>
+            <button
+                onClick={() => setIsOpen(true)}
+                className="block w-24 h-24 flex-shrink-0 rounded-lg overflow-hidden border border-gray-200 bg-gray-100 hover:opacity-90 transition duration-150"
+                aria-label={t('images.enlarge', { alt })}
+            >
+                {url ? (
+                    <img src={url} alt={alt} width={image.thumbnailWidth} height={image.thumbnailHeight} className="w-full h-full object-cover" loading="lazy" />
+                ) : (
+                    <span className="flex items-center justify-center w-full h-full text-xs text-gray-400">{error ? t('images.noImage') : t('common.loading')}</span>
+                )}
+            </button>
+            {isOpen && <ImageLightbox storage={storage} image={image} alt={alt} onClose={closeLightbox} />}
+        </>
+    );
+};
+
+// Miniatura de una imagen que aún no se ha subido a Storage
+const LocalImageThumbnail = ({ file, alt }) => {
+    const [url, setUrl] = useState(null);
+
+    useEffect(() => {
+        const objectUrl = URL.createObjectURL(file);
+        setUrl(objectUrl);
+        return () => URL.revokeObjectURL(objectUrl);
+    }, [file]);
+
+    return (
+        <div className="w-24 h-24 flex-shrink-0 rounded-lg overflow-hidden border border-gray-200 bg-gray-100">
+            {url && <img src={url} alt={alt} className="w-full h-full object-cover" />}
+        </div>
+    );
+};
+
+// Estado de sincronización de una tarjeta del historial (el texto es sync.<estado> del catálogo)
+const SYNC_STATE_CLASSES = {
+    pending: 'bg-amber-100 text-amber-800',
+    syncing: 'bg-blue-100 text-blue-800',
+    error: 'bg-red-100 text-red-800',
+    synced: 'bg-green-100 text-green-800',
+};
+
+const SyncStatusBadge = ({ state = 'synced', error }) => {
+    const knownState = SYNC_STATE_CLASSES[state] ? state : 'synced';
+    return (
+        <span className={`ml-2 px-2 py-0.5 text-xs font-semibold rounded-full ${SYNC_STATE_CLASSES[knownState]}`} title={error || undefined}>
+            {t(`sync.${knownState}`)}
+        </span>
+    );
+};
+
+// Mensaje de estado de una pestaña; infoClass da el color de los mensajes informativos
+const MessageDisplay = ({ msg, type, infoClass = 'bg-blue-100 text-blue-700 border-blue-400' }) => {
+    if (!msg) return null;
+    const colorClass = type === 'success' ? 'bg-green-100 text-green-700 border-green-400'
+                     : type === 'error' ? 'bg-red-100 text-red-700 border-red-400'
+                     : infoClass;
+    return (
+        <div className={`p-3 rounded-lg border-l-4 font-medium mb-4 ${colorClass}`}>
+            {msg}
+        </div>
+    );
+};
+
+// Botón para cancelar una generación de la IA en curso
+const CancelGenerationButton = ({ onCancel }) => (
+    <button
+        onClick={onCancel}
+        className="px-6 py-3 text-base font-medium rounded-full text-gray-700 hover:bg-gray-100 transition duration-150"
+    >
+        {t('common.cancel')}
+    </button>
+);
+
+// Acciones de una tarjeta del historial: editar, re-analizar y eliminar
+const HistoryCardActions = ({ onEdit, onReanalyze, onDelete, disabled, isReanalyzing, accentClass = 'text-indigo-700 hover:bg-indigo-50' }) => {
+    const buttonClass = `px-2 py-1 text-xs font-medium rounded-lg transition duration-150 disabled:opacity-50 ${accentClass}`;
+    return (
+        <div className="flex space-x-1">
+            <button onClick={onEdit} disabled={disabled} className={buttonClass}>{t('common.edit')}</button>
+            <button onClick={onReanalyze} disabled={disabled} className={buttonClass}>
+                {isReanalyzing ? t('history.reanalyzing') : t('history.reanalyze')}
+            </button>
+            <button onClick={onDelete} disabled={disabled} className="px-2 py-1 text-xs font-medium rounded-lg text-red-600 hover:bg-red-50 transition duration-150 disabled:opacity-50">
+                {t('common.delete')}
+            </button>
+        </div>
+    );
+};
+
+// Versiones anteriores del análisis de un registro (subcolección 'revisions'), cargadas al desplegar
+const RevisionHistory = ({ db, recordPath, count }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [revisions, setRevisions] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!isOpen || !db) return;
+
+        const q = query(collection(db, `${recordPath}/revisions`), orderBy('archivedAt', 'desc'));
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setRevisions(snapshot.docs.map(revision => ({ id: revision.id, ...revision.data() })));
+        }, (err) => {
+            console.error("Error listening to revisions:", err);
+            setError(err.message);
+        });
+
+        return () => unsubscribe();
+    }, [isOpen, db, recordPath]);
+
+    if (!count) return null;
+
+    return (
+        <div className="mt-2">
+            <button onClick={() => setIsOpen(prev => !prev)} className="text-xs font-medium text-gray-600 hover:underline">
+                {isOpen ? t('revisions.hide') : t('revisions.show', { count })}
+            </button>
+            {isOpen && (
+                <div className="mt-2 space-y-2">
+                    {error && <p className="text-xs text-red-600">{t('revisions.loadError', { message: error })}</p>}
+                    {!revisions && !error && <p className="text-xs text-gray-500">{t('common.loading')}</p>}
+                    {revisions?.map(revision => (
+                        <div key={revision.id} className="p-2 bg-gray-50 border border-gray-200 rounded-lg text-xs text-gray-700">
+                            <p className="text-gray-500 mb-1">
+                                {t('revisions.analyzedAt', { date: formatDateTime(new Date(revision.analyzedAt)) })}
+                            </p>
+                            {revision.nutrition && (
+                                <div className="mb-1">
+                                    <NutritionBreakdown nutrition={revision.nutrition} compact />
+                                </div>
+                            )}
+                            <MarkdownContent text={displayAnalysis(revision.analysis)} className="prose prose-sm max-w-none" />
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Aviso flotante para deshacer los borrados pendientes
+const UndoDeleteToast = ({ pendingDeletes, onUndo, describe }) => {
+    if (pendingDeletes.length === 0) return null;
+    return (
+        <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 space-y-2">
+            {pendingDeletes.map(entry => (
+                <div key={entry.id} className="flex items-center space-x-4 px-4 py-3 rounded-lg shadow-lg bg-gray-900 text-white text-sm">
+                    <span>{t('history.deleted', { description: describe(entry) })}</span>
+                    <button onClick={() => onUndo(entry.id)} className="font-semibold text-yellow-300 hover:underline">{t('history.undo')}</button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// Final de una lista paginada: carga la siguiente página al hacerse visible (scroll infinito)
+// y deja el botón como alternativa si IntersectionObserver no está disponible
+const LoadMoreSentinel = ({ hasMore, isLoading, onLoadMore, accentClass = 'text-indigo-700 hover:bg-indigo-50' }) => {
+    const sentinelRef = useRef(null);
+
+    useEffect(() => {
+        const node = sentinelRef.current;
+        if (!node || !hasMore || isLoading || typeof IntersectionObserver === 'undefined') return;
+        const observer = new IntersectionObserver(([entry]) => {
+            if (entry.isIntersecting) onLoadMore();
+        }, { rootMargin: '200px' });
+        observer.observe(node);
+        return () => observer.disconnect();
+    }, [hasMore, isLoading, onLoadMore]);
+
+    if (!hasMore) return null;
+    return (
+        <div ref={sentinelRef} className="flex justify-center pt-2">
+            <button
+                onClick={onLoadMore}
+                disabled={isLoading}
+                className={`px-4 py-2 text-sm font-medium rounded-full disabled:opacity-50 ${accentClass}`}
+            >
+                {isLoading ? t('common.loading') : t('history.loadMore')}
+            </button>
+        </div>
+    );
+};
+
+// Desglose de nutrientes de un análisis estructurado.
+// En modo compacto solo muestra los totales como etiquetas (para las tarjetas del historial).
+const NutritionBreakdown = ({ nutrition, compact = false }) => {
+    if (!nutrition) return null;
+
+    const formatValue = (value, unit) => value === null || value === undefined ? '—' : `${Math.round(value)} ${unit}`;
+    const totalsChips = (
+        <div className="flex flex-wrap gap-2">
+            {NUTRIENT_FIELDS.map(({ key, label, unit }) => (
+                <span key={key} className="px-2 py-0.5 text-xs font-semibold rounded-full bg-indigo-100 text-indigo-800">
+                    {label}: {formatValue(nutrition.totals?.[key], unit)}
+                </span>
+            ))}
+        </div>
+    );
+
+    if (compact) return totalsChips;
+
+    return (
+        <div className="space-y-3">
+            {totalsChips}
+            <div className="overflow-x-auto">
+                <table className="min-w-full text-sm text-left text-gray-700">
+                    <thead>
+                        <tr className="border-b border-indigo-200 text-indigo-700">
+                            <th className="py-1 pr-3 font-medium">{t('nutrition.food')}</th>
+                            <th className="py-1 pr-3 font-medium">{t('nutrition.portion')}</th>
+                            {NUTRIENT_FIELDS.map(({ key, label }) => (
+                                <th key={key} className="py-1 pr-3 font-medium">{label}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {nutrition.items.map((item, index) => (
+                            <tr key={index} className="border-b border-indigo-100">
+                                <td className="py-1 pr-3">{item.name}</td>
+                                <td className="py-1 pr-3">{item.portion || '—'}</td>
+                                {NUTRIENT_FIELDS.map(({ key, unit }) => (
+                                    <td key={key} className="py-1 pr-3 whitespace-nowrap">{formatValue(item[key], unit)}</td>
+                                ))}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {nutrition.confidence !== null && (
+                <p className="text-xs text-gray-500">{t('nutrition.confidence', { percent: Math.round(nutrition.confidence * 100) })}</p>
+            )}
+        </div>
+    );
+};
+
+// Puntuaciones de la piel de un análisis estructurado, como barras de 0 a SKIN_SCORE_MAX.
+// En modo compacto solo muestra los valores como etiquetas (para las tarjetas del historial).
+const SkinScoreBars = ({ scores, compact = false }) => {
+    if (!scores) return null;
+
+    const formatScore = (value) => (value === null || value === undefined ? '—' : `${value}/${SKIN_SCORE_MAX}`);
+
+    if (compact) {
+        return (
+            <div className="flex flex-wrap gap-2">
+                {SKIN_SCORE_FIELDS.map(({ key, label }) => (
+                    <span key={key} className="px-2 py-0.5 text-xs font-semibold rounded-full bg-pink-100 text-pink-800">
+                        {label}: {formatScore(scores[key])}
+                    </span>
+                ))}
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-3">
+            <h4 className="text-sm font-semibold text-pink-800">{t('skinScores.title')}</h4>
+            <div className="grid sm:grid-cols-2 gap-3">
+                {SKIN_SCORE_FIELDS.map(({ key, label, color }) => (
+                    <div key={key}>
+                        <div className="flex justify-between text-sm text-gray-700 mb-1">
+                            <span className="font-medium">{label}</span>
+                            <span>{formatScore(scores[key])}</span>
+                        </div>
+                        <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+                            <div className="h-2 rounded-full" style={{ width: `${((scores[key] || 0) / SKIN_SCORE_MAX) * 100}%`, backgroundColor: color }} />
+                        </div>
+                        <p className="mt-1 text-xs text-gray-500">{t(`skinScores.scales.${key}`)}</p>
+                    </div>
+                ))}
+            </div>
+            {scores.confidence !== null && scores.confidence !== undefined && (
+                <p className="text-xs text-gray-500">{t('skinScores.confidence', { percent: Math.round(scores.confidence * 100) })}</p>
+            )}
+        </div>
+    );
+};
+
+// Imagen guardada en Storage, sin visor (para la comparación y la línea de tiempo)
+const StoredImage = ({ storage, path, alt, className }) => {
+    const { url, error } = useStorageUrl(storage, path);
+    if (!url) {
+        return (
+            <div className={`flex items-center justify-center bg-gray-100 text-xs text-gray-400 ${className}`}>
+                {error ? t('images.noImage') : t('common.loading')}
+            </div>
+        );
+    }
+    return <img src={url} alt={alt} className={className} />;
+};
+
+const COMPARISON_MAX_ENTRIES = 200; // entradas con foto más recientes que ofrece la comparación
+
+// Comparación de progreso del diario de piel: línea de tiempo, vista lado a lado o con deslizador,
+// y análisis comparativo de la IA de las dos entradas elegidas.
+const SkinComparison = ({ db, storage, userId, isAuthReady }) => {
+    const { runGeneration, cancel, isLoading, aiResponse, setAiResponse } = useAiGenerator();
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [viewMode, setViewMode] = useState('side'); // side, slider
+    const [sliderPosition, setSliderPosition] = useState(50);
+    const [errorMessage, setErrorMessage] = useState('');
+    const [loadError, setLoadError] = useState('');
+
+    // Las entradas con foto más recientes, no solo las páginas y filtros del historial de debajo
+    const handleLoadError = useCallback((error) => setLoadError(t('history.loadError', { message: error.message })), []);
+    const entries = useRecordHistory(db, userId, isAuthReady, 'skin_journal', handleLoadError, { withImage: true, max: COMPARISON_MAX_ENTRIES });
+
+    // Línea de tiempo en orden cronológico, solo con entradas que tienen imagen guardada
+    const timeline = useMemo(
+        () => entries.filter(entry => getImageReference(entry)).sort((a, b) => a.timestamp - b.timestamp),
+        [entries]
+    );
+    const [before, after] = selectedIds
+        .map(id => timeline.find(entry => entry.id === id))
+        .filter(Boolean)
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+    // Se conservan como máximo las dos últimas entradas seleccionadas
+    const toggleSelection = (id) => {
+        setSelectedIds(prev => prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id].slice(-2));
+        setAiResponse(null);
+        setErrorMessage('');
+    };
+
+    const analyzeComparison = async () => {
+        if (!before || !after) return;
+        setErrorMessage('');
+
+        let images;
+        try {
+            images = await Promise.all([before, after].map(entry => fetchStorageImageAsDataUrl(storage, getImageReference(entry))));
+        } catch (error) {
+            console.error("Error loading comparison images:", error);
+            setErrorMessage(t('comparison.imagesError', { message: error.message }));
+            return;
+        }
+
+        const describeEntry = (labelKey, entry) => t('prompts.comparisonEntry', {
+            label: t(labelKey),
+            date: formatDateTime(entry.timestamp),
+            notes: entry.notes || t('coachContext.noNotes'),
+            analysis: displayAnalysis(entry.analysis || PENDING_ANALYSIS),
+        });
+
+        const prompt = t('prompts.comparison', {
+            before: describeEntry('prompts.comparisonBefore', before),
+            after: describeEntry('prompts.comparisonAfter', after),
+        });
+        const systemInstruction = t('prompts.comparisonSystem');
+
+        await runGeneration({ prompt, base64Images: images, systemInstruction });
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-pink-100 space-y-6">
+            <h2 className="text-2xl font-bold text-pink-800 flex items-center">
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2" /></svg>
+                {t('comparison.title')}
+            </h2>
+
+            {loadError && (
+                <div className="p-3 rounded-lg border-l-4 font-medium bg-red-100 text-red-700 border-red-400">{loadError}</div>
+            )}
+
+            {/* Línea de tiempo */}
+            {timeline.length === 0 ? (
+                <p className="text-gray-500 italic">{t('comparison.empty')}</p>
+            ) : (
+                <div>
+                    <p className="text-sm text-gray-600 mb-2">{t('comparison.selectHint')}</p>
+                    <div className="flex space-x-3 overflow-x-auto pb-2">
+                        {timeline.map(entry => {
+                            const isSelected = selectedIds.includes(entry.id);
+                            return (
+                                <button
+                                    key={entry.id}
+                                    onClick={() => toggleSelection(entry.id)}
+                                    className={`flex-shrink-0 w-24 rounded-lg overflow-hidden border-2 transition duration-150 
+                                        ${isSelected ? 'border-pink-600 shadow-lg' : 'border-transparent hover:border-pink-200'}`}
+                                    aria-pressed={isSelected}
+                                >
+                                    <StoredImage storage={storage} path={entry.image.thumbnailPath || getImageReference(entry)} alt={entry.notes || t('comparison.skinPhoto')} className="w-24 h-24 object-cover" />
+                                    <span className="block text-xs text-gray-600 py-1">
+                                        {formatDate(entry.timestamp, { day: 'numeric', month: 'short' })}
+                                    </span>
+                                </button>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
+            {/* Comparación */}
+            {before && after ? (
+                <div className="space-y-4">
+                    <div className="flex justify-between items-center">
+                        <p className="text-sm text-gray-700">
+                            {formatDateTime(before.timestamp)} → {formatDateTime(after.timestamp)}
+                        </p>
+                        <div className="flex space-x-2">
+                            {['side', 'slider'].map(mode => (
+                                <button
+                                    key={mode}
+                                    onClick={() => setViewMode(mode)}
+                                    className={`py-1 px-3 rounded-lg text-sm font-medium transition duration-150 
+                                        ${viewMode === mode 
+                                            ? 'bg-pink-600 text-white shadow' 
+                                            : 'text-pink-700 hover:bg-pink-50'}`
+                                    }
+                                >
+                                    {t(`comparison.modes.${mode}`)}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    {viewMode === 'side' ? (
+                        <div className="grid grid-cols-2 gap-4">
+                            {[[t('comparison.before'), before], [t('comparison.after'), after]].map(([label, entry]) => (
+                                <figure key={entry.id}>
+                                    <StoredImage storage={storage} path={getImageReference(entry)} alt={`${label}: ${entry.notes || t('comparison.skinPhoto')}`} className="w-full h-64 object-cover rounded-lg" />
+                                    <figcaption className="mt-1 text-xs text-gray-600">{label} · {formatDateTime(entry.timestamp)}</figcaption>
+                                </figure>
+                            ))}
+                        </div>
+                    ) : (
+                        <div>
+                            <div className="relative w-full h-80 rounded-lg overflow-hidden bg-gray-100">
+                                <StoredImage storage={storage} path={getImageReference(after)} alt={t('comparison.after')} className="absolute inset-0 w-full h-full object-cover" />
+                                <div className="absolute inset-0" style={{ clipPath: `inset(0 ${100 - sliderPosition}% 0 0)` }}>
+                                    <StoredImage storage={storage} path={getImageReference(before)} alt={t('comparison.before')} className="w-full h-full object-cover" />
+                                </div>
+                                <div className="absolute inset-y-0 w-0.5 bg-white shadow" style={{ left: `${sliderPosition}%` }} />
+                                <span className="absolute top-2 left-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-white/80 text-gray-800">{t('comparison.before')}</span>
+                                <span className="absolute top-2 right-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-white/80 text-gray-800">{t('comparison.after')}</span>
+                            </div>
+                            <input
+                                type="range"
+                                min="0"
+                                max="100"
+                                value={sliderPosition}
+                                onChange={(e) => setSliderPosition(Number(e.target.value))}
+                                className="w-full mt-2 accent-pink-600"
+                                aria-label={t('comparison.sliderLabel')}
+                            />
+                        </div>
+                    )}
+
+                    <div className="flex justify-end">
+                        <button
+                            onClick={analyzeComparison}
+                            disabled={isLoading}
+                            className="flex items-center justify-center px-6 py-3 border border-transparent text-base font-medium rounded-full shadow-md text-white bg-pink-600 hover:bg-pink-700 disabled:opacity-50 transition duration-150 transform hover:scale-[1.02]"
+                        >
+                            {isLoading && (
+                                <svg className="animate-spin h-5 w-5 mr-3 text-white" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>
+                            )}
+                            {isLoading ? t('comparison.comparing') : t('comparison.compare')}
+                        </button>
+                        {isLoading && <CancelGenerationButton onCancel={cancel} />}
+                    </div>
+
+                    {errorMessage && (
+                        <div className="p-3 rounded-lg border-l-4 font-medium bg-red-100 text-red-700 border-red-400">{errorMessage}</div>
+                    )}
+
+                    {aiResponse && (
+                        <div className="bg-pink-50 p-6 rounded-xl shadow-inner border border-pink-200">
+                            <h3 className="text-xl font-bold text-pink-700 mb-4">{t('comparison.resultTitle')}</h3>
+                            <MarkdownContent text={aiResponse} className="prose max-w-none text-gray-700 leading-relaxed" />
+                            <p className="mt-4 text-xs text-red-500 italic">
+                                <strong>{t('common.warning')}</strong> {t('skin.disclaimer')}
+                            </p>
+                        </div>
+                    )}
+                </div>
+            ) : timeline.length > 0 && (
+                <p className="text-sm text-gray-500 italic">
+                    {timeline.length < 2 ? t('comparison.needTwo') : t('comparison.pickTwo')}
+                </p>
+            )}
+        </div>
+    );
+};
+
+// --- CÓDIGOS DE BARRAS Y BASE DE DATOS DE ALIMENTOS (OFFLINE) ---
+
+// Los productos envasados se buscan en una base local: public/food-db.json (un subconjunto de
+// Open Food Facts generado con scripts/build-food-db.js) se importa a IndexedDB la primera vez
+// y cada vez que cambia su versión. Forma de un producto:
+//   { code, name, brand, servingSize: gramos de una ración | null, per100g: { kcal, protein_g, ... } }
+const FOOD_DB_URL = '/food-db.json';
+const FOOD_DB_NAME = 'health-tracker-foods';
+const FOOD_PRODUCTS_STORE = 'products';
+const FOOD_META_STORE = 'meta';
+const BARCODE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+const BARCODE_SCAN_INTERVAL_MS = 250;
+
+const openFoodDb = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(FOOD_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(FOOD_PRODUCTS_STORE, { keyPath: 'code' });
+        request.result.createObjectStore(FOOD_META_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Igual que runOutboxRequest, pero la operación recibe la transacción (puede tocar varios almacenes)
+const runFoodDbTransaction = async (storeNames, mode, operation) => {
+    const database = await openFoodDb();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(storeNames, mode);
+        const request = operation(transaction);
+        transaction.oncomplete = () => {
+            database.close();
+            resolve(request?.result);
+        };
+        transaction.onerror = () => {
+            database.close();
+            reject(transaction.error);
+        };
+    });
+};
+
+// Importa public/food-db.json si su versión no coincide con la ya importada.
+// Sin archivo (o sin conexión) se sigue con lo que haya en IndexedDB.
+let foodDbLoadPromise = null;
+const ensureFoodDbLoaded = () => {
+    if (!foodDbLoadPromise) {
+        foodDbLoadPromise = (async () => {
+            const loadedVersion = await runFoodDbTransaction(FOOD_META_STORE, 'readonly', transaction => transaction.objectStore(FOOD_META_STORE).get('version'));
+            let bundle;
+            try {
+                const response = await fetch(FOOD_DB_URL, { cache: 'no-cache' });
+                if (!response.ok) return;
+                bundle = await response.json();
+            } catch (error) {
+                console.warn("Food database not available:", error);
+                return;
+            }
+            if (!Array.isArray(bundle?.products) || bundle.version === loadedVersion) return;
+
+            await runFoodDbTransaction([FOOD_PRODUCTS_STORE, FOOD_META_STORE], 'readwrite', transaction => {
+                const products = transaction.objectStore(FOOD_PRODUCTS_STORE);
+                products.clear();
+                bundle.products.forEach(product => products.put(product));
+                return transaction.objectStore(FOOD_META_STORE).put(bundle.version, 'version');
+            });
+        })().catch(error => {
+            // Se permite reintentar en la próxima búsqueda
+            foodDbLoadPromise = null;
+            throw error;
+        });
+    }
+    return foodDbLoadPromise;
+};
+
+// Variantes equivalentes de un código: UPC-A (12 dígitos) es un EAN-13 con un 0 delante
+const getBarcodeCandidates = (code) => {
+    const digits = String(code || '').replace(/\D/g, '');
+    if (!digits) return [];
+    return [...new Set([digits, digits.padStart(13, '0'), digits.replace(/^0(?=\d{12}$)/, '')])];
+};
+
+// Busca un producto por código de barras; devuelve null si no está en la base local
+const findFoodProduct = async (code) => {
+    await ensureFoodDbLoaded();
+    for (const candidate of getBarcodeCandidates(code)) {
+        const product = await runFoodDbTransaction(FOOD_PRODUCTS_STORE, 'readonly', transaction => transaction.objectStore(FOOD_PRODUCTS_STORE).get(candidate));
+        if (product) return product;
+    }
+    return null;
+};
+
+const describeFoodProduct = (product) => [product.name, product.brand].filter(Boolean).join(' · ') || t('barcode.productFallback', { code: product.code });
+
+// Campos de análisis de un producto para la cantidad indicada (en gramos), con la misma forma
+// que los del análisis de la IA. Son datos de etiqueta, así que no llevan confianza.
+const buildProductAnalysisFields = (product, grams) => {
+    const factor = grams / 100;
+    const item = {
+        name: describeFoodProduct(product),
+        portion: `${grams} g`,
+        ...Object.fromEntries(NUTRIENT_KEYS.map(key => {
+            const per100g = product.per100g?.[key];
+            return [key, typeof per100g === 'number' ? Math.round(per100g * factor * 10) / 10 : null];
+        })),
+        confidence: null,
+    };
+    const summaryLines = NUTRIENT_FIELDS
+        .filter(({ key }) => item[key] !== null)
+        .map(({ key, label, unit }) => `- ${label}: ${Math.round(item[key])} ${unit}`);
+
+    return {
+        analysis: [t('barcode.analysisHeader', { name: item.name, grams }), '', ...summaryLines].join('\n'),
+        analysisStatus: NUTRIENT_KEYS.every(key => item[key] !== null) ? 'complete' : 'partial',
+        nutrition: { items: [item], totals: Object.fromEntries(NUTRIENT_KEYS.map(key => [key, item[key]])), confidence: null },
+        nutritionSource: 'barcode',
+        barcode: product.code,
+    };
+};
+
+const isBarcodeDetectorSupported = async () => {
+    if (!('BarcodeDetector' in window)) return false;
+    const formats = await window.BarcodeDetector.getSupportedFormats();
+    return formats.some(format => BARCODE_FORMATS.includes(format));
+};
+
+// Lector de códigos con la cámara trasera. Usa BarcodeDetector si el navegador lo tiene y, si no,
+// el decodificador de @zxing/browser (se carga solo cuando hace falta). También admite escribir el código.
+const BarcodeScanner = ({ onDetected, onClose }) => {
+    const videoRef = useRef(null);
+    const [cameraError, setCameraError] = useState(null);
+    const [manualCode, setManualCode] = useState('');
+    const onDetectedRef = useRef(onDetected);
+    onDetectedRef.current = onDetected;
+
+    useEffect(() => {
+        let isStopped = false;
+        let stream = null;
+        let zxingControls = null;
+        let timeoutId = null;
+
+        const detected = (code) => {
+            if (isStopped) return;
+            isStopped = true;
+            onDetectedRef.current(code);
+        };
+
+        const startCamera = async () => {
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+                if (isStopped) {
+                    stream.getTracks().forEach(track => track.stop());
+                    return;
+                }
+                const video = videoRef.current;
+
+                if (await isBarcodeDetectorSupported()) {
+                    video.srcObject = stream;
+                    await video.play();
+                    const detector = new window.BarcodeDetector({ formats: BARCODE_FORMATS });
+                    const scanFrame = async () => {
+                        if (isStopped) return;
+                        try {
+                            const [barcode] = await detector.detect(video);
+                            if (barcode) {
+                                detected(barcode.rawValue);
+                                return;
+                            }
+                        } catch (error) {
+                            console.warn("Barcode detection failed on frame:", error);
+                        }
+                        timeoutId = setTimeout(scanFrame, BARCODE_SCAN_INTERVAL_MS);
+                    };
+                    scanFrame();
+                } else {
+                    const { BrowserMultiFormatReader } = await import('@zxing/browser');
+                    if (isStopped) return;
+                    zxingControls = await new BrowserMultiFormatReader().decodeFromStream(stream, video, (result) => {
+                        if (result) detected(result.getText());
+                    });
+                }
+            } catch (error) {
+                console.error("Error starting barcode scanner:", error);
+                setCameraError(error.name === 'NotAllowedError'
+                    ? t('barcode.cameraDenied')
+                    : t('barcode.cameraError'));
+            }
+        };
+        startCamera();
+
+        return () => {
+            isStopped = true;
+            clearTimeout(timeoutId);
+            zxingControls?.stop();
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, []);
+
+    const submitManualCode = (e) => {
+        e.preventDefault();
+        if (getBarcodeCandidates(manualCode).length > 0) onDetected(manualCode.trim());
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4" role="dialog" aria-modal="true" aria-label={t('barcode.scanTitle')}>
+            <div className="w-full max-w-md bg-white rounded-xl shadow-xl p-4 space-y-4">
+                <div className="flex justify-between items-center">
+                    <h2 className="text-lg font-bold text-gray-900">{t('barcode.scanTitle')}</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-2xl leading-none" aria-label={t('common.close')}>&times;</button>
+                </div>
+                {cameraError ? (
+                    <p className="p-3 rounded-lg bg-amber-50 text-sm text-amber-800">{cameraError}</p>
+                ) : (
+                    <video ref={videoRef} muted playsInline className="w-full aspect-video rounded-lg bg-black object-cover" />
+                )}
+                <form onSubmit={submitManualCode} className="flex space-x-2">
+                    <input
+                        type="text"
+                        inputMode="numeric"
+                        value={manualCode}
+                        onChange={(e) => setManualCode(e.target.value)}
+                        placeholder={t('barcode.manualPlaceholder')}
+                        className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <button type="submit" className="px-4 py-2 rounded-lg font-medium text-white bg-indigo-600 hover:bg-indigo-700">{t('common.search')}</button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// Modo de escaneo del formulario de comidas. Si el producto está en la base local se elige la
+// cantidad y se aplican sus datos de etiqueta; si no, se avisa para analizarlo con la IA.
+const BarcodeProductPicker = ({ onApply, onUnknown, disabled }) => {
+    const [isScanning, setIsScanning] = useState(false);
+    const [isSearching, setIsSearching] = useState(false);
+    const [product, setProduct] = useState(null);
+    const [grams, setGrams] = useState('');
+    const [lookupError, setLookupError] = useState(null);
+
+    const handleDetected = async (code) => {
+        setIsScanning(false);
+        setIsSearching(true);
+        setLookupError(null);
+        try {
+            const found = await findFoodProduct(code);
+            if (!found) {
+                setProduct(null);
+                onUnknown(code);
+                return;
+            }
+            setProduct(found);
+            setGrams(String(found.servingSize || 100));
+        } catch (error) {
+            console.error("Error looking up barcode:", error);
+            setLookupError(t('barcode.lookupError', { message: error.message }));
+        } finally {
+            setIsSearching(false);
+        }
+    };
+
+    const parsedGrams = parseFloat(grams);
+    const isValidQuantity = Number.isFinite(parsedGrams) && parsedGrams > 0;
+
+    const applyProduct = () => {
+        const quantity = Math.round(parsedGrams * 10) / 10;
+        onApply(buildProductAnalysisFields(product, quantity), `${describeFoodProduct(product)} (${quantity} g)`);
+        setProduct(null);
+    };
+
+    return (
+        <div className="mt-4 space-y-3">
+            <button
+                type="button"
+                onClick={() => setIsScanning(true)}
+                disabled={disabled || isSearching}
+                className="flex items-center px-4 py-2 rounded-full text-sm font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100 disabled:opacity-50"
+            >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6v12M7 6v12M10 6v12M14 6v12M17 6v12M20 6v12" /></svg>
+                {isSearching ? t('barcode.searching') : t('barcode.scanProduct')}
+            </button>
+            {lookupError && <p className="text-sm text-red-600">{lookupError}</p>}
+
+            {product && (
+                <div className="p-4 rounded-lg border border-indigo-200 bg-indigo-50 space-y-3">
+                    <div>
+                        <p className="font-semibold text-gray-900">{describeFoodProduct(product)}</p>
+                        <p className="text-xs text-gray-600">
+                            {t('barcode.code', { code: product.code })} · {typeof product.per100g?.kcal === 'number' ? t('barcode.kcalPer100g', { kcal: Math.round(product.per100g.kcal) }) : t('barcode.noKcal')}
+                        </p>
+                    </div>
+                    <div className="flex flex-wrap items-center gap-2">
+                        <label className="text-sm text-gray-700">
+                            {t('barcode.quantity')}
+                            <input
+                                type="number"
+                                min="1"
+                                step="any"
+                                value={grams}
+                                onChange={(e) => setGrams(e.target.value)}
+                                className="ml-2 w-24 p-1 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                            />
+                        </label>
+                        {product.servingSize && (
+                            <button type="button" onClick={() => setGrams(String(product.servingSize))} className="px-2 py-1 rounded-lg text-xs font-medium text-indigo-700 hover:bg-indigo-100">
+                                {t('barcode.serving', { grams: product.servingSize })}
+                            </button>
+                        )}
+                        <button type="button" onClick={() => setGrams('100')} className="px-2 py-1 rounded-lg text-xs font-medium text-indigo-700 hover:bg-indigo-100">100 g</button>
+                    </div>
+                    <div className="flex space-x-2">
+                        <button type="button" onClick={applyProduct} disabled={!isValidQuantity} className="px-4 py-2 rounded-lg font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50">{t('barcode.useData')}</button>
+                        <button type="button" onClick={() => setProduct(null)} className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100">{t('common.cancel')}</button>
+                    </div>
+                </div>
+            )}
+
+            {isScanning && <BarcodeScanner onDetected={handleDetected} onClose={() => setIsScanning(false)} />}
+        </div>
+    );
+};
+
+// --- PRODUCTOS Y RUTINAS DE CUIDADO DE LA PIEL ---
+
+// Rutinas de cuidado. El id es también el del documento de la rutina en 'skin_routines'.
+const SKIN_ROUTINES = withLocalizedLabels('skincare.routines', [{ id: 'am' }, { id: 'pm' }]);
+// La rutina de noche se propone desde esta hora hasta las 5 de la mañana
+const SKIN_PM_ROUTINE_HOUR = 15;
+// Días antes de la caducidad desde los que se avisa de que un producto caduca pronto
+const SKIN_PRODUCT_EXPIRY_WARNING_DAYS = 30;
+// Máximo de productos de una rutina o de una entrada del diario (las reglas de Firestore lo comprueban)
+const SKIN_MAX_PRODUCTS = 30;
+
+const suggestSkinRoutine = (date) => (date.getHours() >= SKIN_PM_ROUTINE_HOUR || date.getHours() < 5 ? 'pm' : 'am');
+
+// Sin rutina, los productos de la entrada los eligió el usuario uno a uno
+const getSkinRoutineLabel = (id) => SKIN_ROUTINES.find(routine => routine.id === id)?.label || t('skincare.manualSelection');
+
+// Activos que se vigilan al combinar productos. Cada clave es el comienzo de una palabra (sin tildes,
+// en INCI/inglés y en español); un espacio final obliga a que la palabra termine ahí.
+// Se buscan en el nombre del producto y en su lista de ingredientes.
+const ACTIVE_INGREDIENT_GROUPS = {
+    retinoid: ['retin', 'tretinoin', 'adapal', 'tazaroten'],
+    aha: ['aha ', 'glycolic', 'glicolic', 'lactic', 'mandelic', 'malic acid', 'acido malico', 'tartaric'],
+    bha: ['bha ', 'salicyl', 'salicil'],
+    benzoylPeroxide: ['benzoyl peroxide', 'peroxido de benzoilo'],
+    vitaminC: ['ascorbic acid', 'acido ascorbico', 'l ascorbic', 'vitamin c ', 'vitamina c '],
+};
+
+// Pares de activos que no conviene usar en la misma rutina; el aviso está en skincare.conflicts.<id>
+const INGREDIENT_CONFLICTS = [
+    { id: 'retinoidAha', groups: ['retinoid', 'aha'] },
+    { id: 'retinoidBha', groups: ['retinoid', 'bha'] },
+    { id: 'retinoidBenzoylPeroxide', groups: ['retinoid', 'benzoylPeroxide'] },
+    { id: 'vitaminCBenzoylPeroxide', groups: ['vitaminC', 'benzoylPeroxide'] },
+    { id: 'vitaminCRetinoid', groups: ['vitaminC', 'retinoid'] },
+];
+
+const findActiveIngredientGroups = (product) => {
+    const text = ` ${normalizeSearchText([product.name, ...(product.ingredients || [])].join(' '))} `;
+    return Object.keys(ACTIVE_INGREDIENT_GROUPS)
+        .filter(group => ACTIVE_INGREDIENT_GROUPS[group].some(keyword => text.includes(` ${keyword}`)));
+};
+
+// Incompatibilidades entre los productos de una rutina: [{ id, message, products: [nombres] }].
+// Solo cuentan los activos de productos distintos: uno que ya los combina está formulado para ello.
+const findIngredientConflicts = (products) => {
+    const productGroups = products.map(product => ({ product, groups: findActiveIngredientGroups(product) }));
+    return INGREDIENT_CONFLICTS.flatMap(conflict => {
+        const [first, second] = conflict.groups.map(group => productGroups.filter(entry => entry.groups.includes(group)).map(entry => entry.product));
+        const pairs = first.flatMap(product => second.filter(other => other.id !== product.id).map(other => [product, other]));
+        if (pairs.length === 0) return [];
+        return [{
+            id: conflict.id,
+            message: t(`skincare.conflicts.${conflict.id}`),
+            products: [...new Set(pairs.flat().map(product => product.name))],
+        }];
+    });
+};
+
+// 'expired', 'soon' o null según la fecha de caducidad ('YYYY-MM-DD') del producto
+const getProductExpiryStatus = (product, now = new Date()) => {
+    if (!product.expiresAt) return null;
+    if (product.expiresAt < toLocalDayKey(now)) return 'expired';
+    const warningDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + SKIN_PRODUCT_EXPIRY_WARNING_DAYS);
+    return product.expiresAt <= toLocalDayKey(warningDay) ? 'soon' : null;
+};
+
+// Lista de ingredientes tal como la escribe el usuario ('Aqua, Glycerin, Retinol') sin vacíos ni repetidos
+const parseIngredientList = (text) => [...new Set(text.split(/[,;\n]/).map(item => item.trim()).filter(Boolean))];
+
+// Copia del producto que se guarda en cada entrada del diario: sigue legible aunque el producto se borre,
+// y el análisis (también el que queda en cola o el re-análisis) no necesita el catálogo
+const toProductSnapshot = (product) => ({
+    id: product.id,
+    name: product.name,
+    brand: product.brand || null,
+    ingredients: product.ingredients || [],
+});
+
+const ProductExpiryBadge = ({ product }) => {
+    const status = getProductExpiryStatus(product);
+    if (!status) return null;
+    return (
+        <span className={`ml-1 px-1.5 py-0.5 rounded-full text-xs font-semibold ${status === 'expired' ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-800'}`}>
+            {status === 'expired' ? t('skincare.expired') : t('skincare.expiresSoon')}
+        </span>
+    );
+};
+
+const IngredientConflicts = ({ conflicts }) => {
+    if (conflicts.length === 0) return null;
+    return (
+        <div className="mt-2 p-2 rounded-lg bg-amber-50 border border-amber-200 text-xs text-amber-800" role="status">
+            <p className="font-semibold">⚠ {t('skincare.conflictsTitle')}</p>
+            <ul className="list-disc ml-4">
+                {conflicts.map(conflict => (
+                    <li key={conflict.id}>{t('skincare.conflictProducts', { products: conflict.products.join(' + '), message: conflict.message })}</li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+const EMPTY_PRODUCT_FORM = { name: '', brand: '', ingredients: '', openedAt: '', expiresAt: '' };
+
+// Productos ('skin_products') y rutinas de mañana y noche ('skin_routines') del usuario, en el formulario
+// del diario de piel. Marca los productos usados en la entrada (extraFields.products, con extraFields.routine
+// si salen de una rutina) y permite gestionar el catálogo y las rutinas.
+//   producto: { name, brand, ingredients: [texto], openedAt, expiresAt ('YYYY-MM-DD' o null), timestamp }
+//   rutina: { productIds: [id en orden de uso], timestamp }, en el documento 'am' o 'pm'
+const SkinProductsPanel = ({ db, userId, isAuthReady, extraFields, setExtraFields, flashMessage, disabled }) => {
+    const productsPath = `artifacts/${appId}/users/${userId}/skin_products`;
+    const routinesPath = `artifacts/${appId}/users/${userId}/skin_routines`;
+    const handleError = (error) => flashMessage('error', t('skincare.loadError', { message: error.message }));
+    const products = useRecordHistory(db, userId, isAuthReady, 'skin_products', handleError, { max: USER_CATALOG_LIMIT });
+    const routines = useRecordHistory(db, userId, isAuthReady, 'skin_routines', handleError, { max: SKIN_ROUTINES.length });
+
+    const [isOpen, setIsOpen] = useState(false);
+    const [productForm, setProductForm] = useState(EMPTY_PRODUCT_FORM);
+    const [isSavingProduct, setIsSavingProduct] = useState(false);
+
+    const productsById = useMemo(() => Object.fromEntries(products.map(product => [product.id, product])), [products]);
+    // Productos de cada rutina en su orden, sin los que se hayan borrado del catálogo
+    const routineProducts = useMemo(() => Object.fromEntries(SKIN_ROUTINES.map(({ id }) => [
+        id,
+        (routines.find(routine => routine.id === id)?.productIds || []).map(productId => productsById[productId]).filter(Boolean),
+    ])), [routines, productsById]);
+
+    const selectedProducts = extraFields.products || [];
+
+    const applyRoutine = useCallback((routineId) => setExtraFields(prev => ({
+        ...prev,
+        products: routineProducts[routineId].map(toProductSnapshot),
+        routine: routineId,
+    })), [routineProducts, setExtraFields]);
+
+    // Mientras el usuario no elija productos se propone la rutina que toca por la hora
+    const suggestedRoutine = suggestSkinRoutine(new Date());
+    useEffect(() => {
+        if (extraFields.products === undefined && routineProducts[suggestedRoutine].length > 0) applyRoutine(suggestedRoutine);
+    }, [extraFields.products, routineProducts, suggestedRoutine, applyRoutine]);
+
+    const toggleProduct = (product) => setExtraFields(prev => {
+        const current = prev.products || [];
+        const next = current.some(item => item.id === product.id)
+            ? current.filter(item => item.id !== product.id)
+            : [...current, toProductSnapshot(product)].slice(0, SKIN_MAX_PRODUCTS);
+        return { ...prev, products: next, routine: null };
+    });
+
+    const saveProduct = async () => {
+        const name = productForm.name.trim();
+        if (!name) {
+            flashMessage('error', t('skincare.productNameRequired'));
+            return;
+        }
+        setIsSavingProduct(true);
+        try {
+            await addDoc(collection(db, productsPath), {
+                name,
+                brand: productForm.brand.trim() || null,
+                ingredients: parseIngredientList(productForm.ingredients),
+                openedAt: productForm.openedAt || null,
+                expiresAt: productForm.expiresAt || null,
+                timestamp: new Date().toISOString()
+            });
+            setProductForm(EMPTY_PRODUCT_FORM);
+            flashMessage('success', t('skincare.productSaved', { name }));
+        } catch (error) {
+            console.error("Error saving skin product:", error);
+            flashMessage('error', t('skincare.productSaveError', { message: error.message }));
+        } finally {
+            setIsSavingProduct(false);
+        }
+    };
+
+    // Las rutinas que lo incluían lo ignoran al leerlas, así que no hace falta tocarlas
+    const removeProduct = async (product) => {
+        try {
+            await deleteDoc(doc(db, productsPath, product.id));
+        } catch (error) {
+            console.error("Error deleting skin product:", error);
+            flashMessage('error', t('common.deleteError', { message: error.message }));
+        }
+    };
+
+    const toggleRoutineProduct = async (routineId, productId) => {
+        const current = routineProducts[routineId].map(product => product.id);
+        const productIds = current.includes(productId) ? current.filter(id => id !== productId) : [...current, productId].slice(0, SKIN_MAX_PRODUCTS);
+        try {
+            await setDoc(doc(db, routinesPath, routineId), { productIds, timestamp: new Date().toISOString() });
+        } catch (error) {
+            console.error("Error saving skin routine:", error);
+            flashMessage('error', t('skincare.routineSaveError', { message: error.message }));
+        }
+    };
+
+    const updateProductForm = (changes) => setProductForm(prev => ({ ...prev, ...changes }));
+
+    const inputClass = 'p-1 border border-gray-300 rounded-lg text-sm focus:ring-pink-500 focus:border-pink-500';
+    const smallButton = 'px-2 py-1 text-xs font-medium rounded-lg text-pink-700 hover:bg-pink-50 disabled:opacity-50';
+
+    return (
+        <div className="mt-4 border-t border-pink-100 pt-4 space-y-4">
+            <div>
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    <span className="text-sm font-medium text-gray-700">
+                        {t('skincare.usedProducts')}
+                        {selectedProducts.length > 0 && <span className="ml-1 text-xs font-normal text-gray-500">· {getSkinRoutineLabel(extraFields.routine)}</span>}
+                    </span>
+                    <span className="flex gap-1">
+                        {SKIN_ROUTINES.map(routine => (
+                            <button
+                                key={routine.id}
+                                type="button"
+                                onClick={() => applyRoutine(routine.id)}
+                                disabled={disabled || routineProducts[routine.id].length === 0}
+                                className={smallButton}
+                            >
+                                {t('skincare.applyRoutine', { routine: routine.label.toLowerCase() })}
+                            </button>
+                        ))}
+                    </span>
+                </div>
+                {products.length === 0 ? (
+                    <p className="text-sm text-gray-500 italic">{t('skincare.noProducts')}</p>
+                ) : (
+                    <div className="flex flex-wrap gap-2">
+                        {products.map(product => {
+                            const isSelected = selectedProducts.some(item => item.id === product.id);
+                            return (
+                                <label
+                                    key={product.id}
+                                    className={`flex items-center px-3 py-1 rounded-full border text-sm cursor-pointer ${isSelected ? 'bg-pink-100 border-pink-300 text-pink-800' : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'}`}
+                                >
+                                    <input type="checkbox" checked={isSelected} onChange={() => toggleProduct(product)} disabled={disabled} className="mr-1.5" />
+                                    {product.name}
+                                    <ProductExpiryBadge product={product} />
+                                </label>
+                            );
+                        })}
+                    </div>
+                )}
+                <IngredientConflicts conflicts={findIngredientConflicts(selectedProducts)} />
+            </div>
+
+            <button
+                type="button"
+                onClick={() => setIsOpen(prev => !prev)}
+                className="px-4 py-2 rounded-full text-sm font-medium text-pink-700 bg-pink-50 hover:bg-pink-100"
+                aria-expanded={isOpen}
+            >
+                🧴 {t('skincare.toggle', { count: products.length })}
+            </button>
+
+            {isOpen && (
+                <div className="grid md:grid-cols-2 gap-6">
+                    <div>
+                        <h3 className="text-sm font-semibold text-gray-800 mb-2">{t('skincare.products')}</h3>
+                        {products.length === 0 ? (
+                            <p className="text-sm text-gray-500 italic">{t('skincare.productsEmpty')}</p>
+                        ) : (
+                            <ul className="space-y-2">
+                                {products.map(product => (
+                                    <li key={product.id} className="flex items-start justify-between gap-2 text-sm">
+                                        <span className="min-w-0">
+                                            <span className="font-medium">{product.name}</span>
+                                            {product.brand && <span className="ml-1 text-gray-500">· {product.brand}</span>}
+                                            {product.openedAt && <span className="ml-1 text-xs text-gray-500">· {t('skincare.opened', { date: formatDate(parseLocalDateTime(product.openedAt)) })}</span>}
+                                            <ProductExpiryBadge product={product} />
+                                            {product.ingredients?.length > 0 && <span className="block text-xs text-gray-500 truncate">{product.ingredients.join(', ')}</span>}
+                                        </span>
+                                        <button type="button" onClick={() => removeProduct(product)} className="px-2 py-1 text-xs rounded-lg text-red-600 hover:bg-red-50" aria-label={t('skincare.remove', { name: product.name })}>&times;</button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+
+                        <div className="mt-3 p-3 rounded-lg bg-gray-50 border border-gray-200 grid grid-cols-2 gap-2 text-sm">
+                            <label className="col-span-2 sm:col-span-1">
+                                <span className="block text-xs text-gray-600">{t('skincare.name')}</span>
+                                <input value={productForm.name} onChange={(e) => updateProductForm({ name: e.target.value })} className={`w-full ${inputClass}`} />
+                            </label>
+                            <label className="col-span-2 sm:col-span-1">
+                                <span className="block text-xs text-gray-600">{t('skincare.brand')}</span>
+                                <input value={productForm.brand} onChange={(e) => updateProductForm({ brand: e.target.value })} className={`w-full ${inputClass}`} />
+                            </label>
+                            <label className="col-span-2">
+                                <span className="block text-xs text-gray-600">{t('skincare.ingredients')}</span>
+                                <textarea rows="2" value={productForm.ingredients} onChange={(e) => updateProductForm({ ingredients: e.target.value })} className={`w-full ${inputClass}`} />
+                            </label>
+                            <label>
+                                <span className="block text-xs text-gray-600">{t('skincare.openedAt')}</span>
+                                <input type="date" value={productForm.openedAt} onChange={(e) => updateProductForm({ openedAt: e.target.value })} className={`w-full ${inputClass}`} />
+                            </label>
+                            <label>
+                                <span className="block text-xs text-gray-600">{t('skincare.expiresAt')}</span>
+                                <input type="date" value={productForm.expiresAt} onChange={(e) => updateProductForm({ expiresAt: e.target.value })} className={`w-full ${inputClass}`} />
+                            </label>
+                            <div className="col-span-2 flex justify-end">
+                                <button type="button" onClick={saveProduct} disabled={isSavingProduct} className={smallButton}>+ {t('skincare.addProduct')}</button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="space-y-4">
+                        {SKIN_ROUTINES.map(routine => (
+                            <div key={routine.id}>
+                                <h3 className="text-sm font-semibold text-gray-800 mb-2">{routine.label}</h3>
+                                {products.length === 0 ? (
+                                    <p className="text-sm text-gray-500 italic">{t('skincare.routineEmpty')}</p>
+                                ) : (
+                                    <ul className="space-y-1">
+                                        {products.map(product => (
+                                            <li key={product.id}>
+                                                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={routineProducts[routine.id].some(item => item.id === product.id)}
+                                                        onChange={() => toggleRoutineProduct(routine.id, product.id)}
+                                                    />
+                                                    <span>{product.name}</span>
+                                                </label>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                                <IngredientConflicts conflicts={findIngredientConflicts(routineProducts[routine.id])} />
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// --- TRACKERS CON ANÁLISIS DE IA (comidas y diario de piel) ---
+
+// Clases de Tailwind de cada tracker (escritas completas para que Tailwind las detecte)
+const TRACKER_THEMES = {
+    indigo: {
+        title: 'text-indigo-800', border: 'border-indigo-100', input: 'focus:ring-indigo-500 focus:border-indigo-500',
+        fileInput: 'file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100',
+        analyzeButton: 'bg-indigo-600 hover:bg-indigo-700', saveButton: 'bg-green-500 hover:bg-green-600',
+        panel: 'bg-indigo-50 border-indigo-200', panelTitle: 'text-indigo-700', panelDivider: 'border-indigo-200',
+        badge: 'bg-indigo-100 text-indigo-800', accentText: 'text-indigo-600',
+        action: 'text-indigo-700 hover:bg-indigo-50', confirmButton: 'bg-indigo-600 hover:bg-indigo-700',
+        info: 'bg-blue-100 text-blue-700 border-blue-400',
+    },
+    pink: {
+        title: 'text-pink-800', border: 'border-pink-100', input: 'focus:ring-pink-500 focus:border-pink-500',
+        fileInput: 'file:bg-pink-50 file:text-pink-700 hover:file:bg-pink-100',
+        analyzeButton: 'bg-pink-600 hover:bg-pink-700', saveButton: 'bg-purple-500 hover:bg-purple-600',
+        panel: 'bg-pink-50 border-pink-200', panelTitle: 'text-pink-700', panelDivider: 'border-pink-200',
+        badge: 'bg-pink-100 text-pink-800', accentText: 'text-pink-600',
+        action: 'text-pink-700 hover:bg-pink-50', confirmButton: 'bg-pink-600 hover:bg-pink-700',
+        info: 'bg-pink-100 text-pink-700 border-pink-400',
+    },
+};
+
+// Tipos de comida. defaultTime es la hora con la que una plantilla coloca la comida por defecto.
+const MEAL_TYPES = withLocalizedLabels('mealTypes', [
+    { id: 'breakfast', defaultTime: '08:00' },
+    { id: 'lunch', defaultTime: '14:00' },
+    { id: 'dinner', defaultTime: '21:00' },
+    { id: 'snack', defaultTime: '17:30' },
+]);
+// Franjas horarias [desde, hasta) con las que se propone el tipo; fuera de ellas se propone tentempié
+const MEAL_TYPE_HOURS = { breakfast: [5, 11], lunch: [12, 16], dinner: [19, 23] };
+
+const suggestMealType = (date) => {
+    const hour = date.getHours();
+    return Object.keys(MEAL_TYPE_HOURS).find(id => hour >= MEAL_TYPE_HOURS[id][0] && hour < MEAL_TYPE_HOURS[id][1]) || 'snack';
+};
+
+const getMealTypeLabel = (id) => MEAL_TYPES.find(type => type.id === id)?.label || id;
+
+// Favoritos de una plantilla que ya están registrados con ella el día 'YYYY-MM-DD' (en Firestore o aún en
+// la bandeja de salida). Se consulta el día entero, no lo que muestre el historial con sus páginas y filtros.
+const findTemplateLoggedFavorites = async (db, userId, templateId, day) => {
+    const start = parseLocalDateTime(day);
+    if (!start) return new Set();
+    const endExclusive = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+    const [records, outboxEntries] = await Promise.all([
+        fetchRecordsInRange(db, userId, 'nutrition_history', start, endExclusive),
+        readOutboxEntries(),
+    ]);
+    const queued = outboxEntries
+        .filter(entry => entry.userId === userId && entry.collectionName === 'nutrition_history')
+        .map(entry => ({ ...entry.data, timestamp: new Date(entry.data.timestamp) }))
+        .filter(record => toLocalDayKey(record.timestamp) === day);
+    return new Set([...records, ...queued].filter(record => record.templateId === templateId).map(record => record.favoriteId));
+};
+
+// Favoritos ('meal_favorites') y plantillas de comidas recurrentes ('meal_templates') del usuario.
+// Un favorito guarda la descripción y el análisis de una comida para registrarla de nuevo sin llamar
+// a la IA; una plantilla es una lista de favoritos con tipo y hora que rellena un día completo.
+//   favorito: { name, description, mealType, analysisFields: { analysis, analysisStatus, nutrition, ... }, timestamp }
+//   plantilla: { name, items: [{ favoriteId, mealType, time: 'HH:mm' }], timestamp }
+const MealLibrary = ({ db, storage, userId, isAuthReady, currentFields, currentText, applyFields, flashMessage, disabled }) => {
+    const favoritesPath = `artifacts/${appId}/users/${userId}/meal_favorites`;
+    const templatesPath = `artifacts/${appId}/users/${userId}/meal_templates`;
+    const handleError = (error) => flashMessage('error', t('library.loadError', { message: error.message }));
+    const favorites = useRecordHistory(db, userId, isAuthReady, 'meal_favorites', handleError, { max: USER_CATALOG_LIMIT });
+    const templates = useRecordHistory(db, userId, isAuthReady, 'meal_templates', handleError, { max: USER_CATALOG_LIMIT });
+
+    const [isOpen, setIsOpen] = useState(false);
+    const [favoriteName, setFavoriteName] = useState(null); // null mientras no se guarda un favorito
+    const [templateDraft, setTemplateDraft] = useState(null); // { name, items } de la plantilla en edición
+    const [templateDates, setTemplateDates] = useState({}); // día elegido para aplicar cada plantilla
+    const [busyId, setBusyId] = useState(null);
+
+    const favoritesById = useMemo(() => Object.fromEntries(favorites.map(favorite => [favorite.id, favorite])), [favorites]);
+    const canSaveFavorite = !!currentFields && !!currentText.trim() && currentFields.analysisStatus !== 'unstructured';
+
+    const saveFavorite = async () => {
+        const name = favoriteName.trim() || currentText.trim().slice(0, 60);
+        setBusyId('favorite');
+        try {
+            // Solo los campos del análisis: el formulario no conoce aún el tipo definitivo
+            const analysisFields = Object.fromEntries(Object.entries(currentFields).filter(([, value]) => value !== undefined));
+            await addDoc(collection(db, favoritesPath), {
+                name,
+                description: currentText.trim(),
+                mealType: suggestMealType(new Date()),
+                analysisFields,
+                timestamp: new Date().toISOString()
+            });
+            setFavoriteName(null);
+            flashMessage('success', t('library.favoriteSaved', { name }));
+        } catch (error) {
+            console.error("Error saving favorite:", error);
+            flashMessage('error', t('library.favoriteSaveError', { message: error.message }));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const removeDocument = async (path, id) => {
+        try {
+            await deleteDoc(doc(db, path, id));
+        } catch (error) {
+            console.error("Error deleting meal library item:", error);
+            flashMessage('error', t('common.deleteError', { message: error.message }));
+        }
+    };
+
+    const saveTemplate = async () => {
+        const items = templateDraft.items.filter(item => favoritesById[item.favoriteId]);
+        if (!templateDraft.name.trim() || items.length === 0) {
+            flashMessage('error', t('library.templateInvalid'));
+            return;
+        }
+        setBusyId('template');
+        try {
+            await addDoc(collection(db, templatesPath), { name: templateDraft.name.trim(), items, timestamp: new Date().toISOString() });
+            setTemplateDraft(null);
+        } catch (error) {
+            console.error("Error saving template:", error);
+            flashMessage('error', t('library.templateSaveError', { message: error.message }));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    // Registra las comidas de la plantilla en el día elegido con el análisis guardado de cada favorito.
+    // Se omiten las que ya se registraron con esta plantilla ese día y las de favoritos eliminados.
+    const applyTemplate = async (template) => {
+        const day = templateDates[template.id] || toLocalDayKey(new Date());
+        setBusyId(template.id);
+        let added = 0;
+        let skipped = 0;
+        try {
+            const loggedFavoriteIds = await findTemplateLoggedFavorites(db, userId, template.id, day);
+            for (const item of template.items) {
+                const favorite = favoritesById[item.favoriteId];
+                const timestamp = parseLocalDateTime(`${day}T${item.time}`);
+                if (!favorite || !timestamp || loggedFavoriteIds.has(item.favoriteId)) {
+                    skipped += 1;
+                    continue;
+                }
+
+                const recordRef = doc(collection(db, `artifacts/${appId}/users/${userId}/nutrition_history`));
+                await enqueueOutboxEntry({
+                    id: recordRef.id,
+                    userId,
+                    collectionName: 'nutrition_history',
+                    data: {
+                        description: favorite.description,
+                        mealType: item.mealType,
+                        ...favorite.analysisFields,
+                        favoriteId: favorite.id,
+                        templateId: template.id,
+                        timestamp: timestamp.toISOString(),
+                        hasImage: false,
+                        image: null
+                    }
+                });
+                added += 1;
+            }
+            if (added > 0 && navigator.onLine) syncOutbox({ db, storage, userId });
+            flashMessage(added > 0 ? 'success' : 'info', t('library.templateApplied', {
+                name: template.name,
+                count: added,
+                date: formatDate(parseLocalDateTime(`${day}T12:00`)),
+                skipped: skipped ? t('library.templateSkipped', { count: skipped }) : '',
+            }));
+        } catch (error) {
+            console.error("Error applying template:", error);
+            flashMessage('error', t('library.templateApplyError', { message: error.message }));
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const updateDraftItem = (index, changes) => setTemplateDraft(prev => ({
+        ...prev,
+        items: prev.items.map((item, itemIndex) => (itemIndex === index ? { ...item, ...changes } : item)),
+    }));
+
+    const addDraftItem = () => {
+        const favorite = favorites[0];
+        const mealType = favorite?.mealType || 'breakfast';
+        setTemplateDraft(prev => ({
+            ...prev,
+            items: [...prev.items, { favoriteId: favorite?.id || '', mealType, time: MEAL_TYPES.find(type => type.id === mealType).defaultTime }],
+        }));
+    };
+
+    const inputClass = 'p-1 border border-gray-300 rounded-lg text-sm focus:ring-indigo-500 focus:border-indigo-500';
+    const smallButton = 'px-2 py-1 text-xs font-medium rounded-lg text-indigo-700 hover:bg-indigo-50 disabled:opacity-50';
+
+    return (
+        <div className="mt-4 border-t border-indigo-100 pt-4 space-y-4">
+            <div className="flex flex-wrap items-center gap-2">
+                <button
+                    type="button"
+                    onClick={() => setIsOpen(prev => !prev)}
+                    className="px-4 py-2 rounded-full text-sm font-medium text-indigo-700 bg-indigo-50 hover:bg-indigo-100"
+                    aria-expanded={isOpen}
+                >
+                    ★ {t('library.toggle', { count: favorites.length })}
+                </button>
+                {canSaveFavorite && favoriteName === null && (
+                    <button type="button" onClick={() => setFavoriteName(currentText.trim().slice(0, 60))} disabled={disabled} className={smallButton}>
+                        {t('library.saveFavorite')}
+                    </button>
+                )}
+                {favoriteName !== null && (
+                    <div className="flex items-center space-x-2">
+                        <input value={favoriteName} onChange={(e) => setFavoriteName(e.target.value)} className={inputClass} aria-label={t('library.favoriteName')} />
+                        <button type="button" onClick={saveFavorite} disabled={busyId === 'favorite'} className={smallButton}>{t('common.save')}</button>
+                        <button type="button" onClick={() => setFavoriteName(null)} className="px-2 py-1 text-xs rounded-lg text-gray-600 hover:bg-gray-100">{t('common.cancel')}</button>
+                    </div>
+                )}
+            </div>
+
+            {isOpen && (
+                <div className="grid md:grid-cols-2 gap-6">
+                    <div>
+                        <h3 className="text-sm font-semibold text-gray-800 mb-2">{t('library.favorites')}</h3>
+                        {favorites.length === 0 ? (
+                            <p className="text-sm text-gray-500 italic">{t('library.favoritesEmpty')}</p>
+                        ) : (
+                            <ul className="space-y-1">
+                                {favorites.map(favorite => (
+                                    <li key={favorite.id} className="flex items-center justify-between gap-2 text-sm">
+                                        <span className="truncate">
+                                            {favorite.name}
+                                            <span className="ml-1 text-xs text-gray-500">
+                                                · {getMealTypeLabel(favorite.mealType)}
+                                                {typeof favorite.analysisFields?.nutrition?.totals?.kcal === 'number' && ` · ${Math.round(favorite.analysisFields.nutrition.totals.kcal)} kcal`}
+                                            </span>
+                                        </span>
+                                        <span className="flex shrink-0">
+                                            <button
+                                                type="button"
+                                                onClick={() => applyFields({ ...favorite.analysisFields, favoriteId: favorite.id }, favorite.description)}
+                                                disabled={disabled}
+                                                className={smallButton}
+                                            >
+                                                {t('library.use')}
+                                            </button>
+                                            <button type="button" onClick={() => removeDocument(favoritesPath, favorite.id)} className="px-2 py-1 text-xs rounded-lg text-red-600 hover:bg-red-50" aria-label={t('library.remove', { name: favorite.name })}>&times;</button>
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+
+                    <div>
+                        <h3 className="text-sm font-semibold text-gray-800 mb-2">{t('library.templates')}</h3>
+                        <ul className="space-y-2">
+                            {templates.map(template => (
+                                <li key={template.id} className="text-sm space-y-1">
+                                    <div className="flex items-center justify-between gap-2">
+                                        <span className="truncate font-medium">{template.name} <span className="text-xs text-gray-500">({t('library.mealCount', { count: template.items.length })})</span></span>
+                                        <button type="button" onClick={() => removeDocument(templatesPath, template.id)} className="px-2 py-1 text-xs rounded-lg text-red-600 hover:bg-red-50" aria-label={t('library.remove', { name: template.name })}>&times;</button>
+                                    </div>
+                                    <div className="flex items-center space-x-2">
+                                        <input
+                                            type="date"
+                                            value={templateDates[template.id] || toLocalDayKey(new Date())}
+                                            onChange={(e) => setTemplateDates(prev => ({ ...prev, [template.id]: e.target.value }))}
+                                            className={inputClass}
+                                            aria-label={t('library.templateDay', { name: template.name })}
+                                        />
+                                        <button type="button" onClick={() => applyTemplate(template)} disabled={busyId !== null} className={smallButton}>
+                                            {busyId === template.id ? t('library.applying') : t('library.apply')}
+                                        </button>
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+
+                        {templateDraft ? (
+                            <div className="mt-3 p-3 rounded-lg bg-gray-50 border border-gray-200 space-y-2">
+                                <input
+                                    value={templateDraft.name}
+                                    onChange={(e) => setTemplateDraft(prev => ({ ...prev, name: e.target.value }))}
+                                    placeholder={t('library.templateNamePlaceholder')}
+                                    className={`w-full ${inputClass}`}
+                                />
+                                {templateDraft.items.map((item, index) => (
+                                    <div key={index} className="flex flex-wrap items-center gap-1">
+                                        <select value={item.favoriteId} onChange={(e) => updateDraftItem(index, { favoriteId: e.target.value })} className={`flex-1 min-w-0 ${inputClass}`} aria-label={t('library.favorite')}>
+                                            {favorites.map(favorite => <option key={favorite.id} value={favorite.id}>{favorite.name}</option>)}
+                                        </select>
+                                        <select
+                                            value={item.mealType}
+                                            onChange={(e) => updateDraftItem(index, { mealType: e.target.value, time: MEAL_TYPES.find(type => type.id === e.target.value).defaultTime })}
+                                            className={inputClass}
+                                            aria-label={t('mealTypes.label')}
+                                        >
+                                            {MEAL_TYPES.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+                                        </select>
+                                        <input type="time" value={item.time} onChange={(e) => updateDraftItem(index, { time: e.target.value })} className={inputClass} aria-label={t('library.time')} />
+                                        <button
+                                            type="button"
+                                            onClick={() => setTemplateDraft(prev => ({ ...prev, items: prev.items.filter((_, itemIndex) => itemIndex !== index) }))}
+                                            className="px-2 py-1 text-xs rounded-lg text-red-600 hover:bg-red-50"
+                                            aria-label={t('library.removeMeal')}
+                                        >
+                                            &times;
+                                        </button>
+                                    </div>
+                                ))}
+                                <div className="flex justify-between">
+                                    <button type="button" onClick={addDraftItem} disabled={favorites.length === 0} className={smallButton}>+ {t('library.addMeal')}</button>
+                                    <span className="space-x-1">
+                                        <button type="button" onClick={() => setTemplateDraft(null)} className="px-2 py-1 text-xs rounded-lg text-gray-600 hover:bg-gray-100">{t('common.cancel')}</button>
+                                        <button type="button" onClick={saveTemplate} disabled={busyId === 'template'} className={smallButton}>{t('library.saveTemplate')}</button>
+                                    </span>
+                                </div>
+                            </div>
+                        ) : (
+                            <button
+                                type="button"
+                                onClick={() => setTemplateDraft({ name: '', items: [] })}
+                                disabled={favorites.length === 0}
+                                className={`mt-2 ${smallButton}`}
+                            >
+                                + {t('library.newTemplate')}
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Definición de un tracker con análisis de IA:
+//   id              clave del tracker (también la usa la bandeja de salida para el análisis en cola)
+//   collectionName  colección bajo artifacts/{appId}/users/{userId}/
+//   textField       campo de texto libre del registro (clave en Firestore y textos del formulario)
+//   searchFields    campos cuyas palabras se guardan en 'searchTokens' para buscar en el historial
+//   imageField      foto del registro; 'first' la muestra en la columna izquierda del formulario
+//   validate        { analysis, save, reanalysis }: devuelven un mensaje de error o null
+//   analysis        buildRequest(texto, registro) → parámetros de streamAiText (registro son los campos que se
+//                   guardan con la entrada, como los extraFields del formulario); parse(respuesta) → campos a guardar;
+//                   pendingFields se guardan cuando el análisis queda en cola
+//   categoryField   (opcional) clasificación del registro: { key, label, options: [{ id, label }], suggest(fecha) → id };
+//                   se propone según la hora, se puede cambiar en el formulario y en cada tarjeta y agrupa el historial
+//   render*         fragmentos propios del tracker (detalles del análisis, de la tarjeta y antes del historial,
+//                   que recibe { db, storage, userId, isAuthReady } y hace sus propias consultas);
+//                   renderFormTools añade herramientas al formulario que pueden aportar el análisis sin IA
+//                   (applyFields) o campos propios del registro (extraFields / setExtraFields)
+const MEAL_TRACKER = {
+    id: 'meal',
+    collectionName: 'nutrition_history',
+    theme: TRACKER_THEMES.indigo,
+    icons: {
+        form: 'M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z',
+        analyze: 'M9.75 17L12 20.25l2.25-3.25m-4.5 0H16.5M21 12a9 9 0 11-18 0 9 9 0 0118 0z',
+        analysis: 'M5 4a1 1 0 011-1h8a1 1 0 011 1v12a1 1 0 01-1 1H6a1 1 0 01-1-1V4zm4 11a1 1 0 102 0 1 1 0 00-2 0z',
+        history: 'M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z',
+    },
+    labels: localizedSection('trackers.meal.labels'),
+    textField: localizedSection('trackers.meal.textField', { key: 'description' }),
+    searchFields: ['description', 'analysis'],
+    categoryField: localizedSection('trackers.meal.categoryField', {
+        key: 'mealType',
+        options: MEAL_TYPES,
+        suggest: suggestMealType,
+    }),
+    imageField: localizedSection('trackers.meal.imageField', { first: false }),
+    validate: {
+        analysis: ({ text, hasImage }) => (!text && !hasImage ? t('trackers.meal.errors.analysis') : null),
+        save: ({ text, hasImage }) => (!text && !hasImage ? t('trackers.meal.errors.save') : null),
+        reanalysis: (entry) => (!entry.description && !getImageReference(entry) ? t('trackers.meal.errors.reanalysis') : null),
+    },
+    analysis: {
+        buildRequest: (text) => ({
+            prompt: buildMealPrompt(text),
+            systemInstruction: getMealSystemInstruction(),
+            responseSchema: NUTRITION_RESPONSE_SCHEMA
+        }),
+        // El resumen en prosa se guarda en 'analysis' y los valores tipados en 'nutrition'
+        parse: (rawText) => {
+            const result = parseNutritionResponse(rawText);
+            return { analysis: result.summary, analysisStatus: result.status, nutrition: result.nutrition };
+        },
+        pendingFields: { analysis: PENDING_ANALYSIS, analysisStatus: 'pending', nutrition: null },
+        // Mientras llega el JSON se muestra el resumen parcial
+        streamingText: (partialText) => extractPartialJsonString(partialText, 'summary') || t('trackers.meal.receiving'),
+    },
+    renderAnalysisDetails: (fields) => (
+        <>
+            {fields?.nutrition && (
+                <div className="mt-4 pt-4 border-t border-indigo-200">
+                    <NutritionBreakdown nutrition={fields.nutrition} />
+                </div>
+            )}
+            {fields?.nutritionSource === 'barcode' && (
+                <p className="mt-2 text-xs text-gray-500">{t('trackers.meal.barcodeSource')}</p>
+            )}
+            {fields?.analysisStatus === 'partial' && (
+                <p className="mt-2 text-xs text-amber-600 italic">{t('trackers.meal.partial')}</p>
+            )}
+            {fields?.analysisStatus === 'unstructured' && (
+                <p className="mt-2 text-xs text-amber-600 italic">{t('trackers.meal.unstructured')}</p>
+            )}
+        </>
+    ),
+    renderCardDetails: (item) => item.nutrition && (
+        <div className="mt-2">
+            <NutritionBreakdown nutrition={item.nutrition} compact />
+            {item.nutritionSource === 'barcode' && (
+                <p className="mt-1 text-xs text-gray-500">{t('trackers.meal.barcodeCard', { code: item.barcode })}</p>
+            )}
+        </div>
+    ),
+    // Los productos envasados se buscan por código de barras y los favoritos reutilizan su análisis;
+    // en ambos casos la IA no interviene
+    renderFormTools: (context) => (
+        <>
+            <BarcodeProductPicker
+                disabled={context.disabled}
+                onApply={context.applyFields}
+                onUnknown={(code) => {
+                    context.setText(prev => prev || t('barcode.unknownText', { code }));
+                    context.showMessage('info', t('barcode.unknown', { code }));
+                }}
+            />
+            <MealLibrary {...context} />
+        </>
+    ),
+};
+
+const SKIN_TRACKER = {
+    id: 'skin',
+    collectionName: 'skin_journal',
+    theme: TRACKER_THEMES.pink,
+    icons: {
+        form: 'M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z',
+        analyze: 'M12 4v16m8-8H4',
+        analysis: 'M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h.01a1 1 0 100-2H10V9a1 1 0 00-1-1z',
+        history: 'M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7.712 7.712A2.5 2.5 0 0121 15.284V17a2 2 0 01-2 2H5a2 2 0 01-2-2V9.284a2.5 2.5 0 01.586-1.414L7 3z',
+    },
+    labels: localizedSection('trackers.skin.labels'),
+    textField: localizedSection('trackers.skin.textField', { key: 'notes' }),
+    searchFields: ['notes', 'analysis'],
+    imageField: localizedSection('trackers.skin.imageField', { first: true, requiredForAnalysis: true }),
+    validate: {
+        analysis: ({ hasImage }) => (!hasImage ? t('trackers.skin.errors.analysis') : null),
+        save: ({ hasImage }) => (!hasImage ? t('trackers.skin.errors.save') : null),
+        reanalysis: (entry) => (!getImageReference(entry) ? t('trackers.skin.errors.reanalysis') : null),
+    },
+    analysis: {
+        buildRequest: (text, record) => ({
+            prompt: buildSkinPrompt(text, record),
+            systemInstruction: getSkinSystemInstruction(),
+            responseSchema: SKIN_RESPONSE_SCHEMA
+        }),
+        // Como en las comidas: el texto en 'analysis' y las puntuaciones tipadas en 'skinScores'
+        parse: (rawText) => {
+            const result = parseSkinResponse(rawText);
+            return { analysis: result.summary, analysisStatus: result.status, skinScores: result.skinScores };
+        },
+        pendingFields: { analysis: PENDING_ANALYSIS, analysisStatus: 'pending', skinScores: null },
+        streamingText: (partialText) => extractPartialJsonString(partialText, 'summary') || t('trackers.skin.receiving'),
+    },
+    renderAnalysisDetails: (fields) => (
+        <>
+            {fields?.skinScores && (
+                <div className="mt-4 pt-4 border-t border-pink-200">
+                    <SkinScoreBars scores={fields.skinScores} />
+                </div>
+            )}
+            {fields?.analysisStatus === 'partial' && (
+                <p className="mt-2 text-xs text-amber-600 italic">{t('trackers.skin.partial')}</p>
+            )}
+            {fields?.analysisStatus === 'unstructured' && (
+                <p className="mt-2 text-xs text-amber-600 italic">{t('trackers.skin.unstructured')}</p>
+            )}
+            <p className="mt-4 text-xs text-red-500 italic">
+                <strong>{t('common.warning')}</strong> {t('skin.disclaimer')}
+            </p>
+        </>
+    ),
+    renderCardDetails: (item) => (item.skinScores || item.products?.length > 0) && (
+        <div className="mt-2">
+            {item.skinScores && <SkinScoreBars scores={item.skinScores} compact />}
+            {item.products?.length > 0 && (
+                <p className="mt-1 text-xs text-gray-600">
+                    {t('skincare.cardProducts', { products: item.products.map(product => product.name).join(', ') })} · {getSkinRoutineLabel(item.routine)}
+                </p>
+            )}
+        </div>
+    ),
+    // Productos usados en la entrada; se guardan con el registro y se envían con el análisis
+    renderFormTools: (context) => <SkinProductsPanel {...context} />,
+    renderBeforeHistory: (context) => <SkinComparison {...context} />,
+};
+
+// Trackers por id (la bandeja de salida los usa para ejecutar los análisis en cola)
+const ANALYZED_TRACKERS = {
+    [MEAL_TRACKER.id]: MEAL_TRACKER,
+    [SKIN_TRACKER.id]: SKIN_TRACKER,
+};
+
+const findTrackerByCollection = (collectionName) =>
+    Object.values(ANALYZED_TRACKERS).find(tracker => tracker.collectionName === collectionName) || null;
+
+// Palabras de búsqueda de un registro completo (se recalculan en cada escritura que cambia el texto o el análisis)
+const buildRecordSearchTokens = (tracker, record) => buildSearchTokens(tracker.searchFields.map(key => record[key]));
+
+// Añade 'searchTokens' a los registros guardados antes de que existiera la búsqueda, por bloques
+const SEARCH_BACKFILL_BATCH = 400;
+
+const backfillSearchTokens = async (db, userId, tracker) => {
+    const historyCollection = collection(db, `artifacts/${appId}/users/${userId}/${tracker.collectionName}`);
+    let lastDoc = null;
+    let updated = 0;
+    for (;;) {
+        const page = await getDocs(query(historyCollection, orderBy('timestamp'), ...(lastDoc ? [startAfter(lastDoc)] : []), limit(SEARCH_BACKFILL_BATCH)));
+        const missing = page.docs.filter(recordDoc => !Array.isArray(recordDoc.data().searchTokens));
+        if (missing.length > 0) {
+            const batch = writeBatch(db);
+            missing.forEach(recordDoc => batch.update(recordDoc.ref, { searchTokens: buildRecordSearchTokens(tracker, recordDoc.data()) }));
+            await batch.commit();
+            updated += missing.length;
+        }
+        if (page.size < SEARCH_BACKFILL_BATCH) return updated;
+        lastDoc = page.docs[page.docs.length - 1];
+    }
+};
+
+// Valores del formulario de filtros del historial (fechas en 'YYYY-MM-DD')
+const EMPTY_HISTORY_FILTER_FORM = { search: '', from: '', to: '', withImage: false };
+
+// Formulario de filtros a los filtros de usePaginatedHistory (la fecha final incluye todo el día)
+const toHistoryFilters = (form) => {
+    const end = parseLocalDateTime(form.to);
+    return {
+        start: parseLocalDateTime(form.from),
+        endExclusive: end ? new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1) : null,
+        withImage: form.withImage,
+        searchTokens: buildSearchTokens([form.search]),
+    };
+};
+
+// Las entradas de la bandeja de salida aún no están en Firestore: se filtran en el cliente
+const matchesHistoryFilters = (tracker, record, filters) =>
+    (!filters.start || record.timestamp >= filters.start)
+    && (!filters.endExclusive || record.timestamp < filters.endExclusive)
+    && (!filters.withImage || record.hasImage || !!record.localImage)
+    && filters.searchTokens.every(token => buildRecordSearchTokens(tracker, record).includes(token));
+
+// Tracker genérico con texto, foto y análisis de IA, configurado con una de las definiciones anteriores
+const AnalyzedTracker = ({ db, storage, userId, isAuthReady, tracker }) => {
+    const { theme, icons, labels, textField, imageField, analysis, categoryField } = tracker;
+    const { runGeneration, cancel, isLoading, aiResponse, aiError, setAiResponse } = useAiGenerator();
+    const isOnline = useOnlineStatus();
+    const outboxEntries = useOutboxEntries(userId, tracker.collectionName);
+    const { message, messageType, showMessage, flashMessage, clearMessage } = useStatusMessage();
+    const { image, base64Image, isProcessingImage, handleImageChange, resetImage } = useImageInput((error) => {
+        showMessage('error', t('images.processError', { message: error.message }));
+    });
+    const [text, setText] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [category, setCategory] = useState(() => categoryField?.suggest(new Date()) ?? null);
+    const [groupByCategory, setGroupByCategory] = useState(false);
+    const [extraFields, setExtraFields] = useState({}); // campos del registro que aportan las herramientas del formulario
+    const [voiceNote, setVoiceNote] = useState(null); // { url, dataUrl } de la última nota de voz
+    const [isTranscribing, setIsTranscribing] = useState(false);
+    const historyPath = `artifacts/${appId}/users/${userId}/${tracker.collectionName}`;
+
+    // 1. Historial en tiempo real, paginado y filtrado en el servidor
+    const [filterForm, setFilterForm] = useState(EMPTY_HISTORY_FILTER_FORM);
+    const [searchInput, setSearchInput] = useState('');
+    const [isIndexing, setIsIndexing] = useState(false);
+    const historyFilters = useMemo(() => toHistoryFilters(filterForm), [filterForm]);
+    const hasActiveFilters = filterForm.search !== '' || filterForm.from !== '' || filterForm.to !== '' || filterForm.withImage;
+    const { records: history, isLoading: isHistoryLoading, isLoadingMore, hasMore, loadMore } = usePaginatedHistory(
+        db, userId, isAuthReady, tracker.collectionName, historyFilters, (error) => {
+            showMessage('error', t('history.loadError', { message: error.message }));
+        }
+    );
+
+    // Campos del análisis derivados de la respuesta de la IA (solo cuando el stream terminó),
+    // o los que aporta una herramienta del formulario sin pasar por la IA (manualFields)
+    const [manualFields, setManualFields] = useState(null);
+    const aiAnalysisFields = useMemo(
+        () => (aiResponse && !aiError && !isLoading ? analysis.parse(aiResponse) : null),
+        [aiResponse, aiError, isLoading, analysis]
+    );
+    const analysisFields = manualFields || aiAnalysisFields;
+
+    const applyManualFields = useCallback((fields, fieldText) => {
+        cancel();
+        setAiResponse(null);
+        setManualFields(fields);
+        setText(fieldText);
+    }, [cancel, setAiResponse]);
+
+    // Nota de voz: al terminar de grabar se transcribe en el cuadro de texto (editable antes de
+    // analizar o guardar) y el audio se adjunta también al análisis. El audio no se guarda con el registro.
+    const recorder = useAudioRecorder(async ({ blob, url }) => {
+        setIsTranscribing(true);
+        try {
+            const dataUrl = await readBlobAsDataUrl(blob);
+            setVoiceNote({ url, dataUrl });
+            const transcript = (await streamAiText({ prompt: t('prompts.transcription'), audio: dataUrl })).trim();
+            if (!transcript) throw new Error(t('voice.noTranscript'));
+            setText(prev => (prev.trim() ? `${prev.trim()}\n${transcript}` : transcript));
+            flashMessage('info', t('voice.reviewTranscript'));
+        } catch (error) {
+            console.error("Error transcribing voice note:", error);
+            flashMessage('error', t('voice.transcribeError', { message: error.message }));
+        } finally {
+            setIsTranscribing(false);
+        }
+    });
+
+    // La URL de la nota anterior se libera al reemplazarla o al salir
+    useEffect(() => () => {
+        if (voiceNote) URL.revokeObjectURL(voiceNote.url);
+    }, [voiceNote]);
+
+    // 2. Generar análisis
+    const analyze = useCallback(async () => {
+        const error = tracker.validate.analysis({ text, hasImage: !!base64Image });
+        if (error) {
+            showMessage('error', error);
+            return;
+        }
+
+        setManualFields(null);
+        showMessage('info', labels.analyzing);
+        const request = analysis.buildRequest(text, extraFields);
+        await runGeneration({
+            ...request,
+            prompt: voiceNote ? `${request.prompt}\n\n${t('prompts.voiceNoteSuffix')}` : request.prompt,
+            base64Image,
+            audio: voiceNote?.dataUrl
+        });
+        clearMessage();
+    }, [tracker, text, extraFields, base64Image, voiceNote, labels, analysis, runGeneration, showMessage, clearMessage]);
+
+    // 3. Guardar registro. Pasa por la bandeja de salida local: sin conexión se puede guardar
+    // sin análisis, y la imagen y el análisis quedan en cola hasta reconectar.
+    const saveRecord = async () => {
+        if (!db || !userId || (!analysisFields && isOnline)) return;
+
+        const error = tracker.validate.save({ text, hasImage: !!image });
+        if (error) {
+            showMessage('error', error);
+            return;
+        }
+
+        setIsSaving(true);
+        showMessage('info', labels.saving);
+
+        try {
+            const recordRef = doc(collection(db, historyPath));
+
+            // La imagen se sube a Storage al sincronizar; en Firestore solo se guarda su ruta y dimensiones
+            const dataToSave = {
+                [textField.key]: text,
+                ...(categoryField ? { [categoryField.key]: category } : {}),
+                ...extraFields,
+                ...(analysisFields || analysis.pendingFields),
+                timestamp: new Date().toISOString(),
+                hasImage: !!image,
+                image: null
+            };
+
+            await enqueueOutboxEntry({
+                id: recordRef.id,
+                userId,
+                collectionName: tracker.collectionName,
+                data: dataToSave,
+                imageFile: image,
+                analysisKind: analysisFields ? null : tracker.id
+            });
+            if (navigator.onLine) syncOutbox({ db, storage, userId });
+
+            // Limpiar formulario y respuesta AI después de guardar
+            setText('');
+            resetImage();
+            setVoiceNote(null);
+            setManualFields(null);
+            setExtraFields({});
+            if (categoryField) setCategory(categoryField.suggest(new Date()));
+            setAiResponse(null);
+
+            flashMessage('success', navigator.onLine
+                ? labels.saved
+                : t('tracker.savedOffline'));
+        } catch (error) {
+            console.error(`Error saving ${tracker.collectionName} record:`, error);
+            flashMessage('error', t('common.saveError', { message: error.message }));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    // 4. Editar, eliminar y re-analizar registros del historial
+    const reanalysis = useAiGenerator();
+    const [editing, setEditing] = useState(null); // { id, text } del registro en edición
+    const [reanalyzingId, setReanalyzingId] = useState(null);
+
+    const { pendingDeletes, requestDelete, undoDelete } = useUndoableDelete(async (entry) => {
+        try {
+            await deleteRecordWithImages(doc(db, historyPath, entry.id), storage, entry);
+        } catch (error) {
+            console.error(`Error deleting ${tracker.collectionName} record:`, error);
+            flashMessage('error', t('common.deleteError', { message: error.message }));
+        }
+    });
+    const visibleHistory = mergeOutboxEntries(history, outboxEntries)
+        .filter(item => !pendingDeletes.some(pending => pending.id === item.id))
+        .filter(item => !item.isLocal || matchesHistoryFilters(tracker, item, historyFilters));
+
+    const updateFilterForm = (changes) => setFilterForm(prev => ({ ...prev, ...changes }));
+
+    const clearFilters = () => {
+        setSearchInput('');
+        setFilterForm(EMPTY_HISTORY_FILTER_FORM);
+    };
+
+    const indexOldRecords = async () => {
+        setIsIndexing(true);
+        try {
+            const updated = await backfillSearchTokens(db, userId, tracker);
+            flashMessage('success', updated > 0
+                ? t('history.indexed', { count: updated })
+                : t('history.alreadyIndexed'));
+        } catch (error) {
+            console.error(`Error indexing ${tracker.collectionName} records:`, error);
+            flashMessage('error', t('history.indexError', { message: error.message }));
+        } finally {
+            setIsIndexing(false);
+        }
+    };
+
+    const saveEdit = async () => {
+        try {
+            const entry = visibleHistory.find(item => item.id === editing.id);
+            const newText = editing.text.trim();
+            await updateDoc(doc(db, historyPath, editing.id), {
+                [textField.key]: newText,
+                searchTokens: buildRecordSearchTokens(tracker, { ...entry, [textField.key]: newText }),
+                updatedAt: new Date().toISOString()
+            });
+            setEditing(null);
+            flashMessage('success', labels.updated);
+        } catch (error) {
+            console.error(`Error updating ${tracker.collectionName} record:`, error);
+            flashMessage('error', t('common.updateError', { message: error.message }));
+        }
+    };
+
+    // Los registros anteriores a la clasificación usan la que corresponde a su hora
+    const getCategory = (item) => item[categoryField.key] || categoryField.suggest(item.timestamp);
+
+    const saveCategory = async (item, value) => {
+        try {
+            await updateDoc(doc(db, historyPath, item.id), { [categoryField.key]: value, updatedAt: new Date().toISOString() });
+        } catch (error) {
+            console.error(`Error updating ${tracker.collectionName} category:`, error);
+            flashMessage('error', t('common.updateError', { message: error.message }));
+        }
+    };
+
+    // Vuelve a analizar con el texto e imagen guardados; el análisis anterior se archiva en 'revisions'
+    const reanalyzeRecord = async (entry) => {
+        const error = tracker.validate.reanalysis(entry);
+        if (error) {
+            showMessage('error', error);
+            return;
+        }
+
+        setReanalyzingId(entry.id);
+        showMessage('info', labels.reanalyzing);
+
+        try {
+            const imagePath = getImageReference(entry);
+            const storedImage = imagePath ? await fetchStorageImageAsDataUrl(storage, imagePath) : null;
+            const resultText = await reanalysis.runGeneration({ ...analysis.buildRequest(entry[textField.key], entry), base64Image: storedImage });
+            if (!resultText) throw new Error(t('errors.aiNoAnalysis'));
+
+            const recordRef = doc(db, historyPath, entry.id);
+            await archiveAnalysisRevision(recordRef, entry);
+            const analysisFields = analysis.parse(resultText);
+            await updateDoc(recordRef, {
+                ...analysisFields,
+                searchTokens: buildRecordSearchTokens(tracker, { ...entry, ...analysisFields }),
+                analyzedAt: new Date().toISOString(),
+                revisionCount: increment(1)
+            });
+
+            flashMessage('success', t('history.reanalyzed'));
+        } catch (error) {
+            console.error(`Error re-analyzing ${tracker.collectionName} record:`, error);
+            flashMessage('error', t('history.reanalyzeError', { message: error.message }));
+        } finally {
+            setReanalyzingId(null);
+        }
+    };
+
+    const renderHistoryCard = (item) => (
+        <div key={item.id} className="p-4 bg-white border border-gray-100 rounded-lg shadow-sm hover:shadow-md transition duration-150 flex gap-4">
+            {item.image?.thumbnailPath ? (
+                <StoredImageThumbnail storage={storage} image={item.image} alt={item[textField.key] || imageField.alt} />
+            ) : item.localImage && (
+                <LocalImageThumbnail file={item.localImage} alt={item[textField.key] || imageField.alt} />
+            )}
+            <div className="flex-1 min-w-0">
+                <div className="flex justify-between items-start">
+                    <p className="text-sm text-gray-500 mb-1">
+                        {formatDateTime(item.timestamp)} 
+                        {item.hasImage && <span className={`ml-2 px-2 py-0.5 text-xs font-semibold rounded-full ${theme.badge}`}>{t('history.withImage')}</span>}
+                        <SyncStatusBadge state={item.syncState} error={item.syncError} />
+                        {categoryField && (
+                            <select
+                                value={getCategory(item)}
+                                onChange={(e) => saveCategory(item, e.target.value)}
+                                disabled={item.isLocal}
+                                className={`ml-2 px-1 py-0.5 text-xs font-semibold rounded-full border-0 ${theme.badge}`}
+                                aria-label={categoryField.label}
+                            >
+                                {categoryField.options.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                            </select>
+                        )}
+                    </p>
+                    <HistoryCardActions
+                        onEdit={() => setEditing({ id: item.id, text: item[textField.key] || '' })}
+                        onReanalyze={() => reanalyzeRecord(item)}
+                        onDelete={() => requestDelete(item)}
+                        disabled={!!reanalyzingId || editing?.id === item.id || item.isLocal}
+                        isReanalyzing={reanalyzingId === item.id}
+                        accentClass={theme.action}
+                    />
+                </div>
+                {editing?.id === item.id ? (
+                    <div className="space-y-2">
+                        <textarea
+                            rows="2"
+                            value={editing.text}
+                            onChange={(e) => setEditing(prev => ({ ...prev, text: e.target.value }))}
+                            className={`w-full p-2 border border-gray-300 rounded-lg ${theme.input}`}
+                            aria-label={textField.editLabel}
+                        />
+                        <div className="flex justify-end space-x-2">
+                            <button onClick={() => setEditing(null)} className="px-3 py-1 text-sm rounded-lg text-gray-700 hover:bg-gray-100">{t('common.cancel')}</button>
+                            <button onClick={saveEdit} className={`px-3 py-1 text-sm rounded-lg text-white ${theme.confirmButton}`}>{t('common.save')}</button>
+                        </div>
+                    </div>
+                ) : (
+                    <p className="text-gray-900 font-semibold">{item[textField.key] || textField.empty}</p>
+                )}
+                {tracker.renderCardDetails?.(item)}
+                <div className="mt-2 text-sm text-gray-700 border-t pt-2 max-h-24 overflow-y-auto">
+                    <h4 className={`font-medium ${theme.accentText}`}>{t('history.analysis')}</h4>
+                    <MarkdownContent text={displayAnalysis(item.analysis)} className="prose prose-sm max-w-none" />
+                </div>
+                <RevisionHistory db={db} recordPath={`${historyPath}/${item.id}`} count={item.revisionCount} />
+            </div>
+        </div>
+    );
+
+    // Con categoryField se puede agrupar el historial (cada grupo conserva el orden por fecha)
+    const historyGroups = categoryField && groupByCategory
+        ? categoryField.options
+            .map(option => ({ ...option, items: visibleHistory.filter(item => getCategory(item) === option.id) }))
+            .filter(group => group.items.length > 0)
+        : null;
+
+    const textColumn = (
+        <div key="text">
+            <div className="flex justify-between items-end gap-2 mb-2">
+                <label htmlFor={`${tracker.id}-text`} className="block text-sm font-medium text-gray-700">
+                    {textField.label}
+                </label>
+                {recorder.isSupported && (
+                    <button
+                        type="button"
+                        onClick={recorder.isRecording ? recorder.stop : recorder.start}
+                        disabled={!isOnline || isTranscribing || isLoading}
+                        title={isOnline ? undefined : t('voice.needsConnection')}
+                        className={`flex shrink-0 items-center px-3 py-1 rounded-full text-sm font-medium disabled:opacity-50 transition duration-150 ${recorder.isRecording ? 'bg-red-600 text-white animate-pulse' : theme.action}`}
+                    >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 11a7 7 0 01-7 7m0 0a7 7 0 01-7-7m7 7v4m0 0H8m4 0h4m-4-8a3 3 0 01-3-3V5a3 3 0 116 0v6a3 3 0 01-3 3z" /></svg>
+                        {recorder.isRecording ? t('voice.stop') : isTranscribing ? t('voice.transcribing') : t('voice.dictate')}
+                    </button>
+                )}
+            </div>
+            <textarea
+                id={`${tracker.id}-text`}
+                rows="4"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder={textField.placeholder}
+                className={`w-full p-3 border border-gray-300 rounded-lg transition duration-150 ${theme.input}`}
+            />
+            {recorder.recorderError && <p className="mt-1 text-sm text-red-600">{recorder.recorderError}</p>}
+            {voiceNote && (
+                <div className="mt-2 space-y-1">
+                    <div className="flex items-center space-x-2">
+                        <audio controls src={voiceNote.url} className="h-8 flex-1 min-w-0" />
+                        <button type="button" onClick={() => setVoiceNote(null)} className="text-sm text-gray-600 hover:text-red-600">{t('common.remove')}</button>
+                    </div>
+                    <p className="text-xs text-gray-500">{t('voice.noteHint')}</p>
+                </div>
+            )}
+        </div>
+    );
+
+    const imageColumn = (
+        <div key="image">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+                {imageField.label}
+            </label>
+            <div className="flex items-center space-x-4">
+                <input
+                    type="file"
+                    accept="image/*,.heic,.heif"
+                    onChange={handleImageChange}
+                    className={`block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold ${theme.fileInput}`}
+                />
+            </div>
+            {isProcessingImage && <p className="mt-2 text-xs text-gray-500">{t('images.processing')}</p>}
+            <div className="mt-4 border border-gray-200 rounded-lg overflow-hidden bg-gray-50">
+                <img 
+                    src={base64Image || getDefaultImageUrl()} 
+                    alt={imageField.previewAlt} 
+                    className="w-full h-48 object-cover" 
+                />
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="space-y-8">
+            <MessageDisplay msg={message} type={messageType} infoClass={theme.info} />
+
+            {/* Formulario de Nuevo Registro */}
+            <div className={`bg-white p-6 rounded-xl shadow-lg border ${theme.border}`}>
+                <h2 className={`text-2xl font-bold mb-6 flex items-center ${theme.title}`}>
+                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={icons.form} />
+                    </svg>
+                    {labels.formTitle}
+                </h2>
+                
+                <div className="grid md:grid-cols-2 gap-6">
+                    {imageField.first ? [imageColumn, textColumn] : [textColumn, imageColumn]}
+                </div>
+
+                {categoryField && (
+                    <div className="mt-4 flex items-center space-x-3">
+                        <label htmlFor={`${tracker.id}-category`} className="text-sm font-medium text-gray-700">{categoryField.label}</label>
+                        <select
+                            id={`${tracker.id}-category`}
+                            value={category}
+                            onChange={(e) => setCategory(e.target.value)}
+                            className={`p-2 border border-gray-300 rounded-lg text-sm ${theme.input}`}
+                        >
+                            {categoryField.options.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                        </select>
+                    </div>
+                )}
+
+                {tracker.renderFormTools?.({
+                    db, storage, userId, isAuthReady,
+                    currentFields: analysisFields,
+                    currentText: text,
+                    applyFields: applyManualFields,
+                    extraFields,
+                    setExtraFields,
+                    setText,
+                    showMessage,
+                    flashMessage,
+                    disabled: isLoading || isSaving,
+                })}
+
+                <div className="mt-6 flex justify-end space-x-4">
+                    <button
+                        onClick={analyze}
+                        disabled={isLoading || isSaving || isProcessingImage || !isOnline || (imageField.requiredForAnalysis && !base64Image)}
+                        className={`flex items-center justify-center px-6 py-3 border border-transparent text-base font-medium rounded-full shadow-md text-white disabled:opacity-50 transition duration-150 transform hover:scale-[1.02] ${theme.analyzeButton}`}
+                    >
+                        {isLoading ? (
+                            <svg className="animate-spin h-5 w-5 mr-3 text-white" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>
+                        ) : (
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={icons.analyze} /></svg>
+                        )}
+                        {isLoading ? t('tracker.analyzing') : labels.analyze}
+                    </button>
+                    {isLoading && <CancelGenerationButton onCancel={cancel} />}
+                    <button
+                        onClick={saveRecord}
+                        disabled={(!analysisFields && isOnline) || isSaving || isLoading || isProcessingImage}
+                        className={`flex items-center px-6 py-3 border border-transparent text-base font-medium rounded-full shadow-md text-white disabled:opacity-50 transition duration-150 transform hover:scale-[1.02] ${theme.saveButton}`}
+                    >
+                         {isSaving ? t('tracker.saving') : labels.save}
+                    </button>
+                </div>
+                {!isOnline && (
+                    <p className="mt-3 text-sm text-amber-700 text-right">{labels.offlineHint}</p>
+                )}
+            </div>
+
+            {/* Respuesta de la IA */}
+            {(aiResponse || manualFields) && (
+                <div className={`p-6 rounded-xl shadow-inner border ${theme.panel}`}>
+                    <h3 className={`text-xl font-bold mb-4 flex items-center ${theme.panelTitle}`}>
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d={icons.analysis} clipRule="evenodd" /></svg>
+                        {manualFields ? labels.manualAnalysisTitle : labels.analysisTitle}
+                    </h3>
+                    <MarkdownContent
+                        text={isLoading
+                            ? (analysis.streamingText ? analysis.streamingText(aiResponse) : aiResponse)
+                            : analysisFields ? analysisFields.analysis : aiResponse}
+                        className="prose max-w-none text-gray-700 leading-relaxed"
+                    />
+                    {tracker.renderAnalysisDetails?.(analysisFields)}
+                </div>
+            )}
+
+            {tracker.renderBeforeHistory?.({ db, storage, userId, isAuthReady })}
+
+            {/* Historial */}
+            <div className="bg-gray-50 p-6 rounded-xl shadow-lg border border-gray-200">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-6">
+                    <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={icons.history} /></svg>
+                        {labels.historyTitle} ({visibleHistory.length}{hasMore ? '+' : ''})
+                    </h2>
+                    {categoryField && (
+                        <label className="flex items-center space-x-2 text-sm text-gray-700">
+                            <input type="checkbox" checked={groupByCategory} onChange={(e) => setGroupByCategory(e.target.checked)} />
+                            <span>{categoryField.groupLabel}</span>
+                        </label>
+                    )}
+                </div>
+                <form
+                    onSubmit={(e) => {
+                        e.preventDefault();
+                        updateFilterForm({ search: searchInput.trim() });
+                    }}
+                    className="mb-6 grid gap-3 sm:grid-cols-2 lg:grid-cols-4 items-end text-sm"
+                >
+                    <div className="sm:col-span-2">
+                        <label htmlFor={`${tracker.id}-search`} className="block font-medium text-gray-700 mb-1">{t('common.search')}</label>
+                        <div className="flex space-x-2">
+                            <input
+                                id={`${tracker.id}-search`}
+                                type="search"
+                                value={searchInput}
+                                onChange={(e) => setSearchInput(e.target.value)}
+                                placeholder={t('history.searchPlaceholder')}
+                                className={`flex-1 min-w-0 p-2 border border-gray-300 rounded-lg ${theme.input}`}
+                            />
+                            <button type="submit" className={`px-3 py-2 rounded-lg font-medium ${theme.action}`}>{t('common.search')}</button>
+                        </div>
+                    </div>
+                    <div className="flex space-x-2">
+                        <label className="flex-1">
+                            <span className="block font-medium text-gray-700 mb-1">{t('history.from')}</span>
+                            <input type="date" value={filterForm.from} onChange={(e) => updateFilterForm({ from: e.target.value })} className={`w-full p-2 border border-gray-300 rounded-lg ${theme.input}`} />
+                        </label>
+                        <label className="flex-1">
+                            <span className="block font-medium text-gray-700 mb-1">{t('history.to')}</span>
+                            <input type="date" value={filterForm.to} onChange={(e) => updateFilterForm({ to: e.target.value })} className={`w-full p-2 border border-gray-300 rounded-lg ${theme.input}`} />
+                        </label>
+                    </div>
+                    <div className="flex items-center justify-between space-x-2 pb-2">
+                        <label className="flex items-center space-x-2 text-gray-700">
+                            <input type="checkbox" checked={filterForm.withImage} onChange={(e) => updateFilterForm({ withImage: e.target.checked })} />
+                            <span>{t('history.onlyWithImage')}</span>
+                        </label>
+                        {hasActiveFilters && (
+                            <button type="button" onClick={clearFilters} className="text-gray-600 hover:text-gray-900 hover:underline">{t('history.clearFilters')}</button>
+                        )}
+                    </div>
+                    {filterForm.search && (
+                        <p className="sm:col-span-2 lg:col-span-4 text-xs text-gray-500">
+                            {t('history.searchHint')}{' '}
+                            <button type="button" onClick={indexOldRecords} disabled={isIndexing || !isOnline} className="font-medium underline disabled:opacity-50">
+                                {isIndexing ? t('history.indexing') : t('history.indexOld')}
+                            </button>
+                        </p>
+                    )}
+                </form>
+                {visibleHistory.length === 0 ? (
+                    <p className="text-gray-500 italic">
+                        {isHistoryLoading ? t('history.loading') : hasActiveFilters ? t('history.noMatches') : labels.emptyHistory}
+                    </p>
+                ) : (
+                    <div className="space-y-4">
+                        {historyGroups ? historyGroups.map(group => (
+                            <div key={group.id} className="space-y-4">
+                                <h3 className={`text-lg font-semibold ${theme.accentText}`}>{group.label} ({group.items.length})</h3>
+                                {group.items.map(renderHistoryCard)}
+                            </div>
+                        )) : visibleHistory.map(renderHistoryCard)}
+                    </div>
+                )}
+                <LoadMoreSentinel hasMore={hasMore} isLoading={isLoadingMore} onLoadMore={loadMore} accentClass={theme.action} />
+            </div>
+
+            <UndoDeleteToast pendingDeletes={pendingDeletes} onUndo={undoDelete} describe={(entry) => entry[textField.key] || textField.empty} />
+        </div>
+    );
+};
+
+// --- REGISTROS RÁPIDOS (agua, sueño, peso y actividad) ---
+
+// Clases de Tailwind por color (escritas completas para que Tailwind las detecte)
+const QUICK_LOG_THEMES = {
+    sky: {
+        title: 'text-sky-800', border: 'border-sky-100', button: 'bg-sky-600 hover:bg-sky-700',
+        soft: 'text-sky-700 bg-sky-50 hover:bg-sky-100', selected: 'bg-sky-600 text-white', input: 'focus:ring-sky-500 focus:border-sky-500',
+        tabActive: 'bg-sky-600 text-white shadow-lg', tabIdle: 'text-sky-600 hover:bg-sky-50',
+    },
+    violet: {
+        title: 'text-violet-800', border: 'border-violet-100', button: 'bg-violet-600 hover:bg-violet-700',
+        soft: 'text-violet-700 bg-violet-50 hover:bg-violet-100', selected: 'bg-violet-600 text-white', input: 'focus:ring-violet-500 focus:border-violet-500',
+        tabActive: 'bg-violet-600 text-white shadow-lg', tabIdle: 'text-violet-600 hover:bg-violet-50',
+    },
+    amber: {
+        title: 'text-amber-800', border: 'border-amber-100', button: 'bg-amber-600 hover:bg-amber-700',
+        soft: 'text-amber-700 bg-amber-50 hover:bg-amber-100', selected: 'bg-amber-600 text-white', input: 'focus:ring-amber-500 focus:border-amber-500',
+        tabActive: 'bg-amber-600 text-white shadow-lg', tabIdle: 'text-amber-600 hover:bg-amber-50',
+    },
+    orange: {
+        title: 'text-orange-800', border: 'border-orange-100', button: 'bg-orange-600 hover:bg-orange-700',
+        soft: 'text-orange-700 bg-orange-50 hover:bg-orange-100', selected: 'bg-orange-600 text-white', input: 'focus:ring-orange-500 focus:border-orange-500',
+        tabActive: 'bg-orange-600 text-white shadow-lg', tabIdle: 'text-orange-600 hover:bg-orange-50',
+    },
+};
+
+// Opciones de los campos 'select'. 'value' es lo que se guarda (en español, como en los registros
+// anteriores a la traducción) y 'label' el texto del idioma activo.
+const ACTIVITY_TYPES = withLocalizedLabels('quickLogs.activityTypes', [
+    { id: 'walk', value: 'Caminar' },
+    { id: 'run', value: 'Correr' },
+    { id: 'cycling', value: 'Ciclismo' },
+    { id: 'swimming', value: 'Natación' },
+    { id: 'strength', value: 'Fuerza' },
+    { id: 'yoga', value: 'Yoga' },
+    { id: 'other', value: 'Otro' },
+]);
+const INTENSITY_LEVELS = withLocalizedLabels('quickLogs.intensityLevels', [
+    { id: 'low', value: 'Baja' },
+    { id: 'medium', value: 'Media' },
+    { id: 'high', value: 'Alta' },
+]);
+
+const getOptionLabel = (options, value) => options.find(option => option.value === value)?.label ?? value;
+
+// Registros que muestra el historial de cada registro rápido (los resúmenes usan como mucho la semana actual)
+const QUICK_LOG_HISTORY_LIMIT = 100;
+
+// Definición de cada registro rápido. Los campos numéricos con 'dimension' se guardan en la
+// unidad base (la clave lo indica: amount_ml, weight_kg...) y se muestran en la unidad del usuario.
+// Tipos de campo: number, datetime, rating, select y text. Los textos están en quickLogs.<id>
+// (pestaña y títulos) y quickLogs.fields.<key> (etiquetas de los campos) del catálogo.
+const QUICK_LOGS = {
+    water: localizedSection('quickLogs.water', {
+        collectionName: 'hydration_log',
+        theme: QUICK_LOG_THEMES.sky,
+        fields: withLocalizedLabels('quickLogs.fields', [
+            { key: 'amount_ml', type: 'number', dimension: 'volume', required: true },
+        ]),
+        presets: withLocalizedLabels('quickLogs.presets', [
+            { id: 'glass', values: { amount_ml: 250 } },
+            { id: 'bottle', values: { amount_ml: 500 } },
+        ]),
+        describe: (entry, units) => formatMeasurement(entry.amount_ml, 'volume', units.volume),
+        summarize: (entries, units) => {
+            const todayKey = toLocalDayKey(new Date());
+            const today = entries.filter(entry => toLocalDayKey(entry.timestamp) === todayKey);
+            const total = today.reduce((sum, entry) => sum + (entry.amount_ml || 0), 0);
+            return t(today.length === 1 ? 'quickLogs.summary.waterOne' : 'quickLogs.summary.water', {
+                total: formatMeasurement(total, 'volume', units.volume),
+                count: today.length,
+            });
+        },
+    }),
+    sleep: localizedSection('quickLogs.sleep', {
+        collectionName: 'sleep_log',
+        theme: QUICK_LOG_THEMES.violet,
+        fields: withLocalizedLabels('quickLogs.fields', [
+            { key: 'bedTime', type: 'datetime', required: true, defaultValue: () => toDateTimeInputValue(new Date(Date.now() - 8 * 60 * 60 * 1000)) },
+            { key: 'wakeTime', type: 'datetime', required: true, defaultValue: () => toDateTimeInputValue(new Date()) },
+            { key: 'quality', type: 'rating', max: 5, required: true },
+            { key: 'notes', type: 'text' },
+        ]),
+        // El registro se fecha con la hora de despertar
+        timestampField: 'wakeTime',
+        validate: (entry) => {
+            const minutes = (new Date(entry.wakeTime) - new Date(entry.bedTime)) / 60000;
+            if (minutes <= 0) return t('quickLogs.errors.wakeBeforeBed');
+            if (minutes > 24 * 60) return t('quickLogs.errors.sleepTooLong');
+            return null;
+        },
+        derive: (entry) => ({ duration_min: Math.round((new Date(entry.wakeTime) - new Date(entry.bedTime)) / 60000) }),
+        describe: (entry) => `${formatDuration(entry.duration_min)} · ${t('quickLogs.summary.quality', { quality: entry.quality })}`,
+        summarize: (entries) => {
+            const recent = entries.slice(0, 7);
+            if (recent.length === 0) return null;
+            const average = recent.reduce((sum, entry) => sum + (entry.duration_min || 0), 0) / recent.length;
+            return t('quickLogs.summary.sleep', { count: recent.length, average: formatDuration(average) });
+        },
+    }),
+    weight: localizedSection('quickLogs.weight', {
+        collectionName: 'body_measurements',
+        theme: QUICK_LOG_THEMES.amber,
+        fields: withLocalizedLabels('quickLogs.fields', [
+            { key: 'weight_kg', type: 'number', dimension: 'weight', required: true },
+            { key: 'waist_cm', type: 'number', dimension: 'length' },
+            { key: 'hip_cm', type: 'number', dimension: 'length' },
+            { key: 'notes', type: 'text' },
+        ]),
+        describe: (entry, units) => [
+            formatMeasurement(entry.weight_kg, 'weight', units.weight),
+            entry.waist_cm && `${t('quickLogs.fields.waist_cm')} ${formatMeasurement(entry.waist_cm, 'length', units.length)}`,
+            entry.hip_cm && `${t('quickLogs.fields.hip_cm')} ${formatMeasurement(entry.hip_cm, 'length', units.length)}`,
+        ].filter(Boolean).join(' · '),
+        summarize: (entries, units) => {
+            const [latest, previous] = entries;
+            if (!latest) return null;
+            const latestWeight = formatMeasurement(latest.weight_kg, 'weight', units.weight);
+            if (!previous) return t('quickLogs.summary.weight', { latest: latestWeight });
+            const change = latest.weight_kg - previous.weight_kg;
+            return t('quickLogs.summary.weightChange', {
+                latest: latestWeight,
+                change: `${change >= 0 ? '+' : '-'}${formatMeasurement(Math.abs(change), 'weight', units.weight)}`,
+            });
+        },
+    }),
+    activity: localizedSection('quickLogs.activity', {
+        collectionName: 'activity_log',
+        theme: QUICK_LOG_THEMES.orange,
+        fields: withLocalizedLabels('quickLogs.fields', [
+            { key: 'activityType', type: 'select', options: ACTIVITY_TYPES, required: true, defaultValue: () => ACTIVITY_TYPES[0].value },
+            { key: 'duration_min', type: 'number', required: true },
+            { key: 'intensity', type: 'select', options: INTENSITY_LEVELS, required: true, defaultValue: () => INTENSITY_LEVELS[1].value },
+            { key: 'kcal', type: 'number' },
+            { key: 'notes', type: 'text' },
+        ]),
+        describe: (entry) => [
+            getOptionLabel(ACTIVITY_TYPES, entry.activityType),
+            formatDuration(entry.duration_min),
+            t('quickLogs.summary.intensity', { level: getOptionLabel(INTENSITY_LEVELS, entry.intensity).toLowerCase() }),
+            entry.kcal && `${entry.kcal} kcal`,
+        ].filter(Boolean).join(' · '),
+        summarize: (entries) => {
+            const weekKey = toIsoWeekKey(new Date());
+            const minutes = entries
+                .filter(entry => toIsoWeekKey(entry.timestamp) === weekKey)
+                .reduce((sum, entry) => sum + (entry.duration_min || 0), 0);
+            return t('quickLogs.summary.activity', { duration: formatDuration(minutes) });
+        },
+    }),
+};
+
+const initialQuickLogValues = (log) => Object.fromEntries(log.fields.map(field => [field.key, field.defaultValue ? field.defaultValue() : '']));
+
+// Convierte los valores del formulario (texto) en el documento a guardar.
+// Devuelve { entry } o { error } con un mensaje para el usuario.
+const parseQuickLogValues = (log, values, units) => {
+    const entry = {};
+    for (const field of log.fields) {
+        const raw = String(values[field.key] ?? '').trim();
+        if (!raw) {
+            if (field.required) return { error: t('quickLogs.errors.required', { field: field.label }) };
+            continue;
+        }
+
+        if (field.type === 'number' || field.type === 'rating') {
+            const number = parseFloat(raw.replace(',', '.'));
+            if (!Number.isFinite(number) || number <= 0) return { error: t('quickLogs.errors.positive', { field: field.label }) };
+            entry[field.key] = field.dimension
+                ? Math.round(toBaseUnit(number, field.dimension, units[field.dimension]) * 100) / 100
+                : number;
+        } else if (field.type === 'datetime') {
+            const date = new Date(raw);
+            if (Number.isNaN(date.getTime())) return { error: t('quickLogs.errors.invalidDate', { field: field.label }) };
+            entry[field.key] = date.toISOString();
+        } else {
+            entry[field.key] = raw;
+        }
+    }
+
+    const error = log.validate?.(entry);
+    if (error) return { error };
+    return { entry: { ...entry, ...log.derive?.(entry) } };
+};
+
+// Registro rápido genérico: formulario, resumen e historial en tiempo real de un QUICK_LOGS
+const QuickLogTracker = ({ db, userId, isAuthReady, log, units, onUnitChange }) => {
+    const { theme } = log;
+    const [values, setValues] = useState(() => initialQuickLogValues(log));
+    const { message, messageType, flashMessage } = useStatusMessage();
+    const historyPath = `artifacts/${appId}/users/${userId}/${log.collectionName}`;
+    const dimensions = [...new Set(log.fields.map(field => field.dimension).filter(Boolean))];
+
+    // 1. Historial en tiempo real (los últimos QUICK_LOG_HISTORY_LIMIT registros)
+    const history = useRecordHistory(db, userId, isAuthReady, log.collectionName, (error) => {
+        flashMessage('error', t('history.loadError', { message: error.message }));
+    }, { max: QUICK_LOG_HISTORY_LIMIT });
+
+    // 2. Guardar. Sin await: con la caché persistente la escritura queda en cola sin conexión
+    // y la tarjeta aparece al momento con su estado de sincronización.
+    const addEntry = (entry) => {
+        const entryRef = doc(collection(db, historyPath));
+        const dataToSave = { ...entry, timestamp: entry[log.timestampField] || new Date().toISOString() };
+        setDoc(entryRef, dataToSave).catch(error => {
+            console.error(`Error saving ${log.collectionName} entry:`, error);
+            flashMessage('error', t('common.saveError', { message: error.message }));
+        });
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const { entry, error } = parseQuickLogValues(log, values, units);
+        if (error) {
+            flashMessage('error', error);
+            return;
+        }
+        addEntry(entry);
+        setValues(initialQuickLogValues(log));
+        flashMessage('success', t('quickLogs.saved'));
+    };
+
+    // Al cambiar de unidad se vacían los campos afectados para no reinterpretar lo ya escrito
+    const changeUnit = (dimension, unit) => {
+        setValues(prev => ({
+            ...prev,
+            ...Object.fromEntries(log.fields.filter(field => field.dimension === dimension).map(field => [field.key, '']))
+        }));
+        onUnitChange(dimension, unit).catch(error => {
+            console.error("Error saving units:", error);
+            flashMessage('error', t('quickLogs.unitsError', { message: error.message }));
+        });
+    };
+
+    // 3. Eliminar con opción de deshacer
+    const { pendingDeletes, requestDelete, undoDelete } = useUndoableDelete(async (entry) => {
+        try {
+            await deleteDoc(doc(db, historyPath, entry.id));
+        } catch (error) {
+            console.error(`Error deleting ${log.collectionName} entry:`, error);
+            flashMessage('error', t('common.deleteError', { message: error.message }));
+        }
+    });
+    const visibleHistory = history.filter(item => !pendingDeletes.some(pending => pending.id === item.id));
+    const summary = log.summarize?.(visibleHistory, units);
+
+    const renderField = (field) => {
+        const inputClass = `w-full p-2 border border-gray-300 rounded-lg transition duration-150 ${theme.input}`;
+        const setValue = (value) => setValues(prev => ({ ...prev, [field.key]: value }));
+        const label = field.dimension ? `${field.label} (${units[field.dimension]})` : field.label;
+
+        let input;
+        if (field.type === 'rating') {
+            input = (
+                <div className="flex space-x-2" role="radiogroup" aria-label={field.label}>
+                    {Array.from({ length: field.max }, (_, index) => String(index + 1)).map(option => (
+                        <button
+                            key={option}
+                            type="button"
+                            onClick={() => setValue(option)}
+                            className={`w-10 h-10 rounded-full font-semibold transition duration-150 ${values[field.key] === option ? theme.selected : theme.soft}`}
+                            role="radio"
+                            aria-checked={values[field.key] === option}
+                        >
+                            {option}
+                        </button>
+                    ))}
+                </div>
+            );
+        } else if (field.type === 'select') {
+            input = (
+                <select value={values[field.key]} onChange={(e) => setValue(e.target.value)} className={inputClass}>
+                    {field.options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+            );
+        } else {
+            input = (
+                <input
+                    type={field.type === 'datetime' ? 'datetime-local' : field.type === 'number' ? 'number' : 'text'}
+                    inputMode={field.type === 'number' ? 'decimal' : undefined}
+                    step={field.type === 'number' ? 'any' : undefined}
+                    min={field.type === 'number' ? '0' : undefined}
+                    value={values[field.key]}
+                    onChange={(e) => setValue(e.target.value)}
+                    className={inputClass}
+                />
+            );
+        }
+
+        return (
+            <label key={field.key} className={`block text-sm font-medium text-gray-700 ${field.type === 'text' ? 'sm:col-span-2' : ''}`}>
+                <span className="block mb-1">{label}{field.required ? '' : ` ${t('quickLogs.optional')}`}</span>
+                {input}
+            </label>
+        );
+    };
+
+    return (
+        <div className="space-y-8">
+            <MessageDisplay msg={message} type={messageType} />
+
+            {/* Formulario de registro rápido */}
+            <form onSubmit={handleSubmit} className={`bg-white p-6 rounded-xl shadow-lg border ${theme.border}`}>
+                <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                    <h2 className={`text-2xl font-bold ${theme.title}`}>{log.title}</h2>
+                    {dimensions.map(dimension => (
+                        <label key={dimension} className="flex items-center text-sm text-gray-600 space-x-2">
+                            <span>{UNIT_OPTIONS[dimension].label}:</span>
+                            <select
+                                value={units[dimension]}
+                                onChange={(e) => changeUnit(dimension, e.target.value)}
+                                className="p-1 border border-gray-300 rounded-lg"
+                            >
+                                {Object.keys(UNIT_OPTIONS[dimension].units).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                            </select>
+                        </label>
+                    ))}
+                </div>
+
+                {log.presets && (
+                    <div className="flex flex-wrap gap-2 mb-4">
+                        {log.presets.map(preset => (
+                            <button
+                                key={preset.id}
+                                type="button"
+                                onClick={() => {
+                                    addEntry(preset.values);
+                                    flashMessage('success', t('quickLogs.presetSaved', { preset: preset.label }));
+                                }}
+                                className={`px-4 py-2 rounded-full text-sm font-medium transition duration-150 ${theme.soft}`}
+                            >
+                                + {preset.label} ({log.describe(preset.values, units)})
+                            </button>
+                        ))}
+                    </div>
+                )}
+
+                <div className="grid sm:grid-cols-2 gap-4">
+                    {log.fields.map(renderField)}
+                </div>
+
+                <div className="mt-6 flex justify-end">
+                    <button
+                        type="submit"
+                        className={`px-6 py-3 text-base font-medium rounded-full shadow-md text-white transition duration-150 transform hover:scale-[1.02] ${theme.button}`}
+                    >
+                        {t('quickLogs.save')}
+                    </button>
+                </div>
+            </form>
+
+            {/* Historial */}
+            <div className="bg-gray-50 p-6 rounded-xl shadow-lg border border-gray-200">
+                <h2 className="text-2xl font-bold text-gray-800 mb-2">{log.historyTitle} ({visibleHistory.length})</h2>
+                {summary && <p className={`mb-6 font-medium ${theme.title}`}>{summary}</p>}
+                {visibleHistory.length === 0 ? (
+                    <p className="text-gray-500 italic">{t('quickLogs.empty')}</p>
+                ) : (
+                    <div className="space-y-3">
+                        {visibleHistory.map(item => (
+                            <div key={item.id} className="p-4 bg-white border border-gray-100 rounded-lg shadow-sm flex justify-between items-start gap-4">
+                                <div className="min-w-0">
+                                    <p className="text-sm text-gray-500 mb-1">
+                                        {formatDateTime(item.timestamp)}
+                                        <SyncStatusBadge state={item.syncState} />
+                                    </p>
+                                    <p className="text-gray-900 font-semibold">{log.describe(item, units)}</p>
+                                    {item.notes && <p className="text-sm text-gray-600 mt-1 break-words">{item.notes}</p>}
+                                </div>
+                                <button
+                                    onClick={() => requestDelete(item)}
+                                    className="px-2 py-1 text-xs font-medium rounded-lg text-red-600 hover:bg-red-50 transition duration-150"
+                                >
+                                    {t('common.delete')}
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <UndoDeleteToast pendingDeletes={pendingDeletes} onUndo={undoDelete} describe={(entry) => log.describe(entry, units)} />
+        </div>
+    );
+};
+
+// --- COACH DE SALUD (chat) ---
+
+const COACH_SUGGESTIONS = withLocalizedLabels('coach.suggestions', [
+    { id: 'protein' },
+    { id: 'dinner' },
+    { id: 'skin' },
+    { id: 'logMeal' },
+]);
+
+// Registros que el coach puede proponer (log_meal, log_skin_note): cómo se muestran al pedir
+// confirmación y qué se guarda. Se guardan por la bandeja de salida, como los del formulario.
+const COACH_WRITE_ACTIONS = {
+    log_meal: localizedSection('coach.actions.log_meal', {
+        tracker: MEAL_TRACKER,
+        getText: (args) => args.description,
+        buildData: (text, timestamp) => ({ description: text, mealType: suggestMealType(timestamp), ...MEAL_TRACKER.analysis.pendingFields }),
+        analysisKind: MEAL_TRACKER.id,
+    }),
+    log_skin_note: localizedSection('coach.actions.log_skin_note', {
+        tracker: SKIN_TRACKER,
+        getText: (args) => args.notes,
+        // Sin foto no hay análisis que hacer
+        buildData: (text) => ({ notes: text, analysis: t('coach.skinNoteAnalysis') }),
+        analysisKind: null,
+    }),
+};
+
+// Chat con el coach. Cada mensaje se guarda en 'coach_messages' y la conversación se envía
+// a la IA como turnos, con un resumen del historial de comidas y piel en las instrucciones.
+// El coach puede consultar el historial y proponer registros (COACH_TOOLS); los registros
+// esperan a que el usuario los confirme o descarte.
+const HealthCoach = ({ db, storage, userId, isAuthReady }) => {
+    const { runGeneration, cancel, isLoading, aiResponse, aiError, setAiResponse } = useAiGenerator();
+    const isOnline = useOnlineStatus();
+    const { message, messageType, showMessage, flashMessage } = useStatusMessage();
+    const [draft, setDraft] = useState('');
+    const [isConfirmingClear, setIsConfirmingClear] = useState(false);
+    const [pendingAction, setPendingAction] = useState(null); // { name, text, timestamp, resolve }
+    const scrollRef = useRef(null);
+    const chatPath = `artifacts/${appId}/users/${userId}/coach_messages`;
+
+    const handleHistoryError = (error) => showMessage('error', t('history.loadError', { message: error.message }));
+    const messages = useRecordHistory(db, userId, isAuthReady, 'coach_messages', handleHistoryError, { max: COACH_HISTORY_LIMIT });
+    // Solo lo que resume buildCoachContext: los últimos COACH_CONTEXT_DAYS días de comidas y las entradas de piel más recientes
+    const nutritionHistory = useRecordHistory(db, userId, isAuthReady, 'nutrition_history', handleHistoryError, { since: startOfDaysBefore(COACH_CONTEXT_DAYS - 1) });
+    const skinHistory = useRecordHistory(db, userId, isAuthReady, 'skin_journal', handleHistoryError, { max: COACH_CONTEXT_SKIN_ENTRIES });
+
+    // useRecordHistory ordena del más reciente al más antiguo; el chat se lee al revés
+    const conversation = useMemo(() => [...messages].reverse(), [messages]);
+
+    // Mantener visible el último mensaje (también mientras llega la respuesta)
+    useEffect(() => {
+        if (scrollRef.current) scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }, [conversation.length, aiResponse, pendingAction]);
+
+    const sendMessage = async (e) => {
+        e.preventDefault();
+        const text = draft.trim();
+        if (!text || isLoading || !db || !userId) return;
+
+        setDraft('');
+        setAiResponse(null);
+        try {
+            await addDoc(collection(db, chatPath), { role: 'user', text, timestamp: new Date().toISOString() });
+        } catch (error) {
+            console.error("Error saving coach message:", error);
+            showMessage('error', t('coach.sendError', { message: error.message }));
+            setDraft(text);
+            return;
+        }
+
+        const turns = [...conversation, { role: 'user', text }].slice(-COACH_MAX_MESSAGES);
+        const reply = await runGeneration({
+            contents: turns.map(turn => ({ role: turn.role, parts: [{ text: turn.text }] })),
+            systemInstruction: `${t('prompts.coachSystem')}\n\n${buildCoachContext(nutritionHistory, skinHistory)}`,
+            tools: COACH_TOOLS,
+            onFunctionCall: handleFunctionCall
+        });
+        // Si falla o se cancela, aiResponse muestra el error o el texto parcial y no se guarda nada
+        if (!reply) return;
+
+        try {
+            await addDoc(collection(db, chatPath), { role: 'model', text: reply, timestamp: new Date().toISOString() });
+            setAiResponse(null);
+        } catch (error) {
+            console.error("Error saving coach reply:", error);
+            showMessage('error', t('coach.saveReplyError', { message: error.message }));
+        }
+    };
+
+    // Respuesta a cada llamada a función del coach. Los errores se devuelven al modelo para que los explique.
+    const handleFunctionCall = async ({ name, args = {} }) => {
+        try {
+            if (name === 'query_history') return await executeCoachQuery(db, userId, args);
+
+            const action = COACH_WRITE_ACTIONS[name];
+            if (!action) return { error: `Función desconocida: ${name}` };
+            const text = (action.getText(args) || '').trim();
+            if (!text) return { error: 'Falta el texto del registro.' };
+
+            const timestamp = (args.time && parseLocalDateTime(args.time)) || new Date();
+            const confirmed = await new Promise(resolve => setPendingAction({ name, text, timestamp, resolve }));
+            if (!confirmed) return { status: 'rejected', message: 'El usuario descartó el registro; no se ha guardado nada.' };
+
+            const recordRef = doc(collection(db, `artifacts/${appId}/users/${userId}/${action.tracker.collectionName}`));
+            await enqueueOutboxEntry({
+                id: recordRef.id,
+                userId,
+                collectionName: action.tracker.collectionName,
+                data: { ...action.buildData(text, timestamp), timestamp: timestamp.toISOString(), hasImage: false, image: null },
+                analysisKind: action.analysisKind
+            });
+            if (navigator.onLine) syncOutbox({ db, storage, userId });
+            return { status: 'saved', time: toDateTimeInputValue(timestamp) };
+        } catch (error) {
+            console.error(`Error running coach function ${name}:`, error);
+            return { error: error.message };
+        }
+    };
+
+    const resolvePendingAction = (confirmed) => {
+        pendingAction?.resolve(confirmed);
+        setPendingAction(null);
+    };
+
+    // Un registro que espera confirmación se da por descartado si el coach se desmonta, así la
+    // llamada a función no se queda esperando para siempre
+    useEffect(() => {
+        if (!pendingAction) return undefined;
+        return () => pendingAction.resolve(false);
+    }, [pendingAction]);
+
+    // Otro usuario es otra conversación: se cancela la respuesta en curso y se descarta su registro pendiente
+    useEffect(() => () => {
+        cancel();
+        setPendingAction(null);
+    }, [chatPath, cancel]);
+
+    // Cancelar también descarta el registro que estuviera esperando confirmación
+    const cancelReply = () => {
+        cancel();
+        resolvePendingAction(false);
+    };
+
+    // writeBatch admite hasta 500 operaciones, así que se borra por bloques
+    const clearConversation = async () => {
+        setIsConfirmingClear(false);
+        try {
+            const snapshot = await getDocs(collection(db, chatPath));
+            for (let start = 0; start < snapshot.docs.length; start += 500) {
+                const batch = writeBatch(db);
+                snapshot.docs.slice(start, start + 500).forEach(messageDoc => batch.delete(messageDoc.ref));
+                await batch.commit();
+            }
+            setAiResponse(null);
+            flashMessage('success', t('coach.cleared'));
+        } catch (error) {
+            console.error("Error clearing coach conversation:", error);
+            flashMessage('error', t('coach.clearError', { message: error.message }));
+        }
+    };
+
+    // El chat solo escucha los últimos COACH_HISTORY_LIMIT mensajes; la exportación lee la conversación entera
+    const exportConversation = async () => {
+        try {
+            const snapshot = await getDocs(query(collection(db, chatPath), orderBy('timestamp', 'asc')));
+            downloadFile(`coach-${toLocalDayKey(new Date())}.md`, buildConversationMarkdown(snapshot.docs.map(toHistoryRecord)), 'text/markdown;charset=utf-8');
+        } catch (error) {
+            console.error("Error exporting coach conversation:", error);
+            flashMessage('error', t('coach.exportError', { message: error.message }));
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <MessageDisplay msg={message} type={messageType} infoClass="bg-teal-100 text-teal-700 border-teal-400" />
+
+            <div className="bg-white rounded-xl shadow-lg border border-teal-100 flex flex-col h-[70vh]">
+                <div className="flex flex-wrap justify-between items-center gap-2 p-4 border-b border-teal-100">
+                    <h2 className="text-2xl font-bold text-teal-800">{t('coach.title')}</h2>
+                    <div className="flex items-center space-x-2 text-sm">
+                        {isConfirmingClear ? (
+                            <>
+                                <span className="text-gray-700">{t('coach.confirmClear')}</span>
+                                <button onClick={clearConversation} className="px-3 py-1 rounded-lg font-medium text-white bg-red-600 hover:bg-red-700">{t('coach.clearConfirm')}</button>
+                                <button onClick={() => setIsConfirmingClear(false)} className="px-3 py-1 rounded-lg text-gray-700 hover:bg-gray-100">{t('common.cancel')}</button>
+                            </>
+                        ) : (
+                            <>
+                                <button
+                                    onClick={exportConversation}
+                                    disabled={conversation.length === 0}
+                                    className="px-3 py-1 rounded-lg font-medium text-teal-700 hover:bg-teal-50 disabled:opacity-50"
+                                >
+                                    {t('coach.export')}
+                                </button>
+                                <button
+                                    onClick={() => setIsConfirmingClear(true)}
+                                    disabled={conversation.length === 0 || isLoading}
+                                    className="px-3 py-1 rounded-lg font-medium text-red-600 hover:bg-red-50 disabled:opacity-50"
+                                >
+                                    {t('coach.clear')}
+                                </button>
+                            </>
+                        )}
+                    </div>
+                </div>
+
+                {/* Mensajes */}
+                <div ref={scrollRef} className="flex-1 overflow-y-auto p-4 space-y-4 bg-gray-50">
+                    {conversation.length === 0 && !aiResponse && (
+                        <div className="text-center text-gray-500 space-y-3 pt-8">
+                            <p>{t('coach.intro', { days: COACH_CONTEXT_DAYS })}</p>
+                            <div className="flex flex-wrap justify-center gap-2">
+                                {COACH_SUGGESTIONS.map(suggestion => (
+                                    <button
+                                        key={suggestion.id}
+                                        onClick={() => setDraft(suggestion.label)}
+                                        className="px-3 py-1 rounded-full text-sm text-teal-700 bg-teal-50 hover:bg-teal-100"
+                                    >
+                                        {suggestion.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                    {conversation.map(item => (
+                        <div key={item.id} className={`flex ${item.role === 'user' ? 'justify-end' : 'justify-start'}`}>
+                            {item.role === 'user' ? (
+                                <p className="max-w-[80%] px-4 py-2 rounded-2xl rounded-br-sm bg-teal-600 text-white whitespace-pre-wrap break-words">{item.text}</p>
+                            ) : (
+                                <div className="max-w-[80%] px-4 py-2 rounded-2xl rounded-bl-sm bg-white border border-gray-200">
+                                    <MarkdownContent text={item.text} className="prose prose-sm max-w-none text-gray-800" />
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                    {(isLoading || aiResponse) && (
+                        <div className="flex justify-start">
+                            <div className={`max-w-[80%] px-4 py-2 rounded-2xl rounded-bl-sm border ${aiError ? 'bg-red-50 border-red-200' : 'bg-white border-gray-200'}`}>
+                                {aiResponse
+                                    ? <MarkdownContent text={aiResponse} className="prose prose-sm max-w-none text-gray-800" />
+                                    : <p className="text-gray-500 italic">{t('coach.typing')}</p>}
+                            </div>
+                        </div>
+                    )}
+                    {pendingAction && (
+                        <div className="p-4 rounded-xl border border-teal-300 bg-teal-50 space-y-3" role="alertdialog" aria-label={t('coach.confirmAction')}>
+                            <p className="text-sm font-semibold text-teal-800">
+                                {COACH_WRITE_ACTIONS[pendingAction.name].label} · {formatDateTime(pendingAction.timestamp)}
+                            </p>
+                            <p className="text-gray-800 whitespace-pre-wrap break-words">{pendingAction.text}</p>
+                            <div className="flex space-x-2">
+                                <button onClick={() => resolvePendingAction(true)} className="px-4 py-2 rounded-lg font-medium text-white bg-teal-600 hover:bg-teal-700">{t('common.save')}</button>
+                                <button onClick={() => resolvePendingAction(false)} className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100">{t('coach.discard')}</button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+
+                {/* Nuevo mensaje */}
+                <form onSubmit={sendMessage} className="p-4 border-t border-teal-100 flex items-end space-x-2">
+                    <textarea
+                        rows="2"
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter' && !e.shiftKey) sendMessage(e);
+                        }}
+                        placeholder={isOnline ? t('coach.placeholder') : t('coach.offline')}
+                        disabled={!isOnline}
+                        className="flex-1 p-2 border border-gray-300 rounded-lg focus:ring-teal-500 focus:border-teal-500 resize-none"
+                        aria-label={t('coach.messageLabel')}
+                    />
+                    {isLoading ? (
+                        <CancelGenerationButton onCancel={cancelReply} />
+                    ) : (
+                        <button
+                            type="submit"
+                            disabled={!draft.trim() || !isOnline}
+                            className="px-6 py-3 rounded-full font-medium text-white bg-teal-600 hover:bg-teal-700 disabled:opacity-50 transition duration-150"
+                        >
+                            {t('coach.send')}
+                        </button>
+                    )}
+                </form>
+            </div>
+        </div>
+    );
+};
+
+// Gráfico de barras SVG con línea de objetivo.
+// Los días marcados (sin registros o sin datos) se dibujan como un hueco punteado.
+const BarTrendChart = ({ data, goal, unit, color = '#059669' }) => {
+    const width = 640;
+    const height = 220;
+    const padding = { top: 16, right: 12, bottom: 32, left: 48 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const maxValue = Math.max(goal || 0, ...data.map(point => point.value || 0), 1) * 1.1;
+    const slot = chartWidth / Math.max(data.length, 1);
+    const barWidth = Math.max(slot * 0.6, 2);
+    const y = (value) => padding.top + chartHeight - (value / maxValue) * chartHeight;
+    const labelEvery = Math.ceil(data.length / 10);
+
+    return (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label={t('dashboard.dailyTrend', { unit })}>
+            {[0, 0.5, 1].map(fraction => (
+                <g key={fraction}>
+                    <line x1={padding.left} x2={width - padding.right} y1={y(maxValue * fraction)} y2={y(maxValue * fraction)} stroke="#e5e7eb" />
+                    <text x={padding.left - 6} y={y(maxValue * fraction) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+                        {Math.round(maxValue * fraction)}
+                    </text>
+                </g>
+            ))}
+            {data.map((point, index) => {
+                const x = padding.left + index * slot + (slot - barWidth) / 2;
+                return (
+                    <g key={point.key}>
+                        {point.flagged ? (
+                            <rect x={x} y={padding.top} width={barWidth} height={chartHeight} fill="none" stroke="#d1d5db" strokeDasharray="3 3">
+                                <title>{`${point.label}: ${point.flagLabel}`}</title>
+                            </rect>
+                        ) : (
+                            <rect x={x} y={y(point.value)} width={barWidth} height={padding.top + chartHeight - y(point.value)} fill={color} rx="2">
+                                <title>{`${point.label}: ${Math.round(point.value)} ${unit}`}</title>
+                            </rect>
+                        )}
+                        {index % labelEvery === 0 && (
+                            <text x={x + barWidth / 2} y={height - padding.bottom + 14} textAnchor="middle" fontSize="10" fill="#6b7280">
+                                {point.label}
+                            </text>
+                        )}
+                    </g>
+                );
+            })}
+            {goal > 0 && (
+                <g>
+                    <line x1={padding.left} x2={width - padding.right} y1={y(goal)} y2={y(goal)} stroke="#dc2626" strokeDasharray="6 4" />
+                    <text x={width - padding.right} y={y(goal) - 4} textAnchor="end" fontSize="10" fill="#dc2626">
+                        {t('dashboard.goalLine', { goal, unit })}
+                    </text>
+                </g>
+            )}
+        </svg>
+    );
+};
+
+// Gráfico de líneas SVG con varias series; los valores null cortan la línea.
+// Sin maxValue, el eje llega un 10 % por encima del valor más alto.
+const LineTrendChart = ({ labels, series, unit, title = t('dashboard.macroTrend', { unit }), maxValue: fixedMaxValue }) => {
+    const width = 640;
+    const height = 220;
+    const padding = { top: 16, right: 12, bottom: 32, left: 48 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const allValues = series.flatMap(line => line.values.filter(value => value !== null));
+    const maxValue = fixedMaxValue ?? Math.max(...allValues, 1) * 1.1;
+    const x = (index) => padding.left + (labels.length > 1 ? (index / (labels.length - 1)) * chartWidth : chartWidth / 2);
+    const y = (value) => padding.top + chartHeight - (value / maxValue) * chartHeight;
+    const labelEvery = Math.ceil(labels.length / 10);
+
+    const buildPath = (values) => values.reduce((path, value, index) => {
+        if (value === null) return path;
+        const command = index > 0 && values[index - 1] !== null ? 'L' : 'M';
+        return `${path} ${command}${x(index).toFixed(1)},${y(value).toFixed(1)}`;
+    }, '');
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto" role="img" aria-label={title}>
+                {[0, 0.5, 1].map(fraction => (
+                    <g key={fraction}>
+                        <line x1={padding.left} x2={width - padding.right} y1={y(maxValue * fraction)} y2={y(maxValue * fraction)} stroke="#e5e7eb" />
+                        <text x={padding.left - 6} y={y(maxValue * fraction) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+                            {Math.round(maxValue * fraction)}
+                        </text>
+                    </g>
+                ))}
+                {labels.map((label, index) => index % labelEvery === 0 && (
+                    <text key={index} x={x(index)} y={height - padding.bottom + 14} textAnchor="middle" fontSize="10" fill="#6b7280">
+                        {label}
+                    </text>
+                ))}
+                {series.map(line => (
+                    <g key={line.label}>
+                        <path d={buildPath(line.values)} fill="none" stroke={line.color} strokeWidth="2" />
+                        {line.values.map((value, index) => value !== null && (
+                            <circle key={index} cx={x(index)} cy={y(value)} r="3" fill={line.color}>
+                                <title>{`${line.label} · ${labels[index]}: ${Math.round(value)} ${unit}`}</title>
+                            </circle>
+                        ))}
+                    </g>
+                ))}
+            </svg>
+            <div className="flex flex-wrap gap-4 mt-2 text-xs text-gray-600">
+                {series.map(line => (
+                    <span key={line.label} className="flex items-center">
+                        <span className="inline-block w-3 h-3 rounded-full mr-1" style={{ backgroundColor: line.color }} />
+                        {line.label}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// 3. Panel de Nutrición (Pestaña 'dashboard')
+const NutritionDashboard = ({ db, userId, isAuthReady }) => {
+    const { settings, settingsError, saveSettings } = useUserSettings(db, userId, isAuthReady);
+    const [rangeDays, setRangeDays] = useState(14);
+    const [goalsDraft, setGoalsDraft] = useState(null); // null mientras no se editan los objetivos
+    const [isSaving, setIsSaving] = useState(false);
+    const { message, messageType, showMessage, flashMessage } = useStatusMessage();
+
+    const goals = settings.nutritionGoals;
+
+    // 1. Escuchar en tiempo real el historial de nutrición de los días del rango (la consulta cambia con él)
+    const history = useRecordHistory(db, userId, isAuthReady, 'nutrition_history', (error) => {
+        showMessage('error', t('history.loadError', { message: error.message }));
+    }, { since: startOfDaysBefore(rangeDays - 1) });
+
+    // 2. Agregados por día y por semana ISO
+    const days = useMemo(() => buildDailyNutrition(history, new Date(), rangeDays), [history, rangeDays]);
+    const weeks = useMemo(() => buildWeeklyNutrition(days), [days]);
+    const today = days[days.length - 1];
+    const flaggedDays = days.filter(day => day.status !== 'ok');
+
+    const formatDay = (date) => formatDate(date, { weekday: 'short', day: 'numeric' });
+    const flagLabel = (status) => status === 'empty' ? t('dashboard.noEntries') : t('dashboard.onlyPending');
+
+    // 3. Guardar objetivos
+    const saveGoals = async () => {
+        const parsedGoals = Object.fromEntries(NUTRIENT_KEYS.map(key => {
+            const value = parseFloat(goalsDraft[key]);
+            return [key, Number.isFinite(value) && value > 0 ? value : DEFAULT_NUTRITION_GOALS[key]];
+        }));
+
+        setIsSaving(true);
+        try {
+            await saveSettings({ nutritionGoals: parsedGoals });
+            setGoalsDraft(null);
+            flashMessage('success', t('dashboard.goalsSaved'));
+        } catch (error) {
+            console.error("Error saving goals:", error);
+            flashMessage('error', t('dashboard.goalsError', { message: error.message }));
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="space-y-8">
+            <MessageDisplay
+                msg={message || settingsError}
+                type={message ? messageType : 'error'}
+                infoClass="bg-emerald-100 text-emerald-700 border-emerald-400"
+            />
+
+            {/* Progreso de hoy */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-emerald-100">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-2xl font-bold text-emerald-800">{t('dashboard.today')}</h2>
+                    {today.status !== 'ok' && (
+                        <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-amber-100 text-amber-800">{flagLabel(today.status)}</span>
+                    )}
+                </div>
+                <div className="grid sm:grid-cols-2 gap-4">
+                    {NUTRIENT_FIELDS.map(({ key, label, unit }) => {
+                        const percent = goals[key] ? Math.round((today.totals[key] / goals[key]) * 100) : 0;
+                        return (
+                            <div key={key}>
+                                <div className="flex justify-between text-sm text-gray-700 mb-1">
+                                    <span className="font-medium">{label}</span>
+                                    <span>{Math.round(today.totals[key])} / {goals[key]} {unit} ({percent}%)</span>
+                                </div>
+                                <div className="w-full h-2 bg-gray-100 rounded-full overflow-hidden">
+                                    <div
+                                        className={`h-2 rounded-full ${percent > 100 ? 'bg-amber-500' : 'bg-emerald-500'}`}
+                                        style={{ width: `${Math.min(percent, 100)}%` }}
+                                    />
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </div>
+
+            {/* Tendencias */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-emerald-100 space-y-6">
+                <div className="flex justify-between items-center">
+                    <h2 className="text-2xl font-bold text-emerald-800">{t('dashboard.trends')}</h2>
+                    <div className="flex space-x-2">
+                        {[7, 14, 30].map(option => (
+                            <button
+                                key={option}
+                                onClick={() => setRangeDays(option)}
+                                className={`py-1 px-3 rounded-lg text-sm font-medium transition duration-150 
+                                    ${rangeDays === option 
+                                        ? 'bg-emerald-600 text-white shadow' 
+                                        : 'text-emerald-700 hover:bg-emerald-50'}`
+                                }
+                            >
+                                {t('dashboard.days', { count: option })}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                <div>
+                    <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('dashboard.caloriesPerDay')}</h3>
+                    <BarTrendChart
+                        data={days.map(day => ({
+                            key: day.key,
+                            label: formatDay(day.date),
+                            value: day.totals.kcal,
+                            flagged: day.status !== 'ok',
+                            flagLabel: flagLabel(day.status),
+                        }))}
+                        goal={goals.kcal}
+                        unit="kcal"
+                    />
+                </div>
+
+                <div>
+                    <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('dashboard.macrosPerDay')}</h3>
+                    <LineTrendChart
+                        labels={days.map(day => formatDay(day.date))}
+                        unit="g"
+                        series={[
+                            { label: t('nutrients.protein_g'), color: '#4f46e5', values: days.map(day => day.status === 'ok' ? day.totals.protein_g : null) },
+                            { label: t('nutrients.carbs_g'), color: '#d97706', values: days.map(day => day.status === 'ok' ? day.totals.carbs_g : null) },
+                            { label: t('nutrients.fat_g'), color: '#db2777', values: days.map(day => day.status === 'ok' ? day.totals.fat_g : null) },
+                        ]}
+                    />
+                </div>
+
+                {flaggedDays.length > 0 && (
+                    <div className="p-3 rounded-lg border-l-4 border-amber-400 bg-amber-50 text-sm text-amber-800">
+                        <p className="font-medium mb-1">{t('dashboard.gaps', { count: flaggedDays.length })}</p>
+                        <p>
+                            {flaggedDays.map(day => `${formatDay(day.date)} (${flagLabel(day.status).toLowerCase()})`).join(' · ')}
+                        </p>
+                    </div>
+                )}
+            </div>
+
+            {/* Resumen semanal */}
+            <div className="bg-gray-50 p-6 rounded-xl shadow-lg border border-gray-200">
+                <h2 className="text-2xl font-bold text-gray-800 mb-6">{t('dashboard.weeklySummary')}</h2>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm text-left text-gray-700">
+                        <thead>
+                            <tr className="border-b border-gray-300 text-gray-800">
+                                <th className="py-2 pr-3 font-medium">{t('dashboard.week')}</th>
+                                <th className="py-2 pr-3 font-medium">{t('dashboard.daysWithData')}</th>
+                                {NUTRIENT_FIELDS.map(({ key, label }) => (
+                                    <th key={key} className="py-2 pr-3 font-medium">{t('dashboard.average', { label })}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {[...weeks].reverse().map(week => (
+                                <tr key={week.key} className="border-b border-gray-200">
+                                    <td className="py-2 pr-3 whitespace-nowrap">
+                                        {week.key}
+                                        <span className="block text-xs text-gray-500">{t('dashboard.weekStart', { date: formatDate(week.startDate) })}</span>
+                                    </td>
+                                    <td className="py-2 pr-3">
+                                        {week.daysWithData} / {week.days}
+                                        {week.flaggedDays > 0 && (
+                                            <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-amber-100 text-amber-800">{t('dashboard.daysWithoutData', { count: week.flaggedDays })}</span>
+                                        )}
+                                    </td>
+                                    {NUTRIENT_FIELDS.map(({ key, unit }) => {
+                                        const average = week.averages[key];
+                                        const overGoal = average !== null && average > goals[key];
+                                        return (
+                                            <td key={key} className={`py-2 pr-3 whitespace-nowrap ${overGoal ? 'text-amber-700 font-semibold' : ''}`}>
+                                                {average === null ? '—' : `${Math.round(average)} ${unit}`}
+                                            </td>
+                                        );
+                                    })}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <p className="mt-2 text-xs text-gray-500">{t('dashboard.averagesHint')}</p>
+            </div>
+
+            {/* Objetivos diarios */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-emerald-100">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-2xl font-bold text-emerald-800">{t('dashboard.dailyGoals')}</h2>
+                    {!goalsDraft && (
+                        <button
+                            onClick={() => setGoalsDraft(Object.fromEntries(NUTRIENT_KEYS.map(key => [key, String(goals[key])])))}
+                            className="py-2 px-4 rounded-lg font-medium text-emerald-700 hover:bg-emerald-50 transition duration-150"
+                        >
+                            {t('common.edit')}
+                        </button>
+                    )}
+                </div>
+                <div className="grid sm:grid-cols-2 gap-4">
+                    {NUTRIENT_FIELDS.map(({ key, label, unit }) => (
+                        <label key={key} className="block text-sm font-medium text-gray-700">
+                            {label} ({unit})
+                            {goalsDraft ? (
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={goalsDraft[key]}
+                                    onChange={(e) => setGoalsDraft(prev => ({ ...prev, [key]: e.target.value }))}
+                                    className="mt-1 w-full p-2 border border-gray-300 rounded-lg focus:ring-emerald-500 focus:border-emerald-500"
+                                />
+                            ) : (
+                                <span className="block mt-1 text-gray-900 font-semibold">{goals[key]}</span>
+                            )}
+                        </label>
+                    ))}
+                </div>
+                {goalsDraft && (
+                    <div className="mt-6 flex justify-end space-x-4">
+                        <button
+                            onClick={() => setGoalsDraft(null)}
+                            disabled={isSaving}
+                            className="px-6 py-3 text-base font-medium rounded-full text-gray-700 hover:bg-gray-100 disabled:opacity-50 transition duration-150"
+                        >
+                            {t('common.cancel')}
+                        </button>
+                        <button
+                            onClick={saveGoals}
+                            disabled={isSaving}
+                            className="px-6 py-3 border border-transparent text-base font-medium rounded-full shadow-md text-white bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 transition duration-150 transform hover:scale-[1.02]"
+                        >
+                            {isSaving ? t('tracker.saving') : t('dashboard.saveGoals')}
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+
+// Diálogo para crear una cuenta o iniciar sesión (correo/contraseña o Google)
+const AuthDialog = ({ auth, isAnonymous, onSignedIn, onClose }) => {
+    const [mode, setMode] = useState('signup'); // signup, signin
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const runAuthAction = async (action) => {
+        setIsSubmitting(true);
+        setError(null);
+        try {
+            await action();
+            onSignedIn();
+            onClose();
+        } catch (err) {
+            console.error("Error signing in:", err);
+            setError(describeAuthError(err));
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        runAuthAction(() => (mode === 'signup'
+            ? createEmailAccount(auth, email.trim(), password)
+            : signInWithEmail(auth, email.trim(), password)));
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4" role="dialog" aria-modal="true" aria-label={t('account.dialogLabel')}>
+            <div className="w-full max-w-sm bg-white rounded-xl shadow-xl p-6 space-y-4">
+                <div className="flex justify-between items-center">
+                    <h2 className="text-xl font-bold text-gray-900">{mode === 'signup' ? t('account.createAccount') : t('account.signIn')}</h2>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-700 text-2xl leading-none" aria-label={t('common.close')}>&times;</button>
+                </div>
+
+                {isAnonymous && (
+                    <p className="text-sm text-gray-600">
+                        {mode === 'signup'
+                            ? t('account.linkHint')
+                            : t('account.switchHint')}
+                    </p>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-3">
+                    <input
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        placeholder={t('account.email')}
+                        autoComplete="email"
+                        required
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder={t('account.password')}
+                        autoComplete={mode === 'signup' ? 'new-password' : 'current-password'}
+                        required
+                        className="w-full p-2 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500"
+                    />
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+                    <button
+                        type="submit"
+                        disabled={isSubmitting}
+                        className="w-full py-2 rounded-lg font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 transition duration-150"
+                    >
+                        {isSubmitting ? t('account.processing') : mode === 'signup' ? t('account.createAccount') : t('account.submitSignIn')}
+                    </button>
+                </form>
+
+                <button
+                    onClick={() => runAuthAction(() => signInWithGoogle(auth))}
+                    disabled={isSubmitting}
+                    className="w-full py-2 rounded-lg font-medium text-gray-700 border border-gray-300 hover:bg-gray-50 disabled:opacity-50 transition duration-150"
+                >
+                    {t('account.google')}
+                </button>
+
+                <p className="text-sm text-center text-gray-600">
+                    {mode === 'signup' ? t('account.haveAccount') : t('account.noAccount')}{' '}
+                    <button
+                        onClick={() => { setMode(mode === 'signup' ? 'signin' : 'signup'); setError(null); }}
+                        className="font-medium text-indigo-600 hover:underline"
+                    >
+                        {mode === 'signup' ? t('account.switchToSignIn') : t('account.switchToSignUp')}
+                    </button>
+                </p>
+            </div>
+        </div>
+    );
+};
+
+// Menú de cuenta de la cabecera: invitado → crear cuenta / iniciar sesión; con cuenta → cerrar sesión
+const AccountMenu = ({ auth, user, onAccountChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [showDialog, setShowDialog] = useState(false);
+    const label = user.isAnonymous ? t('account.guest') : (user.displayName || user.email || t('account.myAccount'));
+
+    const handleSignOut = async () => {
+        setIsOpen(false);
+        try {
+            await signOut(auth);
+        } catch (error) {
+            console.error("Error signing out:", error);
+        }
+    };
+
+    return (
+        <div className="relative">
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                className="py-2 px-3 rounded-lg font-medium text-gray-700 hover:bg-gray-100 transition duration-150 max-w-[12rem] truncate"
+                aria-haspopup="menu"
+                aria-expanded={isOpen}
+            >
+                {label}
+            </button>
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-64 bg-white border border-gray-200 rounded-lg shadow-lg p-3 space-y-2 z-20" role="menu">
+                    {user.isAnonymous ? (
+                        <>
+                            <p className="text-xs text-gray-500">{t('account.guestHint')}</p>
+                            <button
+                                onClick={() => { setIsOpen(false); setShowDialog(true); }}
+                                className="w-full py-2 rounded-lg text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+                                role="menuitem"
+                            >
+                                {t('account.openDialog')}
+                            </button>
+                        </>
+                    ) : (
+                        <>
+                            <p className="text-xs text-gray-500 break-all">{t('account.signedInAs', { name: user.email || user.displayName })}</p>
+                            <button
+                                onClick={handleSignOut}
+                                className="w-full py-2 rounded-lg text-sm font-medium text-gray-700 border border-gray-300 hover:bg-gray-50"
+                                role="menuitem"
+                            >
+                                {t('account.signOut')}
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+            {showDialog && (
+                <AuthDialog
+                    auth={auth}
+                    isAnonymous={user.isAnonymous}
+                    onSignedIn={onAccountChange}
+                    onClose={() => setShowDialog(false)}
+                />
+            )}
+        </div>
+    );
+};
+
+
+// --- RELACIÓN ENTRE DIETA Y PIEL ---
+
+// Periodos que se pueden analizar (días hasta hoy) y ventanas de días anteriores con las que se
+// compara cada puntuación de la piel
+const INSIGHTS_RANGE_OPTIONS = [30, 90, 180];
+const INSIGHTS_LAG_DAYS = [1, 2, 3];
+
+// Días comparados (n) por debajo de los que no se calcula la correlación
+const INSIGHTS_MIN_PAIRS = 10;
+
+// Fuerza de una correlación según |ρ| (umbrales habituales de Cohen); el texto está en insights.strength.<id>
+const CORRELATION_STRENGTHS = [
+    { id: 'strong', min: 0.5 },
+    { id: 'moderate', min: 0.3 },
+    { id: 'weak', min: 0.1 },
+    { id: 'negligible', min: 0 },
+];
+
+// Factores de la dieta que se comparan con la piel (valores diarios de buildDailyDietFeatures)
+const DIET_FEATURES = withLocalizedLabels('insights.features', [
+    { key: 'sugar_g' },
+    { key: 'dairy' },
+    { key: 'kcal' },
+    { key: 'lastMealHour' },
+]);
+
+// Lácteos. Como en ACTIVE_INGREDIENT_GROUPS, cada clave es el comienzo de una palabra (sin tildes, en
+// español e inglés) y un espacio final obliga a que la palabra termine ahí. Las bebidas, yogures y
+// mantecas vegetales se quitan del texto antes de buscar.
+const DAIRY_KEYWORDS = [
+    'leche', 'lacteo', 'queso', 'yogur', 'kefir', 'nata ', 'mantequilla', 'cuajada', 'requeson', 'natillas', 'flan ', 'helado',
+    'milk', 'dairy', 'cheese', 'yoghurt', 'cream ', 'butter', 'whey', 'latte', 'cappuccino', 'capuchino', 'mozzarella', 'parmesan', 'cheddar', 'ricotta',
+];
+const DAIRY_EXCLUSIONS = [
+    'leche de almendra', 'leche de avena', 'leche de soja', 'leche de coco', 'leche de arroz', 'yogur de soja', 'yogur vegetal',
+    'mantequilla de cacahuete', 'manteca de cacao', 'almond milk', 'oat milk', 'soy milk', 'soya milk', 'coconut milk', 'rice milk',
+    'soy yogurt', 'peanut butter', 'cocoa butter',
+];
+
+// Si la descripción de la comida o los alimentos del análisis mencionan algún lácteo
+const mentionsDairy = (record) => {
+    let text = ` ${normalizeSearchText([record.description, ...(record.nutrition?.items || []).map(item => item.name)].join(' '))} `;
+    DAIRY_EXCLUSIONS.forEach(phrase => {
+        text = text.replaceAll(` ${phrase}`, ' ');
+    });
+    return DAIRY_KEYWORDS.some(keyword => text.includes(` ${keyword}`));
+};
+
+// Factores de la dieta por día local: { 'YYYY-MM-DD': { sugar_g, kcal, dairy, lastMealHour } }.
+// Azúcar y calorías quedan en null si ninguna comida del día tiene datos nutricionales; los lácteos
+// (comidas que los mencionan) y la hora de la última comida cuentan cualquier comida registrada.
+const buildDailyDietFeatures = (records) => {
+    const days = {};
+    records.forEach(record => {
+        const key = toLocalDayKey(record.timestamp);
+        if (!days[key]) days[key] = { sugar_g: null, kcal: null, dairy: 0, lastMealHour: 0 };
+        const day = days[key];
+        day.lastMealHour = Math.max(day.lastMealHour, record.timestamp.getHours() + record.timestamp.getMinutes() / 60);
+        if (mentionsDairy(record)) day.dairy += 1;
+        if (hasNutritionData(record)) {
+            day.sugar_g = (day.sugar_g || 0) + (record.nutrition.totals.sugar_g || 0);
+            day.kcal = (day.kcal || 0) + (record.nutrition.totals.kcal || 0);
+        }
+    });
+    return days;
+};
+
+const averageOf = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Puntuaciones de la piel por día local desde `startDate`, en orden cronológico: [{ key, date, scores }].
+// Si un día tiene varias entradas se promedian; las que no tienen puntuaciones no cuentan.
+const buildDailySkinScores = (entries, startDate) => {
+    const days = {};
+    entries.forEach(entry => {
+        if (!entry.skinScores || entry.analysis === PENDING_ANALYSIS || entry.timestamp < startDate) return;
+        const key = toLocalDayKey(entry.timestamp);
+        if (!days[key]) {
+            const date = new Date(entry.timestamp.getFullYear(), entry.timestamp.getMonth(), entry.timestamp.getDate());
+            days[key] = { key, date, values: Object.fromEntries(SKIN_SCORE_KEYS.map(scoreKey => [scoreKey, []])) };
         }
-    };
+        SKIN_SCORE_KEYS.forEach(scoreKey => {
+            const value = entry.skinScores[scoreKey];
+            if (Number.isFinite(value)) days[key].values[scoreKey].push(value);
+        });
+    });
 
-    // 5. Escuchar el historial en tiempo real
-    useEffect(() => {
-        if (!db || !isAuthReady || !userId) return;
+    return Object.values(days)
+        .sort((a, b) => a.date - b.date)
+        .map(({ key, date, values }) => ({
+            key,
+            date,
+            scores: Object.fromEntries(SKIN_SCORE_KEYS.map(scoreKey => [scoreKey, averageOf(values[scoreKey])])),
+        }));
+};
 
-        const historyCollection = collection(db, `artifacts/${appId}/users/${userId}/nutrition_history`);
-        
-        // Firestore query (sin orderBy para evitar errores de índice en Canvas)
-        const q = query(historyCollection); 
+// Rangos (1..n) de una serie; los empates reciben la media de sus rangos
+const toRanks = (values) => {
+    const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+    const ranks = new Array(values.length);
+    for (let start = 0; start < order.length;) {
+        let end = start;
+        while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+        for (let position = start; position <= end; position++) ranks[order[position].index] = (start + end) / 2 + 1;
+        start = end + 1;
+    }
+    return ranks;
+};
 
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const records = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data(),
-                timestamp: doc.data().timestamp ? new Date(doc.data().timestamp) : new Date()
-            }));
+// Correlación de Pearson; null si alguna de las series no varía
+const pearsonCorrelation = (xs, ys) => {
+    const meanX = averageOf(xs);
+    const meanY = averageOf(ys);
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    xs.forEach((x, index) => {
+        covariance += (x - meanX) * (ys[index] - meanY);
+        varianceX += (x - meanX) ** 2;
+        varianceY += (ys[index] - meanY) ** 2;
+    });
+    return varianceX === 0 || varianceY === 0 ? null : covariance / Math.sqrt(varianceX * varianceY);
+};
 
-            // Ordenar por timestamp localmente (descendente)
-            records.sort((a, b) => b.timestamp - a.timestamp);
-            setHistory(records);
-        }, (error) => {
-            console.error("Error listening to history:", error);
-            setMessageType('error');
-            setMessage(`Error al cargar historial: ${error.message}`);
-        });
+// Correlación de Spearman (Pearson sobre los rangos) con su intervalo de confianza del 95 %:
+// transformación z de Fisher con el error estándar de Fieller para Spearman, sqrt(1,06 / (n - 3)).
+// Las puntuaciones son enteros de 0 a 10 con muchos empates, por eso no se usa Pearson directamente.
+const spearmanCorrelation = (xs, ys) => {
+    const n = xs.length;
+    const rho = n < 4 ? null : pearsonCorrelation(toRanks(xs), toRanks(ys));
+    if (rho === null) return { n, rho: null, low: null, high: null };
+    const z = Math.atanh(Math.min(Math.max(rho, -0.9999), 0.9999));
+    const margin = 1.96 * Math.sqrt(1.06 / (n - 3));
+    return { n, rho, low: Math.tanh(z - margin), high: Math.tanh(z + margin) };
+};
 
-        return () => unsubscribe();
-    }, [db, userId, isAuthReady]); // Dependencias para re-ejecutar el listener
-
-    // 6. Componente de Renderizado de Mensajes
-    const MessageDisplay = ({ msg, type }) => {
-        if (!msg) return null;
-        const colorClass = type === 'success' ? 'bg-green-100 text-green-700 border-green-400'
-                         : type === 'error' ? 'bg-red-100 text-red-700 border-red-400'
-                         : 'bg-blue-100 text-blue-700 border-blue-400';
+// Para cada puntuación, factor y ventana de `lag` días, correlaciona la puntuación de cada día con la
+// media del factor en los `lag` días anteriores (sin contar el propio día). Un día solo cuenta si todos
+// los días de su ventana tienen el factor. Con menos de INSIGHTS_MIN_PAIRS días rho, low y high son null.
+// Devuelve { [puntuación]: { [factor]: [{ lag, n, rho, low, high }] } }.
+const buildSkinDietCorrelations = (skinDays, dietDays) => Object.fromEntries(SKIN_SCORE_KEYS.map(scoreKey => [
+    scoreKey,
+    Object.fromEntries(DIET_FEATURES.map(({ key: featureKey }) => [
+        featureKey,
+        INSIGHTS_LAG_DAYS.map(lag => {
+            const featureValues = [];
+            const scores = [];
+            skinDays.forEach(({ date, scores: dayScores }) => {
+                if (dayScores[scoreKey] === null) return;
+                const window = Array.from({ length: lag }, (_, index) => {
+                    const previous = new Date(date.getFullYear(), date.getMonth(), date.getDate() - index - 1);
+                    return dietDays[toLocalDayKey(previous)]?.[featureKey] ?? null;
+                });
+                if (window.some(value => value === null)) return;
+                featureValues.push(averageOf(window));
+                scores.push(dayScores[scoreKey]);
+            });
+            if (scores.length < INSIGHTS_MIN_PAIRS) return { lag, n: scores.length, rho: null, low: null, high: null };
+            return { lag, ...spearmanCorrelation(featureValues, scores) };
+        }),
+    ])),
+]));
+
+const getCorrelationStrength = (rho) => CORRELATION_STRENGTHS.find(strength => Math.abs(rho) >= strength.min).id;
+
+// Celda de la tabla de relaciones: ρ, su intervalo y n. Se resalta si el intervalo no incluye el 0, en
+// verde o ámbar según la relación vaya con mejor o peor piel, y en azul si la escala no tiene un sentido mejor.
+const CorrelationCell = ({ result, score }) => {
+    if (result.n < INSIGHTS_MIN_PAIRS || result.rho === null) {
         return (
-            <div className={`p-3 rounded-lg border-l-4 font-medium mb-4 ${colorClass}`}>
-                {msg}
-            </div>
+            <td className="py-2 pr-3 text-xs text-gray-400">
+                {result.n < INSIGHTS_MIN_PAIRS ? t('insights.notEnough') : t('insights.noVariation')}
+                <span className="block">{t('insights.pairs', { count: result.n })}</span>
+            </td>
         );
-    };
+    }
+
+    const formatCoefficient = (value) => formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2, signDisplay: 'exceptZero' });
+    const isClear = result.low > 0 || result.high < 0;
+    const goesWithBetterSkin = score.higherIsBetter === null ? null : (result.rho > 0) === score.higherIsBetter;
+    const tone = !isClear ? 'text-gray-700'
+        : goesWithBetterSkin === null ? 'bg-sky-50 text-sky-800'
+            : goesWithBetterSkin ? 'bg-emerald-50 text-emerald-800' : 'bg-amber-50 text-amber-800';
+
+    return (
+        <td className={`py-2 px-2 align-top ${tone}`}>
+            <span className="block font-semibold">ρ {formatCoefficient(result.rho)}</span>
+            <span className="block text-xs">
+                {t(`insights.strength.${getCorrelationStrength(result.rho)}`)} · {score.label} {result.rho > 0 ? '↑' : '↓'}
+            </span>
+            <span className="block text-xs opacity-75">
+                {t('insights.interval', { low: formatCoefficient(result.low), high: formatCoefficient(result.high) })} · {t('insights.pairs', { count: result.n })}
+            </span>
+        </td>
+    );
+};
+
+// 4. Relación entre dieta y piel (Pestaña 'insights'). Se calcula en el navegador con los dos historiales.
+const SkinDietInsights = ({ db, userId, isAuthReady }) => {
+    const [rangeDays, setRangeDays] = useState(90);
+    const [scoreKey, setScoreKey] = useState('acne');
+    const { message, messageType, showMessage } = useStatusMessage();
+
+    // 1. Escuchar en tiempo real la piel del periodo y las comidas desde los días previos a su primer día
+    // (la ventana de cada correlación llega hasta max(INSIGHTS_LAG_DAYS) días antes de la entrada de piel)
+    const onLoadError = (error) => showMessage('error', t('history.loadError', { message: error.message }));
+    const meals = useRecordHistory(db, userId, isAuthReady, 'nutrition_history', onLoadError, {
+        since: startOfDaysBefore(rangeDays - 1 + Math.max(...INSIGHTS_LAG_DAYS)),
+    });
+    const skinEntries = useRecordHistory(db, userId, isAuthReady, 'skin_journal', onLoadError, { since: startOfDaysBefore(rangeDays - 1) });
+
+    // 2. Valores diarios y correlaciones del periodo
+    const { days, skinDays, mealDayCount, correlations } = useMemo(() => {
+        const startDate = startOfDaysBefore(rangeDays - 1);
+        const rangeSkinDays = buildDailySkinScores(skinEntries, startDate);
+        const dietDays = buildDailyDietFeatures(meals);
+        const rangeDayKeys = Array.from({ length: rangeDays }, (_, index) =>
+            toLocalDayKey(new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + index)));
+        return {
+            days: rangeDayKeys.map((key, index) => ({
+                label: formatDate(new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + index), { day: 'numeric', month: 'short' }),
+                skin: rangeSkinDays.find(day => day.key === key) || null,
+            })),
+            skinDays: rangeSkinDays,
+            mealDayCount: rangeDayKeys.filter(key => dietDays[key]).length,
+            correlations: buildSkinDietCorrelations(rangeSkinDays, dietDays),
+        };
+    }, [meals, skinEntries, rangeDays]);
+
+    const score = SKIN_SCORE_FIELDS.find(field => field.key === scoreKey);
+    const comparisonCount = DIET_FEATURES.length * INSIGHTS_LAG_DAYS.length;
+    const totalComparisons = comparisonCount * SKIN_SCORE_FIELDS.length;
 
     return (
         <div className="space-y-8">
-            <MessageDisplay msg={message} type={messageType} />
+            <MessageDisplay msg={message} type={messageType} infoClass="bg-rose-100 text-rose-700 border-rose-400" />
 
-            {/* Formulario de Nuevo Registro */}
-            <div className="bg-white p-6 rounded-xl shadow-lg border border-indigo-100">
-                <h2 className="text-2xl font-bold text-indigo-800 mb-6 flex items-center">
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                    </svg>
-                    Nuevo Registro de Comida
-                </h2>
-                
-                <div className="grid md:grid-cols-2 gap-6">
-                    {/* Columna de Descripción */}
+            {/* Evolución de la piel */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-rose-100 space-y-6">
+                <div className="flex flex-wrap justify-between items-center gap-2">
+                    <h2 className="text-2xl font-bold text-rose-800">{t('insights.title')}</h2>
+                    <div className="flex space-x-2">
+                        {INSIGHTS_RANGE_OPTIONS.map(option => (
+                            <button
+                                key={option}
+                                onClick={() => setRangeDays(option)}
+                                className={`py-1 px-3 rounded-lg text-sm font-medium transition duration-150 
+                                    ${rangeDays === option 
+                                        ? 'bg-rose-600 text-white shadow' 
+                                        : 'text-rose-700 hover:bg-rose-50'}`
+                                }
+                            >
+                                {t('dashboard.days', { count: option })}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <p className="text-sm text-gray-600">
+                    {t('insights.intro')} {t('insights.sampleSize', { skinDays: skinDays.length, mealDays: mealDayCount })}
+                </p>
+
+                {skinDays.length === 0 ? (
+                    <p className="text-gray-500 italic">{t('insights.noScores')}</p>
+                ) : (
                     <div>
-                        <label htmlFor="mealDescription" className="block text-sm font-medium text-gray-700 mb-2">
-                            Describe tu comida (o déjalo vacío si subes imagen)
-                        </label>
-                        <textarea
-                            id="mealDescription"
-                            rows="4"
-                            value={record.mealDescription}
-                            onChange={(e) => setRecord(prev => ({ ...prev, mealDescription: e.target.value }))}
-                            placeholder="Ej: Un tazón de avena con frutas, semillas de chía y un vaso de jugo de naranja."
-                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-indigo-500 focus:border-indigo-500 transition duration-150"
+                        <h3 className="text-lg font-semibold text-gray-800 mb-2">{t('insights.scoreTrend')}</h3>
+                        <LineTrendChart
+                            labels={days.map(day => day.label)}
+                            unit={t('skinScores.unit')}
+                            title={t('insights.trendLabel')}
+                            maxValue={SKIN_SCORE_MAX}
+                            series={SKIN_SCORE_FIELDS.map(({ key, label, color }) => ({
+                                label,
+                                color,
+                                values: days.map(day => day.skin?.scores[key] ?? null),
+                            }))}
                         />
                     </div>
-                    
-                    {/* Columna de Imagen */}
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Sube una Imagen
-                        </label>
-                        <div className="flex items-center space-x-4">
-                            <input
-                                type="file"
-                                accept="image/*"
-                                onChange={handleImageChange}
-                                className="block w-full text-sm text-gray-500
-                                    file:mr-4 file:py-2 file:px-4
-                                    file:rounded-full file:border-0
-                                    file:text-sm file:font-semibold
-                                    file:bg-indigo-50 file:text-indigo-700
-                                    hover:file:bg-indigo-100
-                                "
-                            />
-                        </div>
-                        <div className="mt-4 border border-gray-200 rounded-lg overflow-hidden bg-gray-50">
-                            <img 
-                                src={record.base64Image || DEFAULT_IMAGE_URL} 
-                                alt="Vista previa de la comida" 
-                                className="w-full h-48 object-cover" 
-                            />
-                        </div>
+                )}
+            </div>
+
+            {/* Relación con la alimentación */}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-rose-100 space-y-4">
+                <div className="flex flex-wrap justify-between items-center gap-2">
+                    <h2 className="text-2xl font-bold text-rose-800">{t('insights.correlations')}</h2>
+                    <div className="flex flex-wrap gap-2">
+                        {SKIN_SCORE_FIELDS.map(({ key, label }) => (
+                            <button
+                                key={key}
+                                onClick={() => setScoreKey(key)}
+                                className={`py-1 px-3 rounded-lg text-sm font-medium transition duration-150 
+                                    ${scoreKey === key 
+                                        ? 'bg-rose-600 text-white shadow' 
+                                        : 'text-rose-700 hover:bg-rose-50'}`
+                                }
+                            >
+                                {label}
+                            </button>
+                        ))}
                     </div>
                 </div>
 
-                <div className="mt-6 flex justify-end space-x-4">
-                    <button
-                        onClick={analyzeMeal}
-                        disabled={isLoading || isSaving}
-                        className="flex items-center justify-center px-6 py-3 border border-transparent text-base font-medium rounded-full shadow-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 transition duration-150 transform hover:scale-[1.02]"
-                    >
-                        {isLoading ? (
-                            <svg className="animate-spin h-5 w-5 mr-3 text-white" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>
-                        ) : (
-                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.75 17L12 20.25l2.25-3.25m-4.5 0H16.5M21 12a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
-                        )}
-                        {isLoading ? 'Analizando...' : 'Analizar Comida con IA'}
-                    </button>
-                    <button
-                        onClick={saveRecord}
-                        disabled={!aiResponse || isSaving || isLoading}
-                        className="flex items-center px-6 py-3 border border-transparent text-base font-medium rounded-full shadow-md text-white bg-green-500 hover:bg-green-600 disabled:opacity-50 transition duration-150 transform hover:scale-[1.02]"
-                    >
-                         {isSaving ? 'Guardando...' : 'Guardar Registro'}
-                    </button>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm text-left text-gray-700">
+                        <thead>
+                            <tr className="border-b border-gray-300 text-gray-800">
+                                <th className="py-2 pr-3 font-medium">{t('insights.feature')}</th>
+                                {INSIGHTS_LAG_DAYS.map(lag => (
+                                    <th key={lag} className="py-2 px-2 font-medium">
+                                        {lag === 1 ? t('insights.lagOne') : t('insights.lag', { count: lag })}
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {DIET_FEATURES.map(feature => (
+                                <tr key={feature.key} className="border-b border-gray-200">
+                                    <td className="py-2 pr-3 font-medium align-top">{feature.label}</td>
+                                    {correlations[scoreKey][feature.key].map(result => (
+                                        <CorrelationCell key={result.lag} result={result} score={score} />
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
                 </div>
-            </div>
+                <p className="text-xs text-gray-500">{t('insights.legend')}</p>
 
-            {/* Respuesta de la IA */}
-            {aiResponse && (
-                <div className="bg-indigo-50 p-6 rounded-xl shadow-inner border border-indigo-200">
-                    <h3 className="text-xl font-bold text-indigo-700 mb-4 flex items-center">
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" viewBox="0 0 20 20" fill="currentColor"><path d="M5 4a1 1 0 011-1h8a1 1 0 011 1v12a1 1 0 01-1 1H6a1 1 0 01-1-1V4zm4 11a1 1 0 102 0 1 1 0 00-2 0z" /></svg>
-                        Análisis Nutricional de Gemini
-                    </h3>
-                    <div className="prose max-w-none text-gray-700 leading-relaxed" dangerouslySetInnerHTML={{ __html: aiResponse.replace(/\n/g, '<br />') }} />
+                <div className="p-3 rounded-lg border-l-4 border-amber-400 bg-amber-50 text-sm text-amber-900 space-y-2">
+                    <p className="font-medium">{t('insights.caveatsTitle')}</p>
+                    <p>{t('insights.caveatMethod')}</p>
+                    <p>{t('insights.caveatSample', { min: INSIGHTS_MIN_PAIRS })}</p>
+                    <p>
+                        {t('insights.caveatMultiple', {
+                            count: comparisonCount,
+                            total: totalComparisons,
+                            expected: formatNumber(totalComparisons * 0.05, { maximumFractionDigits: 1 }),
+                        })}
+                    </p>
+                    <p>{t('insights.caveatCausation')}</p>
+                    <p>{t('insights.caveatEstimates')}</p>
+                    <p className="text-xs italic">{t('insights.disclaimer')}</p>
                 </div>
-            )}
-
-            {/* Historial */}
-            <div className="bg-gray-50 p-6 rounded-xl shadow-lg border border-gray-200">
-                <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" /></svg>
-                    Historial de Comidas ({history.length})
-                </h2>
-                {history.length === 0 ? (
-                    <p className="text-gray-500 italic">Aún no tienes registros guardados.</p>
-                ) : (
-                    <div className="space-y-4">
-                        {history.map((item) => (
-                            <div key={item.id} className="p-4 bg-white border border-gray-100 rounded-lg shadow-sm hover:shadow-md transition duration-150">
-                                <p className="text-sm text-gray-500 mb-1">
-                                    {item.timestamp.toLocaleString('es-ES', { dateStyle: 'medium', timeStyle: 'short' })} 
-                                    {item.hasImage && <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-indigo-100 text-indigo-800">Con Imagen</span>}
-                                </p>
-                                <p className="text-gray-900 font-semibold">{item.description || 'Comida sin descripción'}</p>
-                                <div className="mt-2 text-sm text-gray-700 border-t pt-2 max-h-24 overflow-y-auto">
-                                    <h4 className="font-medium text-indigo-600">Análisis:</h4>
-                                    <div className="prose prose-sm max-w-none" dangerouslySetInnerHTML={{ __html: item.analysis.replace(/\n/g, '<br />') }} />
-                                </div>
-                            </div>
-                        ))}
-                    </div>
-                )}
             </div>
         </div>
     );
 };
 
-// 2. Diario de Piel (Pestaña 'skin')
-const SkinJournal = ({ db, userId, isAuthReady }) => {
-    const { runGeneration, isLoading, aiResponse, setAiResponse, setIsLoading } = useGeminiGenerator();
-    
-    const [skinRecord, setSkinRecord] = useState({ 
-        notes: '', 
-        base64Image: null,
-        image: null
-    });
-    const [history, setHistory] = useState([]);
-    const [isSaving, setIsSaving] = useState(false);
-    
-    const [message, setMessage] = useState('');
-    const [messageType, setMessageType] = useState('');
+// --- EXPORTAR E IMPORTAR DATOS ---
 
-    // 2. Carga de la imagen
-    const handleImageChange = (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            setSkinRecord(prev => ({ ...prev, image: file }));
-            const reader = new FileReader();
-            reader.onloadend = () => {
-                setSkinRecord(prev => ({ ...prev, base64Image: reader.result }));
+const EXPORT_FORMAT = 'health-tracker-export';
+const EXPORT_FORMAT_VERSION = 1;
+const EXPORT_DEFAULT_DAYS = 30;
+const REPORT_MAX_PHOTOS = 24; // fotos de piel que se incrustan en el informe
+
+const hasNutritionData = (record) => !!record.nutrition?.totals && record.analysis !== PENDING_ANALYSIS;
+
+// Columna del CSV con la cabecera traducida (dataTransfer.csvColumns.<id>)
+const localizedCsvColumn = (id, value) => Object.defineProperty({ value }, 'header', {
+    enumerable: true,
+    get: () => t(`dataTransfer.csvColumns.${id}`),
+});
+
+// Validadores de los campos que se restauran al importar, con los límites de firestore.rules: un registro
+// que las reglas rechazaran haría fallar todo su lote de escritura. null equivale a un campo vacío.
+const IMPORT_NOTE_MAX_LENGTH = 4000;
+const IMPORT_ANALYSIS_MAX_LENGTH = 20000;
+const isIsoTimestamp = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/.test(value);
+const isImportMap = (value) => typeof value === 'object' && !Array.isArray(value);
+const importText = (maxLength) => (value) => value === null || (typeof value === 'string' && value.length <= maxLength);
+const importDate = (value) => value === null || isIsoTimestamp(value);
+const importMap = (value) => value === null || isImportMap(value);
+const importSkinScores = (value) => value === null || (isImportMap(value)
+    && Object.entries(value).every(([key, score]) => (key === 'confidence'
+        ? score === null || typeof score === 'number'
+        : SKIN_SCORE_KEYS.includes(key) && (score === null || (Number.isInteger(score) && score >= 0 && score <= 10)))));
+// Las reglas no limitan estos campos; basta con que sean textos cortos
+const importId = importText(200);
+
+// Colecciones exportables: columnas del CSV, campo de texto con el que se detectan duplicados al importar
+// y campos del registro que se restauran con su validador (el resto del archivo se ignora)
+const EXPORTABLE_COLLECTIONS = {
+    nutrition_history: localizedSection('dataTransfer.collections.nutrition_history', {
+        textKey: 'description',
+        csvColumns: [
+            localizedCsvColumn('date', (record) => toDateTimeInputValue(record.timestamp)),
+            localizedCsvColumn('mealType', (record) => getMealTypeLabel(record.mealType || suggestMealType(record.timestamp))),
+            localizedCsvColumn('description', (record) => record.description),
+            ...NUTRIENT_FIELDS.map(({ key }) => ({
+                header: key,
+                value: (record) => (hasNutritionData(record) ? Math.round(record.nutrition.totals[key] || 0) : ''),
+            })),
+            localizedCsvColumn('analysis', (record) => record.analysis),
+        ],
+        importFields: {
+            description: importText(IMPORT_NOTE_MAX_LENGTH),
+            mealType: importText(20),
+            analysis: importText(IMPORT_ANALYSIS_MAX_LENGTH),
+            analysisStatus: importText(20),
+            nutrition: importMap,
+            nutritionSource: importId,
+            barcode: importText(32),
+            analyzedAt: importDate,
+            favoriteId: importId,
+            templateId: importId,
+        },
+    }),
+    skin_journal: localizedSection('dataTransfer.collections.skin_journal', {
+        textKey: 'notes',
+        csvColumns: [
+            localizedCsvColumn('date', (record) => toDateTimeInputValue(record.timestamp)),
+            localizedCsvColumn('notes', (record) => record.notes),
+            localizedCsvColumn('products', (record) => (record.products || []).map(product => product.name).join('; ')),
+            ...SKIN_SCORE_KEYS.map(key => ({ header: key, value: (record) => record.skinScores?.[key] ?? '' })),
+            localizedCsvColumn('analysis', (record) => record.analysis),
+            localizedCsvColumn('photo', (record) => t(record.hasImage ? 'dataTransfer.csvYes' : 'dataTransfer.csvNo')),
+        ],
+        importFields: {
+            notes: importText(IMPORT_NOTE_MAX_LENGTH),
+            analysis: importText(IMPORT_ANALYSIS_MAX_LENGTH),
+            analysisStatus: importText(20),
+            skinScores: importSkinScores,
+            products: (value) => Array.isArray(value) && value.length <= 30,
+            routine: (value) => value === null || SKIN_ROUTINES.some(routine => routine.id === value),
+            analyzedAt: importDate,
+        },
+    }),
+};
+
+// Celda CSV: se entrecomilla si hace falta y se neutralizan las fórmulas (=, +, -, @) para hojas de cálculo
+const toCsvCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// El BOM hace que Excel abra el archivo como UTF-8
+const buildCsv = (records, columns) => '\uFEFF' + [
+    columns.map(column => column.header).join(','),
+    ...records.map(record => columns.map(column => toCsvCell(column.value(record))).join(',')),
+].join('\r\n');
+
+// Exportación JSON: los registros tal cual están en Firestore, con el timestamp en ISO
+const buildExportJson = (recordsByCollection, { start, end }, exportedAt = new Date()) => ({
+    format: EXPORT_FORMAT,
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    range: { start, end },
+    collections: Object.fromEntries(Object.entries(recordsByCollection).map(([collectionName, records]) => [
+        collectionName,
+        records.map(record => ({ ...record, timestamp: record.timestamp.toISOString() })),
+    ])),
+});
+
+// Valida un archivo exportado y devuelve { colección: registros } solo con las colecciones conocidas
+const parseExportFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error(t('dataTransfer.errors.invalidJson'));
+    }
+    if (data?.format !== EXPORT_FORMAT || typeof data.collections !== 'object') {
+        throw new Error(t('dataTransfer.errors.notExport'));
+    }
+    if (data.version > EXPORT_FORMAT_VERSION) {
+        throw new Error(t('dataTransfer.errors.newerVersion'));
+    }
+    return Object.fromEntries(Object.keys(EXPORTABLE_COLLECTIONS).map(collectionName => {
+        const records = Array.isArray(data.collections[collectionName]) ? data.collections[collectionName] : [];
+        return [collectionName, records.filter(record => record && typeof record === 'object' && typeof record.timestamp === 'string'
+            && !Number.isNaN(new Date(record.timestamp).getTime()))];
+    }));
+};
+
+// Dos registros son el mismo si coinciden el instante y el texto (sin distinguir espacios ni mayúsculas)
+const getDedupeKey = (collectionName, record) => {
+    const text = String(record[EXPORTABLE_COLLECTIONS[collectionName].textKey] || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    return `${new Date(record.timestamp).getTime()}|${text}`;
+};
+
+// Restaura una exportación en las colecciones del usuario, saltando los duplicados y los registros que no
+// cumplen las reglas (se cuentan en 'invalid'). Las fotos solo se conservan si están en el Storage de esta
+// misma cuenta (las reglas impiden leer las de otra).
+const importExportedRecords = async (db, userId, recordsByCollection) => {
+    const result = { imported: 0, duplicates: 0, invalid: 0, imagesDropped: 0 };
+    const ownStoragePrefix = `artifacts/${appId}/users/${userId}/`;
+
+    for (const [collectionName, records] of Object.entries(recordsByCollection)) {
+        if (records.length === 0) continue;
+        const collectionPath = `artifacts/${appId}/users/${userId}/${collectionName}`;
+        const tracker = findTrackerByCollection(collectionName);
+        const { importFields } = EXPORTABLE_COLLECTIONS[collectionName];
+        const existing = await getDocs(collection(db, collectionPath));
+        const seenKeys = new Set(existing.docs.map(recordDoc => getDedupeKey(collectionName, recordDoc.data())));
+
+        const toWrite = [];
+        records.forEach(exported => {
+            const key = getDedupeKey(collectionName, exported);
+            if (seenKeys.has(key)) {
+                result.duplicates += 1;
+                return;
+            }
+
+            const fields = Object.entries(importFields).filter(([field]) => exported[field] !== undefined);
+            const timestamp = new Date(exported.timestamp).toISOString();
+            if (!isIsoTimestamp(timestamp) || !fields.every(([field, isValid]) => isValid(exported[field]))) {
+                result.invalid += 1;
+                return;
+            }
+            seenKeys.add(key);
+
+            const keepImage = typeof exported.image?.path === 'string' && exported.image.path.startsWith(ownStoragePrefix);
+            if (exported.hasImage && !keepImage) result.imagesDropped += 1;
+            const record = {
+                ...Object.fromEntries(fields.map(([field]) => [field, exported[field]])),
+                timestamp,
+                hasImage: keepImage,
+                image: keepImage ? exported.image : null,
             };
-            reader.readAsDataURL(file);
-        }
-    };
+            if (tracker) record.searchTokens = buildRecordSearchTokens(tracker, record);
+            toWrite.push(record);
+        });
 
-    // 3. Generar análisis de Piel
-    const analyzeSkin = useCallback(async () => {
-        if (!skinRecord.base64Image) {
-            setMessageType('error');
-            setMessage('Por favor, sube una imagen de tu piel para analizar.');
-            return;
+        // writeBatch admite hasta 500 operaciones
+        for (let start = 0; start < toWrite.length; start += 500) {
+            const batch = writeBatch(db);
+            toWrite.slice(start, start + 500).forEach(record => batch.set(doc(collection(db, collectionPath)), record));
+            await batch.commit();
         }
+        result.imported += toWrite.length;
+    }
+    return result;
+};
 
-        setMessageType('info');
-        setMessage('Analizando la condición de la piel. Esto puede tardar unos segundos...');
-        setAiResponse(null); // Clear previous analysis
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+})[char]);
 
-        const prompt = `Analiza la condición de la piel en esta imagen. Evalúa el nivel de hidratación, presencia de acné, enrojecimiento, o cualquier otra condición notable. ${skinRecord.notes ? `Nota adicional del usuario: ${skinRecord.notes}` : ''}. Proporciona un breve resumen de la condición actual y una sugerencia de rutina de cuidado o ingrediente clave a considerar.`;
-        const systemInstruction = "Eres un dermatólogo IA experto. Tu tarea es analizar la imagen de la piel provista por el usuario. Responde de forma profesional, concisa y utiliza viñetas (formato Markdown) para el desglose de hallazgos. Nunca diagnostiques o reemplaces a un médico; siempre incluye una advertencia al final de que solo son sugerencias cosméticas/rutinas.";
+// Gráfico de calorías diarias en SVG (texto) para el informe
+const buildReportChartSvg = (days, goal) => {
+    const width = 640;
+    const height = 200;
+    const padding = 32;
+    const maxValue = Math.max(goal || 0, ...days.map(day => day.totals.kcal), 1) * 1.1;
+    const slot = (width - padding * 2) / Math.max(days.length, 1);
+    const y = (value) => height - padding - (value / maxValue) * (height - padding * 2);
+    const bars = days.map((day, index) => {
+        const top = y(day.totals.kcal);
+        return `<rect x="${(padding + index * slot + slot * 0.2).toFixed(1)}" y="${top.toFixed(1)}" width="${(slot * 0.6).toFixed(1)}" height="${(height - padding - top).toFixed(1)}" fill="${day.status === 'ok' ? '#059669' : '#d1d5db'}"><title>${day.key}: ${Math.round(day.totals.kcal)} kcal</title></rect>`;
+    }).join('');
+    const goalLine = goal
+        ? `<line x1="${padding}" x2="${width - padding}" y1="${y(goal).toFixed(1)}" y2="${y(goal).toFixed(1)}" stroke="#f59e0b" stroke-dasharray="4 4" />`
+        : '';
+    const labels = days.length > 0
+        ? `<text x="${padding}" y="${height - 10}" font-size="10" fill="#6b7280">${days[0].key}</text><text x="${width - padding}" y="${height - 10}" font-size="10" fill="#6b7280" text-anchor="end">${days[days.length - 1].key}</text>`
+        : '';
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeHtml(t('dashboard.caloriesPerDay'))}"><line x1="${padding}" x2="${width - padding}" y1="${height - padding}" y2="${height - padding}" stroke="#e5e7eb" />${bars}${goalLine}${labels}</svg>`;
+};
 
-        await runGeneration({ 
-            prompt, 
-            base64Image: skinRecord.base64Image, 
-            systemInstruction 
-        });
+// Informe imprimible (HTML autónomo; desde el navegador se guarda como PDF).
+// photos: { [id de la entrada de piel]: data URL }
+const buildHealthReportHtml = ({ range, nutritionRecords = [], skinRecords = [], goals, photos = {} }, generatedAt = new Date()) => {
+    const start = parseLocalDateTime(range.start);
+    const end = parseLocalDateTime(range.end);
+    const dayCount = Math.round((new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1) - start) / (24 * 60 * 60 * 1000));
+    const days = buildDailyNutrition(nutritionRecords, end, dayCount);
+    const daysWithData = days.filter(day => day.status === 'ok');
+    const summaryRows = NUTRIENT_FIELDS.map(({ key, label, unit }) => {
+        const total = daysWithData.reduce((sum, day) => sum + day.totals[key], 0);
+        const average = daysWithData.length ? Math.round(total / daysWithData.length) : '—';
+        return `<tr><td>${escapeHtml(label)}</td><td>${Math.round(total)} ${unit}</td><td>${average} ${unit}</td><td>${goals?.[key] ?? '—'} ${unit}</td></tr>`;
+    }).join('');
 
-        setMessage(''); // Clear info message
-    }, [skinRecord.base64Image, skinRecord.notes, runGeneration]);
+    const mealRows = nutritionRecords.map(record => `<tr><td>${escapeHtml(formatDateTime(record.timestamp))}</td><td>${escapeHtml(record.description || t('trackers.meal.textField.empty'))}</td><td>${hasNutritionData(record) ? Math.round(record.nutrition.totals.kcal || 0) : '—'}</td><td>${hasNutritionData(record) ? Math.round(record.nutrition.totals.protein_g || 0) : '—'}</td></tr>`).join('');
 
-    // 4. Guardar registro
-    const saveSkinRecord = async () => {
-        if (!db || !userId) return;
+    const skinEntries = skinRecords.map(entry => `
+        <div class="entry">
+            <h3>${escapeHtml(formatDateTime(entry.timestamp))}</h3>
+            ${photos[entry.id] ? `<img src="${escapeHtml(photos[entry.id])}" alt="${escapeHtml(t('comparison.skinPhoto'))}" />` : ''}
+            <p><strong>${escapeHtml(t('report.notes'))}</strong> ${escapeHtml(entry.notes || t('coachContext.noNotes'))}</p>
+            <p class="analysis">${escapeHtml(displayAnalysis(entry.analysis || ''))}</p>
+        </div>`).join('');
 
-        if (!skinRecord.base64Image) {
-            setMessageType('error');
-            setMessage('Necesitas una imagen para guardar el registro de la piel.');
-            return;
-        }
+    return `<!DOCTYPE html>
+<html lang="${getLanguage()}">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(t('report.title'))} ${escapeHtml(range.start)} – ${escapeHtml(range.end)}</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #1f2937; max-width: 800px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { margin-bottom: 0; } h2 { margin-top: 2rem; border-bottom: 2px solid #e5e7eb; padding-bottom: .25rem; }
+    table { width: 100%; border-collapse: collapse; font-size: .9rem; }
+    th, td { text-align: left; padding: .35rem .5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+    .muted { color: #6b7280; font-size: .85rem; }
+    .entry { break-inside: avoid; border-bottom: 1px solid #e5e7eb; padding: .5rem 0; }
+    .entry img { max-width: 240px; max-height: 240px; border-radius: .5rem; }
+    .analysis { white-space: pre-wrap; font-size: .85rem; color: #374151; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t('report.title'))}</h1>
+<p class="muted">${escapeHtml(t('report.period', { start: formatDate(start), end: formatDate(end), generatedAt: formatDateTime(generatedAt) }))}</p>
 
-        setIsSaving(true);
-        setMessageType('info');
-        setMessage('Guardando diario...');
-
-        const dataToSave = {
-            notes: skinRecord.notes,
-            analysis: aiResponse || "Análisis pendiente",
-            timestamp: new Date().toISOString(),
-            hasImage: true
-        };
+<h2>${escapeHtml(t('report.nutrition'))}</h2>
+<p>${escapeHtml(t('report.nutritionSummary', { meals: nutritionRecords.length, daysWithData: daysWithData.length, days: days.length }))}</p>
+<table><thead><tr><th>${escapeHtml(t('report.nutrient'))}</th><th>${escapeHtml(t('report.total'))}</th><th>${escapeHtml(t('report.dailyAverage'))}</th><th>${escapeHtml(t('report.dailyGoal'))}</th></tr></thead><tbody>${summaryRows}</tbody></table>
+<p class="muted">${escapeHtml(t('report.averageNote'))}</p>
+<h3>${escapeHtml(t('dashboard.caloriesPerDay'))}</h3>
+${buildReportChartSvg(days, goals?.kcal)}
+<h3>${escapeHtml(t('report.meals'))}</h3>
+${mealRows ? `<table><thead><tr><th>${escapeHtml(t('report.date'))}</th><th>${escapeHtml(t('report.meal'))}</th><th>kcal</th><th>${escapeHtml(t('report.protein'))}</th></tr></thead><tbody>${mealRows}</tbody></table>` : `<p class="muted">${escapeHtml(t('report.noMeals'))}</p>`}
+
+<h2>${escapeHtml(t('dataTransfer.collections.skin_journal.label'))}</h2>
+${skinEntries || `<p class="muted">${escapeHtml(t('report.noSkinEntries'))}</p>`}
+
+<p class="muted">${escapeHtml(t('report.disclaimer'))}</p>
+</body>
+</html>`;
+};
+
+// Pestaña de datos: exportar un rango de fechas (CSV, JSON o informe imprimible) e importar una exportación JSON
+const DataTransfer = ({ db, storage, userId, isAuthReady }) => {
+    const { settings } = useUserSettings(db, userId, isAuthReady);
+    const { message, messageType, showMessage, flashMessage, clearMessage } = useStatusMessage();
+    const [range, setRange] = useState(() => ({
+        start: toLocalDayKey(new Date(Date.now() - (EXPORT_DEFAULT_DAYS - 1) * 24 * 60 * 60 * 1000)),
+        end: toLocalDayKey(new Date()),
+    }));
+    const [selected, setSelected] = useState(() => Object.fromEntries(Object.keys(EXPORTABLE_COLLECTIONS).map(name => [name, true])));
+    const [busyAction, setBusyAction] = useState(null); // csv, json, report, import
+    const [importPreview, setImportPreview] = useState(null); // { fileName, records }
+
+    const selectedCollections = Object.keys(EXPORTABLE_COLLECTIONS).filter(name => selected[name]);
+    const fileSuffix = `${range.start}_${range.end}`;
+
+    // Lee el rango elegido de cada colección seleccionada; lanza un error si el rango no es válido
+    const loadSelectedRecords = async () => {
+        const start = parseLocalDateTime(range.start);
+        const end = parseLocalDateTime(range.end);
+        if (!start || !end || end < start) throw new Error(t('dataTransfer.errors.invalidRange'));
+        const endExclusive = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+        const entries = await Promise.all(selectedCollections.map(async collectionName => [
+            collectionName,
+            await fetchRecordsInRange(db, userId, collectionName, start, endExclusive),
+        ]));
+        return Object.fromEntries(entries);
+    };
 
+    const runAction = async (action, task) => {
+        setBusyAction(action);
+        clearMessage();
         try {
-            const journalCollection = collection(db, `artifacts/${appId}/users/${userId}/skin_journal`);
-            await setDoc(doc(journalCollection), dataToSave); 
-            
-            // Limpiar formulario y respuesta AI después de guardar
-            setSkinRecord({ notes: '', image: null, base64Image: null });
-            setAiResponse(null);
-            
-            setMessageType('success');
-            setMessage('¡Registro de piel guardado exitosamente!');
+            await task();
         } catch (error) {
-            console.error("Error saving skin record:", error);
-            setMessageType('error');
-            setMessage(`Error al guardar: ${error.message}`);
+            console.error(`Error in data ${action}:`, error);
+            flashMessage('error', t('dataTransfer.actionError', { message: error.message }));
         } finally {
-            setIsSaving(false);
-            setTimeout(() => setMessage(''), 5000);
+            setBusyAction(null);
         }
     };
 
-    // 5. Escuchar el historial en tiempo real
-    useEffect(() => {
-        if (!db || !isAuthReady || !userId) return;
+    const exportCsv = () => runAction('csv', async () => {
+        const recordsByCollection = await loadSelectedRecords();
+        Object.entries(recordsByCollection).forEach(([collectionName, records]) => {
+            downloadFile(`${collectionName}_${fileSuffix}.csv`, buildCsv(records, EXPORTABLE_COLLECTIONS[collectionName].csvColumns), 'text/csv;charset=utf-8');
+        });
+        flashMessage('success', t('dataTransfer.csvExported'));
+    });
+
+    const exportJson = () => runAction('json', async () => {
+        const recordsByCollection = await loadSelectedRecords();
+        downloadFile(`health-tracker_${fileSuffix}.json`, JSON.stringify(buildExportJson(recordsByCollection, range), null, 2), 'application/json');
+        flashMessage('success', t('dataTransfer.jsonExported'));
+    });
 
-        const journalCollection = collection(db, `artifacts/${appId}/users/${userId}/skin_journal`);
-        
-        const q = query(journalCollection); 
+    // La ventana se abre antes de las lecturas para que el navegador no la bloquee como popup
+    const openReport = () => {
+        const reportWindow = window.open('', '_blank');
+        reportWindow?.document.write(`<p style="font-family: sans-serif">${escapeHtml(t('dataTransfer.generatingReport'))}</p>`);
+        let isReportShown = false;
 
-        const unsubscribe = onSnapshot(q, (snapshot) => {
-            const records = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data(),
-                timestamp: doc.data().timestamp ? new Date(doc.data().timestamp) : new Date()
+        runAction('report', async () => {
+            const recordsByCollection = await loadSelectedRecords();
+            const skinRecords = recordsByCollection.skin_journal || [];
+            const photos = {};
+            await Promise.all(skinRecords.filter(entry => entry.image).slice(-REPORT_MAX_PHOTOS).map(async entry => {
+                try {
+                    photos[entry.id] = await fetchStorageImageAsDataUrl(storage, entry.image.thumbnailPath || entry.image.path);
+                } catch (error) {
+                    console.warn(`Error loading photo for ${entry.id}:`, error);
+                }
             }));
 
-            records.sort((a, b) => b.timestamp - a.timestamp);
-            setHistory(records);
-        }, (error) => {
-            console.error("Error listening to skin journal:", error);
-            setMessageType('error');
-            setMessage(`Error al cargar historial: ${error.message}`);
-        });
+            const html = buildHealthReportHtml({
+                range,
+                nutritionRecords: recordsByCollection.nutrition_history,
+                skinRecords,
+                goals: settings.nutritionGoals,
+                photos,
+            });
 
-        return () => unsubscribe();
-    }, [db, userId, isAuthReady]);
+            if (!reportWindow || reportWindow.closed) {
+                downloadFile(`${t('dataTransfer.reportFileName')}_${fileSuffix}.html`, html, 'text/html;charset=utf-8');
+                flashMessage('success', t('dataTransfer.reportDownloaded'));
+                return;
+            }
+            reportWindow.document.open();
+            reportWindow.document.write(html);
+            reportWindow.document.close();
+            reportWindow.focus();
+            isReportShown = true;
+            reportWindow.print();
+        }).finally(() => {
+            // Si algo falla no se deja abierta la ventana con el aviso de carga
+            if (reportWindow && !isReportShown) reportWindow.close();
+        });
+    };
 
-    const MessageDisplay = ({ msg, type }) => {
-        if (!msg) return null;
-        const colorClass = type === 'success' ? 'bg-green-100 text-green-700 border-green-400'
-                         : type === 'error' ? 'bg-red-100 text-red-700 border-red-400'
-                         : 'bg-pink-100 text-pink-700 border-pink-400';
-        return (
-            <div className={`p-3 rounded-lg border-l-4 font-medium mb-4 ${colorClass}`}>
-                {msg}
-            </div>
-        );
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setImportPreview({ fileName: file.name, records: parseExportFile(await file.text()) });
+            clearMessage();
+        } catch (error) {
+            setImportPreview(null);
+            showMessage('error', error.message);
+        }
     };
 
+    const confirmImport = () => runAction('import', async () => {
+        const result = await importExportedRecords(db, userId, importPreview.records);
+        setImportPreview(null);
+        const notes = [
+            result.duplicates > 0 && t('dataTransfer.duplicatesSkipped', { count: result.duplicates }),
+            result.invalid > 0 && t('dataTransfer.invalidSkipped', { count: result.invalid }),
+            result.imagesDropped > 0 && t('dataTransfer.imagesDropped', { count: result.imagesDropped }),
+        ].filter(Boolean);
+        showMessage('success', t('dataTransfer.imported', { count: result.imported, notes: notes.length ? ` (${notes.join('; ')})` : '' }));
+    });
+
+    const isBusy = busyAction !== null;
+    const buttonClass = 'px-4 py-2 rounded-lg font-medium text-white bg-slate-700 hover:bg-slate-800 disabled:opacity-50 transition duration-150';
+
     return (
         <div className="space-y-8">
-            <MessageDisplay msg={message} type={messageType} />
+            <MessageDisplay msg={message} type={messageType} infoClass="bg-slate-100 text-slate-700 border-slate-400" />
 
-            {/* Formulario de Nuevo Registro de Piel */}
-            <div className="bg-white p-6 rounded-xl shadow-lg border border-pink-100">
-                <h2 className="text-2xl font-bold text-pink-800 mb-6 flex items-center">
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
-                    </svg>
-                    Nuevo Registro del Diario de Piel
-                </h2>
-                
-                <div className="grid md:grid-cols-2 gap-6">
-                    {/* Columna de Imagen */}
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Sube una Imagen de tu Piel
-                        </label>
-                        <div className="flex items-center space-x-4">
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-slate-200 space-y-4">
+                <h2 className="text-2xl font-bold text-slate-800">{t('dataTransfer.exportTitle')}</h2>
+                <p className="text-sm text-gray-600">{t('dataTransfer.exportHint')}</p>
+
+                <div className="flex flex-wrap gap-4">
+                    <label className="text-sm text-gray-700">
+                        {t('history.from')}
+                        <input type="date" value={range.start} max={range.end} onChange={(e) => setRange(prev => ({ ...prev, start: e.target.value }))} className="block mt-1 p-2 border border-gray-300 rounded-lg" />
+                    </label>
+                    <label className="text-sm text-gray-700">
+                        {t('history.to')}
+                        <input type="date" value={range.end} min={range.start} onChange={(e) => setRange(prev => ({ ...prev, end: e.target.value }))} className="block mt-1 p-2 border border-gray-300 rounded-lg" />
+                    </label>
+                </div>
+
+                <div className="flex flex-wrap gap-4">
+                    {Object.entries(EXPORTABLE_COLLECTIONS).map(([collectionName, { label }]) => (
+                        <label key={collectionName} className="flex items-center space-x-2 text-sm text-gray-700">
                             <input
-                                type="file"
-                                accept="image/*"
-                                onChange={handleImageChange}
-                                className="block w-full text-sm text-gray-500
-                                    file:mr-4 file:py-2 file:px-4
-                                    file:rounded-full file:border-0
-                                    file:text-sm file:font-semibold
-                                    file:bg-pink-50 file:text-pink-700
-                                    hover:file:bg-pink-100
-                                "
+                                type="checkbox"
+                                checked={selected[collectionName]}
+                                onChange={(e) => setSelected(prev => ({ ...prev, [collectionName]: e.target.checked }))}
                             />
-                        </div>
-                        <div className="mt-4 border border-gray-200 rounded-lg overflow-hidden bg-gray-50">
-                            <img 
-                                src={skinRecord.base64Image || DEFAULT_IMAGE_URL} 
-                                alt="Vista previa de la piel" 
-                                className="w-full h-48 object-cover" 
-                            />
-                        </div>
-                    </div>
-
-                     {/* Columna de Notas */}
-                    <div>
-                        <label htmlFor="skinNotes" className="block text-sm font-medium text-gray-700 mb-2">
-                            Notas (¿Qué has notado hoy? ¿Nuevos productos?)
+                            <span>{label}</span>
                         </label>
-                        <textarea
-                            id="skinNotes"
-                            rows="4"
-                            value={skinRecord.notes}
-                            onChange={(e) => setSkinRecord(prev => ({ ...prev, notes: e.target.value }))}
-                            placeholder="Ej: La piel se siente un poco más tirante después de la limpieza. Probé un nuevo sérum de vitamina C."
-                            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-pink-500 focus:border-pink-500 transition duration-150"
-                        />
-                    </div>
+                    ))}
                 </div>
 
-                <div className="mt-6 flex justify-end space-x-4">
-                    <button
-                        onClick={analyzeSkin}
-                        disabled={isLoading || isSaving || !skinRecord.base64Image}
-                        className="flex items-center justify-center px-6 py-3 border border-transparent text-base font-medium rounded-full shadow-md text-white bg-pink-600 hover:bg-pink-700 disabled:opacity-50 transition duration-150 transform hover:scale-[1.02]"
-                    >
-                        {isLoading ? (
-                            <svg className="animate-spin h-5 w-5 mr-3 text-white" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>
-                        ) : (
-                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" /></svg>
-                        )}
-                        {isLoading ? 'Analizando...' : 'Analizar Piel con IA'}
+                <div className="flex flex-wrap gap-2">
+                    <button onClick={exportCsv} disabled={isBusy || selectedCollections.length === 0} className={buttonClass}>
+                        {busyAction === 'csv' ? t('dataTransfer.exporting') : 'CSV'}
                     </button>
-                    <button
-                        onClick={saveSkinRecord}
-                        disabled={!aiResponse || isSaving || isLoading || !skinRecord.base64Image}
-                        className="flex items-center px-6 py-3 border border-transparent text-base font-medium rounded-full shadow-md text-white bg-purple-500 hover:bg-purple-600 disabled:opacity-50 transition duration-150 transform hover:scale-[1.02]"
-                    >
-                         {isSaving ? 'Guardando...' : 'Guardar Diario'}
+                    <button onClick={exportJson} disabled={isBusy || selectedCollections.length === 0} className={buttonClass}>
+                        {busyAction === 'json' ? t('dataTransfer.exporting') : 'JSON'}
+                    </button>
+                    <button onClick={openReport} disabled={isBusy || selectedCollections.length === 0} className={buttonClass}>
+                        {busyAction === 'report' ? t('dataTransfer.generating') : t('dataTransfer.report')}
                     </button>
                 </div>
+                <p className="text-xs text-gray-500">{t('dataTransfer.reportHint')}</p>
             </div>
 
-            {/* Respuesta de la IA */}
-            {aiResponse && (
-                <div className="bg-pink-50 p-6 rounded-xl shadow-inner border border-pink-200">
-                    <h3 className="text-xl font-bold text-pink-700 mb-4 flex items-center">
-                        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 mr-2" viewBox="0 0 20 20" fill="currentColor"><path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h.01a1 1 0 100-2H10V9a1 1 0 00-1-1z" clipRule="evenodd" /></svg>
-                        Diagnóstico IA (Sugerencias Cosméticas)
-                    </h3>
-                    <div className="prose max-w-none text-gray-700 leading-relaxed" dangerouslySetInnerHTML={{ __html: aiResponse.replace(/\n/g, '<br />') }} />
-                    <p className="mt-4 text-xs text-red-500 italic">
-                        **Advertencia:** Este análisis es solo para fines informativos y cosméticos, y no reemplaza el consejo de un dermatólogo o profesional médico.
-                    </p>
-                </div>
-            )}
-
-            {/* Historial */}
-            <div className="bg-gray-50 p-6 rounded-xl shadow-lg border border-gray-200">
-                <h2 className="text-2xl font-bold text-gray-800 mb-6 flex items-center">
-                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7.712 7.712A2.5 2.5 0 0121 15.284V17a2 2 0 01-2 2H5a2 2 0 01-2-2V9.284a2.5 2.5 0 01.586-1.414L7 3z" /></svg>
-                    Historial del Diario de Piel ({history.length})
-                </h2>
-                {history.length === 0 ? (
-                    <p className="text-gray-500 italic">Aún no tienes entradas en tu diario de piel.</p>
-                ) : (
-                    <div className="space-y-4">
-                        {history.map((item) => (
-                            <div key={item.id} className="p-4 bg-white border border-gray-100 rounded-lg shadow-sm hover:shadow-md transition duration-150">
-                                <p className="text-sm text-gray-500 mb-1 flex justify-between">
-                                    <span>{item.timestamp.toLocaleString('es-ES', { dateStyle: 'medium', timeStyle: 'short' })}</span>
-                                    <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-pink-100 text-pink-800">Con Imagen</span>
-                                </p>
-                                <p className="text-gray-900 font-semibold mb-2">{item.notes || 'Sin notas adicionales'}</p>
-                                <div className="mt-2 text-sm text-gray-700 border-t pt-2 max-h-24 overflow-y-auto">
-                                    <h4 className="font-medium text-pink-600">Análisis:</h4>
-                                    <div className="prose prose-sm max-w-none" dangerouslySetInnerHTML={{ __html: item.analysis.replace(/\n/g, '<br />') }} />
-                                </div>
-                            </div>
-                        ))}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-slate-200 space-y-4">
+                <h2 className="text-2xl font-bold text-slate-800">{t('dataTransfer.importTitle')}</h2>
+                <p className="text-sm text-gray-600">{t('dataTransfer.importHint')}</p>
+                <input
+                    type="file"
+                    accept="application/json,.json"
+                    onChange={handleImportFile}
+                    disabled={isBusy}
+                    className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-slate-100 file:text-slate-700 hover:file:bg-slate-200"
+                />
+                {importPreview && (
+                    <div className="p-4 rounded-lg bg-slate-50 border border-slate-200 space-y-3">
+                        <p className="text-sm text-gray-800">
+                            <span className="font-semibold">{importPreview.fileName}</span>:{' '}
+                            {Object.entries(importPreview.records)
+                                .map(([collectionName, records]) => `${records.length} ${EXPORTABLE_COLLECTIONS[collectionName].label.toLowerCase()}`)
+                                .join(', ')}
+                        </p>
+                        <div className="flex space-x-2">
+                            <button onClick={confirmImport} disabled={isBusy} className={buttonClass}>
+                                {busyAction === 'import' ? t('dataTransfer.importing') : t('dataTransfer.import')}
+                            </button>
+                            <button onClick={() => setImportPreview(null)} disabled={isBusy} className="px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100">{t('common.cancel')}</button>
+                        </div>
                     </div>
                 )}
             </div>
@@ -676,12 +8054,40 @@ const SkinJournal = ({ db, userId, isAuthReady }) => {
     );
 };
 
-
 // --- COMPONENTE PRINCIPAL (App) ---
 
 const App = () => {
     const [activeTab, setActiveTab] = useState('home');
-    const { db, userId, isAuthReady } = useFirebase();
+    const { db, auth, storage, user, userId, isAuthReady, authError, refreshUser, retryAuth } = useFirebase();
+    const { isOnline, pendingCount, failedCount, sync } = useOutboxSync(db, storage, userId);
+    const { settings, saveSettings } = useUserSettings(db, userId, isAuthReady);
+    const [language, setLanguage] = useState(getLanguage);
+
+    const changeUnit = useCallback((dimension, unit) => saveSettings({ units: { [dimension]: unit } }), [saveSettings]);
+
+    // El idioma guardado en los ajustes manda sobre el de este navegador (p. ej. al entrar desde otro dispositivo)
+    useEffect(() => {
+        if (!LANGUAGES[settings.language]) return;
+        applyLanguage(settings.language);
+        setLanguage(settings.language);
+    }, [settings.language]);
+
+    useEffect(() => {
+        document.documentElement.lang = language;
+    }, [language]);
+
+    // Cambiar el estado vuelve a renderizar toda la app con los textos del nuevo idioma
+    const changeLanguage = useCallback((nextLanguage) => {
+        applyLanguage(nextLanguage);
+        setLanguage(nextLanguage);
+        saveSettings({ language: nextLanguage }).catch(error => console.error("Error saving language:", error));
+    }, [saveSettings]);
+
+    // El service worker solo se registra en el build de producción (en desarrollo interferiría con Vite)
+    useEffect(() => {
+        if (!import.meta.env?.PROD || !('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('/sw.js').catch(error => console.error("Error registering service worker:", error));
+    }, []);
 
     // Mensaje de carga inicial mientras se autentica Firebase
     if (!isAuthReady) {
@@ -689,7 +8095,26 @@ const App = () => {
             <div className="flex items-center justify-center min-h-screen bg-gray-50">
                 <div className="flex flex-col items-center p-6 bg-white rounded-xl shadow-lg">
                     <svg className="animate-spin h-8 w-8 text-indigo-600 mb-3" viewBox="0 0 24 24"><circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle><path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path></svg>
-                    <p className="text-gray-700">Conectando con la base de datos...</p>
+                    <p className="text-gray-700">{t('app.connecting')}</p>
+                </div>
+            </div>
+        );
+    }
+
+    // Sin sesión no se puede leer ni escribir nada: se muestra el error en lugar de seguir con un UID falso
+    if (authError || !userId) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-gray-50 p-4">
+                <div className="max-w-md p-6 bg-white rounded-xl shadow-lg text-center space-y-4">
+                    <h1 className="text-xl font-bold text-red-700">{t('app.authFailed')}</h1>
+                    <p className="text-gray-700">{authError ? describeAuthError(authError) : t('app.noSession')}</p>
+                    <button
+                        onClick={retryAuth}
+                        disabled={!auth}
+                        className="px-6 py-2 rounded-full font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                    >
+                        {t('app.retry')}
+                    </button>
                 </div>
             </div>
         );
@@ -697,27 +8122,50 @@ const App = () => {
 
     const renderContent = () => {
         if (!db) {
-             return <div className="p-4 text-red-600 bg-red-100 rounded-lg">Error: Base de datos no inicializada. Revisa la configuración de Firebase.</div>;
+             return <div className="p-4 text-red-600 bg-red-100 rounded-lg">{t('app.dbNotInitialized')}</div>;
         }
 
         switch (activeTab) {
             case 'home':
-                return <HomeTracker db={db} userId={userId} isAuthReady={isAuthReady} />;
+                return <AnalyzedTracker key="home" db={db} storage={storage} userId={userId} isAuthReady={isAuthReady} tracker={MEAL_TRACKER} />;
             case 'skin':
-                return <SkinJournal db={db} userId={userId} isAuthReady={isAuthReady} />;
+                return <AnalyzedTracker key="skin" db={db} storage={storage} userId={userId} isAuthReady={isAuthReady} tracker={SKIN_TRACKER} />;
+            case 'dashboard':
+                return <NutritionDashboard db={db} userId={userId} isAuthReady={isAuthReady} />;
+            case 'insights':
+                return <SkinDietInsights db={db} userId={userId} isAuthReady={isAuthReady} />;
+            case 'coach':
+                return <HealthCoach db={db} storage={storage} userId={userId} isAuthReady={isAuthReady} />;
+            case 'data':
+                return <DataTransfer db={db} storage={storage} userId={userId} isAuthReady={isAuthReady} />;
+            case 'water':
+            case 'sleep':
+            case 'weight':
+            case 'activity':
+                return (
+                    <QuickLogTracker
+                        key={activeTab}
+                        db={db}
+                        userId={userId}
+                        isAuthReady={isAuthReady}
+                        log={QUICK_LOGS[activeTab]}
+                        units={settings.units}
+                        onUnitChange={changeUnit}
+                    />
+                );
             default:
-                return <HomeTracker db={db} userId={userId} isAuthReady={isAuthReady} />;
+                return <AnalyzedTracker key="home" db={db} storage={storage} userId={userId} isAuthReady={isAuthReady} tracker={MEAL_TRACKER} />;
         }
     };
 
     return (
         <div className="min-h-screen bg-gray-50 font-sans">
             <header className="bg-white shadow-md p-4 sticky top-0 z-10 border-b">
-                <div className="max-w-4xl mx-auto flex justify-between items-center">
+                <div className="max-w-4xl mx-auto flex flex-wrap justify-between items-center gap-4">
                     <h1 className="text-3xl font-extrabold text-gray-900 tracking-tight">
                         Health IA <span className="text-indigo-600">Tracker</span>
                     </h1>
-                    <div className="flex space-x-4">
+                    <div className="flex flex-wrap items-center gap-2">
                         <button
                             onClick={() => setActiveTab('home')}
                             className={`py-2 px-4 rounded-lg font-medium transition duration-150 
@@ -726,7 +8174,17 @@ const App = () => {
                                     : 'text-indigo-600 hover:bg-indigo-50'}`
                             }
                         >
-                            Registro & Nutrición
+                            {t('app.tabs.home')}
+                        </button>
+                        <button
+                            onClick={() => setActiveTab('dashboard')}
+                            className={`py-2 px-4 rounded-lg font-medium transition duration-150 
+                                ${activeTab === 'dashboard' 
+                                    ? 'bg-emerald-600 text-white shadow-lg' 
+                                    : 'text-emerald-600 hover:bg-emerald-50'}`
+                            }
+                        >
+                            {t('app.tabs.dashboard')}
                         </button>
                         <button
                             onClick={() => setActiveTab('skin')}
@@ -736,21 +8194,92 @@ const App = () => {
                                     : 'text-pink-600 hover:bg-pink-50'}`
                             }
                         >
-                            Diario de Piel
+                            {t('app.tabs.skin')}
+                        </button>
+                        <button
+                            onClick={() => setActiveTab('insights')}
+                            className={`py-2 px-4 rounded-lg font-medium transition duration-150 
+                                ${activeTab === 'insights' 
+                                    ? 'bg-rose-600 text-white shadow-lg' 
+                                    : 'text-rose-600 hover:bg-rose-50'}`
+                            }
+                        >
+                            {t('app.tabs.insights')}
+                        </button>
+                        <button
+                            onClick={() => setActiveTab('coach')}
+                            className={`py-2 px-4 rounded-lg font-medium transition duration-150 
+                                ${activeTab === 'coach' 
+                                    ? 'bg-teal-600 text-white shadow-lg' 
+                                    : 'text-teal-600 hover:bg-teal-50'}`
+                            }
+                        >
+                            {t('app.tabs.coach')}
+                        </button>
+                        {Object.entries(QUICK_LOGS).map(([tab, log]) => (
+                            <button
+                                key={tab}
+                                onClick={() => setActiveTab(tab)}
+                                className={`py-2 px-4 rounded-lg font-medium transition duration-150 ${activeTab === tab ? log.theme.tabActive : log.theme.tabIdle}`}
+                            >
+                                {log.tabLabel}
+                            </button>
+                        ))}
+                        <button
+                            onClick={() => setActiveTab('data')}
+                            className={`py-2 px-4 rounded-lg font-medium transition duration-150 
+                                ${activeTab === 'data' 
+                                    ? 'bg-slate-700 text-white shadow-lg' 
+                                    : 'text-slate-700 hover:bg-slate-100'}`
+                            }
+                        >
+                            {t('app.tabs.data')}
                         </button>
+                        <select
+                            value={language}
+                            onChange={(e) => changeLanguage(e.target.value)}
+                            className="py-2 px-2 rounded-lg text-sm font-medium text-gray-700 border border-gray-200 hover:bg-gray-50"
+                            aria-label={t('app.language')}
+                        >
+                            {Object.entries(LANGUAGES).map(([code, { label }]) => <option key={code} value={code}>{label}</option>)}
+                        </select>
+                        <AccountMenu auth={auth} user={user} onAccountChange={refreshUser} />
                     </div>
                 </div>
             </header>
 
+            {(!isOnline || pendingCount > 0) && (
+                <div className={`px-4 py-2 text-sm text-center ${isOnline ? 'bg-blue-50 text-blue-800' : 'bg-amber-100 text-amber-900'}`}>
+                    {!isOnline ? t('app.offline') : failedCount > 0 ? t('app.syncFailed') : t('app.syncing')}
+                    {pendingCount > 0 && ` · ${t(pendingCount === 1 ? 'app.pendingOne' : 'app.pending', { count: pendingCount })}`}
+                    {isOnline && failedCount > 0 && (
+                        <button onClick={sync} className="ml-3 font-semibold underline hover:no-underline">{t('app.retry')}</button>
+                    )}
+                </div>
+            )}
+
             <main className="max-w-4xl mx-auto py-8 px-4 sm:px-6 lg:px-8">
                 {renderContent()}
             </main>
 
             <footer className="text-center p-4 text-sm text-gray-500 border-t mt-8">
-                ID de Usuario: <span className="font-mono text-xs break-all">{userId || 'Cargando...'}</span> | App ID: {appId}
+                {t('app.userId')} <span className="font-mono text-xs break-all">{userId || t('common.loading')}</span> | App ID: {appId}
             </footer>
         </div>
     );
 };
 
+// Piezas internas que prueban los tests de tests/
+export {
+    AnalyzedTracker, MEAL_TRACKER, SKIN_TRACKER,
+    useAiGenerator, useRecordHistory, usePaginatedHistory, HISTORY_PAGE_SIZE,
+    getBarcodeCandidates, buildProductAnalysisFields, findFoodProduct, NUTRIENT_KEYS,
+    toRanks, pearsonCorrelation, spearmanCorrelation, buildSkinDietCorrelations, SkinDietInsights, INSIGHTS_MIN_PAIRS,
+    MealLibrary,
+    NutritionDashboard,
+    EXPORTABLE_COLLECTIONS, buildCsv, importExportedRecords,
+    HealthCoach,
+    MESSAGES, t, parseMarkdown, MarkdownContent,
+};
+
 export default App;
\ No newline at end of file
@@ -0,0 +1,73 @@
+// Service worker de Health IA Tracker: permite abrir la app sin conexión.
+// Los datos no pasan por aquí: Firestore usa su propia caché en IndexedDB y los registros
+// nuevos esperan en la bandeja de salida de la app hasta que vuelve la conexión.
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `health-tracker-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `health-tracker-runtime-${CACHE_VERSION}`;
+
+const APP_SHELL = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+
+// Recursos externos que sí se guardan en caché (Tailwind desde CDN)
+const CACHEABLE_CROSS_ORIGINS = ['https://cdn.tailwindcss.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Navegación: primero la red, y sin conexión el index.html guardado
+const handleNavigation = async (request) => {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(SHELL_CACHE);
+            cache.put('/index.html', response.clone());
+        }
+        return response;
+    } catch {
+        return (await caches.match('/index.html')) || Response.error();
+    }
+};
+
+// Recursos estáticos: se sirven de la caché y se actualizan en segundo plano
+const handleAsset = async (request) => {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isSameOrigin = url.origin === self.location.origin;
+
+    // Firebase, Gemini y demás APIs nunca se cachean aquí
+    if (!isSameOrigin && !CACHEABLE_CROSS_ORIGINS.includes(url.origin)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+    event.respondWith(handleAsset(request));
+});
@@ -0,0 +1,91 @@
+// Genera public/food-db.json a partir de la exportación CSV de Open Food Facts
+// (https://world.openfoodfacts.org/data, archivo en.openfoodfacts.org.products.csv, separado por tabuladores).
+// Uso: npm run build:food-db -- <ruta del CSV> [--country en:spain] [--limit 50000]
+//
+// Solo se incluyen productos con código, nombre y calorías por 100 g. Los datos de Open Food Facts
+// se publican bajo la licencia ODbL; el archivo generado conserva la atribución en 'source'.
+import fs from 'node:fs';
+import readline from 'node:readline';
+
+const NUTRIENT_COLUMNS = {
+    kcal: 'energy-kcal_100g',
+    protein_g: 'proteins_100g',
+    carbs_g: 'carbohydrates_100g',
+    fat_g: 'fat_100g',
+    fiber_g: 'fiber_100g',
+    sugar_g: 'sugars_100g',
+    sodium_mg: 'sodium_100g', // en gramos en el CSV
+};
+
+const parseArgs = (argv) => {
+    const options = { input: null, country: 'en:spain', limit: 50000, output: 'public/food-db.json' };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--country') options.country = argv[++index];
+        else if (arg === '--limit') options.limit = Number(argv[++index]);
+        else if (arg === '--output') options.output = argv[++index];
+        else options.input = arg;
+    }
+    return options;
+};
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options.input) {
+        console.error('Uso: npm run build:food-db -- <en.openfoodfacts.org.products.csv> [--country en:spain] [--limit 50000]');
+        process.exit(1);
+    }
+
+    const lines = readline.createInterface({ input: fs.createReadStream(options.input), crlfDelay: Infinity });
+    let columns = null;
+    const products = [];
+
+    for await (const line of lines) {
+        const values = line.split('\t');
+        if (!columns) {
+            columns = Object.fromEntries(values.map((name, index) => [name, index]));
+            continue;
+        }
+        const get = (name) => values[columns[name]] ?? '';
+
+        if (options.country && !get('countries_tags').split(',').includes(options.country)) continue;
+        const code = get('code').replace(/\D/g, '');
+        const name = get('product_name').trim();
+        const kcal = toNumber(get(NUTRIENT_COLUMNS.kcal));
+        if (!code || !name || kcal === null) continue;
+
+        const per100g = Object.fromEntries(Object.entries(NUTRIENT_COLUMNS).map(([key, column]) => {
+            const value = toNumber(get(column));
+            return [key, round(key === 'sodium_mg' && value !== null ? value * 1000 : value)];
+        }));
+
+        products.push({
+            code,
+            name,
+            brand: get('brands').split(',')[0].trim() || null,
+            servingSize: round(toNumber(get('serving_quantity'))),
+            per100g,
+        });
+        if (products.length >= options.limit) break;
+    }
+
+    const bundle = {
+        version: new Date().toISOString(),
+        source: 'Open Food Facts (https://openfoodfacts.org), ODbL',
+        products,
+    };
+    fs.writeFileSync(options.output, JSON.stringify(bundle));
+    console.log(`${products.length} productos escritos en ${options.output}`);
+};
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
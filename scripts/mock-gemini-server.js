@@ -0,0 +1,142 @@
+// Servidor local que imita el endpoint streamGenerateContent (SSE) de Gemini.
+// Uso: npm run mock:gemini  y  VITE_GEMINI_API_BASE_URL=http://127.0.0.1:8787/v1beta
+//
+// El escenario se elige con MOCK_SCENARIO:
+//   ok           respuesta completa en varios fragmentos (por defecto)
+//   slow         igual que ok pero con 1,5 s entre fragmentos, para probar la cancelación
+//   error        el stream se corta a la mitad con un evento de error
+//   rate-limit   los dos primeros intentos responden 429 y el tercero funciona
+//   server-error la primera petición responde 503 y la siguiente funciona
+import http from 'node:http';
+
+const PORT = Number(process.env.MOCK_PORT || 8787);
+const SCENARIO = process.env.MOCK_SCENARIO || 'ok';
+
+const MARKDOWN_RESPONSE = `**Resumen de prueba**
+
+- Hidratación: adecuada
+- Enrojecimiento: leve en mejillas
+- Sugerencia: mantener la rutina actual
+
+_Respuesta generada por el servidor de prueba._`;
+
+const NUTRITION_RESPONSE = JSON.stringify({
+    summary: "- **Avena con frutas**: ~350 kcal\n- Buena fuente de fibra",
+    items: [{
+        name: "Avena con frutas",
+        portion: "1 tazón (250 g)",
+        kcal: 350,
+        protein_g: 10,
+        carbs_g: 60,
+        fat_g: 7,
+        fiber_g: 8,
+        sugar_g: 15,
+        sodium_mg: 80,
+        confidence: 0.7,
+    }],
+    confidence: 0.7,
+});
+
+const SKIN_RESPONSE = JSON.stringify({
+    summary: "- Hidratación: adecuada\n- Enrojecimiento: leve en mejillas\n- Sugerencia: mantener la rutina actual\n\n_Respuesta generada por el servidor de prueba._",
+    scores: { hydration: 6, acne: 3, redness: 2, oiliness: 5 },
+    confidence: 0.6,
+});
+
+let requestCount = 0;
+
+const splitIntoChunks = (text, count) => {
+    const size = Math.ceil(text.length / count);
+    return Array.from({ length: count }, (_, index) => text.slice(index * size, (index + 1) * size)).filter(Boolean);
+};
+
+const sendEvent = (res, payload) => res.write(`data: ${JSON.stringify(payload)}\r\n\r\n`);
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const streamResponse = async (res, body) => {
+    const wantsJson = body.generationConfig?.responseMimeType === 'application/json';
+    // El esquema del análisis de piel es el único con 'scores'
+    const jsonResponse = body.generationConfig?.responseSchema?.properties?.scores ? SKIN_RESPONSE : NUTRITION_RESPONSE;
+    const chunks = splitIntoChunks(wantsJson ? jsonResponse : MARKDOWN_RESPONSE, 5);
+    const delay = SCENARIO === 'slow' ? 1500 : 200;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Access-Control-Allow-Origin': '*',
+    });
+
+    let closed = false;
+    res.on('close', () => { closed = true; });
+
+    for (const [index, chunk] of chunks.entries()) {
+        if (closed) return;
+        if (SCENARIO === 'error' && index === Math.floor(chunks.length / 2)) {
+            sendEvent(res, { error: { code: 500, message: 'Error simulado a mitad del stream', status: 'INTERNAL' } });
+            res.end();
+            return;
+        }
+        const isLast = index === chunks.length - 1;
+        sendEvent(res, {
+            candidates: [{
+                content: { role: 'model', parts: [{ text: chunk }] },
+                ...(isLast ? { finishReason: 'STOP' } : {}),
+            }],
+        });
+        await wait(delay);
+    }
+    res.end();
+};
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        });
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST' || !req.url.includes(':streamGenerateContent')) {
+        res.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+        res.end('Not found');
+        return;
+    }
+
+    let rawBody = '';
+    req.on('data', chunk => { rawBody += chunk; });
+    req.on('end', () => {
+        requestCount += 1;
+
+        if (SCENARIO === 'rate-limit' && requestCount % 3 !== 0) {
+            res.writeHead(429, { 'Access-Control-Allow-Origin': '*' });
+            res.end(JSON.stringify({ error: { code: 429, message: 'Rate limit simulado' } }));
+            return;
+        }
+        if (SCENARIO === 'server-error' && requestCount % 2 === 1) {
+            res.writeHead(503, { 'Access-Control-Allow-Origin': '*' });
+            res.end(JSON.stringify({ error: { code: 503, message: 'Servicio no disponible (simulado)' } }));
+            return;
+        }
+
+        let body = {};
+        try {
+            body = JSON.parse(rawBody || '{}');
+        } catch {
+            res.writeHead(400, { 'Access-Control-Allow-Origin': '*' });
+            res.end('Invalid JSON');
+            return;
+        }
+        streamResponse(res, body).catch(error => {
+            console.error('Mock stream failed:', error);
+            res.end();
+        });
+    });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`Mock Gemini SSE escuchando en http://127.0.0.1:${PORT}/v1beta (escenario: ${SCENARIO})`);
+});
@@ -0,0 +1,174 @@
+// Llena el emulador de Firestore con miles de registros de prueba para el historial paginado.
+// Uso: npm run seed:emulator -- --uid <uid del usuario> [--count 5000] [--collection nutrition_history|skin_journal|all]
+//      [--project demo-health-tracker] [--app-id default-health-app] [--host 127.0.0.1:8080]
+//
+// El uid es el de la sesión (anónima o no) que se ve en la app con VITE_FIREBASE_EMULATOR_HOST.
+// Escribe con la API REST del emulador y el token 'owner', que salta las reglas de seguridad.
+// Solo funciona contra el emulador: nunca apuntes --host a producción.
+
+const MEALS = [
+    'Tazón de avena con plátano y nueces',
+    'Ensalada de pollo a la plancha con aguacate',
+    'Lentejas estofadas con verduras',
+    'Tostada de pan integral con tomate y aceite de oliva',
+    'Salmón al horno con patatas y brócoli',
+    'Yogur natural con fresas y granola',
+    'Paella de marisco',
+    'Tortilla de patatas con ensalada verde',
+    'Batido de proteínas con leche de almendras',
+    'Pizza margarita',
+];
+
+const SKIN_NOTES = [
+    'Piel tirante después de la limpieza',
+    'Brote leve en la barbilla',
+    'Probé un sérum nuevo de vitamina C',
+    'Rojeces en las mejillas tras el sol',
+    'Piel hidratada y luminosa',
+    'Poros más visibles en la frente',
+];
+
+const COLLECTIONS = {
+    nutrition_history: (index, timestamp) => {
+        const description = MEALS[index % MEALS.length];
+        const kcal = 200 + (index * 37) % 600;
+        const sugar = 2 + (index * 13) % 40;
+        const analysis = `- **${description}**: ~${kcal} kcal\n- Registro generado por el script de prueba`;
+        return {
+            description,
+            analysis,
+            analysisStatus: 'complete',
+            nutrition: {
+                items: [{ name: description, portion: '1 ración', kcal, protein_g: 20, carbs_g: 40, fat_g: 10, fiber_g: 5, sugar_g: sugar, sodium_mg: 300, confidence: 0.7 }],
+                totals: { kcal, protein_g: 20, carbs_g: 40, fat_g: 10, fiber_g: 5, sugar_g: sugar, sodium_mg: 300 },
+                confidence: 0.7,
+            },
+            mealType: ['breakfast', 'lunch', 'dinner', 'snack'][index % 4],
+            timestamp,
+            hasImage: index % 3 === 0,
+            image: null,
+            searchTokens: buildSearchTokens([description, analysis]),
+        };
+    },
+    skin_journal: (index, timestamp) => {
+        const notes = SKIN_NOTES[index % SKIN_NOTES.length];
+        const analysis = `Observación de prueba: ${notes.toLowerCase()}.`;
+        return {
+            notes,
+            analysis,
+            analysisStatus: 'complete',
+            // Puntuaciones de 0 a 10 que varían entre entradas, para la pestaña Piel y dieta
+            skinScores: {
+                hydration: (index * 3) % 11,
+                acne: (index * 7) % 11,
+                redness: (index * 5) % 11,
+                oiliness: (index * 2) % 11,
+                confidence: 0.6,
+            },
+            timestamp,
+            hasImage: index % 2 === 0,
+            image: null,
+            searchTokens: buildSearchTokens([notes, analysis]),
+        };
+    },
+};
+
+// Misma normalización que normalizeSearchText y buildSearchTokens en index.jsx
+const buildSearchTokens = (values) => {
+    const tokens = new Set();
+    values.forEach(value => String(value ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .forEach(token => {
+            if (token.length >= 2 && tokens.size < 300) tokens.add(token);
+        }));
+    return [...tokens];
+};
+
+const parseArgs = (argv) => {
+    const options = {
+        uid: null,
+        count: 5000,
+        collection: 'all',
+        project: process.env.GCLOUD_PROJECT || 'demo-health-tracker',
+        appId: 'default-health-app',
+        host: process.env.FIRESTORE_EMULATOR_HOST || '127.0.0.1:8080',
+    };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--uid') options.uid = argv[++index];
+        else if (arg === '--count') options.count = Number(argv[++index]);
+        else if (arg === '--collection') options.collection = argv[++index];
+        else if (arg === '--project') options.project = argv[++index];
+        else if (arg === '--app-id') options.appId = argv[++index];
+        else if (arg === '--host') options.host = argv[++index];
+    }
+    return options;
+};
+
+// Valor JavaScript al formato de la API REST de Firestore
+const toFirestoreValue = (value) => {
+    if (value === null || value === undefined) return { nullValue: null };
+    if (typeof value === 'boolean') return { booleanValue: value };
+    if (typeof value === 'number') return Number.isInteger(value) ? { integerValue: String(value) } : { doubleValue: value };
+    if (typeof value === 'string') return { stringValue: value };
+    if (Array.isArray(value)) return { arrayValue: { values: value.map(toFirestoreValue) } };
+    return { mapValue: { fields: toFirestoreFields(value) } };
+};
+
+const toFirestoreFields = (object) => Object.fromEntries(Object.entries(object).map(([key, value]) => [key, toFirestoreValue(value)]));
+
+const commitWrites = async (options, writes) => {
+    const url = `http://${options.host}/v1/projects/${options.project}/databases/(default)/documents:commit`;
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: 'Bearer owner' },
+        body: JSON.stringify({ writes }),
+    });
+    if (!response.ok) throw new Error(`El emulador respondió ${response.status}: ${await response.text()}`);
+};
+
+const seedCollection = async (options, collectionName) => {
+    const buildRecord = COLLECTIONS[collectionName];
+    const basePath = `projects/${options.project}/databases/(default)/documents/artifacts/${options.appId}/users/${options.uid}/${collectionName}`;
+    // Unos cuatro registros al día hacia atrás desde ahora
+    const step = 6 * 60 * 60 * 1000;
+    const now = Date.now();
+
+    for (let start = 0; start < options.count; start += 500) {
+        const writes = [];
+        for (let index = start; index < Math.min(start + 500, options.count); index++) {
+            const timestamp = new Date(now - index * step).toISOString();
+            writes.push({
+                update: {
+                    name: `${basePath}/seed-${String(index).padStart(6, '0')}`,
+                    fields: toFirestoreFields(buildRecord(index, timestamp)),
+                },
+            });
+        }
+        await commitWrites(options, writes);
+    }
+    console.log(`${options.count} registros escritos en ${collectionName}`);
+};
+
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const collections = options.collection === 'all' ? Object.keys(COLLECTIONS) : [options.collection];
+    if (!options.uid || !Number.isInteger(options.count) || options.count <= 0 || collections.some(name => !COLLECTIONS[name])) {
+        console.error('Uso: npm run seed:emulator -- --uid <uid> [--count 5000] [--collection nutrition_history|skin_journal|all]');
+        process.exit(1);
+    }
+
+    for (const collectionName of collections) {
+        await seedCollection(options, collectionName);
+    }
+};
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
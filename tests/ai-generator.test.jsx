@@ -0,0 +1,136 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useAiGenerator, t } from '../index.jsx';
+import { geminiEvent, geminiHangingResponse, geminiStreamResponse, geminiTextEvent, requestPayload } from './support/gemini-sse.js';
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe('useAiGenerator', () => {
+    it('acumula el stream en aiResponse y devuelve el texto completo', async () => {
+        const fetchMock = vi.fn(async () => geminiStreamResponse(['- Avena', ' con fruta']));
+        vi.stubGlobal('fetch', fetchMock);
+        const { result } = renderHook(() => useAiGenerator());
+
+        let text;
+        await act(async () => {
+            text = await result.current.runGeneration({
+                prompt: 'Analiza mi desayuno',
+                systemInstruction: 'Eres un nutricionista',
+                responseSchema: { type: 'OBJECT' },
+            });
+        });
+
+        expect(text).toBe('- Avena con fruta');
+        expect(result.current.aiResponse).toBe('- Avena con fruta');
+        expect(result.current.aiError).toBeNull();
+        expect(result.current.isLoading).toBe(false);
+
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(fetchMock.mock.calls[0][0]).toMatch(/:streamGenerateContent\?alt=sse/);
+        const payload = requestPayload(fetchMock);
+        expect(payload.contents).toEqual([{ role: 'user', parts: [{ text: 'Analiza mi desayuno' }] }]);
+        expect(payload.systemInstruction).toEqual({ parts: [{ text: 'Eres un nutricionista' }] });
+        expect(payload.generationConfig).toEqual({ responseMimeType: 'application/json', responseSchema: { type: 'OBJECT' } });
+    });
+
+    it('envía las imágenes como inlineData con el tipo de la data URL', async () => {
+        const fetchMock = vi.fn(async () => geminiStreamResponse(['ok']));
+        vi.stubGlobal('fetch', fetchMock);
+        const { result } = renderHook(() => useAiGenerator());
+
+        await act(async () => {
+            await result.current.runGeneration({ prompt: 'Foto', base64Image: 'data:image/jpeg;base64,AAAA' });
+        });
+
+        expect(requestPayload(fetchMock).contents[0].parts).toEqual([
+            { text: 'Foto' },
+            { inlineData: { mimeType: 'image/jpeg', data: 'AAAA' } },
+        ]);
+    });
+
+    it('no llama a la IA sin prompt', async () => {
+        const fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+        const { result } = renderHook(() => useAiGenerator());
+
+        let text;
+        await act(async () => {
+            text = await result.current.runGeneration({ prompt: '' });
+        });
+
+        expect(text).toBeNull();
+        expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('describe los errores HTTP del proveedor', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const body = JSON.stringify({ error: { code: 401, message: 'API key not valid' } });
+        vi.stubGlobal('fetch', vi.fn(async () => new Response(body, { status: 401 })));
+        const { result } = renderHook(() => useAiGenerator());
+
+        let text;
+        await act(async () => {
+            text = await result.current.runGeneration({ prompt: 'Hola' });
+        });
+
+        const message = t('errors.aiUnauthorized', { status: 401, detail: 'API key not valid' });
+        expect(text).toBeNull();
+        expect(result.current.aiError).toBe(message);
+        expect(result.current.aiResponse).toBe(t('ai.requestError', { message }));
+    });
+
+    it('conserva el texto parcial si el stream trae un error', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.stubGlobal('fetch', vi.fn(async () => new Response(new ReadableStream({
+            start(controller) {
+                controller.enqueue(geminiTextEvent('Primera parte'));
+                controller.enqueue(geminiEvent({ error: { code: 500, message: 'Internal' } }));
+                controller.close();
+            },
+        }))));
+        const { result } = renderHook(() => useAiGenerator());
+
+        await act(async () => {
+            await result.current.runGeneration({ prompt: 'Hola' });
+        });
+
+        expect(result.current.aiError).toBe(t('errors.aiStream', { detail: '500 - Internal' }));
+        expect(result.current.aiResponse).toMatch(/^Primera parte\n\n_\(/);
+    });
+
+    it('trata una respuesta vacía como error', async () => {
+        vi.stubGlobal('fetch', vi.fn(async () => geminiStreamResponse([])));
+        const { result } = renderHook(() => useAiGenerator());
+
+        await act(async () => {
+            await result.current.runGeneration({ prompt: 'Hola' });
+        });
+
+        expect(result.current.aiError).toBe(t('errors.aiNoResponse'));
+    });
+
+    it('cancel aborta la petición y conserva lo recibido', async () => {
+        vi.stubGlobal('fetch', vi.fn(async (url, { signal }) => geminiHangingResponse(['Texto a medias'], signal)));
+        const { result } = renderHook(() => useAiGenerator());
+
+        let generation;
+        act(() => {
+            generation = result.current.runGeneration({ prompt: 'Hola' });
+        });
+        await waitFor(() => expect(result.current.aiResponse).toBe('Texto a medias'));
+
+        let text;
+        await act(async () => {
+            result.current.cancel();
+            text = await generation;
+        });
+
+        expect(text).toBeNull();
+        expect(result.current.isLoading).toBe(false);
+        expect(result.current.aiError).toBe(t('ai.cancelled'));
+        expect(result.current.aiResponse).toBe(`Texto a medias\n\n_(${t('ai.cancelledNote')})_`);
+    });
+});
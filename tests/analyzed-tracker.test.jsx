@@ -0,0 +1,162 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { AnalyzedTracker, MEAL_TRACKER, SKIN_TRACKER, t } from '../index.jsx';
+import { resetFirestore, seedDocuments, listDocuments, failCollection } from './support/firestore-mock.js';
+import { geminiStreamResponse, requestPayload } from './support/gemini-sse.js';
+
+vi.mock('firebase/firestore', () => import('./support/firestore-mock.js'));
+
+const USER_ID = 'user-1';
+const historyPath = (tracker, userId = USER_ID) => `artifacts/default-health-app/users/${userId}/${tracker.collectionName}`;
+
+// La bandeja de salida (IndexedDB) se comparte entre tests: los que dejan entradas usan otro usuario
+const renderTracker = (tracker, userId = USER_ID) => render(
+    <AnalyzedTracker db={{ type: 'firestore' }} storage={{}} userId={userId} isAuthReady tracker={tracker} />
+);
+
+const NUTRITION_JSON = JSON.stringify({
+    summary: '- **Avena con plátano**: ~350 kcal',
+    items: [{ name: 'Avena con plátano', portion: '1 tazón', kcal: 350, protein_g: 10, carbs_g: 60, fat_g: 7, fiber_g: 8, sugar_g: 15, sodium_mg: 80, confidence: 0.8 }],
+    confidence: 0.8,
+});
+
+beforeEach(() => {
+    resetFirestore();
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe('AnalyzedTracker con MEAL_TRACKER (comidas)', () => {
+    it('muestra el historial de Firestore, el más reciente primero', async () => {
+        seedDocuments({
+            [`${historyPath(MEAL_TRACKER)}/old`]: { description: 'Lentejas estofadas', analysis: 'Análisis antiguo', timestamp: '2024-05-01T12:00:00.000Z', hasImage: false },
+            [`${historyPath(MEAL_TRACKER)}/new`]: { description: 'Ensalada de pollo', analysis: '**Rica en proteína**', timestamp: '2024-05-02T12:00:00.000Z', hasImage: false },
+        });
+        renderTracker(MEAL_TRACKER);
+
+        const newer = await screen.findByText('Ensalada de pollo');
+        const older = screen.getByText('Lentejas estofadas');
+        expect(newer.compareDocumentPosition(older) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy();
+        // El análisis se muestra como Markdown
+        expect(screen.getByText('Rica en proteína').tagName).toBe('STRONG');
+    });
+
+    it('analiza la descripción con la IA y guarda el registro con los datos nutricionales', async () => {
+        const fetchMock = vi.fn(async () => geminiStreamResponse([NUTRITION_JSON.slice(0, 40), NUTRITION_JSON.slice(40)]));
+        vi.stubGlobal('fetch', fetchMock);
+        renderTracker(MEAL_TRACKER);
+
+        const saveButton = screen.getByRole('button', { name: MEAL_TRACKER.labels.save });
+        expect(saveButton).toBeDisabled();
+
+        fireEvent.change(screen.getByLabelText(MEAL_TRACKER.textField.label), { target: { value: 'Avena con plátano' } });
+        fireEvent.click(screen.getByRole('button', { name: MEAL_TRACKER.labels.analyze }));
+
+        await screen.findByText('Avena con plátano', { selector: 'strong' });
+        const payload = requestPayload(fetchMock);
+        expect(payload.contents[0].parts[0].text).toContain('Avena con plátano');
+        expect(payload.generationConfig.responseSchema).toBeDefined();
+
+        await waitFor(() => expect(saveButton).toBeEnabled());
+        fireEvent.click(saveButton);
+
+        await waitFor(() => expect(listDocuments(historyPath(MEAL_TRACKER))).toHaveLength(1));
+        const [saved] = listDocuments(historyPath(MEAL_TRACKER));
+        expect(saved).toMatchObject({
+            description: 'Avena con plátano',
+            analysis: '- **Avena con plátano**: ~350 kcal',
+            analysisStatus: 'complete',
+            hasImage: false,
+            image: null,
+        });
+        expect(saved.nutrition.totals.kcal).toBe(350);
+        expect(saved.mealType).toBeTypeOf('string');
+        expect(saved.searchTokens).toEqual(expect.arrayContaining(['avena', 'platano']));
+        expect(new Date(saved.timestamp).toISOString()).toBe(saved.timestamp);
+
+        // El formulario se vacía y el registro aparece en el historial
+        expect(screen.getByLabelText(MEAL_TRACKER.textField.label)).toHaveValue('');
+        expect(await screen.findByText('Avena con plátano', { selector: 'p' })).toBeInTheDocument();
+    });
+
+    it('si Firestore rechaza el registro lo deja en la bandeja de salida con el error', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        vi.stubGlobal('fetch', vi.fn(async () => geminiStreamResponse([NUTRITION_JSON])));
+        const userId = 'user-rejected';
+        failCollection(historyPath(MEAL_TRACKER, userId), new Error('Missing or insufficient permissions.'));
+        renderTracker(MEAL_TRACKER, userId);
+
+        fireEvent.change(screen.getByLabelText(MEAL_TRACKER.textField.label), { target: { value: 'Avena con plátano' } });
+        fireEvent.click(screen.getByRole('button', { name: MEAL_TRACKER.labels.analyze }));
+        const saveButton = screen.getByRole('button', { name: MEAL_TRACKER.labels.save });
+        await waitFor(() => expect(saveButton).toBeEnabled());
+        fireEvent.click(saveButton);
+
+        const badge = await screen.findByText(t('sync.error'));
+        expect(badge).toHaveAttribute('title', 'Missing or insufficient permissions.');
+        expect(screen.getByText('Avena con plátano', { selector: 'p' })).toBeInTheDocument();
+        expect(listDocuments(historyPath(MEAL_TRACKER, userId))).toHaveLength(0);
+    });
+
+    it('pide una descripción o una imagen antes de analizar', async () => {
+        const fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+        renderTracker(MEAL_TRACKER);
+
+        fireEvent.click(screen.getByRole('button', { name: MEAL_TRACKER.labels.analyze }));
+
+        expect(await screen.findByText(t('trackers.meal.errors.analysis'))).toBeInTheDocument();
+        expect(fetchMock).not.toHaveBeenCalled();
+    });
+});
+
+describe('AnalyzedTracker con SKIN_TRACKER (diario de piel)', () => {
+    it('muestra las notas, el análisis y las puntuaciones de cada entrada', async () => {
+        seedDocuments({
+            [`${historyPath(SKIN_TRACKER)}/entry`]: {
+                notes: 'Brote leve en la barbilla',
+                analysis: '- Piel *algo* deshidratada',
+                skinScores: { hydration: 3, acne: 6, redness: 2, oiliness: 5, confidence: 0.7 },
+                timestamp: '2024-05-02T08:00:00.000Z',
+                hasImage: false,
+            },
+        });
+        renderTracker(SKIN_TRACKER);
+
+        expect(await screen.findByText('Brote leve en la barbilla')).toBeInTheDocument();
+        expect(screen.getByText('algo').tagName).toBe('EM');
+        expect(screen.getByText(`${t('skinScores.fields.hydration')}: 3/10`)).toBeInTheDocument();
+    });
+
+    it('no permite analizar sin foto', () => {
+        vi.stubGlobal('fetch', vi.fn());
+        renderTracker(SKIN_TRACKER);
+
+        expect(screen.getByRole('button', { name: SKIN_TRACKER.labels.analyze })).toBeDisabled();
+        expect(screen.getByRole('button', { name: SKIN_TRACKER.labels.save })).toBeDisabled();
+    });
+
+    it('avisa si la foto no se puede procesar', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const { container } = renderTracker(SKIN_TRACKER);
+
+        const file = new File(['no es una imagen'], 'piel.png', { type: 'image/png' });
+        fireEvent.change(container.querySelector('input[type="file"]'), { target: { files: [file] } });
+
+        expect(await screen.findByText(new RegExp(t('images.processError', { message: '' }).trim()))).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: SKIN_TRACKER.labels.analyze })).toBeDisabled();
+    });
+
+    it('muestra el error si no se puede leer el historial', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        failCollection(historyPath(SKIN_TRACKER), new Error('permission-denied'));
+        renderTracker(SKIN_TRACKER);
+
+        // Lo muestran el historial y la comparación de fotos, que tiene su propia consulta
+        await waitFor(() => expect(screen.getAllByText(t('history.loadError', { message: 'permission-denied' }))).toHaveLength(2));
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { EXPORTABLE_COLLECTIONS, buildCsv, importExportedRecords, NUTRIENT_KEYS, t } from '../index.jsx';
+import { resetFirestore, seedDocuments, listDocuments } from './support/firestore-mock.js';
+
+vi.mock('firebase/firestore', () => import('./support/firestore-mock.js'));
+
+const USER_ID = 'user-1';
+const basePath = `artifacts/default-health-app/users/${USER_ID}`;
+const db = { type: 'firestore' };
+
+const csvHeader = (collectionName) => buildCsv([], EXPORTABLE_COLLECTIONS[collectionName].csvColumns).replace('\uFEFF', '');
+
+describe('buildCsv', () => {
+    it('traduce las cabeceras al idioma activo y deja las claves de nutrientes y puntuaciones', () => {
+        expect(csvHeader('nutrition_history').split(',')).toEqual([
+            t('dataTransfer.csvColumns.date'),
+            t('dataTransfer.csvColumns.mealType'),
+            t('dataTransfer.csvColumns.description'),
+            ...NUTRIENT_KEYS,
+            t('dataTransfer.csvColumns.analysis'),
+        ]);
+        expect(csvHeader('skin_journal').split(',')).toEqual([
+            t('dataTransfer.csvColumns.date'),
+            t('dataTransfer.csvColumns.notes'),
+            t('dataTransfer.csvColumns.products'),
+            'hydration', 'acne', 'redness', 'oiliness',
+            t('dataTransfer.csvColumns.analysis'),
+            t('dataTransfer.csvColumns.photo'),
+        ]);
+    });
+
+    it('escribe la columna de foto con los textos del catálogo', () => {
+        const timestamp = new Date(2024, 4, 1, 9);
+        const [, withPhoto, withoutPhoto] = buildCsv([
+            { timestamp, notes: 'a', analysis: '', hasImage: true },
+            { timestamp, notes: 'b', analysis: '', hasImage: false },
+        ], EXPORTABLE_COLLECTIONS.skin_journal.csvColumns).split('\r\n');
+
+        expect(withPhoto.split(',').pop()).toBe(t('dataTransfer.csvYes'));
+        expect(withoutPhoto.split(',').pop()).toBe(t('dataTransfer.csvNo'));
+    });
+});
+
+describe('importExportedRecords', () => {
+    beforeEach(() => {
+        resetFirestore();
+    });
+
+    it('solo escribe los campos conocidos de cada colección', async () => {
+        const result = await importExportedRecords(db, USER_ID, {
+            nutrition_history: [{
+                id: 'otro-id',
+                description: 'Lentejas',
+                mealType: 'lunch',
+                analysis: 'ok',
+                nutrition: { totals: { kcal: 500 } },
+                timestamp: '2024-05-01T12:00:00.000Z',
+                hasImage: false,
+                image: null,
+                searchTokens: ['inventado'],
+                revisionCount: 3,
+                isAdmin: true,
+            }],
+            skin_journal: [{
+                notes: 'Rojez',
+                skinScores: { hydration: 5, acne: 2, redness: 6, oiliness: 4 },
+                routine: 'am',
+                timestamp: '2024-05-01T09:00:00.000Z',
+                extra: { nested: true },
+            }],
+        });
+
+        expect(result).toEqual({ imported: 2, duplicates: 0, invalid: 0, imagesDropped: 0 });
+        const [meal] = listDocuments(`${basePath}/nutrition_history`);
+        expect(meal).toEqual({
+            id: expect.any(String),
+            description: 'Lentejas',
+            mealType: 'lunch',
+            analysis: 'ok',
+            nutrition: { totals: { kcal: 500 } },
+            timestamp: '2024-05-01T12:00:00.000Z',
+            hasImage: false,
+            image: null,
+            searchTokens: expect.arrayContaining(['lentejas']),
+        });
+        expect(meal.id).not.toBe('otro-id');
+        expect(meal.searchTokens).not.toContain('inventado');
+
+        const [skin] = listDocuments(`${basePath}/skin_journal`);
+        expect(Object.keys(skin).sort()).toEqual(['hasImage', 'id', 'image', 'notes', 'routine', 'searchTokens', 'skinScores', 'timestamp']);
+    });
+
+    it('omite y cuenta los registros que las reglas de Firestore rechazarían', async () => {
+        const meal = (fields, minute) => ({ description: 'Comida', timestamp: `2024-05-01T12:${String(minute).padStart(2, '0')}:00.000Z`, ...fields });
+        const skin = (fields, minute) => ({ notes: 'Piel', timestamp: `2024-05-01T09:${String(minute).padStart(2, '0')}:00.000Z`, ...fields });
+
+        const result = await importExportedRecords(db, USER_ID, {
+            nutrition_history: [
+                meal({ description: 42 }, 1),
+                meal({ analysis: 'x'.repeat(20001) }, 2),
+                meal({ mealType: 'merienda-cena-larga-larga' }, 3),
+                meal({ nutrition: ['no', 'es', 'un', 'mapa'] }, 4),
+                meal({ analyzedAt: 'ayer' }, 5),
+                meal({ description: 'Año imposible', timestamp: '+010000-01-01T00:00:00.000Z' }, 6),
+                meal({ analysis: 'x'.repeat(20000), barcode: null, nutrition: null }, 7),
+            ],
+            skin_journal: [
+                skin({ skinScores: { acne: 2.5 } }, 1),
+                skin({ skinScores: { acne: 11 } }, 2),
+                skin({ skinScores: { acne: 3, sleep: 4 } }, 3),
+                skin({ products: Array.from({ length: 31 }, (_, index) => ({ name: `Producto ${index}` })) }, 4),
+                skin({ routine: 'noon' }, 5),
+                skin({ skinScores: { hydration: null, acne: 0, redness: 10, oiliness: 4, confidence: 0.7 }, routine: 'pm', products: [] }, 6),
+            ],
+        });
+
+        expect(result).toEqual({ imported: 2, duplicates: 0, invalid: 11, imagesDropped: 0 });
+        expect(listDocuments(`${basePath}/nutrition_history`).map(record => record.timestamp)).toEqual(['2024-05-01T12:07:00.000Z']);
+        expect(listDocuments(`${basePath}/skin_journal`).map(record => record.timestamp)).toEqual(['2024-05-01T09:06:00.000Z']);
+    });
+
+    it('salta los duplicados y las fotos de otra cuenta', async () => {
+        seedDocuments({
+            [`${basePath}/nutrition_history/meal-1`]: { description: 'Lentejas', timestamp: '2024-05-01T12:00:00.000Z' },
+        });
+
+        const result = await importExportedRecords(db, USER_ID, {
+            nutrition_history: [
+                { description: '  lentejas ', timestamp: '2024-05-01T12:00:00.000Z' },
+                { description: 'Ensalada', timestamp: '2024-05-02T12:00:00.000Z', hasImage: true, image: { path: 'artifacts/default-health-app/users/otro/foto.jpg' } },
+            ],
+        });
+
+        expect(result).toEqual({ imported: 1, duplicates: 1, invalid: 0, imagesDropped: 1 });
+        const imported = listDocuments(`${basePath}/nutrition_history`).find(record => record.description === 'Ensalada');
+        expect(imported).toMatchObject({ hasImage: false, image: null });
+    });
+});
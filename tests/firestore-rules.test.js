@@ -0,0 +1,213 @@
+// @vitest-environment node
+// Reglas de firestore.rules contra el emulador de Firestore. Se saltan si no está en marcha:
+// npm run test:emulator las ejecuta con firebase emulators:exec.
+import { readFileSync } from 'node:fs';
+import { describe, it, beforeAll, afterAll, beforeEach } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, getDoc, setDoc, updateDoc, deleteDoc } from 'firebase/firestore';
+
+const PROJECT_ID = 'demo-health-tracker';
+const APP_ID = 'default-health-app';
+const NOW = '2024-05-01T08:30:00.000Z';
+
+const userDoc = (db, uid, path) => doc(db, `artifacts/${APP_ID}/users/${uid}/${path}`);
+
+// Un documento válido por colección (y, para las subcolecciones, la ruta completa bajo el usuario)
+const VALID_DOCUMENTS = {
+    'nutrition_history/meal-1': {
+        description: 'Avena con fruta',
+        analysis: '- Avena: 300 kcal',
+        analysisStatus: 'complete',
+        nutrition: { totals: { kcal: 300 } },
+        mealType: 'breakfast',
+        timestamp: NOW,
+        hasImage: false,
+        image: null,
+        searchTokens: ['avena', 'fruta'],
+    },
+    'nutrition_history/meal-1/revisions/rev-1': { analysis: 'Análisis anterior', archivedAt: NOW, analyzedAt: NOW },
+    'skin_journal/skin-1': {
+        notes: 'Piel tirante',
+        analysis: 'Hidratación baja',
+        skinScores: { hydration: 3, acne: 1, redness: 2, oiliness: 4, confidence: 0.7 },
+        products: [{ id: 'p1', name: 'Sérum' }],
+        routine: 'am',
+        timestamp: NOW,
+        hasImage: true,
+        image: { path: 'a/b/original.jpg' },
+    },
+    'skin_journal/skin-1/revisions/rev-1': { analysis: 'Análisis anterior', archivedAt: NOW },
+    'meal_favorites/fav-1': { name: 'Desayuno', description: 'Avena', timestamp: NOW, analysisFields: { analysis: 'ok', nutrition: null } },
+    'meal_templates/tpl-1': { name: 'Lunes', items: [{ favoriteId: 'fav-1', mealType: 'breakfast', time: '08:00' }], timestamp: NOW },
+    'skin_products/prod-1': { name: 'Sérum', brand: 'Marca', ingredients: ['niacinamide'], openedAt: '2024-04-01', expiresAt: null, timestamp: NOW },
+    'skin_routines/am': { productIds: ['prod-1'], timestamp: NOW },
+    'hydration_log/h-1': { amount_ml: 250, timestamp: NOW },
+    'sleep_log/s-1': { bedTime: '2024-04-30T22:30:00.000Z', wakeTime: NOW, quality: 4, timestamp: NOW },
+    'body_measurements/b-1': { weight_kg: 70.5, waist_cm: 80, timestamp: NOW },
+    'activity_log/a-1': { activityType: 'Correr', duration_min: 30, kcal: 300, timestamp: NOW },
+    'coach_messages/m-1': { role: 'user', text: 'Hola', timestamp: NOW },
+    'settings/preferences': { nutritionGoals: { kcal: 2000 }, units: { weight: 'kg' }, language: 'es' },
+};
+
+// Cambios que cada colección debe rechazar (se aplican sobre su documento válido)
+const INVALID_CHANGES = {
+    'nutrition_history/meal-1': {
+        'sin timestamp': { timestamp: undefined },
+        'timestamp sin formato ISO': { timestamp: '01/05/2024' },
+        'descripción demasiado larga': { description: 'x'.repeat(4001) },
+        'análisis demasiado largo': { analysis: 'x'.repeat(20001) },
+        'nutrition que no es un mapa': { nutrition: 'mucho' },
+        'hasImage que no es booleano': { hasImage: 'sí' },
+        'demasiadas palabras de búsqueda': { searchTokens: Array.from({ length: 301 }, (_, index) => `t${index}`) },
+        'código de barras demasiado largo': { barcode: '1'.repeat(33) },
+    },
+    'skin_journal/skin-1': {
+        'notas demasiado largas': { notes: 'x'.repeat(4001) },
+        'puntuación fuera de rango': { skinScores: { hydration: 11 } },
+        'puntuación decimal': { skinScores: { acne: 2.5 } },
+        'puntuación desconocida': { skinScores: { wrinkles: 3 } },
+        'rutina desconocida': { routine: 'noon' },
+        'demasiados productos': { products: Array.from({ length: 31 }, (_, index) => ({ id: `p${index}` })) },
+    },
+    'meal_favorites/fav-1': {
+        'sin nombre': { name: undefined },
+        'sin analysisFields': { analysisFields: undefined },
+        'análisis del favorito demasiado largo': { analysisFields: { analysis: 'x'.repeat(20001) } },
+    },
+    'meal_templates/tpl-1': {
+        'items que no son una lista': { items: 'lunes' },
+        'demasiadas comidas': { items: Array.from({ length: 21 }, () => ({ favoriteId: 'fav-1' })) },
+    },
+    'skin_products/prod-1': {
+        'sin ingredientes': { ingredients: undefined },
+        'fecha de apertura con hora': { openedAt: NOW },
+    },
+    'skin_routines/am': {
+        'productIds que no son una lista': { productIds: 'prod-1' },
+    },
+    'hydration_log/h-1': {
+        'cantidad como texto': { amount_ml: '250' },
+        'nota demasiado larga': { notes: 'x'.repeat(4001) },
+    },
+    'sleep_log/s-1': {
+        'hora de acostarse sin formato ISO': { bedTime: '22:30' },
+        'calidad como texto': { quality: 'buena' },
+    },
+    'body_measurements/b-1': {
+        'sin peso': { weight_kg: undefined },
+        'cintura como texto': { waist_cm: '80' },
+    },
+    'activity_log/a-1': {
+        'tipo de actividad demasiado largo': { activityType: 'x'.repeat(41) },
+        'duración como texto': { duration_min: '30' },
+    },
+    'coach_messages/m-1': {
+        'rol desconocido': { role: 'system' },
+        'mensaje demasiado largo': { text: 'x'.repeat(20001) },
+    },
+    'settings/preferences': {
+        'idioma no soportado': { language: 'fr' },
+        'campo desconocido': { theme: 'dark' },
+    },
+};
+
+// Un cambio a undefined quita el campo
+const withChanges = (data, changes) => Object.fromEntries(
+    Object.entries({ ...data, ...changes }).filter(([, value]) => value !== undefined)
+);
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('firestore.rules', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: PROJECT_ID,
+            firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+        });
+    });
+
+    afterAll(async () => {
+        await testEnv?.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+    });
+
+    // Crea un documento saltándose las reglas (como haría la propia app antes del test)
+    const seed = (uid, path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(userDoc(context.firestore(), uid, path), data));
+
+    describe.each(Object.keys(VALID_DOCUMENTS))('%s', (path) => {
+        const data = VALID_DOCUMENTS[path];
+
+        it('el dueño puede crearlo y leerlo', async () => {
+            const db = testEnv.authenticatedContext('alice').firestore();
+            await assertSucceeds(setDoc(userDoc(db, 'alice', path), data));
+            await assertSucceeds(getDoc(userDoc(db, 'alice', path)));
+        });
+
+        it('otro usuario no puede leerlo, escribirlo ni borrarlo', async () => {
+            await seed('alice', path, data);
+            const db = testEnv.authenticatedContext('bob').firestore();
+            await assertFails(getDoc(userDoc(db, 'alice', path)));
+            await assertFails(setDoc(userDoc(db, 'alice', path), data));
+            await assertFails(deleteDoc(userDoc(db, 'alice', path)));
+        });
+
+        it('sin sesión no se puede leer ni escribir', async () => {
+            await seed('alice', path, data);
+            const db = testEnv.unauthenticatedContext().firestore();
+            await assertFails(getDoc(userDoc(db, 'alice', path)));
+            await assertFails(setDoc(userDoc(db, 'alice', path), data));
+        });
+
+        // Los ajustes no se borran desde la app: su regla valida el documento también al borrar
+        it.runIf(!path.startsWith('settings/'))('el dueño puede borrarlo', async () => {
+            await seed('alice', path, data);
+            const db = testEnv.authenticatedContext('alice').firestore();
+            await assertSucceeds(deleteDoc(userDoc(db, 'alice', path)));
+        });
+
+        const invalid = Object.entries(INVALID_CHANGES[path] || {});
+        if (invalid.length > 0) {
+            it.each(invalid)('rechaza: %s', async (_, changes) => {
+                const db = testEnv.authenticatedContext('alice').firestore();
+                await assertFails(setDoc(userDoc(db, 'alice', path), withChanges(data, changes)));
+            });
+        }
+    });
+
+    it('las revisiones no se pueden modificar una vez creadas', async () => {
+        await seed('alice', 'nutrition_history/meal-1', VALID_DOCUMENTS['nutrition_history/meal-1']);
+        await seed('alice', 'nutrition_history/meal-1/revisions/rev-1', VALID_DOCUMENTS['nutrition_history/meal-1/revisions/rev-1']);
+        const db = testEnv.authenticatedContext('alice').firestore();
+        await assertFails(updateDoc(userDoc(db, 'alice', 'nutrition_history/meal-1/revisions/rev-1'), { analysis: 'cambiado' }));
+    });
+
+    it('los mensajes del coach no se pueden editar', async () => {
+        await seed('alice', 'coach_messages/m-1', VALID_DOCUMENTS['coach_messages/m-1']);
+        const db = testEnv.authenticatedContext('alice').firestore();
+        await assertFails(updateDoc(userDoc(db, 'alice', 'coach_messages/m-1'), { text: 'editado' }));
+    });
+
+    it('la rutina solo puede ser am o pm', async () => {
+        const db = testEnv.authenticatedContext('alice').firestore();
+        await assertFails(setDoc(userDoc(db, 'alice', 'skin_routines/noon'), VALID_DOCUMENTS['skin_routines/am']));
+    });
+
+    it('solo existe el documento de ajustes "preferences"', async () => {
+        const db = testEnv.authenticatedContext('alice').firestore();
+        await assertFails(setDoc(userDoc(db, 'alice', 'settings/other'), VALID_DOCUMENTS['settings/preferences']));
+    });
+
+    it('deniega las colecciones sin bloque match', async () => {
+        const db = testEnv.authenticatedContext('alice').firestore();
+        await assertFails(setDoc(userDoc(db, 'alice', 'unknown_collection/x'), { timestamp: NOW }));
+    });
+
+    it('los clientes no pueden leer ni escribir las cuotas de la IA', async () => {
+        const db = testEnv.authenticatedContext('alice').firestore();
+        await assertFails(getDoc(doc(db, 'gemini_usage/alice')));
+        await assertFails(setDoc(doc(db, 'gemini_usage/alice'), { count: 0 }));
+    });
+});
@@ -0,0 +1,129 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { getBarcodeCandidates, buildProductAnalysisFields, findFoodProduct, NUTRIENT_KEYS, t } from '../index.jsx';
+import DEFAULT_FOOD_DB from '../public/food-db.json';
+
+const PASTA = {
+    code: '8076800195057',
+    name: 'Spaghetti n.5',
+    brand: 'Barilla',
+    servingSize: null,
+    per100g: { kcal: 359, protein_g: 12.5, carbs_g: 71.2, fat_g: 2, fiber_g: 3, sugar_g: 3.5, sodium_mg: 5.2 },
+};
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe('getBarcodeCandidates', () => {
+    it('un EAN-13 sin cero inicial solo se busca tal cual', () => {
+        expect(getBarcodeCandidates('8076800195057')).toEqual(['8076800195057']);
+    });
+
+    it('un UPC-A (12 dígitos) también se busca como EAN-13 con un 0 delante', () => {
+        expect(getBarcodeCandidates('012345678905')).toEqual(['012345678905', '0012345678905']);
+    });
+
+    it('un EAN-13 que empieza por 0 también se busca como UPC-A', () => {
+        expect(getBarcodeCandidates('0012345678905')).toEqual(['0012345678905', '012345678905']);
+    });
+
+    it('un EAN-8 se rellena con ceros hasta 13 dígitos', () => {
+        expect(getBarcodeCandidates('96385074')).toEqual(['96385074', '0000096385074']);
+    });
+
+    it('ignora todo lo que no son dígitos', () => {
+        expect(getBarcodeCandidates(' 8076-8001 95057 ')).toEqual(['8076800195057']);
+        expect(getBarcodeCandidates(8076800195057)).toEqual(['8076800195057']);
+    });
+
+    it('devuelve una lista vacía sin código', () => {
+        expect(getBarcodeCandidates('')).toEqual([]);
+        expect(getBarcodeCandidates(null)).toEqual([]);
+        expect(getBarcodeCandidates('sin código')).toEqual([]);
+    });
+});
+
+describe('buildProductAnalysisFields', () => {
+    it('escala los valores por 100 g a la cantidad indicada', () => {
+        const fields = buildProductAnalysisFields(PASTA, 80);
+        const [item] = fields.nutrition.items;
+
+        expect(item).toEqual({
+            name: 'Spaghetti n.5 · Barilla',
+            portion: '80 g',
+            kcal: 287.2,
+            protein_g: 10,
+            carbs_g: 57,
+            fat_g: 1.6,
+            fiber_g: 2.4,
+            sugar_g: 2.8,
+            sodium_mg: 4.2,
+            confidence: null,
+        });
+        expect(fields.nutrition.totals).toEqual(Object.fromEntries(NUTRIENT_KEYS.map(key => [key, item[key]])));
+        expect(fields.nutrition.confidence).toBeNull();
+        expect(fields).toMatchObject({ analysisStatus: 'complete', nutritionSource: 'barcode', barcode: PASTA.code });
+    });
+
+    it('redondea a un decimal', () => {
+        const [item] = buildProductAnalysisFields(PASTA, 33).nutrition.items;
+        expect(item.kcal).toBe(118.5);
+        expect(item.protein_g).toBe(4.1);
+        expect(item.sodium_mg).toBe(1.7);
+    });
+
+    it('escribe el análisis con la cabecera y un nutriente por línea', () => {
+        const lines = buildProductAnalysisFields(PASTA, 200).analysis.split('\n');
+        expect(lines[0]).toBe(t('barcode.analysisHeader', { name: 'Spaghetti n.5 · Barilla', grams: 200 }));
+        expect(lines[1]).toBe('');
+        expect(lines.slice(2)).toHaveLength(NUTRIENT_KEYS.length);
+        expect(lines[2]).toBe(`- ${t('nutrients.kcal')}: 718 kcal`);
+    });
+
+    it('deja a null los nutrientes que no trae la etiqueta y marca el análisis como parcial', () => {
+        const fields = buildProductAnalysisFields({ ...PASTA, per100g: { kcal: 539, fiber_g: null } }, 100);
+        const [item] = fields.nutrition.items;
+
+        expect(item.kcal).toBe(539);
+        expect(item.fiber_g).toBeNull();
+        expect(item.protein_g).toBeNull();
+        expect(fields.analysisStatus).toBe('partial');
+        expect(fields.analysis.split('\n').slice(2)).toEqual([`- ${t('nutrients.kcal')}: 539 kcal`]);
+    });
+
+    it('usa el código como nombre si el producto no tiene nombre ni marca', () => {
+        const fields = buildProductAnalysisFields({ code: '96385074', per100g: {} }, 50);
+        expect(fields.nutrition.items[0].name).toBe(t('barcode.productFallback', { code: '96385074' }));
+        expect(fields.analysisStatus).toBe('partial');
+    });
+});
+
+describe('public/food-db.json', () => {
+    it('tiene la forma que importa ensureFoodDbLoaded', () => {
+        expect(DEFAULT_FOOD_DB.version).toBeTypeOf('string');
+        expect(DEFAULT_FOOD_DB.products.length).toBeGreaterThan(0);
+        DEFAULT_FOOD_DB.products.forEach(product => {
+            expect(product.code).toMatch(/^\d{8,14}$/);
+            expect(product.name).toBeTypeOf('string');
+            expect(Object.keys(product.per100g).sort()).toEqual([...NUTRIENT_KEYS].sort());
+            expect(product.per100g.kcal).toBeTypeOf('number');
+        });
+    });
+
+    it('se importa a IndexedDB una vez y permite buscar sus productos', async () => {
+        // Un producto guardado como EAN-13 con cero inicial, para buscarlo por su UPC-A
+        const upcProduct = { ...PASTA, code: '0012345678905', name: 'Cereales' };
+        const bundle = { ...DEFAULT_FOOD_DB, products: [...DEFAULT_FOOD_DB.products, upcProduct] };
+        const fetchMock = vi.fn(async () => new Response(JSON.stringify(bundle)));
+        vi.stubGlobal('fetch', fetchMock);
+        const [first] = DEFAULT_FOOD_DB.products;
+
+        expect(await findFoodProduct(first.code)).toEqual(first);
+        expect(await findFoodProduct('012345678905')).toEqual(upcProduct);
+        expect(await findFoodProduct('0000000000000')).toBeNull();
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(fetchMock.mock.calls[0][0]).toBe('/food-db.json');
+    });
+});
@@ -0,0 +1,85 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { HealthCoach, t } from '../index.jsx';
+import { resetFirestore, listDocuments, listenedQueries } from './support/firestore-mock.js';
+import { geminiEvent, geminiStreamResponse, requestPayload } from './support/gemini-sse.js';
+
+vi.mock('firebase/firestore', () => import('./support/firestore-mock.js'));
+
+const collectionPath = (userId, collectionName) => `artifacts/default-health-app/users/${userId}/${collectionName}`;
+
+// Primer turno: el modelo propone registrar una comida; después responde con texto
+const LOG_MEAL_CALL = { functionCall: { name: 'log_meal', args: { description: 'Tostada con aceite' } } };
+const functionCallResponse = () => new Response(new ReadableStream({
+    start(controller) {
+        controller.enqueue(geminiEvent({ candidates: [{ content: { role: 'model', parts: [LOG_MEAL_CALL] } }] }));
+        controller.close();
+    },
+}), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+
+const renderCoach = (userId) => render(<HealthCoach db={{ type: 'firestore' }} storage={{}} userId={userId} isAuthReady />);
+
+const askCoach = async (text) => {
+    fireEvent.change(screen.getByLabelText(t('coach.messageLabel')), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: t('coach.send') }));
+    return screen.findByRole('alertdialog', { name: t('coach.confirmAction') });
+};
+
+beforeEach(() => {
+    resetFirestore();
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe('HealthCoach: registros que esperan confirmación', () => {
+    it('al descartar el registro se lo dice al modelo y no guarda nada', async () => {
+        const fetchMock = vi.fn()
+            .mockResolvedValueOnce(functionCallResponse())
+            .mockResolvedValueOnce(geminiStreamResponse(['De acuerdo, no lo apunto.']));
+        vi.stubGlobal('fetch', fetchMock);
+        renderCoach('coach-user-1');
+
+        expect(await askCoach('Apunta mi desayuno')).toHaveTextContent('Tostada con aceite');
+        fireEvent.click(screen.getByRole('button', { name: t('coach.discard') }));
+
+        await waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(2));
+        const [, , functionTurn] = requestPayload(fetchMock, 1).contents;
+        expect(functionTurn.parts[0].functionResponse).toMatchObject({ name: 'log_meal', response: { status: 'rejected' } });
+        expect(await screen.findByText('De acuerdo, no lo apunto.')).toBeInTheDocument();
+        expect(listDocuments(collectionPath('coach-user-1', 'nutrition_history'))).toEqual([]);
+    });
+
+    it('al cambiar de usuario descarta el registro pendiente y termina la respuesta en curso', async () => {
+        const fetchMock = vi.fn().mockResolvedValueOnce(functionCallResponse());
+        vi.stubGlobal('fetch', fetchMock);
+        const { rerender } = renderCoach('coach-user-2');
+
+        await askCoach('Apunta mi desayuno');
+        rerender(<HealthCoach db={{ type: 'firestore' }} storage={{}} userId="coach-user-3" isAuthReady />);
+
+        expect(screen.queryByRole('alertdialog')).toBeNull();
+        // El botón de enviar vuelve cuando la generación termina, es decir, cuando la confirmación se ha resuelto
+        expect(await screen.findByRole('button', { name: t('coach.send') })).toBeInTheDocument();
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(listDocuments(collectionPath('coach-user-2', 'coach_messages')).map(message => message.role)).toEqual(['user']);
+        expect(listDocuments(collectionPath('coach-user-2', 'nutrition_history'))).toEqual([]);
+    });
+});
+
+describe('HealthCoach: contexto del historial', () => {
+    it('solo escucha las comidas de los días que resume y las últimas entradas de piel', async () => {
+        renderCoach('coach-user-4');
+        const listenedQuery = (collectionName) => listenedQueries().find(q => q.path === collectionPath('coach-user-4', collectionName));
+        await waitFor(() => expect(listenedQuery('skin_journal')).toBeDefined());
+
+        // COACH_CONTEXT_DAYS = 7 (hoy y los 6 días anteriores) y COACH_CONTEXT_SKIN_ENTRIES = 5
+        const now = new Date();
+        const firstDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 6);
+        expect(listenedQuery('nutrition_history').constraints).toContainEqual({ kind: 'where', field: 'timestamp', op: '>=', value: firstDay.toISOString() });
+        expect(listenedQuery('skin_journal').constraints).toContainEqual({ kind: 'limit', count: 5 });
+    });
+});
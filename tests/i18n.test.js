@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { MESSAGES } from '../index.jsx';
+
+// { 'ruta.completa': texto } de un catálogo
+const flattenMessages = (node, path = '') => Object.entries(node).flatMap(([key, value]) => {
+    const fullKey = path ? `${path}.${key}` : key;
+    return value && typeof value === 'object' ? flattenMessages(value, fullKey) : [[fullKey, value]];
+});
+
+const placeholdersOf = (message) => [...new Set([...message.matchAll(/\{(\w+)\}/g)].map(match => match[1]))].sort();
+
+const catalogs = Object.fromEntries(Object.entries(MESSAGES).map(([language, messages]) => [language, Object.fromEntries(flattenMessages(messages))]));
+const [referenceLanguage, ...otherLanguages] = Object.keys(catalogs);
+const reference = catalogs[referenceLanguage];
+
+describe('catálogos de textos', () => {
+    it('todos los textos son cadenas no vacías', () => {
+        Object.entries(catalogs).forEach(([language, catalog]) => {
+            const invalid = Object.entries(catalog).filter(([, message]) => typeof message !== 'string' || message.trim() === '');
+            expect(invalid.map(([key]) => `${language}:${key}`)).toEqual([]);
+        });
+    });
+
+    describe.each(otherLanguages)('%s', (language) => {
+        const catalog = catalogs[language];
+
+        it(`tiene las mismas claves que ${referenceLanguage}`, () => {
+            expect(Object.keys(reference).filter(key => !(key in catalog))).toEqual([]);
+            expect(Object.keys(catalog).filter(key => !(key in reference))).toEqual([]);
+        });
+
+        it(`usa los mismos marcadores que ${referenceLanguage} en cada texto`, () => {
+            const mismatched = Object.keys(reference)
+                .filter(key => key in catalog)
+                .filter(key => placeholdersOf(reference[key]).join() !== placeholdersOf(catalog[key]).join())
+                .map(key => ({ key, [referenceLanguage]: placeholdersOf(reference[key]), [language]: placeholdersOf(catalog[key]) }));
+            expect(mismatched).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,142 @@
+import { describe, it, expect } from 'vitest';
+import { readJpegOrientation, buildExifOrientationSegment, getOrientedSize, getOrientationTransform, fitWithin } from '../image-worker.js';
+
+const SOI = [0xFF, 0xD8];
+// Inicio de los datos de la imagen (SOS) con unos bytes de relleno
+const SOS = [0xFF, 0xDA, 0x00, 0x04, 0x00, 0x00];
+// APP0 'JFIF' como el que escriben la mayoría de cámaras y editores antes del APP1
+const APP0 = [0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00];
+
+const jpeg = (...segments) => new Uint8Array([...SOI, ...segments.flatMap(segment => [...segment]), ...SOS]).buffer;
+
+// El mismo segmento que buildExifOrientationSegment, con la cabecera TIFF en little-endian ('II')
+const buildLittleEndianSegment = (orientation) => [
+    0xFF, 0xE1, 0x00, 0x22,
+    0x45, 0x78, 0x69, 0x66, 0x00, 0x00,
+    0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00,
+    0x01, 0x00,
+    0x12, 0x01, 0x03, 0x00, 0x01, 0x00, 0x00, 0x00, orientation, 0x00, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00,
+];
+
+const ORIENTATIONS = [1, 2, 3, 4, 5, 6, 7, 8];
+
+// Aplica la matriz [a, b, c, d, e, f] del canvas a un punto
+const applyTransform = ([a, b, c, d, e, f], [x, y]) => [a * x + c * y + e, b * x + d * y + f];
+
+describe('readJpegOrientation', () => {
+    it.each(ORIENTATIONS)('lee la orientación %i en big-endian', (orientation) => {
+        expect(readJpegOrientation(jpeg(buildExifOrientationSegment(orientation)))).toBe(orientation);
+    });
+
+    it.each(ORIENTATIONS)('lee la orientación %i en little-endian', (orientation) => {
+        expect(readJpegOrientation(jpeg(buildLittleEndianSegment(orientation)))).toBe(orientation);
+    });
+
+    it('salta los segmentos anteriores al APP1', () => {
+        expect(readJpegOrientation(jpeg(APP0, buildExifOrientationSegment(6)))).toBe(6);
+    });
+
+    it('devuelve 1 si no es un JPEG', () => {
+        const png = new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, ...buildExifOrientationSegment(6)]);
+        expect(readJpegOrientation(png.buffer)).toBe(1);
+        expect(readJpegOrientation(new Uint8Array([0xFF]).buffer)).toBe(1);
+        expect(readJpegOrientation(new ArrayBuffer(0))).toBe(1);
+    });
+
+    it('devuelve 1 si el JPEG no tiene EXIF', () => {
+        expect(readJpegOrientation(jpeg(APP0))).toBe(1);
+    });
+
+    it('ignora el EXIF que aparece después de los datos de la imagen', () => {
+        const buffer = new Uint8Array([...SOI, ...SOS, ...buildExifOrientationSegment(6)]).buffer;
+        expect(readJpegOrientation(buffer)).toBe(1);
+    });
+
+    it('devuelve 1 si el valor de la orientación no es válido', () => {
+        expect(readJpegOrientation(jpeg(buildExifOrientationSegment(0)))).toBe(1);
+        expect(readJpegOrientation(jpeg(buildExifOrientationSegment(9)))).toBe(1);
+    });
+
+    it.each([4, 10, 12, 18, 20, 30])('no lee fuera de un APP1 truncado a %i bytes', (length) => {
+        const segment = buildExifOrientationSegment(6).slice(0, length);
+        expect(readJpegOrientation(new Uint8Array([...SOI, ...segment]).buffer)).toBe(1);
+    });
+
+    it('no lee fuera del segmento si su longitud no cubre la entrada', () => {
+        const segment = buildExifOrientationSegment(6);
+        // Longitud declarada de 20 bytes: la entrada de la orientación queda fuera del segmento
+        segment[3] = 20;
+        expect(readJpegOrientation(jpeg(segment))).toBe(1);
+    });
+
+    it('rechaza una cabecera TIFF con un orden de bytes desconocido', () => {
+        const segment = buildExifOrientationSegment(6);
+        segment[10] = 0x00;
+        segment[11] = 0x00;
+        expect(readJpegOrientation(jpeg(segment))).toBe(1);
+    });
+});
+
+describe('getOrientedSize', () => {
+    it.each([1, 2, 3, 4])('conserva el ancho y el alto con la orientación %i', (orientation) => {
+        expect(getOrientedSize(400, 300, orientation)).toEqual({ width: 400, height: 300 });
+    });
+
+    it.each([5, 6, 7, 8])('intercambia el ancho y el alto con la orientación %i', (orientation) => {
+        expect(getOrientedSize(400, 300, orientation)).toEqual({ width: 300, height: 400 });
+    });
+});
+
+describe('getOrientationTransform', () => {
+    const width = 400;
+    const height = 300;
+
+    // Dónde acaban las esquinas superiores de la imagen guardada tras enderezarla (según la especificación EXIF)
+    const EXPECTED_CORNERS = {
+        1: { topLeft: 'top-left', topRight: 'top-right' },
+        2: { topLeft: 'top-right', topRight: 'top-left' },
+        3: { topLeft: 'bottom-right', topRight: 'bottom-left' },
+        4: { topLeft: 'bottom-left', topRight: 'bottom-right' },
+        5: { topLeft: 'top-left', topRight: 'bottom-left' },
+        6: { topLeft: 'top-right', topRight: 'bottom-right' },
+        7: { topLeft: 'bottom-right', topRight: 'top-right' },
+        8: { topLeft: 'bottom-left', topRight: 'top-left' },
+    };
+
+    const cornerOf = ([x, y], size) => `${y === 0 ? 'top' : y === size.height ? 'bottom' : '?'}-${x === 0 ? 'left' : x === size.width ? 'right' : '?'}`;
+
+    it.each(ORIENTATIONS)('endereza la orientación %i dentro del canvas girado', (orientation) => {
+        const matrix = getOrientationTransform(width, height, orientation);
+        const size = getOrientedSize(width, height, orientation);
+
+        expect(cornerOf(applyTransform(matrix, [0, 0]), size)).toBe(EXPECTED_CORNERS[orientation].topLeft);
+        expect(cornerOf(applyTransform(matrix, [width, 0]), size)).toBe(EXPECTED_CORNERS[orientation].topRight);
+        // La imagen entera cae dentro del canvas
+        const far = applyTransform(matrix, [width, height]);
+        expect(far[0] === 0 || far[0] === size.width).toBe(true);
+        expect(far[1] === 0 || far[1] === size.height).toBe(true);
+    });
+
+    it('usa la identidad para orientaciones desconocidas', () => {
+        expect(getOrientationTransform(width, height, 0)).toEqual([1, 0, 0, 1, 0, 0]);
+        expect(getOrientationTransform(width, height, 9)).toEqual([1, 0, 0, 1, 0, 0]);
+    });
+});
+
+describe('fitWithin', () => {
+    it('reduce el lado mayor al máximo conservando la proporción', () => {
+        expect(fitWithin(4032, 3024, 1600)).toEqual({ width: 1600, height: 1200 });
+        expect(fitWithin(3024, 4032, 1600)).toEqual({ width: 1200, height: 1600 });
+    });
+
+    it('no amplía las imágenes más pequeñas que el máximo', () => {
+        expect(fitWithin(800, 600, 1600)).toEqual({ width: 800, height: 600 });
+        expect(fitWithin(1600, 1600, 1600)).toEqual({ width: 1600, height: 1600 });
+    });
+
+    it('redondea y nunca baja de 1 px', () => {
+        expect(fitWithin(1000, 333, 100)).toEqual({ width: 100, height: 33 });
+        expect(fitWithin(10000, 1, 100)).toEqual({ width: 100, height: 1 });
+    });
+});
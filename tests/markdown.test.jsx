@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import { parseMarkdown, MarkdownContent } from '../index.jsx';
+
+// Nodos en línea de todos los bloques, aplanados (incluidos los de listas anidadas y tablas)
+const collectInlineNodes = (blocks) => {
+    const fromNodes = (nodes) => nodes.flatMap(node => [node, ...fromNodes(node.children || [])]);
+    const fromList = (list) => list.items.flatMap(item => [...fromNodes(item.children), ...(item.list ? fromList(item.list) : [])]);
+    return blocks.flatMap(block => {
+        if (block.type === 'paragraph') return block.lines.flatMap(fromNodes);
+        if (block.type === 'heading') return fromNodes(block.children);
+        if (block.type === 'list') return fromList(block);
+        if (block.type === 'table') return [...block.header, ...block.rows.flat()].flatMap(fromNodes);
+        return [];
+    });
+};
+
+// Elementos y atributos que no debe producir nunca el renderizado
+const DANGEROUS_SELECTOR = 'script, style, iframe, object, embed, img, svg, form, input, [onerror], [onload], [onclick], [onmouseover], [style*="url"]';
+const ALLOWED_LINK_ATTRIBUTES = ['href', 'target', 'rel', 'class'];
+
+const renderMarkdown = (text) => render(<MarkdownContent text={text} />).container;
+
+const expectSafeDom = (container) => {
+    expect(container.querySelector(DANGEROUS_SELECTOR)).toBeNull();
+    container.querySelectorAll('a').forEach(link => {
+        expect(link.getAttribute('href')).toMatch(/^(https?:\/\/|mailto:)/i);
+        expect(link.getAttributeNames().every(name => ALLOWED_LINK_ATTRIBUTES.includes(name))).toBe(true);
+    });
+};
+
+const XSS_PAYLOADS = [
+    '<script>alert(1)</script>',
+    '<img src=x onerror=alert(1)>',
+    '<svg onload=alert(1)>',
+    '<iframe src="javascript:alert(1)"></iframe>',
+    '<a href="javascript:alert(1)">clic</a>',
+    '<div style="background:url(javascript:alert(1))">x</div>',
+    '**<img src=x onerror=alert(1)>**',
+    '- <script>alert(1)</script>',
+    '| a | b |\n| --- | --- |\n| <img src=x onerror=alert(1)> | <script>x</script> |',
+    '# <svg/onload=alert(1)>',
+    '```\n<script>alert(1)</script>\n```',
+    '`<img src=x onerror=alert(1)>`',
+];
+
+const UNSAFE_LINKS = [
+    '[clic](javascript:alert(1))',
+    '[clic](JaVaScRiPt:alert(1))',
+    '[clic](javascript&#58;alert(1))',
+    '[clic](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+    '[clic](vbscript:msgbox(1))',
+    '[clic](//evil.example.com)',
+    '[clic](/relative/path)',
+];
+
+describe('parseMarkdown', () => {
+    it('reconoce encabezados, listas anidadas, negritas, tablas y código', () => {
+        const blocks = parseMarkdown('## Resumen\n- **Avena**: 300 kcal\n  - Fibra\n\n1. Uno\n\n| A | B |\n| :-- | --: |\n| 1 | 2 |\n\n```\ncódigo\n```');
+
+        expect(blocks.map(block => block.type)).toEqual(['heading', 'list', 'list', 'table', 'code']);
+        expect(blocks[0]).toMatchObject({ level: 2, children: [{ type: 'text', text: 'Resumen' }] });
+        expect(blocks[1].items[0].children[0]).toMatchObject({ type: 'strong', children: [{ type: 'text', text: 'Avena' }] });
+        expect(blocks[1].items[0].list.items[0].children).toEqual([{ type: 'text', text: 'Fibra' }]);
+        expect(blocks[2].ordered).toBe(true);
+        expect(blocks[3].align).toEqual(['left', 'right']);
+        expect(blocks[4]).toEqual({ type: 'code', text: 'código' });
+    });
+
+    it('devuelve una lista vacía para valores que no son texto', () => {
+        expect(parseMarkdown(null)).toEqual([]);
+        expect(parseMarkdown(undefined)).toEqual([]);
+        expect(parseMarkdown({ html: '<script>' })).toEqual([]);
+    });
+
+    it.each(XSS_PAYLOADS)('conserva el HTML como texto literal: %s', (payload) => {
+        const nodes = collectInlineNodes(parseMarkdown(payload));
+        expect(nodes.every(node => ['text', 'strong', 'em', 'code'].includes(node.type))).toBe(true);
+    });
+
+    it.each(UNSAFE_LINKS)('no crea enlaces con URLs peligrosas: %s', (markdown) => {
+        const nodes = collectInlineNodes(parseMarkdown(markdown));
+        expect(nodes.some(node => node.type === 'link')).toBe(false);
+        expect(nodes[0]).toEqual({ type: 'text', text: 'clic' });
+    });
+
+    it('enlaza las URLs http, https y mailto', () => {
+        const nodes = collectInlineNodes(parseMarkdown('[web](https://example.com) [correo](mailto:a@example.com) [http](http://example.com)'));
+        expect(nodes.filter(node => node.type === 'link').map(node => node.href))
+            .toEqual(['https://example.com', 'mailto:a@example.com', 'http://example.com']);
+    });
+});
+
+describe('MarkdownContent', () => {
+    it.each(XSS_PAYLOADS)('no inserta HTML en el DOM: %s', (payload) => {
+        const container = renderMarkdown(payload);
+        expectSafeDom(container);
+    });
+
+    it('muestra las etiquetas como texto visible', () => {
+        const container = renderMarkdown('Hola <script>alert(1)</script> <b>negrita</b>');
+        expectSafeDom(container);
+        expect(container.querySelector('b')).toBeNull();
+        expect(container.textContent).toContain('<script>alert(1)</script>');
+        expect(container.textContent).toContain('<b>negrita</b>');
+    });
+
+    it.each(UNSAFE_LINKS)('muestra solo el texto de los enlaces peligrosos: %s', (markdown) => {
+        const container = renderMarkdown(markdown);
+        expect(container.querySelector('a')).toBeNull();
+        expect(container.textContent).toContain('clic');
+    });
+
+    it('los enlaces seguros abren en otra pestaña sin acceso a window.opener', () => {
+        const container = renderMarkdown('[web](https://example.com/"onmouseover="alert(1))');
+        expectSafeDom(container);
+        const link = container.querySelector('a');
+        expect(link.getAttribute('target')).toBe('_blank');
+        expect(link.getAttribute('rel')).toBe('noopener noreferrer');
+    });
+
+    it('no decodifica entidades HTML', () => {
+        const container = renderMarkdown('&lt;img src=x onerror=alert(1)&gt; &amp; &#60;script&#62;');
+        expectSafeDom(container);
+        expect(container.textContent).toBe('&lt;img src=x onerror=alert(1)&gt; &amp; &#60;script&#62;');
+    });
+
+    it('renderiza el Markdown de la IA con elementos de React', () => {
+        const container = renderMarkdown('### Hallazgos\n- **Hidratación** baja\n- Usa *ácido hialurónico*');
+        expect(container.querySelector('h3').textContent).toBe('Hallazgos');
+        expect(container.querySelectorAll('ul > li')).toHaveLength(2);
+        expect(container.querySelector('li strong').textContent).toBe('Hidratación');
+        expect(container.querySelector('li em').textContent).toBe('ácido hialurónico');
+    });
+});
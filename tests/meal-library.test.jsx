@@ -0,0 +1,111 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MealLibrary, t } from '../index.jsx';
+import { resetFirestore, seedDocuments, listDocuments } from './support/firestore-mock.js';
+
+vi.mock('firebase/firestore', () => import('./support/firestore-mock.js'));
+
+const TEMPLATE_NAME = 'Día tipo';
+const DAY = '2024-05-01';
+const userPath = (userId, collectionName) => `artifacts/default-health-app/users/${userId}/${collectionName}`;
+const localIso = (time, day = DAY) => new Date(`${day}T${time}`).toISOString();
+
+// Dos favoritos y una plantilla que los registra a las 08:00 y a las 14:00
+const seedLibrary = (userId) => seedDocuments({
+    [`${userPath(userId, 'meal_favorites')}/fav-oats`]: { name: 'Avena', description: 'Avena con fruta', mealType: 'breakfast', analysisFields: {}, timestamp: '2024-04-01T08:00:00.000Z' },
+    [`${userPath(userId, 'meal_favorites')}/fav-salad`]: { name: 'Ensalada', description: 'Ensalada de pollo', mealType: 'lunch', analysisFields: {}, timestamp: '2024-04-01T08:01:00.000Z' },
+    [`${userPath(userId, 'meal_templates')}/tpl-1`]: {
+        name: TEMPLATE_NAME,
+        items: [{ favoriteId: 'fav-oats', mealType: 'breakfast', time: '08:00' }, { favoriteId: 'fav-salad', mealType: 'lunch', time: '14:00' }],
+        timestamp: '2024-04-01T08:02:00.000Z',
+    },
+});
+
+const renderLibrary = (userId, flashMessage) => render(
+    <MealLibrary db={{ type: 'firestore' }} storage={{}} userId={userId} isAuthReady currentFields={{}} currentText="" applyFields={() => {}} flashMessage={flashMessage} disabled={false} />
+);
+
+// Abre la biblioteca, elige DAY y aplica la plantilla; devuelve el mensaje con el resultado
+const applyTemplateOnDay = async (flashMessage) => {
+    flashMessage.mockClear();
+    fireEvent.change(screen.getByLabelText(t('library.templateDay', { name: TEMPLATE_NAME })), { target: { value: DAY } });
+    fireEvent.click(screen.getByRole('button', { name: t('library.apply') }));
+    await waitFor(() => expect(flashMessage).toHaveBeenCalled());
+    return flashMessage.mock.calls[0];
+};
+
+// El resultado sin la fecha, que depende del formato local
+const appliedMessage = (count, skipped) => t('library.templateApplied', {
+    name: TEMPLATE_NAME,
+    count,
+    date: '{date}',
+    skipped: skipped ? t('library.templateSkipped', { count: skipped }) : '',
+}).split('{date}');
+
+const expectApplied = ([type, message], count, skipped) => {
+    const [before, after] = appliedMessage(count, skipped);
+    expect(type).toBe(count > 0 ? 'success' : 'info');
+    expect(message.startsWith(before) && message.endsWith(after)).toBe(true);
+};
+
+beforeEach(() => {
+    resetFirestore();
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('MealLibrary: aplicar una plantilla', () => {
+    it('no duplica las comidas que ya están en Firestore aunque el historial no las muestre', async () => {
+        const userId = 'library-user-1';
+        seedLibrary(userId);
+        // Las comidas de la plantilla de ese día y muchas posteriores (en el historial, el día quedaría fuera de la primera página)
+        seedDocuments({
+            [`${userPath(userId, 'nutrition_history')}/logged-oats`]: { description: 'Avena con fruta', favoriteId: 'fav-oats', templateId: 'tpl-1', timestamp: localIso('08:00') },
+            [`${userPath(userId, 'nutrition_history')}/logged-salad`]: { description: 'Ensalada de pollo', favoriteId: 'fav-salad', templateId: 'tpl-1', timestamp: localIso('14:00') },
+            ...Object.fromEntries(Array.from({ length: 30 }, (_, index) => [
+                `${userPath(userId, 'nutrition_history')}/later-${index}`,
+                { description: `Comida ${index}`, timestamp: localIso('12:00', `2024-06-${String(index + 1).padStart(2, '0')}`) },
+            ])),
+        });
+        const flashMessage = vi.fn();
+        renderLibrary(userId, flashMessage);
+        fireEvent.click(await screen.findByRole('button', { name: `★ ${t('library.toggle', { count: 2 })}` }));
+
+        expectApplied(await applyTemplateOnDay(flashMessage), 0, 2);
+        expect(listDocuments(userPath(userId, 'nutrition_history'))).toHaveLength(32);
+    });
+
+    it('cuenta como registradas las comidas que siguen en la bandeja de salida', async () => {
+        vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+        const userId = 'library-user-2';
+        seedLibrary(userId);
+        const flashMessage = vi.fn();
+        renderLibrary(userId, flashMessage);
+        fireEvent.click(await screen.findByRole('button', { name: `★ ${t('library.toggle', { count: 2 })}` }));
+
+        expectApplied(await applyTemplateOnDay(flashMessage), 2, 0);
+        expectApplied(await applyTemplateOnDay(flashMessage), 0, 2);
+        expect(listDocuments(userPath(userId, 'nutrition_history'))).toEqual([]);
+    });
+
+    it('solo omite los favoritos de esa plantilla registrados ese mismo día', async () => {
+        vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+        const userId = 'library-user-3';
+        seedLibrary(userId);
+        seedDocuments({
+            // Otro día, sin plantilla y con otra plantilla: no cuentan
+            [`${userPath(userId, 'nutrition_history')}/other-day`]: { favoriteId: 'fav-oats', templateId: 'tpl-1', timestamp: localIso('08:00', '2024-05-02') },
+            [`${userPath(userId, 'nutrition_history')}/no-template`]: { favoriteId: 'fav-oats', timestamp: localIso('09:00') },
+            [`${userPath(userId, 'nutrition_history')}/other-template`]: { favoriteId: 'fav-salad', templateId: 'tpl-2', timestamp: localIso('13:00') },
+            [`${userPath(userId, 'nutrition_history')}/same`]: { favoriteId: 'fav-salad', templateId: 'tpl-1', timestamp: localIso('14:00') },
+        });
+        const flashMessage = vi.fn();
+        renderLibrary(userId, flashMessage);
+        fireEvent.click(await screen.findByRole('button', { name: `★ ${t('library.toggle', { count: 2 })}` }));
+
+        expectApplied(await applyTemplateOnDay(flashMessage), 1, 1);
+    });
+});
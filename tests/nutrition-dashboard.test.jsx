@@ -0,0 +1,38 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { NutritionDashboard, t } from '../index.jsx';
+import { resetFirestore, listenedQueries } from './support/firestore-mock.js';
+
+vi.mock('firebase/firestore', () => import('./support/firestore-mock.js'));
+
+const HISTORY_PATH = 'artifacts/default-health-app/users/user-1/nutrition_history';
+
+// Inicio del día local 'days' días antes de hoy, como ISO
+const daysAgoIso = (days) => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() - days).toISOString();
+};
+
+const historySince = () => listenedQueries()
+    .find(q => q.path === HISTORY_PATH)
+    ?.constraints.find(constraint => constraint.kind === 'where' && constraint.field === 'timestamp')?.value;
+
+beforeEach(() => {
+    resetFirestore();
+});
+
+describe('NutritionDashboard', () => {
+    it('escucha solo los días del rango elegido y cambia la consulta con él', async () => {
+        render(<NutritionDashboard db={{ type: 'firestore' }} userId="user-1" isAuthReady />);
+
+        // 14 días por defecto: hoy y los 13 anteriores
+        await waitFor(() => expect(historySince()).toBe(daysAgoIso(13)));
+
+        fireEvent.click(screen.getByRole('button', { name: t('dashboard.days', { count: 30 }) }));
+        await waitFor(() => expect(historySince()).toBe(daysAgoIso(29)));
+
+        fireEvent.click(screen.getByRole('button', { name: t('dashboard.days', { count: 7 }) }));
+        await waitFor(() => expect(historySince()).toBe(daysAgoIso(6)));
+        expect(listenedQueries().filter(q => q.path === HISTORY_PATH)).toHaveLength(1);
+    });
+});
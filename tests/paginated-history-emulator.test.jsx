@@ -0,0 +1,44 @@
+// usePaginatedHistory contra el emulador de Firestore (consultas, cursores y reglas reales).
+// Se salta si no está en marcha: npm run test:emulator lo ejecuta con firebase emulators:exec.
+import { readFileSync } from 'node:fs';
+import { describe, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, writeBatch } from 'firebase/firestore';
+import { COLLECTION_PATH, USER_ID, definePaginatedHistoryCases } from './support/paginated-history-cases.js';
+
+// Cada caso espera varias respuestas del emulador; el del historial grande escribe y recorre 3000 registros
+vi.setConfig({ testTimeout: 60000 });
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)('usePaginatedHistory (emulador)', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-health-tracker',
+            firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+        });
+    });
+
+    afterAll(async () => {
+        await testEnv?.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearFirestore();
+    });
+
+    definePaginatedHistoryCases({
+        getDb: () => testEnv.authenticatedContext(USER_ID).firestore(),
+        // writeBatch admite hasta 500 operaciones
+        seed: (meals) => testEnv.withSecurityRulesDisabled(async context => {
+            const entries = Object.entries(meals);
+            for (let start = 0; start < entries.length; start += 500) {
+                const batch = writeBatch(context.firestore());
+                entries.slice(start, start + 500).forEach(([id, data]) => batch.set(doc(context.firestore(), `${COLLECTION_PATH}/${id}`), data));
+                await batch.commit();
+            }
+        }),
+        timeout: 5000,
+        largeCount: 3000,
+    });
+});
@@ -0,0 +1,55 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import { AnalyzedTracker, SKIN_TRACKER, HISTORY_PAGE_SIZE, t } from '../index.jsx';
+import { resetFirestore, seedDocuments } from './support/firestore-mock.js';
+import { COLLECTION_PATH, definePaginatedHistoryCases } from './support/paginated-history-cases.js';
+
+vi.mock('firebase/firestore', () => import('./support/firestore-mock.js'));
+// Las miniaturas no llegan a cargarse: basta con que getDownloadURL no responda
+vi.mock('firebase/storage', () => ({
+    ref: (storage, path) => ({ path }),
+    getDownloadURL: () => new Promise(() => {}),
+    uploadBytes: vi.fn(),
+    deleteObject: vi.fn(),
+    connectStorageEmulator: () => {},
+    getStorage: () => ({}),
+    getBlob: vi.fn(),
+}));
+
+beforeEach(() => {
+    resetFirestore();
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('usePaginatedHistory', () => {
+    definePaginatedHistoryCases({
+        getDb: () => ({ type: 'firestore' }),
+        seed: async (meals) => seedDocuments(Object.fromEntries(
+            Object.entries(meals).map(([id, data]) => [`${COLLECTION_PATH}/${id}`, data])
+        )),
+    });
+});
+
+describe('SkinComparison', () => {
+    const skinPath = 'artifacts/default-health-app/users/user-1/skin_journal';
+
+    it('ofrece todas las fotos aunque el historial solo muestre la primera página', async () => {
+        const total = HISTORY_PAGE_SIZE + 5;
+        seedDocuments(Object.fromEntries(Array.from({ length: total }, (_, index) => [`${skinPath}/entry-${index}`, {
+            notes: `Entrada ${index}`,
+            timestamp: new Date(Date.UTC(2024, 4, 1 + index)).toISOString(),
+            hasImage: true,
+            image: { path: `fotos/${index}.jpg`, thumbnailPath: `fotos/${index}_thumb.jpg` },
+        }])));
+        render(<AnalyzedTracker db={{ type: 'firestore' }} storage={{}} userId="user-1" isAuthReady tracker={SKIN_TRACKER} />);
+
+        const comparison = (await screen.findByText(t('comparison.title'))).closest('div');
+        await within(comparison).findByText(t('comparison.selectHint'));
+        expect(within(comparison).getAllByRole('button', { pressed: false })).toHaveLength(total);
+        expect(await screen.findByText(`${SKIN_TRACKER.labels.historyTitle} (${HISTORY_PAGE_SIZE}+)`)).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { useRecordHistory } from '../index.jsx';
+import { resetFirestore, seedDocuments, failCollection } from './support/firestore-mock.js';
+
+vi.mock('firebase/firestore', () => import('./support/firestore-mock.js'));
+
+const DB = { type: 'firestore' };
+const USER_ID = 'user-1';
+const COLLECTION = 'hydration_log';
+const PATH = `artifacts/default-health-app/users/${USER_ID}/${COLLECTION}`;
+const BOUND = { max: 50 };
+
+const renderHistory = ({ db = DB, userId = USER_ID, isAuthReady = true, onError, options = BOUND } = {}) => renderHook(
+    (props) => useRecordHistory(props.db, props.userId, props.isAuthReady, COLLECTION, props.onError, props.options),
+    { initialProps: { db, userId, isAuthReady, onError, options } }
+);
+
+beforeEach(() => {
+    resetFirestore();
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('useRecordHistory', () => {
+    it('ordena los registros por fecha, el más reciente primero', async () => {
+        seedDocuments({
+            [`${PATH}/b`]: { amount_ml: 500, timestamp: '2024-05-02T09:00:00.000Z' },
+            [`${PATH}/a`]: { amount_ml: 250, timestamp: '2024-05-01T09:00:00.000Z' },
+            [`${PATH}/c`]: { amount_ml: 330, timestamp: '2024-05-03T09:00:00.000Z' },
+        });
+        const { result } = renderHistory();
+
+        await waitFor(() => expect(result.current).toHaveLength(3));
+        expect(result.current.map(record => record.id)).toEqual(['c', 'b', 'a']);
+    });
+
+    it('convierte cada documento en un registro con id, Date y estado de sincronización', async () => {
+        seedDocuments({ [`${PATH}/synced`]: { amount_ml: 250, timestamp: '2024-05-01T09:00:00.000Z' } });
+        seedDocuments({ [`${PATH}/pending`]: { amount_ml: 500, timestamp: '2024-05-02T09:00:00.000Z' } }, { pending: true });
+        const { result } = renderHistory();
+
+        await waitFor(() => expect(result.current).toHaveLength(2));
+        const [pending, synced] = result.current;
+        expect(synced).toEqual({
+            id: 'synced',
+            amount_ml: 250,
+            timestamp: new Date('2024-05-01T09:00:00.000Z'),
+            syncState: 'synced',
+        });
+        expect(pending.syncState).toBe('syncing');
+    });
+
+    it('no incluye los documentos sin timestamp (la consulta ordena por él)', async () => {
+        seedDocuments({
+            [`${PATH}/sin-fecha`]: { amount_ml: 250 },
+            [`${PATH}/a`]: { amount_ml: 500, timestamp: '2024-05-01T09:00:00.000Z' },
+        });
+        const { result } = renderHistory();
+
+        await waitFor(() => expect(result.current.map(record => record.id)).toEqual(['a']));
+    });
+
+    it('con max solo escucha los registros más recientes', async () => {
+        seedDocuments({
+            [`${PATH}/a`]: { amount_ml: 250, timestamp: '2024-05-01T09:00:00.000Z' },
+            [`${PATH}/b`]: { amount_ml: 500, timestamp: '2024-05-02T09:00:00.000Z' },
+            [`${PATH}/c`]: { amount_ml: 330, timestamp: '2024-05-03T09:00:00.000Z' },
+        });
+        const { result } = renderHistory({ options: { max: 2 } });
+
+        await waitFor(() => expect(result.current.map(record => record.id)).toEqual(['c', 'b']));
+    });
+
+    it('con since solo escucha los registros desde esa fecha y cambia la consulta con ella', async () => {
+        seedDocuments({
+            [`${PATH}/a`]: { amount_ml: 250, timestamp: '2024-05-01T09:00:00.000Z' },
+            [`${PATH}/b`]: { amount_ml: 500, timestamp: '2024-05-02T09:00:00.000Z' },
+            [`${PATH}/c`]: { amount_ml: 330, timestamp: '2024-05-03T09:00:00.000Z' },
+        });
+        const { result, rerender } = renderHistory({ options: { since: new Date('2024-05-02T00:00:00.000Z') } });
+        await waitFor(() => expect(result.current.map(record => record.id)).toEqual(['c', 'b']));
+
+        rerender({ db: DB, userId: USER_ID, isAuthReady: true, options: { since: new Date('2024-05-03T00:00:00.000Z') } });
+        await waitFor(() => expect(result.current.map(record => record.id)).toEqual(['c']));
+    });
+
+    it('no vuelve a suscribirse con otra fecha del mismo instante', async () => {
+        const firestore = await import('firebase/firestore');
+        const onSnapshotSpy = vi.spyOn(firestore, 'onSnapshot');
+        const since = '2024-05-02T00:00:00.000Z';
+        const { rerender } = renderHistory({ options: { since: new Date(since) } });
+        await act(async () => {});
+
+        rerender({ db: DB, userId: USER_ID, isAuthReady: true, options: { since: new Date(since) } });
+        await act(async () => {});
+        expect(onSnapshotSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('se actualiza en tiempo real con las escrituras nuevas', async () => {
+        seedDocuments({ [`${PATH}/a`]: { amount_ml: 250, timestamp: '2024-05-01T09:00:00.000Z' } });
+        const { result } = renderHistory();
+        await waitFor(() => expect(result.current).toHaveLength(1));
+
+        act(() => {
+            seedDocuments({ [`${PATH}/b`]: { amount_ml: 500, timestamp: '2024-05-02T09:00:00.000Z' } });
+        });
+
+        await waitFor(() => expect(result.current.map(record => record.id)).toEqual(['b', 'a']));
+    });
+
+    it('pasa los errores del listener a onError', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const error = Object.assign(new Error('Missing or insufficient permissions.'), { code: 'permission-denied' });
+        failCollection(PATH, error);
+        const onError = vi.fn();
+        const { result } = renderHistory({ onError });
+
+        await waitFor(() => expect(onError).toHaveBeenCalledWith(error));
+        expect(result.current).toEqual([]);
+    });
+
+    it('avisa al onError más reciente', async () => {
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        const first = vi.fn();
+        const second = vi.fn();
+        const { rerender } = renderHistory({ onError: first });
+        rerender({ db: DB, userId: USER_ID, isAuthReady: true, onError: second, options: BOUND });
+
+        act(() => {
+            failCollection(PATH, new Error('unavailable'));
+        });
+
+        await waitFor(() => expect(second).toHaveBeenCalled());
+        expect(first).not.toHaveBeenCalled();
+    });
+
+    it('no escucha hasta tener usuario y autenticación', async () => {
+        seedDocuments({ [`${PATH}/a`]: { amount_ml: 250, timestamp: '2024-05-01T09:00:00.000Z' } });
+        const { result, rerender } = renderHistory({ isAuthReady: false });
+
+        await act(async () => {});
+        expect(result.current).toEqual([]);
+
+        rerender({ db: DB, userId: USER_ID, isAuthReady: true, options: BOUND });
+        await waitFor(() => expect(result.current).toHaveLength(1));
+    });
+
+    it('deja de escuchar al desmontarse', async () => {
+        const { result, unmount } = renderHistory();
+        await act(async () => {});
+        const before = result.current;
+        unmount();
+
+        seedDocuments({ [`${PATH}/a`]: { amount_ml: 250, timestamp: '2024-05-01T09:00:00.000Z' } });
+        await act(async () => {});
+        expect(result.current).toBe(before);
+    });
+});
@@ -0,0 +1,8 @@
+// Se carga antes de cada archivo de tests (ver vitest.config.js)
+import '@testing-library/jest-dom/vitest';
+import { afterEach } from 'vitest';
+import { cleanup } from '@testing-library/react';
+
+afterEach(() => {
+    cleanup();
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import {
+    toRanks, pearsonCorrelation, spearmanCorrelation, buildSkinDietCorrelations, SkinDietInsights, INSIGHTS_MIN_PAIRS, t,
+} from '../index.jsx';
+import { resetFirestore, seedDocuments, listenedQueries } from './support/firestore-mock.js';
+
+vi.mock('firebase/firestore', () => import('./support/firestore-mock.js'));
+
+// Día local `index` días después del 1 de mayo de 2024 y su clave (como toLocalDayKey)
+const dayAt = (index) => new Date(2024, 4, 1 + index);
+const dayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const skinDay = (index, scores) => ({
+    key: dayKey(dayAt(index)),
+    date: dayAt(index),
+    scores: { hydration: null, acne: null, redness: null, oiliness: null, ...scores },
+});
+
+// Días de dieta 0..count-1 con el azúcar creciente y el resto de factores constantes
+const buildDietDays = (count, skip = []) => Object.fromEntries(Array.from({ length: count }, (_, index) => index)
+    .filter(index => !skip.includes(index))
+    .map(index => [dayKey(dayAt(index)), { sugar_g: index * 10, kcal: 2000, dairy: 0, lastMealHour: 21 }]));
+
+// Días de piel 1..count con el acné creciente (sigue al azúcar del día anterior)
+const buildSkinDays = (count) => Array.from({ length: count }, (_, index) => skinDay(index + 1, { acne: index * 0.5 }));
+
+describe('toRanks', () => {
+    it('ordena de 1 a n conservando la posición de cada valor', () => {
+        expect(toRanks([10, 30, 20])).toEqual([1, 3, 2]);
+    });
+
+    it('da a los empates la media de sus rangos', () => {
+        expect(toRanks([5, 1, 5, 3])).toEqual([3.5, 1, 3.5, 2]);
+        expect(toRanks([2, 2, 2])).toEqual([2, 2, 2]);
+    });
+
+    it('acepta series vacías', () => {
+        expect(toRanks([])).toEqual([]);
+    });
+});
+
+describe('pearsonCorrelation', () => {
+    it('vale 1 o -1 con una relación lineal perfecta', () => {
+        expect(pearsonCorrelation([1, 2, 3, 4], [2, 4, 6, 8])).toBeCloseTo(1, 10);
+        expect(pearsonCorrelation([1, 2, 3, 4], [8, 6, 4, 2])).toBeCloseTo(-1, 10);
+    });
+
+    it('calcula el coeficiente de una serie cualquiera', () => {
+        // cov = 6, var(x) = 10, var(y) = 6
+        expect(pearsonCorrelation([1, 2, 3, 4, 5], [2, 4, 5, 4, 5])).toBeCloseTo(6 / Math.sqrt(60), 10);
+    });
+
+    it('devuelve null si alguna serie es constante', () => {
+        expect(pearsonCorrelation([3, 3, 3], [1, 2, 3])).toBeNull();
+        expect(pearsonCorrelation([1, 2, 3], [7, 7, 7])).toBeNull();
+    });
+});
+
+describe('spearmanCorrelation', () => {
+    it('vale 1 con cualquier relación creciente, aunque no sea lineal', () => {
+        const result = spearmanCorrelation([1, 2, 3, 4, 5], [1, 4, 9, 16, 25]);
+        expect(result.n).toBe(5);
+        expect(result.rho).toBeCloseTo(1, 10);
+        expect(result.low).toBeLessThan(result.rho);
+        expect(result.high).toBeLessThanOrEqual(1);
+    });
+
+    it('usa los rangos medios con empates y da el intervalo de Fisher', () => {
+        // Rangos x: 1,5 1,5 3,5 3,5 5,5 5,5; rangos y: 1..6 → ρ = 16 / √280
+        const result = spearmanCorrelation([1, 1, 2, 2, 3, 3], [1, 2, 3, 4, 5, 6]);
+        expect(result.rho).toBeCloseTo(0.95618, 5);
+        expect(result.low).toBeCloseTo(0.62569, 5);
+        expect(result.high).toBeCloseTo(0.99565, 5);
+    });
+
+    it('no calcula nada con menos de 4 pares', () => {
+        expect(spearmanCorrelation([1, 2, 3], [1, 2, 3])).toEqual({ n: 3, rho: null, low: null, high: null });
+        expect(spearmanCorrelation([], [])).toEqual({ n: 0, rho: null, low: null, high: null });
+    });
+
+    it('devuelve null si una serie no varía', () => {
+        expect(spearmanCorrelation([5, 5, 5, 5, 5], [1, 2, 3, 4, 5])).toEqual({ n: 5, rho: null, low: null, high: null });
+    });
+});
+
+describe('buildSkinDietCorrelations', () => {
+    it('correlaciona cada puntuación con la media del factor en los días anteriores', () => {
+        const correlations = buildSkinDietCorrelations(buildSkinDays(12), buildDietDays(12));
+        const sugar = correlations.acne.sugar_g;
+
+        expect(sugar.map(result => result.lag)).toEqual([1, 2, 3]);
+        // Cada ventana necesita todos sus días: con lag 2 y 3 se pierden los primeros días de piel
+        expect(sugar.map(result => result.n)).toEqual([12, 11, 10]);
+        sugar.forEach(result => expect(result.rho).toBeCloseTo(1, 10));
+    });
+
+    it('no da ningún coeficiente por debajo del mínimo de días', () => {
+        const [lagOne] = buildSkinDietCorrelations(buildSkinDays(INSIGHTS_MIN_PAIRS - 1), buildDietDays(12)).acne.sugar_g;
+        expect(lagOne).toEqual({ lag: 1, n: INSIGHTS_MIN_PAIRS - 1, rho: null, low: null, high: null });
+    });
+
+    it('salta los días cuya ventana no tiene el factor', () => {
+        const sugar = buildSkinDietCorrelations(buildSkinDays(12), buildDietDays(12, [5])).acne.sugar_g;
+        // Sin el día 5 se pierde el día de piel 6 con lag 1 y los días 6 y 7 con lag 2
+        expect(sugar[0].n).toBe(11);
+        expect(sugar[0].rho).toBeCloseTo(1, 10);
+        expect(sugar[1]).toEqual({ lag: 2, n: 9, rho: null, low: null, high: null });
+    });
+
+    it('devuelve null con un factor constante aunque haya días suficientes', () => {
+        const correlations = buildSkinDietCorrelations(buildSkinDays(12), buildDietDays(12));
+        expect(correlations.acne.kcal[0]).toEqual({ lag: 1, n: 12, rho: null, low: null, high: null });
+        expect(correlations.acne.dairy[0].rho).toBeNull();
+    });
+
+    it('no cuenta los días sin la puntuación', () => {
+        const correlations = buildSkinDietCorrelations(buildSkinDays(12), buildDietDays(12));
+        expect(correlations.hydration.sugar_g.map(result => result.n)).toEqual([0, 0, 0]);
+    });
+});
+
+describe('SkinDietInsights', () => {
+    const basePath = 'artifacts/default-health-app/users/user-1';
+
+    // `count` días hasta ayer: una comida a mediodía (azúcar creciente) y una entrada de piel por la mañana
+    const seedDays = (count) => {
+        const today = new Date();
+        seedDocuments(Object.fromEntries(Array.from({ length: count }, (_, index) => {
+            const daysAgo = count - index;
+            const meal = new Date(today.getFullYear(), today.getMonth(), today.getDate() - daysAgo, 12);
+            const skin = new Date(today.getFullYear(), today.getMonth(), today.getDate() - daysAgo + 1, 9);
+            return [
+                [`${basePath}/nutrition_history/meal-${index}`, {
+                    description: 'Tostadas',
+                    analysis: 'ok',
+                    nutrition: { totals: { kcal: 2000, sugar_g: index * 5 } },
+                    timestamp: meal.toISOString(),
+                }],
+                [`${basePath}/skin_journal/skin-${index}`, {
+                    notes: '',
+                    analysis: 'ok',
+                    skinScores: { hydration: 5, acne: index * 0.5, redness: 2, oiliness: 4 },
+                    timestamp: skin.toISOString(),
+                }],
+            ];
+        }).flat()));
+    };
+
+    beforeEach(() => {
+        resetFirestore();
+    });
+
+    const renderInsights = () => render(<SkinDietInsights db={{ type: 'firestore' }} userId="user-1" isAuthReady />);
+
+    it(`con menos de ${INSIGHTS_MIN_PAIRS} días solo muestra cuántos hay`, async () => {
+        seedDays(INSIGHTS_MIN_PAIRS - 1);
+        renderInsights();
+
+        // Se espera a los datos: sin ellos todas las celdas muestran n = 0
+        expect(await screen.findAllByText(t('insights.pairs', { count: INSIGHTS_MIN_PAIRS - 1 }))).not.toHaveLength(0);
+        // 4 factores × 3 ventanas
+        expect(screen.getAllByText(t('insights.notEnough'))).toHaveLength(12);
+        expect(screen.queryByText(/^ρ /)).toBeNull();
+    });
+
+    it('con días suficientes muestra la correlación de los factores que varían', async () => {
+        seedDays(INSIGHTS_MIN_PAIRS + 5);
+        renderInsights();
+
+        // Solo el azúcar varía: sus tres ventanas tienen coeficiente y el resto no tiene variación
+        expect(await screen.findAllByText('ρ +1.00')).toHaveLength(3);
+        expect(screen.getAllByText(t('insights.noVariation'))).toHaveLength(9);
+        expect(screen.queryByText(t('insights.notEnough'))).toBeNull();
+    });
+
+    it('escucha la piel del periodo y las comidas desde 3 días antes (el mayor desfase)', async () => {
+        const since = (collectionName) => listenedQueries()
+            .find(q => q.path === `${basePath}/${collectionName}`)
+            ?.constraints.find(constraint => constraint.kind === 'where' && constraint.field === 'timestamp')?.value;
+        const daysAgoIso = (days) => {
+            const now = new Date();
+            return new Date(now.getFullYear(), now.getMonth(), now.getDate() - days).toISOString();
+        };
+        renderInsights();
+
+        // 90 días por defecto: hoy y los 89 anteriores
+        await waitFor(() => expect(since('skin_journal')).toBe(daysAgoIso(89)));
+        expect(since('nutrition_history')).toBe(daysAgoIso(92));
+
+        fireEvent.click(screen.getByRole('button', { name: t('dashboard.days', { count: 30 }) }));
+        await waitFor(() => expect(since('skin_journal')).toBe(daysAgoIso(29)));
+        expect(since('nutrition_history')).toBe(daysAgoIso(32));
+    });
+});
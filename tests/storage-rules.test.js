@@ -0,0 +1,70 @@
+// @vitest-environment node
+// Reglas de storage.rules contra el emulador de Storage. Se saltan si no está en marcha:
+// npm run test:emulator las ejecuta con firebase emulators:exec.
+import { readFileSync } from 'node:fs';
+import { describe, it, beforeAll, afterAll, beforeEach } from 'vitest';
+import { initializeTestEnvironment, assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { ref, uploadBytes, getBytes, deleteObject } from 'firebase/storage';
+
+const PROJECT_ID = 'demo-health-tracker';
+const IMAGE_PATH = 'artifacts/default-health-app/users/alice/skin_journal/entry-1/original.jpg';
+const IMAGE_BYTES = new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]);
+
+describe.skipIf(!process.env.FIREBASE_STORAGE_EMULATOR_HOST)('storage.rules', () => {
+    let testEnv;
+
+    beforeAll(async () => {
+        testEnv = await initializeTestEnvironment({
+            projectId: PROJECT_ID,
+            storage: { rules: readFileSync(new URL('../storage.rules', import.meta.url), 'utf8') },
+        });
+    });
+
+    afterAll(async () => {
+        await testEnv?.cleanup();
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearStorage();
+    });
+
+    const seedImage = () => testEnv.withSecurityRulesDisabled(context =>
+        uploadBytes(ref(context.storage(), IMAGE_PATH), IMAGE_BYTES, { contentType: 'image/jpeg' }));
+
+    it('el dueño puede subir, leer y borrar sus imágenes', async () => {
+        const storage = testEnv.authenticatedContext('alice').storage();
+        await assertSucceeds(uploadBytes(ref(storage, IMAGE_PATH), IMAGE_BYTES, { contentType: 'image/jpeg' }));
+        await assertSucceeds(getBytes(ref(storage, IMAGE_PATH)));
+        await assertSucceeds(deleteObject(ref(storage, IMAGE_PATH)));
+    });
+
+    it('otro usuario no puede leer, sobrescribir ni borrar las imágenes', async () => {
+        await seedImage();
+        const storage = testEnv.authenticatedContext('bob').storage();
+        await assertFails(getBytes(ref(storage, IMAGE_PATH)));
+        await assertFails(uploadBytes(ref(storage, IMAGE_PATH), IMAGE_BYTES, { contentType: 'image/jpeg' }));
+        await assertFails(deleteObject(ref(storage, IMAGE_PATH)));
+    });
+
+    it('sin sesión no se puede leer ni subir', async () => {
+        await seedImage();
+        const storage = testEnv.unauthenticatedContext().storage();
+        await assertFails(getBytes(ref(storage, IMAGE_PATH)));
+        await assertFails(uploadBytes(ref(storage, IMAGE_PATH), IMAGE_BYTES, { contentType: 'image/jpeg' }));
+    });
+
+    it('solo admite imágenes', async () => {
+        const storage = testEnv.authenticatedContext('alice').storage();
+        await assertFails(uploadBytes(ref(storage, IMAGE_PATH), IMAGE_BYTES, { contentType: 'application/pdf' }));
+    });
+
+    it('rechaza archivos de 10 MB o más', async () => {
+        const storage = testEnv.authenticatedContext('alice').storage();
+        await assertFails(uploadBytes(ref(storage, IMAGE_PATH), new Uint8Array(10 * 1024 * 1024), { contentType: 'image/jpeg' }));
+    });
+
+    it('deniega las rutas fuera de artifacts/{appId}/users/{uid}', async () => {
+        const storage = testEnv.authenticatedContext('alice').storage();
+        await assertFails(uploadBytes(ref(storage, 'public/alice.jpg'), IMAGE_BYTES, { contentType: 'image/jpeg' }));
+    });
+});
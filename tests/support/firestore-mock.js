@@ -0,0 +1,213 @@
+// Firestore en memoria con las funciones de 'firebase/firestore' que usa index.jsx.
+// Uso en un test: vi.mock('firebase/firestore', () => import('./support/firestore-mock.js'));
+// Las consultas admiten where (==, <, <=, >, >=, array-contains), orderBy, limit, startAfter y endAt;
+// los listeners de onSnapshot se avisan tras cada escritura.
+
+const documents = new Map(); // ruta completa → datos
+const listeners = new Set();
+const failingPaths = new Map(); // ruta de colección → error que reciben sus listeners y escrituras
+const pendingPaths = new Set(); // documentos que se muestran como escrituras aún sin confirmar
+let nextId = 0;
+
+// --- Utilidades para los tests ---
+
+export const resetFirestore = () => {
+    documents.clear();
+    listeners.clear();
+    failingPaths.clear();
+    pendingPaths.clear();
+    nextId = 0;
+};
+
+// Escribe documentos sin pasar por la app: { 'ruta/del/doc': datos }.
+// Con { pending: true } sus snapshots llevan metadata.hasPendingWrites, como una escritura local sin confirmar.
+export const seedDocuments = (entries, { pending = false } = {}) => {
+    Object.entries(entries).forEach(([path, data]) => {
+        documents.set(path, structuredClone(data));
+        if (pending) pendingPaths.add(path);
+        else pendingPaths.delete(path);
+    });
+    notifyListeners();
+};
+
+export const getDocument = (path) => documents.get(path);
+
+// Consultas de los onSnapshot activos: [{ path, constraints }]
+export const listenedQueries = () => [...listeners].map(listener => listener.query);
+
+export const listDocuments = (collectionPath) => [...documents.keys()]
+    .filter(path => isDirectChild(collectionPath, path))
+    .map(path => ({ id: path.split('/').pop(), ...documents.get(path) }));
+
+// A partir de ahora los listeners y escrituras de la colección fallan con 'error'
+export const failCollection = (collectionPath, error) => {
+    failingPaths.set(collectionPath, error);
+    notifyListeners();
+};
+
+// --- API de firebase/firestore ---
+
+export const initializeFirestore = () => ({ type: 'firestore' });
+export const persistentLocalCache = (options) => options;
+export const persistentMultipleTabManager = () => ({});
+export const connectFirestoreEmulator = () => {};
+
+export const collection = (parent, ...segments) => ({
+    type: 'collection',
+    path: [parent.path, ...segments].filter(Boolean).join('/'),
+});
+
+export const doc = (parent, ...segments) => {
+    const path = [parent.path, ...segments].filter(Boolean).join('/');
+    // doc(colección) sin id genera uno, como Firestore
+    const fullPath = parent.type === 'collection' && segments.length === 0 ? `${path}/auto-${++nextId}` : path;
+    return { type: 'document', id: fullPath.split('/').pop(), path: fullPath };
+};
+
+export const increment = (value) => ({ increment: value });
+
+export const where = (field, op, value) => ({ kind: 'where', field, op, value });
+export const orderBy = (field, direction = 'asc') => ({ kind: 'orderBy', field, direction });
+export const limit = (count) => ({ kind: 'limit', count });
+export const startAfter = (snapshot) => ({ kind: 'startAfter', snapshot });
+export const endAt = (snapshot) => ({ kind: 'endAt', snapshot });
+
+export const query = (base, ...constraints) => ({
+    type: 'query',
+    path: base.path,
+    constraints: [...(base.constraints || []), ...constraints],
+});
+
+const checkWritable = (path) => {
+    const collectionPath = path.split('/').slice(0, -1).join('/');
+    if (failingPaths.has(collectionPath)) throw failingPaths.get(collectionPath);
+};
+
+const applyFieldValues = (previous, changes) => Object.fromEntries(Object.entries(changes).map(([key, value]) => [
+    key,
+    value && typeof value === 'object' && 'increment' in value ? (previous?.[key] || 0) + value.increment : value,
+]));
+
+export const setDoc = async (ref, data) => {
+    checkWritable(ref.path);
+    documents.set(ref.path, structuredClone(applyFieldValues(null, data)));
+    notifyListeners();
+};
+
+export const updateDoc = async (ref, changes) => {
+    checkWritable(ref.path);
+    const previous = documents.get(ref.path);
+    if (!previous) throw Object.assign(new Error(`No document to update: ${ref.path}`), { code: 'not-found' });
+    documents.set(ref.path, { ...previous, ...structuredClone(applyFieldValues(previous, changes)) });
+    notifyListeners();
+};
+
+export const deleteDoc = async (ref) => {
+    checkWritable(ref.path);
+    documents.delete(ref.path);
+    notifyListeners();
+};
+
+export const addDoc = async (collectionRef, data) => {
+    const ref = doc(collectionRef);
+    await setDoc(ref, data);
+    return ref;
+};
+
+export const writeBatch = () => {
+    const operations = [];
+    return {
+        set: (ref, data) => operations.push(() => setDoc(ref, data)),
+        update: (ref, changes) => operations.push(() => updateDoc(ref, changes)),
+        delete: (ref) => operations.push(() => deleteDoc(ref)),
+        commit: async () => {
+            for (const operation of operations) await operation();
+        },
+    };
+};
+
+// --- Consultas ---
+
+const isDirectChild = (collectionPath, path) =>
+    path.startsWith(`${collectionPath}/`) && !path.slice(collectionPath.length + 1).includes('/');
+
+const toSnapshot = (path) => {
+    const data = documents.get(path);
+    return {
+        id: path.split('/').pop(),
+        ref: { type: 'document', id: path.split('/').pop(), path },
+        exists: () => data !== undefined,
+        data: () => structuredClone(data),
+        metadata: { hasPendingWrites: pendingPaths.has(path) },
+    };
+};
+
+const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const matchesWhere = (data, { field, op, value }) => {
+    const actual = data[field];
+    switch (op) {
+        case '==': return actual === value;
+        case '<': return actual !== undefined && actual < value;
+        case '<=': return actual !== undefined && actual <= value;
+        case '>': return actual !== undefined && actual > value;
+        case '>=': return actual !== undefined && actual >= value;
+        case 'array-contains': return Array.isArray(actual) && actual.includes(value);
+        default: throw new Error(`Unsupported operator in firestore mock: ${op}`);
+    }
+};
+
+const runQuery = (target) => {
+    const constraints = target.constraints || [];
+    const ordering = constraints.filter(constraint => constraint.kind === 'orderBy');
+    let paths = [...documents.keys()]
+        .filter(path => isDirectChild(target.path, path))
+        .filter(path => constraints
+            .filter(constraint => constraint.kind === 'where')
+            .every(constraint => matchesWhere(documents.get(path), constraint)))
+        // Como Firestore, orderBy excluye los documentos sin ese campo
+        .filter(path => ordering.every(({ field }) => documents.get(path)[field] !== undefined));
+
+    const compareDocs = (a, b) => {
+        for (const { field, direction } of ordering) {
+            const result = compare(documents.get(a)[field], documents.get(b)[field]);
+            if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return compare(a, b);
+    };
+    paths.sort(compareDocs);
+
+    constraints.forEach(constraint => {
+        if (constraint.kind === 'startAfter') paths = paths.filter(path => compareDocs(path, constraint.snapshot.ref.path) > 0);
+        if (constraint.kind === 'endAt') paths = paths.filter(path => compareDocs(path, constraint.snapshot.ref.path) <= 0);
+    });
+    const limitConstraint = constraints.find(constraint => constraint.kind === 'limit');
+    if (limitConstraint) paths = paths.slice(0, limitConstraint.count);
+
+    const docs = paths.map(toSnapshot);
+    return { docs, size: docs.length, empty: docs.length === 0, metadata: { hasPendingWrites: docs.some(snapshot => snapshot.metadata.hasPendingWrites) } };
+};
+
+export const getDocs = async (target) => {
+    if (failingPaths.has(target.path)) throw failingPaths.get(target.path);
+    return runQuery(target);
+};
+
+const notifyListeners = () => listeners.forEach(listener => queueMicrotask(listener.emit));
+
+// onSnapshot(consulta o documento, [opciones], next, error): el primer resultado llega de forma asíncrona, como en Firestore
+export const onSnapshot = (target, ...args) => {
+    const [onNext, onError] = typeof args[0] === 'function' ? args : args.slice(1);
+    const listener = {
+        query: target,
+        onError,
+        emit: () => {
+            if (!listeners.has(listener)) return;
+            if (failingPaths.has(target.path)) onError?.(failingPaths.get(target.path));
+            else onNext(target.type === 'document' ? toSnapshot(target.path) : runQuery(target));
+        },
+    };
+    listeners.add(listener);
+    queueMicrotask(listener.emit);
+    return () => listeners.delete(listener);
+};
@@ -0,0 +1,26 @@
+// Respuestas de streamGenerateContent (?alt=sse) para sustituir a fetch en los tests
+
+const encoder = new TextEncoder();
+
+export const geminiEvent = (payload) => encoder.encode(`data: ${JSON.stringify(payload)}\n\n`);
+
+export const geminiTextEvent = (text) => geminiEvent({ candidates: [{ content: { role: 'model', parts: [{ text }] } }] });
+
+// Respuesta SSE con un evento por fragmento de texto
+export const geminiStreamResponse = (chunks) => new Response(new ReadableStream({
+    start(controller) {
+        chunks.forEach(chunk => controller.enqueue(geminiTextEvent(chunk)));
+        controller.close();
+    },
+}), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+
+// Respuesta SSE que envía los fragmentos y se queda abierta hasta que se aborta la petición
+export const geminiHangingResponse = (chunks, signal) => new Response(new ReadableStream({
+    start(controller) {
+        chunks.forEach(chunk => controller.enqueue(geminiTextEvent(chunk)));
+        signal.addEventListener('abort', () => controller.error(new DOMException('Aborted', 'AbortError')));
+    },
+}), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+
+// Cuerpo de la petición que recibió el fetch simulado en su llamada número 'call'
+export const requestPayload = (fetchMock, call = 0) => JSON.parse(fetchMock.mock.calls[call][1].body);
@@ -0,0 +1,139 @@
+// Casos de usePaginatedHistory que se ejecutan contra el Firestore simulado (paginated-history.test.jsx)
+// y contra el emulador (paginated-history-emulator.test.jsx).
+import { it, expect } from 'vitest';
+import { renderHook, waitFor, act } from '@testing-library/react';
+import { usePaginatedHistory, HISTORY_PAGE_SIZE } from '../../index.jsx';
+
+export const USER_ID = 'user-1';
+export const COLLECTION = 'nutrition_history';
+export const COLLECTION_PATH = `artifacts/default-health-app/users/${USER_ID}/${COLLECTION}`;
+
+const NO_FILTERS = { start: null, endExclusive: null, withImage: false, searchTokens: [] };
+
+// count registros, uno por minuto desde el 1 de mayo de 2024; build(index) añade o cambia campos
+export const buildMeals = (count, build = () => ({})) => Object.fromEntries(Array.from({ length: count }, (_, index) => [
+    `meal-${String(index).padStart(3, '0')}`,
+    {
+        description: `Comida ${index}`,
+        timestamp: new Date(Date.UTC(2024, 4, 1, 8, index)).toISOString(),
+        hasImage: false,
+        image: null,
+        searchTokens: ['comida'],
+        ...build(index),
+    },
+]));
+
+// Ids en orden descendente de fecha (el orden del historial)
+const newestFirst = (meals, predicate = () => true) => Object.keys(meals)
+    .filter(id => predicate(meals[id]))
+    .sort((a, b) => meals[b].timestamp.localeCompare(meals[a].timestamp));
+
+// getDb() → Firestore del usuario; seed(meals) → escribe { id: datos } en la colección del usuario.
+// largeCount es el número de registros del caso que recorre un historial grande con filtros.
+export const definePaginatedHistoryCases = ({ getDb, seed, timeout = 1000, largeCount = 300 }) => {
+    // La misma instancia de db en todos los renders: si cambia, el hook vuelve a suscribirse
+    const renderHistory = (filters) => {
+        const db = getDb();
+        return renderHook(
+            (props) => usePaginatedHistory(db, USER_ID, true, COLLECTION, props.filters, props.onError),
+            { initialProps: { filters: { ...NO_FILTERS, ...filters }, onError: (error) => { throw error; } } }
+        );
+    };
+
+    const loadMore = async (result) => {
+        await act(async () => {
+            await result.current.loadMore();
+        });
+    };
+
+    it('pagina de más reciente a más antiguo y mantiene las páginas cargadas', async () => {
+        const meals = buildMeals(HISTORY_PAGE_SIZE + 5);
+        await seed(meals);
+        const { result } = renderHistory();
+
+        await waitFor(() => expect(result.current.records).toHaveLength(HISTORY_PAGE_SIZE), { timeout });
+        expect(result.current.records.map(record => record.id)).toEqual(newestFirst(meals).slice(0, HISTORY_PAGE_SIZE));
+        expect(result.current.hasMore).toBe(true);
+
+        await loadMore(result);
+
+        await waitFor(() => expect(result.current.records).toHaveLength(HISTORY_PAGE_SIZE + 5), { timeout });
+        expect(result.current.records.map(record => record.id)).toEqual(newestFirst(meals));
+        expect(result.current.hasMore).toBe(false);
+    });
+
+    it('filtra por foto en el servidor', async () => {
+        const meals = buildMeals(10, index => (index % 3 === 0 ? { hasImage: true, image: { path: `fotos/${index}.jpg` } } : {}));
+        await seed(meals);
+        const { result } = renderHistory({ withImage: true });
+
+        await waitFor(() => expect(result.current.records).toHaveLength(4), { timeout });
+        expect(result.current.records.map(record => record.id)).toEqual(newestFirst(meals, meal => meal.hasImage));
+        expect(result.current.hasMore).toBe(false);
+    });
+
+    it('busca por una palabra con array-contains', async () => {
+        const meals = buildMeals(12, index => (index % 4 === 0 ? { searchTokens: ['comida', 'lentejas'] } : {}));
+        await seed(meals);
+        const { result } = renderHistory({ searchTokens: ['lentejas'] });
+
+        await waitFor(() => expect(result.current.records).toHaveLength(3), { timeout });
+        expect(result.current.records.map(record => record.id)).toEqual(newestFirst(meals, meal => meal.searchTokens.includes('lentejas')));
+    });
+
+    it('con varias palabras completa las páginas que el filtro del cliente deja cortas', async () => {
+        // Todas contienen 'ensalada' (la palabra consultada en el servidor); solo la mitad también 'pollo'
+        const meals = buildMeals(HISTORY_PAGE_SIZE * 3, index => ({
+            searchTokens: index % 2 === 0 ? ['ensalada', 'pollo'] : ['ensalada', 'atun'],
+        }));
+        await seed(meals);
+        const matching = newestFirst(meals, meal => meal.searchTokens.includes('pollo'));
+        const { result } = renderHistory({ searchTokens: ['ensalada', 'pollo'] });
+
+        await waitFor(() => expect(result.current.records).toHaveLength(HISTORY_PAGE_SIZE), { timeout });
+        expect(result.current.records.map(record => record.id)).toEqual(matching.slice(0, HISTORY_PAGE_SIZE));
+        expect(result.current.hasMore).toBe(true);
+
+        await loadMore(result);
+
+        await waitFor(() => expect(result.current.records).toHaveLength(matching.length), { timeout });
+        expect(result.current.records.map(record => record.id)).toEqual(matching);
+        expect(result.current.hasMore).toBe(false);
+    });
+
+    it(`recorre ${largeCount} registros con un rango de fechas y una búsqueda de dos palabras`, async () => {
+        // Un registro por minuto desde el 1 de mayo a las 08:00 UTC; la mitad contiene 'lentejas' y un tercio
+        // de esos también 'verdura', así que el filtro del cliente descarta la mayoría de cada página del servidor
+        const meals = buildMeals(largeCount, index => ({
+            searchTokens: index % 2 === 0 ? ['lentejas', ...(index % 3 === 0 ? ['verdura'] : [])] : ['comida'],
+        }));
+        await seed(meals);
+        const start = new Date(meals['meal-030'].timestamp);
+        const endExclusive = new Date(Date.parse(start) + Math.floor(largeCount * 0.6) * 60000);
+        const matching = newestFirst(meals, meal => meal.searchTokens.includes('verdura')
+            && meal.timestamp >= start.toISOString() && meal.timestamp < endExclusive.toISOString());
+        const { result } = renderHistory({ start, endExclusive, searchTokens: ['lentejas', 'verdura'] });
+
+        await waitFor(() => expect(result.current.records).toHaveLength(HISTORY_PAGE_SIZE), { timeout });
+        // Una página llena puede ser la última: la siguiente petición no trae nada y termina la lista
+        while (result.current.hasMore) {
+            const loaded = result.current.records.length;
+            await loadMore(result);
+            await waitFor(() => expect(result.current.records.length > loaded || !result.current.hasMore).toBe(true), { timeout });
+        }
+
+        expect(result.current.records.map(record => record.id)).toEqual(matching);
+    });
+
+    it('no pide más páginas si la búsqueda no tiene más resultados', async () => {
+        const meals = buildMeals(HISTORY_PAGE_SIZE + 5, index => ({
+            searchTokens: index === 0 ? ['ensalada', 'pollo'] : ['ensalada'],
+        }));
+        await seed(meals);
+        const { result } = renderHistory({ searchTokens: ['ensalada', 'pollo'] });
+
+        await waitFor(() => expect(result.current.records.map(record => record.id)).toEqual(['meal-000']), { timeout });
+        expect(result.current.hasMore).toBe(false);
+        expect(result.current.isLoadingMore).toBe(false);
+    });
+};
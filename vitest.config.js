@@ -0,0 +1,11 @@
+import { defineConfig } from 'vitest/config';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+    plugins: [react()],
+    test: {
+        environment: 'jsdom',
+        include: ['tests/**/*.test.{js,jsx}'],
+        setupFiles: ['tests/setup.js'],
+    },
+});